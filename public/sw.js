@@ -0,0 +1,91 @@
+// --- APP SHELL SERVICE WORKER ---
+// Keeps the built app loadable offline. Page loads and other same-origin files
+// go network-first so a new deploy is picked up as soon as it's reachable; the
+// hashed files under assets/ never change, so only they are served
+// cache-first. Firestore and backend requests are cross-origin and pass
+// straight through (Firestore has its own offline cache).
+
+const CACHE_NAME = 'warmup-shell-v2';
+const SHELL = ['./', './index.html'];
+// Path prefix of the build's hashed files, relative to where the app is served
+const ASSETS_PATH = new URL('./assets/', self.location).pathname;
+
+// Makes the cached assets match the cached index.html: fetches the bundles it
+// references and drops those of earlier builds. Only files index.html links
+// directly are known here, so a lazily loaded chunk would be pruned (and not
+// precached); list such chunks here if the build ever splits them out. sw.js
+// itself rarely changes between deploys, so this also runs whenever a fresh
+// index.html is cached.
+const syncAssets = async () => {
+  const cache = await caches.open(CACHE_NAME);
+  const index = await cache.match('./index.html');
+  if (!index) return;
+
+  const indexUrl = new URL('./index.html', self.location);
+  const html = await index.text();
+  const assets = [...new Set([...html.matchAll(/(?:src|href)="([^"]+)"/g)]
+    .map(([, path]) => new URL(path, indexUrl))
+    .filter(url => url.origin === self.location.origin && url.pathname.startsWith(ASSETS_PATH))
+    .map(url => url.href))];
+
+  const requests = await cache.keys();
+  const cached = new Set(requests.map(request => request.url));
+  await cache.addAll(assets.filter(url => !cached.has(url)));
+  await Promise.all(requests
+    .filter(request => new URL(request.url).pathname.startsWith(ASSETS_PATH) && !assets.includes(request.url))
+    .map(request => cache.delete(request)));
+};
+
+// The bundles are precached with the shell so the first offline launch works.
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME)
+    .then(cache => cache.addAll(SHELL.map(url => new Request(url, { cache: 'reload' }))))
+    .then(syncAssets));
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(syncAssets)
+      .then(() => self.clients.claim())
+  );
+});
+
+// Page loads are all answered with the cached index.html when offline.
+const networkFirst = async (event) => {
+  const { request } = event;
+  const isPage = request.mode === 'navigate';
+  const cacheKey = isPage ? './index.html' : request;
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      event.waitUntil(cache.put(cacheKey, response.clone()).then(() => (isPage ? syncAssets() : null)));
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(cacheKey);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+const cacheFirst = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  event.respondWith(request.mode !== 'navigate' && url.pathname.startsWith(ASSETS_PATH) ? cacheFirst(request) : networkFirst(event));
+});
@@ -1,8 +1,62 @@
-import React, { useState, useEffect, useContext, createContext } from 'react';
-import { Home, Mail, Activity, LogOut, Menu, X, User, Zap, Settings, RefreshCw, CheckCircle, AlertTriangle, Cloud, Loader2 } from 'lucide-react';
+import React, { useState, useEffect, useContext, createContext, useMemo, useRef } from 'react';
+import { Home, Mail, Activity, LogOut, Menu, X, User, Zap, Settings, RefreshCw, CheckCircle, AlertTriangle, Cloud, Loader2, Pause, Play, ShieldCheck, List, ChevronLeft, ChevronRight, Upload, Download, PlugZap, LogIn, UserPlus, ChevronDown, ArrowLeft, Users, Bell, FileText, ShieldAlert, Share2, Inbox, KeyRound } from 'lucide-react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, onSnapshot, collection, query, setDoc } from 'firebase/firestore';
+import {
+  getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged, signOut,
+  signInWithEmailAndPassword, createUserWithEmailAndPassword, signInWithPopup, GoogleAuthProvider,
+  EmailAuthProvider, linkWithCredential, linkWithPopup, sendPasswordResetEmail,
+} from 'firebase/auth';
+import {
+  initializeFirestore, persistentLocalCache, persistentMultipleTabManager, doc, onSnapshot, collection, query, where, orderBy, limit, startAfter, getDoc, getDocs,
+  setDoc, addDoc, updateDoc, deleteDoc, deleteField, arrayUnion, arrayRemove, runTransaction, writeBatch,
+} from 'firebase/firestore';
+import { DEFAULT_WARMUP_SETTINGS, WARMUP_SETTINGS_LIMITS, validateWarmupSettings, withWarmupDefaults, accountWarmupSettings } from './warmupSettings.js';
+import { buildSchedule, countDailySends, todaysTarget, targetVolumeForDay, warmupDayIndex, addDays, DAY_MS } from './warmupSchedule.js';
+import { WARMUP_EVENTS, ACCOUNT_EVENTS, BLOCKLIST_EVENTS, LOG_EVENT_TYPES } from './warmupEvents.js';
+import { parseCsvObjects, toCsv, downloadFile } from './csv.js';
+import { IMPORT_COLUMNS, validateImportRows, runWithConcurrency } from './accountImport.js';
+import { MAIL_PROVIDERS, SECURITY_MODES, providerConnection, detectProvider, validateConnection, connectionHint } from './mailProviders.js';
+import { diagnoseDomain, normalizeDnsRecords, diffDnsRecords, SPF_LOOKUP_LIMIT } from './dnsParsers.js';
+import { scoreLogs, scoreTally, dailyTallies, SCORE_WINDOW_DAYS } from './deliverabilityScore.js';
+import { DEFAULT_PATH, matchRoute, pathFromHash, queryFromHash, routeHref } from './router.js';
+import {
+  ALERT_RULE_TYPES, WEBHOOK_FORMATS, HOUR_MS, MAX_ALERT_WINDOW_HOURS, defaultRuleParams, validateAlertRule, evaluateAlertRule,
+} from './alertRules.js';
+import {
+  TEMPLATE_VARIABLES, TEMPLATE_LANGUAGES, renderTemplate, countVariants, checkTemplateContent, parseTags,
+} from './templates.js';
+import {
+  ENGAGEMENT_RULES, DEFAULT_ENGAGEMENT_RULES, withEngagementDefaults, validateEngagementRules, validateEngagementOverrides,
+  accountEngagementRules, describeEngagementRule,
+} from './engagementRules.js';
+import {
+  WEEKDAYS, DEFAULT_SENDING_WINDOW, browserTimeZone, isValidTimeZone, listTimeZones, withWindowDefaults, validateSendingWindow,
+  planSends, describeWindow, formatDateTime,
+} from './sendingWindows.js';
+import {
+  BLOCKLISTS, DEFAULT_BLOCKLIST_SETTINGS, BLOCKLIST_CHECK_INTERVAL_MS, withBlocklistDefaults, validateBlocklistSettings, zonesFor, targetType,
+  blocklistLabel, checkBlocklists, applyCheckResult,
+} from './blocklists.js';
+import {
+  PEER_PROVIDERS, POOL_MODES, POOL_WINDOW_DAYS, withPoolDefaults, validatePoolSettings, tallyPeers, actualProviderMix, poolIssues,
+  accountPeerProvider, isFreeMailDomain,
+} from './warmupPool.js';
+import {
+  PLACEMENT_FOLDERS, TEST_STATUSES, PLACEMENT_POLL_INTERVAL_MS, normalizeResults, isRunFinished, summarizePlacement, compareRuns,
+} from './placementTests.js';
+import {
+  ANALYTICS_METRICS, RANGE_PRESETS, dayKey, shiftDayKey, dayStart, resolveRange, rollupLogs, toDailyDoc, fromDailyDoc, dayKeysBetween,
+  filterEmails, dailySeries, periodTotals, percentChange,
+} from './analytics.js';
+import {
+  AUTH_METHODS, AUTH_STATUSES, PASSWORD_ROTATION_DAYS, oauthMethodFor, accountAuth, authStatus, needsReauth, isAuthorizeUrl,
+  createOAuthState, consumeOAuthState, encryptCredential,
+} from './mailAuth.js';
+import {
+  DOMAIN_REGISTRATION_CHECK_MS, domainOf, groupByDomain, rollupDomain, firstJoined, domainAgeDays, suggestRamp,
+} from './domains.js';
+import { QUEUED_OPERATIONS, readQueue, writeQueue, enqueueOperation, describeOperation } from './offlineQueue.js';
+import { createApiClient, ApiError, DEFAULT_BACKEND_URL, isValidBaseUrl, normalizeBaseUrl } from './apiClient.js';
 
 // --- GLOBAL VARIABLES (Provided by Canvas Environment) ---
 // These variables must remain global for the app to initialize.
@@ -12,178 +66,5680 @@ const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial
 
 // --- FIREBASE INITIALIZATION AND AUTH CONTEXT ---
 const app = initializeApp(firebaseConfig);
-const db = getFirestore(app);
+// Cache Firestore data in IndexedDB so pages render from the last known state
+// offline; writes made offline are sent by the SDK once it reconnects.
+const db = initializeFirestore(app, {
+  localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+});
 const auth = getAuth(app);
 
-const AuthContext = createContext({
-  user: null,
-  userId: null,
-  isAuthReady: false,
-  logout: () => {},
+const googleProvider = new GoogleAuthProvider();
+
+// Friendly text for the Firebase Auth error codes users actually hit.
+const AUTH_ERROR_MESSAGES = {
+  'auth/invalid-email': 'That email address is not valid.',
+  'auth/missing-password': 'Enter your password.',
+  'auth/weak-password': 'Choose a password with at least 6 characters.',
+  'auth/invalid-credential': 'Email or password is incorrect.',
+  'auth/wrong-password': 'Email or password is incorrect.',
+  'auth/user-not-found': 'Email or password is incorrect.',
+  'auth/email-already-in-use': 'An account with this email already exists. Sign in instead.',
+  'auth/credential-already-in-use': 'This Google account is already registered. Sign in with it instead.',
+  'auth/provider-already-linked': 'This session is already linked to an account.',
+  'auth/popup-closed-by-user': 'The Google sign-in window was closed before finishing.',
+  'auth/too-many-requests': 'Too many attempts. Wait a moment and try again.',
+  'auth/network-request-failed': 'Network error. Check your connection and try again.',
+};
+
+const authErrorMessage = (error) => AUTH_ERROR_MESSAGES[error?.code] || error?.message || 'Authentication failed.';
+
+const AuthContext = createContext({
+  user: null,
+  userId: null,
+  isAuthReady: false,
+  isAnonymous: false,
+  signInWithEmail: async () => {},
+  signUpWithEmail: async () => {},
+  signInWithGoogle: async () => {},
+  continueAsGuest: async () => {},
+  resetPassword: async () => {},
+  logout: async () => {},
+});
+
+const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(null);
+  const [userId, setUserId] = useState(null);
+  const [isAuthReady, setIsAuthReady] = useState(false);
+  // Tracked separately because linking mutates the current user in place
+  // without firing onAuthStateChanged
+  const [isAnonymous, setIsAnonymous] = useState(false);
+
+  useEffect(() => {
+    const unsubscribe = onAuthStateChanged(auth, (currentUser) => {
+      // Signed-out users are sent to the sign-in screen by the route guard in App
+      setUser(currentUser);
+      setUserId(currentUser?.uid ?? null);
+      setIsAnonymous(Boolean(currentUser?.isAnonymous));
+      setIsAuthReady(true);
+    });
+
+    if (initialAuthToken) {
+      signInWithCustomToken(auth, initialAuthToken)
+        .catch(error => {
+          console.error("Error signing in with custom token:", error);
+        });
+    }
+
+    return () => unsubscribe();
+  }, []);
+
+  const afterLink = (credential) => {
+    setIsAnonymous(credential.user.isAnonymous);
+    return credential;
+  };
+
+  const signInWithEmail = (email, password) => signInWithEmailAndPassword(auth, email, password);
+
+  // A guest session is upgraded in place so its uid, and therefore its data, is kept
+  const signUpWithEmail = (email, password) => (isAnonymous
+    ? linkWithCredential(auth.currentUser, EmailAuthProvider.credential(email, password)).then(afterLink)
+    : createUserWithEmailAndPassword(auth, email, password));
+
+  const signInWithGoogle = ({ link = isAnonymous } = {}) => (link
+    ? linkWithPopup(auth.currentUser, googleProvider).then(afterLink)
+    : signInWithPopup(auth, googleProvider));
+
+  const continueAsGuest = () => signInAnonymously(auth);
+
+  const resetPassword = (email) => sendPasswordResetEmail(auth, email);
+
+  const logout = async () => {
+    if (isAnonymous && !window.confirm('You are using a guest session. Signing out will permanently lose access to its accounts and logs. Sign out anyway?')) {
+      return;
+    }
+    try {
+      await signOut(auth);
+    } catch (error) {
+      console.error("Error signing out:", error);
+    }
+  };
+
+  return (
+    <AuthContext.Provider value={{
+      user, userId, isAuthReady, isAnonymous,
+      signInWithEmail, signUpWithEmail, signInWithGoogle, continueAsGuest, resetPassword, logout,
+    }}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
+
+const useAuth = () => useContext(AuthContext);
+
+// --- BACKEND API CONTEXT ---
+
+// How often the layout re-checks that the backend is reachable.
+const HEALTH_CHECK_INTERVAL_MS = 60000;
+
+const ApiContext = createContext({
+  api: null,
+  backendUrl: DEFAULT_BACKEND_URL,
+  saveBackendUrl: async () => {},
+  isReady: false,
+  health: { status: 'unknown', checkedAt: null, error: null },
+  checkHealth: async () => {},
+});
+
+// Provides the shared API client. The backend URL is saved per user at
+// artifacts/{appId}/users/{userId}/settings/backend.
+const ApiProvider = ({ children }) => {
+  const { userId, isAuthReady } = useAuth();
+  const [backendUrl, setBackendUrl] = useState(DEFAULT_BACKEND_URL);
+  // False until the saved URL has loaded, for pages that call the backend on mount
+  const [isReady, setIsReady] = useState(false);
+  const [health, setHealth] = useState({ status: 'unknown', checkedAt: null, error: null });
+  // The client reads the URL through a ref so one instance serves every page
+  const backendUrlRef = useRef(backendUrl);
+
+  useEffect(() => {
+    if (!isAuthReady || !userId) return;
+
+    const backendRef = doc(db, 'artifacts', appId, 'users', userId, 'settings', 'backend');
+    const unsubscribe = onSnapshot(backendRef, (snapshot) => {
+      const url = (snapshot.exists() && snapshot.data().url) || DEFAULT_BACKEND_URL;
+      backendUrlRef.current = url;
+      setBackendUrl(url);
+      setIsReady(true);
+    });
+
+    return () => unsubscribe();
+  }, [userId, isAuthReady]);
+
+  const api = useMemo(() => createApiClient({
+    getBaseUrl: () => backendUrlRef.current,
+    getToken: () => (auth.currentUser ? auth.currentUser.getIdToken() : null),
+  }), []);
+
+  const checkHealth = async () => {
+    setHealth(current => ({ ...current, status: 'checking' }));
+    try {
+      await api.health();
+      setHealth({ status: 'online', checkedAt: Date.now(), error: null });
+    } catch (error) {
+      setHealth({ status: 'offline', checkedAt: Date.now(), error: error.message });
+    }
+  };
+
+  useEffect(() => {
+    if (!userId) return;
+    checkHealth();
+    const interval = setInterval(checkHealth, HEALTH_CHECK_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [userId, backendUrl]);
+
+  const saveBackendUrl = (url) => setDoc(
+    doc(db, 'artifacts', appId, 'users', userId, 'settings', 'backend'),
+    { url: normalizeBaseUrl(url), updatedAt: Date.now() },
+    { merge: true },
+  );
+
+  return (
+    <ApiContext.Provider value={{ api, backendUrl, isReady, saveBackendUrl, health, checkHealth }}>
+      {children}
+    </ApiContext.Provider>
+  );
+};
+
+const useApi = () => useContext(ApiContext);
+
+// --- USER PROFILE ---
+// Per-user preferences at artifacts/{appId}/users/{uid}/settings/profile:
+// the selected workspace and the time zone timestamps are shown in.
+
+const profileRef = (userId) => doc(db, 'artifacts', appId, 'users', userId, 'settings', 'profile');
+
+const ProfileContext = createContext({
+  profile: {},
+  timeZone: browserTimeZone(),
+  updateProfile: async () => {},
+});
+
+const ProfileProvider = ({ children }) => {
+  const { userId } = useAuth();
+  const [profile, setProfile] = useState({});
+
+  useEffect(() => {
+    setProfile({});
+    if (!userId) return;
+
+    const unsubscribe = onSnapshot(profileRef(userId), (snapshot) => {
+      setProfile(snapshot.exists() ? snapshot.data() : {});
+    });
+    return () => unsubscribe();
+  }, [userId]);
+
+  const updateProfile = (changes) => setDoc(profileRef(userId), changes, { merge: true });
+
+  return (
+    <ProfileContext.Provider value={{
+      profile,
+      // Until the user picks one, show times in the browser's zone
+      timeZone: isValidTimeZone(profile.timeZone) ? profile.timeZone : browserTimeZone(),
+      updateProfile,
+    }}>
+      {children}
+    </ProfileContext.Provider>
+  );
+};
+
+const useProfile = () => useContext(ProfileContext);
+
+// --- WORKSPACES ---
+// Accounts, settings, logs and stats belong to a workspace at
+// artifacts/{appId}/workspaces/{workspaceId}. The workspace document lists its
+// members and their roles; every user also owns a personal workspace whose id
+// is their uid.
+
+const ROLES = {
+  owner: { label: 'Owner', canEdit: true, canManageMembers: true },
+  admin: { label: 'Admin', canEdit: true, canManageMembers: true },
+  viewer: { label: 'Viewer', canEdit: false, canManageMembers: false },
+};
+
+const workspaceDoc = (workspaceId, ...segments) => doc(db, 'artifacts', appId, 'workspaces', workspaceId, ...segments);
+const workspaceCollection = (workspaceId, ...segments) => collection(db, 'artifacts', appId, 'workspaces', workspaceId, ...segments);
+const invitationsCollection = () => collection(db, 'artifacts', appId, 'invitations');
+const memberEntry = (user, role) => ({
+  role,
+  email: user.email || null,
+  joinedAt: Date.now(),
+});
+
+const createWorkspace = async (user, name) => {
+  const ref = await addDoc(collection(db, 'artifacts', appId, 'workspaces'), {
+    name,
+    ownerId: user.uid,
+    personal: false,
+    members: { [user.uid]: memberEntry(user, 'owner') },
+    memberIds: [user.uid],
+    createdAt: Date.now(),
+  });
+  return ref.id;
+};
+
+const renameWorkspace = (workspaceId, name) => updateDoc(workspaceDoc(workspaceId), { name });
+
+const setMemberRole = (workspaceId, memberId, role) =>
+  updateDoc(workspaceDoc(workspaceId), { [`members.${memberId}.role`]: role });
+
+const removeMember = (workspaceId, memberId) => updateDoc(workspaceDoc(workspaceId), {
+  [`members.${memberId}`]: deleteField(),
+  memberIds: arrayRemove(memberId),
+});
+
+// One pending invitation per workspace and address; re-inviting overwrites it.
+const invitationRef = (workspaceId, email) => doc(invitationsCollection(), `${workspaceId}_${accountKey(email)}`);
+
+const createInvitation = (workspace, email, role, invitedBy) => setDoc(invitationRef(workspace.id, email), {
+  workspaceId: workspace.id,
+  workspaceName: workspace.name,
+  email: accountKey(email),
+  role,
+  invitedBy,
+  status: 'pending',
+  createdAt: Date.now(),
+});
+
+// Adds the signed-in user to the invitation's workspace. Resolves false if the
+// invitation was revoked or already used.
+const acceptInvitation = (invitationId, user) => runTransaction(db, async (transaction) => {
+  const ref = doc(invitationsCollection(), invitationId);
+  const invitation = await transaction.get(ref);
+  if (!invitation.exists() || invitation.data().status !== 'pending') return false;
+
+  const { workspaceId, role } = invitation.data();
+  transaction.update(workspaceDoc(workspaceId), {
+    [`members.${user.uid}`]: memberEntry(user, role),
+    memberIds: arrayUnion(user.uid),
+  });
+  transaction.update(ref, { status: 'accepted', acceptedBy: user.uid, respondedAt: Date.now() });
+  return true;
+});
+
+const declineInvitation = (invitationId) =>
+  updateDoc(doc(invitationsCollection(), invitationId), { status: 'declined', respondedAt: Date.now() });
+
+const revokeInvitation = (invitationId) => deleteDoc(doc(invitationsCollection(), invitationId));
+
+// Firestore batches cap out at 500 writes; stay well under it.
+const MIGRATION_BATCH_SIZE = 200;
+
+// Copies every document of a per-user collection into the workspace and
+// deletes the originals.
+const moveCollection = async (userId, workspaceId, name) => {
+  const snapshot = await getDocs(collection(db, 'artifacts', appId, 'users', userId, name));
+  for (let i = 0; i < snapshot.docs.length; i += MIGRATION_BATCH_SIZE) {
+    const batch = writeBatch(db);
+    snapshot.docs.slice(i, i + MIGRATION_BATCH_SIZE).forEach((docSnap) => {
+      batch.set(workspaceDoc(workspaceId, name, docSnap.id), docSnap.data());
+      batch.delete(docSnap.ref);
+    });
+    await batch.commit();
+  }
+  return snapshot.size;
+};
+
+const moveDocument = async (userId, workspaceId, ...segments) => {
+  const source = doc(db, 'artifacts', appId, 'users', userId, ...segments);
+  const snapshot = await getDoc(source);
+  if (!snapshot.exists()) return;
+  await setDoc(workspaceDoc(workspaceId, ...segments), snapshot.data(), { merge: true });
+  await deleteDoc(source);
+};
+
+// Creates the user's personal workspace on first sign-in and moves any data
+// still stored under artifacts/{appId}/users/{userId} into it. Safe to re-run.
+const ensurePersonalWorkspace = async (user) => {
+  const ref = workspaceDoc(user.uid);
+  const snapshot = await getDoc(ref);
+
+  if (!snapshot.exists()) {
+    await setDoc(ref, {
+      name: 'Personal',
+      ownerId: user.uid,
+      personal: true,
+      members: { [user.uid]: memberEntry(user, 'owner') },
+      memberIds: [user.uid],
+      createdAt: Date.now(),
+    });
+  }
+  if (snapshot.exists() && snapshot.data().migratedAt) return;
+
+  await migrateLegacyAccounts(user.uid, user.uid);
+  await moveCollection(user.uid, user.uid, 'accounts');
+  await moveCollection(user.uid, user.uid, 'logs');
+  await moveDocument(user.uid, user.uid, 'settings', 'warmup');
+  await moveDocument(user.uid, user.uid, 'dashboard', 'stats');
+  await setDoc(ref, { migratedAt: Date.now() }, { merge: true });
+};
+
+const WorkspaceContext = createContext({
+  workspaceId: null,
+  workspace: null,
+  workspaces: [],
+  role: null,
+  can: { edit: false, manageMembers: false },
+  isWorkspaceReady: false,
+  migrationError: null,
+  retryMigration: () => {},
+  switchWorkspace: async () => {},
+});
+
+const WorkspaceProvider = ({ children }) => {
+  const { user, userId } = useAuth();
+  const { profile, updateProfile } = useProfile();
+  const [workspaces, setWorkspaces] = useState([]);
+  const [isMigrated, setIsMigrated] = useState(false);
+  const [migrationError, setMigrationError] = useState(null);
+  const [migrationAttempt, setMigrationAttempt] = useState(0);
+  const [hasWorkspaces, setHasWorkspaces] = useState(false);
+
+  // Nothing opens until the legacy data is moved, or the user would work in an
+  // empty workspace while their accounts and logs sit behind
+  useEffect(() => {
+    setIsMigrated(false);
+    setMigrationError(null);
+    if (!user) return;
+
+    let isCancelled = false;
+    ensurePersonalWorkspace(user)
+      .then(() => !isCancelled && setIsMigrated(true))
+      .catch((error) => {
+        console.error('Workspace Migration Error:', error);
+        if (!isCancelled) setMigrationError(error.message || 'Unknown error.');
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [userId, migrationAttempt]);
+
+  useEffect(() => {
+    setHasWorkspaces(false);
+    setWorkspaces([]);
+    if (!user) return;
+
+    const workspacesQuery = query(collection(db, 'artifacts', appId, 'workspaces'), where('memberIds', 'array-contains', user.uid));
+    const unsubscribeWorkspaces = onSnapshot(workspacesQuery, (snapshot) => {
+      const data = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      // Personal workspace first, then alphabetical
+      data.sort((a, b) => (b.personal === true) - (a.personal === true) || a.name.localeCompare(b.name));
+      setWorkspaces(data);
+      setHasWorkspaces(true);
+    });
+
+    return () => unsubscribeWorkspaces();
+  }, [userId]);
+
+  // Fall back to the personal workspace if the saved one is gone or we were removed from it
+  const workspace = workspaces.find(ws => ws.id === profile.currentWorkspaceId)
+    || workspaces.find(ws => ws.id === userId)
+    || workspaces[0]
+    || null;
+  const role = workspace?.members?.[userId]?.role || null;
+  const permissions = ROLES[role] || {};
+
+  const switchWorkspace = (workspaceId) => updateProfile({ currentWorkspaceId: workspaceId });
+
+  return (
+    <WorkspaceContext.Provider value={{
+      workspaceId: isMigrated ? workspace?.id ?? null : null,
+      workspace,
+      workspaces,
+      role,
+      can: { edit: Boolean(permissions.canEdit), manageMembers: Boolean(permissions.canManageMembers) },
+      isWorkspaceReady: isMigrated && hasWorkspaces,
+      migrationError,
+      retryMigration: () => setMigrationAttempt(attempt => attempt + 1),
+      switchWorkspace,
+    }}>
+      {children}
+    </WorkspaceContext.Provider>
+  );
+};
+
+const useWorkspace = () => useContext(WorkspaceContext);
+
+// Live view of the saved global warmup settings, with defaults filled in.
+const useWarmupSettings = () => {
+  const { workspaceId } = useWorkspace();
+  const [settings, setSettings] = useState(DEFAULT_WARMUP_SETTINGS);
+
+  useEffect(() => {
+    if (!workspaceId) return;
+
+    const unsubscribe = onSnapshot(workspaceDoc(workspaceId, 'settings', 'warmup'), (snapshot) => {
+      setSettings(withWarmupDefaults(snapshot.exists() ? snapshot.data() : null));
+    });
+
+    return () => unsubscribe();
+  }, [workspaceId]);
+
+  return settings;
+};
+
+const useEngagementRules = () => {
+  const { workspaceId } = useWorkspace();
+  const [rules, setRules] = useState(DEFAULT_ENGAGEMENT_RULES);
+
+  useEffect(() => {
+    if (!workspaceId) return;
+
+    const unsubscribe = onSnapshot(workspaceDoc(workspaceId, 'settings', 'engagement'), (snapshot) => {
+      setRules(withEngagementDefaults(snapshot.exists() ? snapshot.data().rules : null));
+    });
+
+    return () => unsubscribe();
+  }, [workspaceId]);
+
+  return rules;
+};
+
+const useBlocklistSettings = () => {
+  const { workspaceId } = useWorkspace();
+  const [settings, setSettings] = useState(DEFAULT_BLOCKLIST_SETTINGS);
+
+  useEffect(() => {
+    if (!workspaceId) return;
+
+    const unsubscribe = onSnapshot(workspaceDoc(workspaceId, 'settings', 'blocklists'), (snapshot) => {
+      setSettings(withBlocklistDefaults(snapshot.exists() ? snapshot.data() : null));
+    });
+
+    return () => unsubscribe();
+  }, [workspaceId]);
+
+  return settings;
+};
+
+// Live view of the connected email accounts.
+const useEmailAccounts = () => {
+  const { workspaceId } = useWorkspace();
+  const [accounts, setAccounts] = useState([]);
+
+  useEffect(() => {
+    setAccounts([]);
+    if (!workspaceId) return;
+
+    // Listener for real-time updates to email accounts
+    const unsubscribe = onSnapshot(accountsCollection(workspaceId), (snapshot) => {
+      const data = snapshot.docs.map(doc => doc.data());
+      data.sort((a, b) => (a.joined || 0) - (b.joined || 0));
+      setAccounts(data);
+    });
+
+    return () => unsubscribe();
+  }, [workspaceId]);
+
+  return accounts;
+};
+
+// Live deliverability scores computed from the warmup logs in the scoring window.
+const useDeliverabilityScores = () => {
+  const { workspaceId } = useWorkspace();
+  const settings = useWarmupSettings();
+  const { timeZone } = useProfile();
+  const [windowLogs, setWindowLogs] = useState([]);
+  // Days end at the profile zone's midnight, as on the dashboard charts; a new
+  // day slides the window forward
+  const today = useDayKey(timeZone);
+
+  useEffect(() => {
+    setWindowLogs([]);
+  }, [workspaceId]);
+
+  useEffect(() => {
+    if (!workspaceId) return;
+
+    const since = Date.now() - SCORE_WINDOW_DAYS * DAY_MS;
+    const logsRef = workspaceCollection(workspaceId, 'logs');
+    const unsubscribe = onSnapshot(query(logsRef, where('timestamp', '>=', since)), (snapshot) => {
+      setWindowLogs(snapshot.docs.map(doc => doc.data()));
+    });
+
+    return () => unsubscribe();
+  }, [workspaceId, today]);
+
+  return scoreLogs(windowLogs, { targetReplyRate: settings.targetReplyRate, timeZone });
+};
+
+// Per-peer interaction counts over the pool window, overall and per account.
+const usePeerActivity = () => {
+  const { workspaceId } = useWorkspace();
+  const { timeZone } = useProfile();
+  const [windowLogs, setWindowLogs] = useState([]);
+  // A new day slides the window forward
+  const today = useDayKey(timeZone);
+
+  useEffect(() => {
+    setWindowLogs([]);
+  }, [workspaceId]);
+
+  useEffect(() => {
+    if (!workspaceId) return;
+
+    const since = Date.now() - POOL_WINDOW_DAYS * DAY_MS;
+    const logsRef = workspaceCollection(workspaceId, 'logs');
+    const unsubscribe = onSnapshot(query(logsRef, where('timestamp', '>=', since)), (snapshot) => {
+      setWindowLogs(snapshot.docs.map(doc => doc.data()).filter(log => log.peer));
+    });
+
+    return () => unsubscribe();
+  }, [workspaceId, today]);
+
+  return useMemo(() => {
+    const logsByAccount = {};
+    windowLogs.forEach((log) => {
+      if (!logsByAccount[log.email]) logsByAccount[log.email] = [];
+      logsByAccount[log.email].push(log);
+    });
+    return {
+      peers: tallyPeers(windowLogs),
+      byAccount: Object.fromEntries(Object.entries(logsByAccount).map(([email, logs]) => [email, tallyPeers(logs)])),
+    };
+  }, [windowLogs]);
+};
+
+// Content templates in the current workspace, sorted by name.
+const useTemplates = () => {
+  const { workspaceId } = useWorkspace();
+  const [templates, setTemplates] = useState([]);
+
+  useEffect(() => {
+    setTemplates([]);
+    if (!workspaceId) return;
+
+    const unsubscribe = onSnapshot(workspaceCollection(workspaceId, 'templates'), (snapshot) => {
+      const data = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      data.sort((a, b) => a.name.localeCompare(b.name));
+      setTemplates(data);
+    });
+
+    return () => unsubscribe();
+  }, [workspaceId]);
+
+  return templates;
+};
+
+const formatScore = (score) => (typeof score === 'number' ? `${score}%` : 'N/A');
+
+const scoreColor = (score) => {
+  if (typeof score !== 'number') return 'text-gray-400';
+  if (score >= 80) return 'text-green-700';
+  if (score >= 60) return 'text-yellow-700';
+  return 'text-red-700';
+};
+
+// "5 min ago", "3 h ago", "2 d ago"
+const formatAge = (timestamp, now = Date.now()) => {
+  if (!timestamp) return 'never';
+  const minutes = Math.floor((now - timestamp) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 60 * 24) return `${Math.floor(minutes / 60)} h ago`;
+  return `${Math.floor(minutes / (60 * 24))} d ago`;
+};
+
+// --- APP DATA STRUCTURES ---
+
+const STATUS_MAP = {
+  active: { text: 'Active', color: 'bg-green-100 text-green-700' },
+  paused: { text: 'Paused', color: 'bg-yellow-100 text-yellow-700' },
+  error: { text: 'Error', color: 'bg-red-100 text-red-700' },
+};
+
+// Badge colours for the `status` field of log entries.
+const LOG_STATUS_COLORS = {
+  success: STATUS_MAP.active.color,
+  warning: STATUS_MAP.paused.color,
+  error: STATUS_MAP.error.color,
+};
+
+// Allowed warmup status transitions, keyed by the action that triggers them.
+// `endpoint` is the backend route suffix under /api/emails/{email}/.
+const STATUS_ACTIONS = {
+  pause: { from: ['active'], to: 'paused', endpoint: 'pause', event: ACCOUNT_EVENTS.paused, failedEvent: ACCOUNT_EVENTS.pauseFailed, label: 'Pause' },
+  resume: { from: ['paused', 'error'], to: 'active', endpoint: 'resume', event: ACCOUNT_EVENTS.resumed, failedEvent: ACCOUNT_EVENTS.resumeFailed, label: 'Resume' },
+};
+
+// --- ACCOUNT STORE ---
+// Each connected account is its own document at
+// artifacts/{appId}/workspaces/{workspaceId}/accounts/{address}, keyed by the
+// lowercased address. Writes go through transactions so concurrent tabs and
+// teammates can't clobber each other.
+
+const accountKey = (email) => email.trim().toLowerCase();
+const accountsCollection = (workspaceId) => workspaceCollection(workspaceId, 'accounts');
+const accountRef = (workspaceId, email) => doc(accountsCollection(workspaceId), accountKey(email));
+
+// Creates the account document. Resolves false if the address is already connected.
+const createAccount = (workspaceId, account) => runTransaction(db, async (transaction) => {
+  const ref = accountRef(workspaceId, account.email);
+  const existing = await transaction.get(ref);
+  if (existing.exists()) return false;
+  transaction.set(ref, account);
+  return true;
+});
+
+// Applies `update(account)` to the current stored account. `update` returns the
+// fields to change, or null to leave the document alone. Resolves false if the
+// account is gone or the update was skipped.
+const updateAccount = (workspaceId, email, update) => runTransaction(db, async (transaction) => {
+  const ref = accountRef(workspaceId, email);
+  const current = await transaction.get(ref);
+  if (!current.exists()) return false;
+  const changes = update(current.data());
+  if (!changes) return false;
+  transaction.update(ref, changes);
+  return true;
+});
+
+const deleteAccount = (workspaceId, email) => deleteDoc(accountRef(workspaceId, email));
+
+// One-time move from the legacy per-user emailAccounts/list array document.
+// Accounts that already exist as documents win over the legacy copy.
+const migrateLegacyAccounts = (userId, workspaceId) => runTransaction(db, async (transaction) => {
+  const legacyRef = doc(db, 'artifacts', appId, 'users', userId, 'emailAccounts', 'list');
+  const legacy = await transaction.get(legacyRef);
+  if (!legacy.exists()) return 0;
+
+  const emails = (legacy.data().emails || []).filter(acc => acc?.email);
+  const existing = await Promise.all(emails.map(acc => transaction.get(accountRef(workspaceId, acc.email))));
+  const seen = new Set();
+  let migrated = 0;
+
+  emails.forEach((acc, index) => {
+    const key = accountKey(acc.email);
+    if (existing[index].exists() || seen.has(key)) return;
+    seen.add(key);
+    transaction.set(accountRef(workspaceId, acc.email), acc);
+    migrated += 1;
+  });
+  transaction.delete(legacyRef);
+  return migrated;
+});
+
+// Appends an entry to the workspace activity log, recording who caused it.
+const logEvent = (workspaceId, { event, email, status, detail = null }) =>
+  addDoc(workspaceCollection(workspaceId, 'logs'), {
+    timestamp: Date.now(),
+    event,
+    email,
+    status,
+    ...(detail ? { detail } : {}),
+    actorId: auth.currentUser?.uid ?? null,
+  });
+
+// Logs a change that is already saved. A failed log write only reaches the
+// console, so it can't report the save itself as failed.
+const logEventSafely = async (workspaceId, entry) => {
+  try {
+    await logEvent(workspaceId, entry);
+  } catch (error) {
+    console.error('Log Write Error:', error);
+  }
+};
+
+const removeAccount = async (workspaceId, email) => {
+  await deleteAccount(workspaceId, email);
+  await logEventSafely(workspaceId, { event: ACCOUNT_EVENTS.removed, email, status: 'warning' });
+};
+
+// Applies a STATUS_ACTIONS transition to `accounts`. Each account is switched on
+// the backend first; only the ones it accepted change in Firestore, and an
+// account counts as switched only once its stored status has changed.
+// Resolves to [{ email, ok, error }].
+const applyStatusAction = async (api, workspaceId, actionKey, accounts) => {
+  const action = STATUS_ACTIONS[actionKey];
+
+  const results = await Promise.all(accounts.map(async (account) => {
+    try {
+      // Pausing and resuming are idempotent, so retrying through a cold start is safe
+      const data = await api.post(`/api/emails/${encodeURIComponent(account.email)}/${action.endpoint}`, {}, { retry: true });
+      if (data?.success === false) return { email: account.email, ok: false, error: data.message };
+    } catch (error) {
+      return { email: account.email, ok: false, error: error.message };
+    }
+
+    try {
+      const updated = await updateAccount(workspaceId, account.email, (current) => (
+        action.from.includes(current.status)
+          ? { status: action.to, lastError: null, statusChangedAt: Date.now() }
+          : null
+      ));
+      if (!updated) return { email: account.email, ok: false, error: 'The account was removed or its status changed.' };
+    } catch (error) {
+      console.error('Status Change Error:', error);
+      return { email: account.email, ok: false, error: error.message };
+    }
+    return { email: account.email, ok: true };
+  }));
+
+  await Promise.all(results.map(r => logEventSafely(workspaceId, {
+    event: r.ok ? action.event : action.failedEvent,
+    email: r.email,
+    status: r.ok ? 'success' : 'error',
+  })));
+
+  return results;
+};
+
+// Saves validated warmup settings and pushes them to the backend so they drive
+// the actual ramp. Resolves to whether the backend accepted them.
+const saveWarmupSettings = async (api, workspaceId, settings) => {
+  const settingsRef = workspaceDoc(workspaceId, 'settings', 'warmup');
+  await setDoc(settingsRef, { ...settings, updatedAt: Date.now() }, { merge: true });
+
+  let synced = false;
+  try {
+    await api.put('/api/settings/warmup', { settings, workspaceId });
+    synced = true;
+  } catch (error) {
+    console.error('Settings Sync Error:', error);
+  }
+
+  try {
+    await setDoc(settingsRef, { backendSynced: synced, syncedAt: synced ? Date.now() : null }, { merge: true });
+  } catch (error) {
+    console.error('Settings Bookkeeping Error:', error);
+  }
+  await logEventSafely(workspaceId, { event: ACCOUNT_EVENTS.settingsUpdated, email: 'All accounts', status: synced ? 'success' : 'warning' });
+  return synced;
+};
+
+// --- ALERTS ---
+// Alert rules live in artifacts/{appId}/workspaces/{workspaceId}/alertRules and
+// the notifications they raise in .../notifications, keyed by rule and incident
+// so concurrent evaluators can't raise the same one twice. Read state is per
+// user, in artifacts/{appId}/users/{userId}/notificationReads/{workspaceId}.
+
+const ALERT_EVALUATION_INTERVAL_MS = 5 * 60 * 1000;
+const DNS_CHECK_INTERVAL_MS = 6 * HOUR_MS;
+const NOTIFICATION_LIMIT = 50;
+
+const alertRulesCollection = (workspaceId) => workspaceCollection(workspaceId, 'alertRules');
+const notificationsCollection = (workspaceId) => workspaceCollection(workspaceId, 'notifications');
+const dnsSnapshotsCollection = (workspaceId) => workspaceCollection(workspaceId, 'dnsRecords');
+const notificationReadsRef = (userId, workspaceId) => doc(db, 'artifacts', appId, 'users', userId, 'notificationReads', workspaceId);
+
+// Stores the latest DNS answer for a domain, noting when and how it changed
+// since the previous check. Resolves to the list of changes (empty if none).
+const recordDnsSnapshot = (workspaceId, domain, records) => runTransaction(db, async (transaction) => {
+  const ref = doc(dnsSnapshotsCollection(workspaceId), domain);
+  const previous = await transaction.get(ref);
+  const next = normalizeDnsRecords(records);
+  const changes = previous.exists() ? diffDnsRecords(previous.data().records, next) : [];
+
+  transaction.set(ref, {
+    domain,
+    records: next,
+    checkedAt: Date.now(),
+    ...(changes.length > 0 ? { changedAt: Date.now(), changes } : {}),
+  }, { merge: true });
+  return changes;
+});
+
+// Creates the notification for a rule trigger unless that incident was already
+// raised. Resolves to the new notification, or null for a repeat.
+const raiseNotification = (workspaceId, rule, trigger) => runTransaction(db, async (transaction) => {
+  const ref = doc(notificationsCollection(workspaceId), encodeURIComponent(`${rule.id}_${trigger.key}`));
+  const existing = await transaction.get(ref);
+  if (existing.exists()) return null;
+
+  const notification = {
+    ruleId: rule.id,
+    ruleName: rule.name,
+    type: rule.type,
+    severity: ALERT_RULE_TYPES[rule.type].severity,
+    ...trigger,
+    createdAt: Date.now(),
+    delivery: rule.webhookUrl ? { status: 'pending' } : null,
+  };
+  transaction.set(ref, notification);
+  return { id: ref.id, ...notification };
+});
+
+// Sends a notification to the rule's webhook through the backend, which keeps
+// the target URL off the browser's network path and handles Slack formatting.
+const deliverNotification = async (api, workspaceId, rule, notification) => {
+  let delivery;
+  try {
+    await api.post('/api/alerts/deliver', {
+      workspaceId,
+      url: rule.webhookUrl,
+      format: rule.webhookFormat,
+      notification: {
+        title: notification.title,
+        message: notification.message,
+        severity: notification.severity,
+        email: notification.email,
+        createdAt: notification.createdAt,
+      },
+    });
+    delivery = { status: 'sent', deliveredAt: Date.now() };
+  } catch (error) {
+    console.error('Alert Delivery Error:', error);
+    delivery = { status: 'failed', error: error.message };
+  }
+  await updateDoc(doc(notificationsCollection(workspaceId), notification.id), { delivery });
+};
+
+const AlertsContext = createContext({
+  rules: [],
+  notifications: [],
+  unreadCount: 0,
+  isUnread: () => false,
+  markRead: async () => {},
+  markAllRead: async () => {},
+});
+
+const AlertsProvider = ({ children }) => {
+  const { userId } = useAuth();
+  const { api } = useApi();
+  const { workspaceId, can } = useWorkspace();
+  const accounts = useEmailAccounts();
+  const [rules, setRules] = useState([]);
+  const [notifications, setNotifications] = useState([]);
+  const [reads, setReads] = useState({ readAt: 0, readIds: [] });
+  const [logs, setLogs] = useState([]);
+  const [dnsSnapshots, setDnsSnapshots] = useState([]);
+  const [isDnsLoaded, setIsDnsLoaded] = useState(false);
+  const [tick, setTick] = useState(0);
+  // Incidents this session already raised or saw raised, to skip needless transactions
+  const raisedRef = useRef(new Set());
+
+  const enabledRules = rules.filter(rule => rule.enabled);
+  const watchesDns = enabledRules.some(rule => rule.type === 'dnsChanged');
+
+  useEffect(() => {
+    setRules([]);
+    setNotifications([]);
+    raisedRef.current = new Set();
+    if (!workspaceId) return;
+
+    const unsubscribeRules = onSnapshot(alertRulesCollection(workspaceId), (snapshot) => {
+      setRules(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    });
+    const notificationsQuery = query(notificationsCollection(workspaceId), orderBy('createdAt', 'desc'), limit(NOTIFICATION_LIMIT));
+    const unsubscribeNotifications = onSnapshot(notificationsQuery, (snapshot) => {
+      setNotifications(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    });
+
+    return () => {
+      unsubscribeRules();
+      unsubscribeNotifications();
+    };
+  }, [workspaceId]);
+
+  useEffect(() => {
+    setReads({ readAt: 0, readIds: [] });
+    if (!workspaceId || !userId) return;
+
+    const unsubscribe = onSnapshot(notificationReadsRef(userId, workspaceId), (snapshot) => {
+      setReads({ readAt: 0, readIds: [], ...(snapshot.exists() ? snapshot.data() : {}) });
+    });
+
+    return () => unsubscribe();
+  }, [workspaceId, userId]);
+
+  // Only editors evaluate rules (viewers can't write notifications), and only
+  // while there is something to evaluate
+  const isEvaluating = Boolean(workspaceId) && can.edit && enabledRules.length > 0;
+
+  useEffect(() => {
+    setLogs([]);
+    if (!isEvaluating) return;
+
+    const since = Date.now() - MAX_ALERT_WINDOW_HOURS * HOUR_MS;
+    const logsQuery = query(workspaceCollection(workspaceId, 'logs'), where('timestamp', '>=', since));
+    const unsubscribe = onSnapshot(logsQuery, (snapshot) => {
+      setLogs(snapshot.docs.map(doc => doc.data()));
+    });
+    // Time-based rules (inactivity, spam windows) need re-evaluating without new data
+    const interval = setInterval(() => setTick(t => t + 1), ALERT_EVALUATION_INTERVAL_MS);
+
+    return () => {
+      unsubscribe();
+      clearInterval(interval);
+    };
+  }, [workspaceId, isEvaluating]);
+
+  useEffect(() => {
+    setDnsSnapshots([]);
+    setIsDnsLoaded(false);
+    if (!isEvaluating || !watchesDns) return;
+
+    const unsubscribe = onSnapshot(dnsSnapshotsCollection(workspaceId), (snapshot) => {
+      setDnsSnapshots(snapshot.docs.map(doc => doc.data()));
+      setIsDnsLoaded(true);
+    });
+
+    return () => unsubscribe();
+  }, [workspaceId, isEvaluating, watchesDns]);
+
+  // Re-check DNS for domains whose last snapshot is stale, once the stored
+  // snapshots have arrived (before that every domain looks unchecked)
+  const domainsKey = [...new Set(accounts.map(acc => domainOf(acc.email)).filter(Boolean))].sort().join(',');
+  useEffect(() => {
+    if (!isEvaluating || !watchesDns || !isDnsLoaded || !domainsKey) return;
+
+    const stale = domainsKey.split(',').filter((domain) => {
+      const snapshot = dnsSnapshots.find(s => s.domain === domain);
+      return !snapshot || Date.now() - snapshot.checkedAt > DNS_CHECK_INTERVAL_MS;
+    });
+    stale.forEach(async (domain) => {
+      try {
+        const params = new URLSearchParams({ selectors: DEFAULT_DKIM_SELECTORS });
+        const records = await api.get(`/api/dns/${encodeURIComponent(domain)}?${params}`);
+        await recordDnsSnapshot(workspaceId, domain, records);
+      } catch (error) {
+        console.error('DNS Watch Error:', error);
+      }
+    });
+  }, [workspaceId, isEvaluating, watchesDns, isDnsLoaded, domainsKey, tick]);
+
+  useEffect(() => {
+    if (!isEvaluating) return;
+
+    const context = { accounts, logs, dnsSnapshots, now: Date.now() };
+    enabledRules.forEach((rule) => {
+      evaluateAlertRule(rule, context).forEach(async (trigger) => {
+        const raisedKey = `${rule.id}_${trigger.key}`;
+        if (raisedRef.current.has(raisedKey)) return;
+        raisedRef.current.add(raisedKey);
+        let notification;
+        try {
+          notification = await raiseNotification(workspaceId, rule, trigger);
+        } catch (error) {
+          // Nothing was raised, so a later evaluation may try again
+          raisedRef.current.delete(raisedKey);
+          console.error('Alert Error:', error);
+          return;
+        }
+        try {
+          // Only the client that raised the notification delivers it
+          if (notification && rule.webhookUrl) await deliverNotification(api, workspaceId, rule, notification);
+        } catch (error) {
+          console.error('Alert Error:', error);
+        }
+      });
+    });
+  }, [isEvaluating, rules, accounts, logs, dnsSnapshots, tick]);
+
+  const isUnread = (notification) => notification.createdAt > reads.readAt && !reads.readIds.includes(notification.id);
+  const unreadCount = notifications.filter(isUnread).length;
+
+  const markRead = (notificationId) =>
+    setDoc(notificationReadsRef(userId, workspaceId), { readIds: arrayUnion(notificationId) }, { merge: true });
+
+  const markAllRead = () =>
+    setDoc(notificationReadsRef(userId, workspaceId), { readAt: Date.now(), readIds: [] });
+
+  return (
+    <AlertsContext.Provider value={{ rules, notifications, unreadCount, isUnread, markRead, markAllRead }}>
+      {children}
+    </AlertsContext.Provider>
+  );
+};
+
+const useAlerts = () => useContext(AlertsContext);
+
+// Saves validated engagement rules for the workspace and pushes them to the
+// backend. Resolves to whether the backend accepted them.
+const saveEngagementRules = async (api, workspaceId, rules) => {
+  const rulesRef = workspaceDoc(workspaceId, 'settings', 'engagement');
+  await setDoc(rulesRef, { rules, updatedAt: Date.now() });
+
+  let synced = false;
+  try {
+    await api.put('/api/settings/engagement', { rules, workspaceId });
+    synced = true;
+  } catch (error) {
+    console.error('Engagement Sync Error:', error);
+  }
+
+  try {
+    await setDoc(rulesRef, { backendSynced: synced, syncedAt: synced ? Date.now() : null }, { merge: true });
+  } catch (error) {
+    console.error('Engagement Bookkeeping Error:', error);
+  }
+  await logEventSafely(workspaceId, { event: ACCOUNT_EVENTS.engagementUpdated, email: 'All accounts', status: synced ? 'success' : 'warning' });
+  return synced;
+};
+
+// --- SENDING DOMAINS ---
+// Editors keep each custom domain's first-seen date and registration date in
+// artifacts/{appId}/workspaces/{workspaceId}/domains/{domain}. The backend
+// looks registration dates up over RDAP.
+
+const domainsCollection = (workspaceId) => workspaceCollection(workspaceId, 'domains');
+
+// Stores when the workspace first saw `domain`, keeping the earliest date.
+const recordDomainFirstSeen = (workspaceId, domain, firstSeenAt) => runTransaction(db, async (transaction) => {
+  const ref = doc(domainsCollection(workspaceId), domain);
+  const current = await transaction.get(ref);
+  if (current.exists() && current.data().firstSeenAt && current.data().firstSeenAt <= firstSeenAt) return;
+  transaction.set(ref, { domain, firstSeenAt }, { merge: true });
+});
+
+// Looks up the registration date (an ISO date, or null when the registry
+// doesn't publish one) and stores it.
+const refreshDomainRegistration = async (api, workspaceId, domain) => {
+  const data = await api.get(`/api/domains/${encodeURIComponent(domain)}/registration`);
+  const registeredAt = Date.parse(data?.registeredAt);
+  await setDoc(doc(domainsCollection(workspaceId), domain), {
+    domain,
+    registeredAt: Number.isNaN(registeredAt) ? null : registeredAt,
+    checkedAt: Date.now(),
+  }, { merge: true });
+};
+
+// Merges suggested ramp overrides into each account's own overrides and
+// pushes them to the backend. `suggestions` is [{ email, overrides }].
+// Resolves to [{ email, ok, synced }].
+const applyRampOverrides = (api, workspaceId, suggestions) => Promise.all(suggestions.map(async ({ email, overrides }) => {
+  let merged;
+  try {
+    const saved = await updateAccount(workspaceId, email, (current) => {
+      merged = { ...(current.settingsOverrides || {}), ...overrides };
+      return { settingsOverrides: merged };
+    });
+    if (!saved) return { email, ok: false, synced: false };
+  } catch (error) {
+    console.error('Apply Ramp Error:', error);
+    return { email, ok: false, synced: false };
+  }
+
+  let synced = false;
+  try {
+    await api.put(`/api/emails/${encodeURIComponent(email)}/settings`, { overrides: merged, workspaceId });
+    synced = true;
+  } catch (error) {
+    console.error('Overrides Sync Error:', error);
+  }
+  await logEventSafely(workspaceId, { event: ACCOUNT_EVENTS.settingsUpdated, email, status: synced ? 'success' : 'warning', detail: 'Young domain ramp' });
+  return { email, ok: true, synced };
+}));
+
+// Stored facts per custom sending domain, { [domain]: info }. Editors fill in
+// first-seen dates and stale registration dates as accounts appear.
+const useDomains = (accounts) => {
+  const { api } = useApi();
+  const { workspaceId, can } = useWorkspace();
+  const [domains, setDomains] = useState({});
+  const [isLoaded, setIsLoaded] = useState(false);
+  // Lookups this session already started, so later snapshots don't repeat them
+  const requestedRef = useRef(new Set());
+
+  useEffect(() => {
+    setDomains({});
+    setIsLoaded(false);
+    requestedRef.current = new Set();
+    if (!workspaceId) return;
+
+    const unsubscribe = onSnapshot(domainsCollection(workspaceId), (snapshot) => {
+      setDomains(Object.fromEntries(snapshot.docs.map(doc => [doc.id, doc.data()])));
+      setIsLoaded(true);
+    });
+
+    return () => unsubscribe();
+  }, [workspaceId]);
+
+  const groups = groupByDomain(accounts).filter(group => group.domain && !isFreeMailDomain(group.domain));
+  const groupsKey = groups.map(group => `${group.domain}:${firstJoined(group.accounts)}`).join(',');
+
+  useEffect(() => {
+    if (!isLoaded || !can.edit) return;
+
+    groups.forEach(async ({ domain, accounts: domainAccounts }) => {
+      const info = domains[domain];
+      const joined = firstJoined(domainAccounts);
+      try {
+        if (joined && (!info?.firstSeenAt || info.firstSeenAt > joined)) {
+          await recordDomainFirstSeen(workspaceId, domain, joined);
+        }
+        const isFresh = info?.checkedAt && Date.now() - info.checkedAt < DOMAIN_REGISTRATION_CHECK_MS;
+        if (isFresh || requestedRef.current.has(domain)) return;
+        requestedRef.current.add(domain);
+        await refreshDomainRegistration(api, workspaceId, domain);
+      } catch (error) {
+        console.error('Domain Info Error:', error);
+      }
+    });
+  }, [isLoaded, can.edit, groupsKey]);
+
+  return domains;
+};
+
+// --- BLOCKLIST MONITORING ---
+// The backend resolves DNSBL queries (browsers can't make raw DNS lookups);
+// results and listing history per target are kept in
+// artifacts/{appId}/workspaces/{workspaceId}/blocklistStatus/{target}.
+
+const blocklistStatusCollection = (workspaceId) => workspaceCollection(workspaceId, 'blocklistStatus');
+
+const backendResolver = (api) => async (names) => {
+  const data = await api.post('/api/blocklists/check', { names });
+  return data?.answers || {};
+};
+
+// Merges one target's check into its stored status. Returns the listing changes.
+const recordBlocklistResult = (workspaceId, result) => runTransaction(db, async (transaction) => {
+  const ref = doc(blocklistStatusCollection(workspaceId), encodeURIComponent(result.target));
+  const previous = await transaction.get(ref);
+  const { listings, history, changes } = applyCheckResult(previous.exists() ? previous.data() : null, result);
+
+  transaction.set(ref, { target: result.target, type: result.type, checkedAt: result.checkedAt, listings, history });
+  return changes;
+});
+
+// Checks every target and records the results; listing changes are written
+// to the activity log. Throws if the backend can't run the lookups; a target
+// whose result can't be stored doesn't keep the others from being recorded.
+const runBlocklistCheck = async (api, workspaceId, targets, settings) => {
+  const results = await checkBlocklists({ targets, settings, resolve: backendResolver(api) });
+
+  for (const result of results) {
+    let changes;
+    try {
+      changes = await recordBlocklistResult(workspaceId, result);
+    } catch (error) {
+      console.error('Record Blocklist Result Error:', error);
+      continue;
+    }
+    await Promise.all(changes.map(change => logEventSafely(workspaceId, {
+      event: change.event === 'listed' ? BLOCKLIST_EVENTS.listed : BLOCKLIST_EVENTS.delisted,
+      email: result.target,
+      status: change.event === 'listed' ? 'error' : 'success',
+      detail: blocklistLabel(change.zone),
+    })));
+  }
+  return results;
+};
+
+// --- PLACEMENT TESTS ---
+// The backend sends the test messages and watches the seed inboxes; this app
+// starts runs, polls their status and keeps the results per workspace.
+
+const PLACEMENT_HISTORY_LIMIT = 50;
+
+const placementTestsCollection = (workspaceId) => workspaceCollection(workspaceId, 'placementTests');
+
+const startPlacementTest = async (api, workspaceId, email) => {
+  const data = await api.post('/api/placement-tests', { email, workspaceId });
+  if (!data?.testId) throw new Error(data?.message || 'The backend did not start a test.');
+
+  const startedAt = Date.now();
+  const seeds = (data.seeds || []).map(seed => (typeof seed === 'string' ? { seed } : seed));
+  await setDoc(doc(placementTestsCollection(workspaceId), String(data.testId)), {
+    email,
+    status: 'running',
+    startedAt,
+    startedBy: auth.currentUser?.uid ?? null,
+    results: normalizeResults(seeds.map(seed => ({ ...seed, folder: null })), { startedAt }),
+  });
+  return data.testId;
+};
+
+// Fetches a running test's status and stores it; the run completes once every
+// seed has reported or timed out.
+const pollPlacementTest = async (api, workspaceId, test) => {
+  const data = await api.get(`/api/placement-tests/${encodeURIComponent(test.id)}`);
+  const results = normalizeResults(data?.results?.length ? data.results : test.results, { startedAt: test.startedAt });
+  const status = data?.status === 'failed' ? 'failed' : isRunFinished(results) ? 'completed' : 'running';
+
+  await updateDoc(doc(placementTestsCollection(workspaceId), test.id), {
+    results,
+    status,
+    ...(status === 'failed' ? { error: data?.message || 'The backend reported a failure.' } : {}),
+    ...(status !== 'running' ? { completedAt: Date.now() } : {}),
+  });
+};
+
+const usePlacementTests = (max = PLACEMENT_HISTORY_LIMIT) => {
+  const { workspaceId } = useWorkspace();
+  const [tests, setTests] = useState([]);
+
+  useEffect(() => {
+    setTests([]);
+    if (!workspaceId) return;
+
+    const testsQuery = query(placementTestsCollection(workspaceId), orderBy('startedAt', 'desc'), limit(max));
+    const unsubscribe = onSnapshot(testsQuery, (snapshot) => {
+      setTests(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    });
+
+    return () => unsubscribe();
+  }, [workspaceId, max]);
+
+  return tests;
+};
+
+// --- DASHBOARD ANALYTICS ---
+// Closed days come from cached dailyStats documents, backfilled from the logs
+// the first time a range reaches them; the current day is aggregated live.
+// Days follow the viewer's profile time zone, and each zone is cached apart.
+
+const DAILY_STATS_BATCH_SIZE = 200;
+
+// Logs can land shortly after midnight for the previous day, so a day is only
+// cached once this much time has passed since it ended.
+const LATE_LOG_GRACE_MS = HOUR_MS;
+
+// The backend can write logs later still (retries, outages), so a cached day
+// is aggregated again on load until it was last aggregated this long after it ended.
+const DAILY_STATS_SETTLE_MS = 3 * DAY_MS;
+
+// How often an open page checks whether the date has changed.
+const DAY_CHANGE_CHECK_MS = 60 * 1000;
+
+// Zone names contain slashes, which document ids can't.
+const dailyStatsCollection = (workspaceId, timeZone) =>
+  workspaceCollection(workspaceId, 'dailyStats', encodeURIComponent(timeZone), 'days');
+
+// Splits sorted day keys into runs of consecutive days.
+const consecutiveRuns = (keys) => keys.reduce((runs, key) => {
+  const run = runs[runs.length - 1];
+  if (run && shiftDayKey(run[run.length - 1], 1) === key) run.push(key);
+  else runs.push([key]);
+  return runs;
+}, []);
+
+// Aggregates the logs of uncached or unsettled days. Editors store the
+// result, including empty days, so settled days are only aggregated once per
+// workspace and zone.
+const backfillDailyStats = async (workspaceId, timeZone, keys, canWrite) => {
+  const rollup = {};
+  for (const run of consecutiveRuns(keys)) {
+    const logsQuery = query(
+      workspaceCollection(workspaceId, 'logs'),
+      where('timestamp', '>=', dayStart(run[0], timeZone)),
+      where('timestamp', '<', dayStart(shiftDayKey(run[run.length - 1], 1), timeZone)),
+    );
+    const runRollup = rollupLogs((await getDocs(logsQuery)).docs.map(doc => doc.data()), timeZone);
+    run.forEach((key) => {
+      rollup[key] = runRollup[key] || {};
+    });
+  }
+
+  if (canWrite) {
+    for (let i = 0; i < keys.length; i += DAILY_STATS_BATCH_SIZE) {
+      const batch = writeBatch(db);
+      keys.slice(i, i + DAILY_STATS_BATCH_SIZE).forEach((key) => {
+        batch.set(doc(dailyStatsCollection(workspaceId, timeZone), key), { ...toDailyDoc(key, rollup[key]), aggregatedAt: Date.now() });
+      });
+      await batch.commit();
+    }
+  }
+  return rollup;
+};
+
+// Key of the day in `timeZone` as of `offsetMs` ago, kept current while the
+// page stays open past midnight.
+const useDayKey = (timeZone, offsetMs = 0) => {
+  const currentKey = () => dayKey(Date.now() - offsetMs, timeZone);
+  const [key, setKey] = useState(currentKey);
+
+  useEffect(() => {
+    setKey(currentKey());
+    const interval = setInterval(() => setKey(currentKey()), DAY_CHANGE_CHECK_MS);
+    return () => clearInterval(interval);
+  }, [timeZone, offsetMs]);
+
+  return key;
+};
+
+// Daily rollup covering `span` ({ start, end } midnights in the profile time
+// zone), or an empty one while `span` is null.
+const useAnalyticsRollup = (span) => {
+  const { workspaceId, can } = useWorkspace();
+  const { timeZone } = useProfile();
+  // Days before this midnight are closed and cached; it and later are live
+  const closedBefore = dayStart(useDayKey(timeZone, LATE_LOG_GRACE_MS), timeZone);
+  const [cached, setCached] = useState({});
+  const [live, setLive] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    setCached({});
+    if (!workspaceId || !span) return;
+
+    const keys = dayKeysBetween(span.start, Math.min(span.end, closedBefore), timeZone);
+    if (keys.length === 0) return;
+
+    let isCancelled = false;
+    setIsLoading(true);
+    (async () => {
+      const statsQuery = query(dailyStatsCollection(workspaceId, timeZone), where('date', '>=', keys[0]), where('date', '<=', keys[keys.length - 1]));
+      const rollup = {};
+      (await getDocs(statsQuery)).docs.forEach((doc) => {
+        const data = doc.data();
+        const isSettled = data.aggregatedAt >= dayStart(shiftDayKey(data.date, 1), timeZone) + DAILY_STATS_SETTLE_MS;
+        if (isSettled) rollup[data.date] = fromDailyDoc(data);
+      });
+      const missing = keys.filter(key => !rollup[key]);
+      if (missing.length > 0) Object.assign(rollup, await backfillDailyStats(workspaceId, timeZone, missing, can.edit));
+      if (!isCancelled) setCached(rollup);
+    })()
+      .catch(error => console.error('Analytics Load Error:', error))
+      .finally(() => !isCancelled && setIsLoading(false));
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [workspaceId, timeZone, span?.start, span?.end, closedBefore, can.edit]);
+
+  useEffect(() => {
+    setLive({});
+    if (!workspaceId || !span) return;
+
+    const liveStart = Math.max(span.start, closedBefore);
+    if (liveStart >= span.end) return;
+
+    const logsQuery = query(workspaceCollection(workspaceId, 'logs'), where('timestamp', '>=', liveStart), where('timestamp', '<', span.end));
+    const unsubscribe = onSnapshot(logsQuery, (snapshot) => {
+      setLive(rollupLogs(snapshot.docs.map(doc => doc.data()), timeZone));
+    });
+    return () => unsubscribe();
+  }, [workspaceId, timeZone, span?.start, span?.end, closedBefore]);
+
+  const rollup = useMemo(() => ({ ...cached, ...live }), [cached, live]);
+  return { rollup, isLoading };
+};
+
+// --- OFFLINE SYNC ---
+// Tracks connectivity and replays account changes queued while offline (see
+// offlineQueue.js). An operation whose target changed on the server meanwhile
+// is held as a conflict until the user applies or discards it.
+
+const useOnlineStatus = () => {
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+
+  useEffect(() => {
+    const update = () => setIsOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  return isOnline;
+};
+
+// Replays one queued operation. Resolves to null when it was applied (or had
+// nothing left to do), or to a conflict message. `force` skips the conflict check.
+const replayOperation = async (api, workspaceId, operation, force = false) => {
+  if (operation.type === 'settings') {
+    const current = await getDoc(workspaceDoc(workspaceId, 'settings', 'warmup'));
+    const updatedAt = current.exists() ? current.data().updatedAt ?? null : null;
+    if (!force && updatedAt !== operation.base.updatedAt) {
+      return 'Warmup settings were changed by someone else while you were offline.';
+    }
+    await saveWarmupSettings(api, workspaceId, operation.payload.settings);
+    return null;
+  }
+
+  const current = await getDoc(accountRef(workspaceId, operation.email));
+  if (!current.exists()) {
+    return operation.type === 'remove' ? null : `${operation.email} was removed while you were offline.`;
+  }
+
+  const { status } = current.data();
+  if (!force && status !== operation.base.status) {
+    return `${operation.email} changed to ${STATUS_MAP[status]?.text || status} while you were offline.`;
+  }
+
+  if (operation.type === 'remove') {
+    await removeAccount(workspaceId, operation.email);
+    return null;
+  }
+
+  const action = STATUS_ACTIONS[operation.type];
+  if (!action.from.includes(status)) return null;
+  const [result] = await applyStatusAction(api, workspaceId, operation.type, [{ email: operation.email }]);
+  return result.ok ? null : `${action.label} failed for ${operation.email}${result.error ? ` (${result.error})` : ''}.`;
+};
+
+const SyncContext = createContext({
+  isOnline: true,
+  isSyncing: false,
+  queue: [],
+  queueOperation: () => {},
+  resolveConflict: async () => {},
+});
+
+const SyncProvider = ({ children }) => {
+  const isOnline = useOnlineStatus();
+  const { api } = useApi();
+  const { workspaceId } = useWorkspace();
+  const [queue, setQueue] = useState([]);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const syncingRef = useRef(false);
+
+  useEffect(() => {
+    setQueue(workspaceId ? readQueue(workspaceId) : []);
+  }, [workspaceId]);
+
+  // Read-modify-write against storage so other tabs' queued operations survive
+  const updateQueue = (update) => {
+    const next = update(readQueue(workspaceId));
+    writeQueue(workspaceId, next);
+    setQueue(next);
+  };
+
+  const queueOperation = (operation) => updateQueue(current => enqueueOperation(current, operation));
+
+  const sync = async () => {
+    if (syncingRef.current || !workspaceId) return;
+    const pending = readQueue(workspaceId).filter(op => !op.conflict);
+    if (pending.length === 0) return;
+
+    syncingRef.current = true;
+    setIsSyncing(true);
+    for (const operation of pending) {
+      if (!navigator.onLine) break;
+      try {
+        const conflict = await replayOperation(api, workspaceId, operation);
+        updateQueue(current => (conflict
+          ? current.map(op => (op.id === operation.id ? { ...op, conflict } : op))
+          : current.filter(op => op.id !== operation.id)));
+      } catch (error) {
+        // Still unreachable; leave it queued for the next reconnect
+        console.error('Offline Sync Error:', error);
+        break;
+      }
+    }
+    syncingRef.current = false;
+    setIsSyncing(false);
+  };
+
+  useEffect(() => {
+    if (isOnline) sync();
+  }, [isOnline, workspaceId]);
+
+  // `apply` replays the operation regardless of the conflict; otherwise it is dropped
+  const resolveConflict = async (operationId, apply) => {
+    const operation = readQueue(workspaceId).find(op => op.id === operationId);
+    if (!operation) return;
+
+    if (apply) {
+      const failure = await replayOperation(api, workspaceId, operation, true);
+      if (failure) {
+        updateQueue(current => current.map(op => (op.id === operationId ? { ...op, conflict: failure } : op)));
+        return;
+      }
+    }
+    updateQueue(current => current.filter(op => op.id !== operationId));
+  };
+
+  return (
+    <SyncContext.Provider value={{ isOnline, isSyncing, queue, queueOperation, resolveConflict }}>
+      {children}
+    </SyncContext.Provider>
+  );
+};
+
+const useSync = () => useContext(SyncContext);
+
+// --- GENERAL COMPONENTS ---
+
+const Card = ({ children, title, className = '' }) => (
+  <div className={`bg-white shadow-xl rounded-xl p-4 sm:p-6 ${className}`}>
+    {title && <h2 className="text-xl font-bold text-gray-800 mb-4">{title}</h2>}
+    {children}
+  </div>
+);
+
+const Button = ({ children, onClick, type = 'button', disabled = false, loading = false, variant = 'primary', className = '' }) => {
+  const baseStyle = "px-4 py-2 font-semibold rounded-lg transition duration-150 ease-in-out flex items-center justify-center";
+  const variants = {
+    primary: "bg-indigo-600 text-white hover:bg-indigo-700 focus:ring-4 focus:ring-indigo-500/50",
+    secondary: "bg-gray-200 text-gray-700 hover:bg-gray-300 focus:ring-4 focus:ring-gray-400/50",
+    danger: "bg-red-600 text-white hover:bg-red-700 focus:ring-4 focus:ring-red-500/50",
+  };
+  return (
+    <button
+      type={type}
+      onClick={onClick}
+      disabled={disabled || loading}
+      className={`${baseStyle} ${variants[variant]} ${disabled ? 'opacity-50 cursor-not-allowed' : ''} ${className}`}
+    >
+      {loading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+      {children}
+    </button>
+  );
+};
+
+const Input = ({ label, id, type = 'text', value, onChange, placeholder = '', required = false, disabled = false, min, max, step, error = null }) => (
+  <div className="space-y-1">
+    {label && (
+      <label htmlFor={id} className="block text-sm font-medium text-gray-700">
+        {label}
+      </label>
+    )}
+    <input
+      type={type}
+      id={id}
+      value={value}
+      onChange={onChange}
+      placeholder={placeholder}
+      required={required}
+      disabled={disabled}
+      min={min}
+      max={max}
+      step={step}
+      className={`mt-1 block w-full rounded-lg border p-3 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm transition disabled:bg-gray-100 ${error ? 'border-red-400' : 'border-gray-300'}`}
+    />
+    {error && <p className="text-xs text-red-600">{error}</p>}
+  </div>
+);
+
+const Select = ({ label, id, value, onChange, options, disabled = false }) => (
+  <div className="space-y-1">
+    {label && (
+      <label htmlFor={id} className="block text-sm font-medium text-gray-700">
+        {label}
+      </label>
+    )}
+    <select
+      id={id}
+      value={value}
+      onChange={onChange}
+      disabled={disabled}
+      className="mt-1 block w-full rounded-lg border border-gray-300 p-3 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm transition bg-white disabled:bg-gray-100"
+    >
+      {options.map(option => (
+        <option key={option.value} value={option.value}>{option.label}</option>
+      ))}
+    </select>
+  </div>
+);
+
+const Textarea = ({ label, id, value, onChange, placeholder = '', rows = 6, disabled = false, error = null }) => (
+  <div className="space-y-1">
+    {label && (
+      <label htmlFor={id} className="block text-sm font-medium text-gray-700">
+        {label}
+      </label>
+    )}
+    <textarea
+      id={id}
+      value={value}
+      onChange={onChange}
+      placeholder={placeholder}
+      rows={rows}
+      disabled={disabled}
+      className={`mt-1 block w-full rounded-lg border p-3 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm font-mono transition disabled:bg-gray-100 ${error ? 'border-red-400' : 'border-gray-300'}`}
+    />
+    {error && <p className="text-xs text-red-600">{error}</p>}
+  </div>
+);
+
+const Message = ({ message }) => {
+  if (!message) return null;
+  const styles = {
+    success: 'bg-green-50 text-green-700',
+    warning: 'bg-yellow-50 text-yellow-700',
+    error: 'bg-red-50 text-red-700',
+  };
+  return (
+    <div className={`p-3 mb-4 rounded-lg flex items-center text-sm ${styles[message.type] || styles.error}`}>
+      {message.type === 'success' ? <CheckCircle className="h-5 w-5 mr-2" /> : <AlertTriangle className="h-5 w-5 mr-2" />}
+      {message.text}
+    </div>
+  );
+};
+
+// Projected target line with actual daily sends drawn as bars underneath.
+const VolumeChart = ({ points, height = 160 }) => {
+  if (points.length === 0) return null;
+
+  const width = 600;
+  const padding = 24;
+  const maxValue = Math.max(1, ...points.map(p => Math.max(p.projected, p.actual ?? 0)));
+  const step = (width - padding * 2) / points.length;
+  const x = (i) => padding + step * i + step / 2;
+  const y = (value) => height - padding - (value / maxValue) * (height - padding * 2);
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-40">
+      <line x1={padding} y1={height - padding} x2={width - padding} y2={height - padding} stroke="#e5e7eb" />
+      {points.map((p, i) => p.actual != null && (
+        <rect
+          key={`actual-${i}`}
+          x={x(i) - step * 0.3}
+          y={y(p.actual)}
+          width={step * 0.6}
+          height={height - padding - y(p.actual)}
+          className="fill-green-400"
+        >
+          <title>{`${p.label}: ${p.actual} sent`}</title>
+        </rect>
+      ))}
+      <polyline
+        fill="none"
+        stroke="#4f46e5"
+        strokeWidth="2"
+        strokeDasharray="4 3"
+        points={points.map((p, i) => `${x(i)},${y(p.projected)}`).join(' ')}
+      />
+      <text x={padding} y={padding - 8} className="fill-gray-500 text-xs">{maxValue}/day</text>
+      <text x={padding} y={height - 6} className="fill-gray-500 text-xs">{points[0].label}</text>
+      <text x={width - padding} y={height - 6} textAnchor="end" className="fill-gray-500 text-xs">{points[points.length - 1].label}</text>
+    </svg>
+  );
+};
+
+// Line chart for a daily series of 0-100 scores; days without a score leave a gap.
+const TrendChart = ({ points, height = 120 }) => {
+  const width = 600;
+  const padding = 20;
+  const step = (width - padding * 2) / Math.max(points.length - 1, 1);
+  const x = (i) => padding + step * i;
+  const y = (value) => height - padding - (value / 100) * (height - padding * 2);
+
+  // Split into runs of consecutive days that have a score
+  const segments = points.reduce((runs, p, i) => {
+    if (p.score === null) {
+      runs.push([]);
+    } else {
+      runs[runs.length - 1].push(`${x(i)},${y(p.score)}`);
+    }
+    return runs;
+  }, [[]]).filter(run => run.length > 0);
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-32">
+      {[0, 50, 100].map(value => (
+        <g key={value}>
+          <line x1={padding} y1={y(value)} x2={width - padding} y2={y(value)} stroke="#f3f4f6" />
+          <text x={0} y={y(value) + 4} className="fill-gray-400 text-xs">{value}</text>
+        </g>
+      ))}
+      {segments.map((run, i) => (
+        run.length === 1
+          ? <circle key={i} cx={run[0].split(',')[0]} cy={run[0].split(',')[1]} r="3" fill="#4f46e5" />
+          : <polyline key={i} fill="none" stroke="#4f46e5" strokeWidth="2" points={run.join(' ')} />
+      ))}
+    </svg>
+  );
+};
+
+// Grouped daily bars for several series. `days` is [{ label, values: { [key]: n } }],
+// `series` is [{ key, label, className }] with a Tailwind fill class per series.
+const DailyBarChart = ({ days, series, height = 180 }) => {
+  if (days.length === 0) return null;
+
+  const width = 600;
+  const padding = 24;
+  const maxValue = Math.max(1, ...days.flatMap(day => series.map(s => day.values[s.key] || 0)));
+  const step = (width - padding * 2) / days.length;
+  const barWidth = (step * 0.8) / series.length;
+  const y = (value) => height - padding - (value / maxValue) * (height - padding * 2);
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-44">
+        <line x1={padding} y1={height - padding} x2={width - padding} y2={height - padding} stroke="#e5e7eb" />
+        {days.map((day, i) => series.map((s, j) => {
+          const value = day.values[s.key] || 0;
+          if (value === 0) return null;
+          return (
+            <rect
+              key={`${i}-${s.key}`}
+              x={padding + step * i + step * 0.1 + barWidth * j}
+              y={y(value)}
+              width={barWidth}
+              height={height - padding - y(value)}
+              className={s.className}
+            >
+              <title>{`${day.label}: ${value} ${s.label.toLowerCase()}`}</title>
+            </rect>
+          );
+        }))}
+        <text x={padding} y={padding - 8} className="fill-gray-500 text-xs">{maxValue}/day</text>
+        <text x={padding} y={height - 6} className="fill-gray-500 text-xs">{days[0].label}</text>
+        <text x={width - padding} y={height - 6} textAnchor="end" className="fill-gray-500 text-xs">{days[days.length - 1].label}</text>
+      </svg>
+      <div className="flex flex-wrap gap-4 mt-2 text-xs text-gray-600">
+        {series.map(s => (
+          <span key={s.key} className="flex items-center">
+            <svg className="h-3 w-3 mr-1" viewBox="0 0 10 10"><rect width="10" height="10" className={s.className} /></svg>
+            {s.label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// --- PAGE COMPONENTS ---
+
+const DEFAULT_RANGE_FORM = { preset: '30', from: '', to: '', email: '', domain: '' };
+
+// Date labels in the zone analytics days are bucketed in.
+const dayLabel = (timestamp, timeZone) => formatDateTime(timestamp, timeZone, { year: 'numeric', month: 'numeric', day: 'numeric' });
+
+// Period-over-period change; `higherIsWorse` flips the colours (e.g. bounces).
+const Delta = ({ change, unit = '%', higherIsWorse = false }) => {
+  if (change === null || change === undefined) return <span className="text-xs text-gray-400">no previous data</span>;
+  const isGood = higherIsWorse ? change < 0 : change > 0;
+  const color = change === 0 ? 'text-gray-500' : isGood ? 'text-green-600' : 'text-red-600';
+  return <span className={`text-xs font-semibold ${color}`}>{change > 0 ? '+' : ''}{change}{unit} vs previous period</span>;
+};
+
+const AnalyticsFilters = ({ form, onChange, accounts, error }) => {
+  const domains = [...new Set(accounts.map(acc => domainOf(acc.email)).filter(Boolean))];
+  const update = (field) => (e) => onChange({ ...form, [field]: e.target.value });
+
+  return (
+    <Card>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <Select
+          label="Date Range"
+          id="analytics-range"
+          value={form.preset}
+          onChange={update('preset')}
+          options={Object.entries(RANGE_PRESETS).map(([value, label]) => ({ value, label }))}
+        />
+        <Select
+          label="Account"
+          id="analytics-account"
+          value={form.email}
+          onChange={update('email')}
+          options={[{ value: '', label: 'All accounts' }, ...accounts.map(acc => ({ value: acc.email, label: acc.email }))]}
+        />
+        <Select
+          label="Domain"
+          id="analytics-domain"
+          value={form.domain}
+          onChange={update('domain')}
+          options={[{ value: '', label: 'All domains' }, ...domains.map(domain => ({ value: domain, label: domain }))]}
+        />
+        {form.preset === 'custom' && (
+          <>
+            <Input label="From" id="analytics-from" type="date" value={form.from} onChange={update('from')} />
+            <Input label="To" id="analytics-to" type="date" value={form.to} onChange={update('to')} />
+          </>
+        )}
+      </div>
+      {form.preset === 'custom' && error && <p className="mt-2 text-xs text-red-600">{error}</p>}
+    </Card>
+  );
+};
+
+// Recent runs the dashboard scans for the latest completed placement test.
+const DASHBOARD_PLACEMENT_LOOKBACK = 5;
+
+const DashboardPage = () => {
+  const { workspaceId, can } = useWorkspace();
+  const { timeZone } = useProfile();
+  const [stats, setStats] = useState({ totalAccounts: 0, activeWarmup: 0, deliverabilityScore: null });
+  const [logs, setLogs] = useState([]);
+  const scores = useDeliverabilityScores();
+  const latestPlacement = usePlacementTests(DASHBOARD_PLACEMENT_LOOKBACK).find(test => test.status === 'completed');
+  const accounts = useEmailAccounts();
+  const settings = useWarmupSettings();
+  const [rangeForm, setRangeForm] = useState(DEFAULT_RANGE_FORM);
+  // Presets end today, so they move on when the date changes with the page open
+  const today = useDayKey(timeZone);
+  const { range, previous, error: rangeError } = useMemo(() => resolveRange(rangeForm, timeZone), [rangeForm, timeZone, today]);
+  const { rollup, isLoading: isAnalyticsLoading } = useAnalyticsRollup(range ? { start: previous.start, end: range.end } : null);
+  const emails = filterEmails(accounts, rangeForm);
+  const current = range ? periodTotals(rollup, range, timeZone, emails) : null;
+  const before = range ? periodTotals(rollup, previous, timeZone, emails) : null;
+  const series = range ? dailySeries(rollup, range, timeZone, emails) : [];
+  const periodScore = current && scoreTally(current, settings.targetReplyRate);
+  const previousScore = before && scoreTally(before, settings.targetReplyRate);
+  const joinedInRange = range
+    ? accounts.filter(acc => (!emails || emails.has(acc.email)) && acc.joined >= range.start && acc.joined < range.end).length
+    : 0;
+
+  useEffect(() => {
+    if (!workspaceId) return;
+
+    // Live dashboard stats and the latest activity from Firestore
+    const statsRef = workspaceDoc(workspaceId, 'dashboard', 'stats');
+    const logsRef = workspaceCollection(workspaceId, 'logs');
+    const logsQuery = query(logsRef, orderBy('timestamp', 'desc'), limit(10));
+
+    const unsubscribeStats = onSnapshot(statsRef, (doc) => {
+      if (doc.exists()) {
+        setStats(doc.data());
+      } else {
+        // Initialize if not exists
+        setStats({ totalAccounts: 0, activeWarmup: 0, deliverabilityScore: null });
+        if (can.edit) setDoc(statsRef, { totalAccounts: 0, activeWarmup: 0, deliverabilityScore: null }, { merge: true });
+      }
+    });
+
+    const unsubscribeLogs = onSnapshot(logsQuery, (snapshot) => {
+      setLogs(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    });
+
+    return () => {
+      unsubscribeStats();
+      unsubscribeLogs();
+    };
+  }, [workspaceId, can.edit]);
+
+  // Write the computed aggregate back so other consumers of the stats doc see it.
+  // Viewers can't write to the workspace, so they only read it.
+  useEffect(() => {
+    if (!workspaceId || !can.edit || scores.overall === (stats.deliverabilityScore ?? null)) return;
+
+    setDoc(workspaceDoc(workspaceId, 'dashboard', 'stats'), { deliverabilityScore: scores.overall, deliverabilityUpdatedAt: Date.now() }, { merge: true })
+      .catch(error => console.error('Score Update Error:', error));
+  }, [workspaceId, can.edit, scores.overall]);
+
+  const statCards = [
+    {
+      title: 'Total Accounts',
+      value: stats.totalAccounts,
+      icon: Mail,
+      color: 'bg-indigo-500',
+      delta: range && <span className="text-xs text-gray-500">{joinedInRange} joined in this period</span>,
+    },
+    { title: 'Active Warmups', value: stats.activeWarmup, icon: Activity, color: 'bg-green-500' },
+    {
+      title: 'Avg. Deliverability',
+      value: formatScore(scores.overall),
+      icon: CheckCircle,
+      color: 'bg-yellow-500',
+      delta: range && (
+        <Delta change={periodScore !== null && previousScore !== null ? periodScore - previousScore : null} unit=" pts" />
+      ),
+      detail: latestPlacement
+        ? `Last placement test: ${formatScore(summarizePlacement(latestPlacement.results).inboxRate)} inbox`
+        : 'Run a placement test',
+      href: routeHref('placement'),
+    },
+  ];
+
+  return (
+    <div className="space-y-6 p-4 md:p-8">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        {statCards.map((card, index) => (
+          <Card key={index} className="flex items-center space-x-4">
+            <div className={`p-3 rounded-full ${card.color} text-white`}>
+              <card.icon className="h-6 w-6" />
+            </div>
+            <div>
+              <p className="text-sm font-medium text-gray-500">{card.title}</p>
+              <p className="text-2xl font-bold text-gray-900">{card.value}</p>
+              {card.delta && <p>{card.delta}</p>}
+              {card.detail && (
+                <a href={card.href} className="text-xs text-indigo-600 hover:text-indigo-800">{card.detail}</a>
+              )}
+            </div>
+          </Card>
+        ))}
+      </div>
+
+      <AnalyticsFilters form={rangeForm} onChange={setRangeForm} accounts={accounts} error={rangeError} />
+
+      {range && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-6">
+            {Object.entries(ANALYTICS_METRICS).map(([metric, { label }]) => (
+              <Card key={metric}>
+                <p className="text-sm font-medium text-gray-500">{label}</p>
+                <p className="text-2xl font-bold text-gray-900">
+                  {isAnalyticsLoading ? <Loader2 className="h-5 w-5 animate-spin text-gray-400" /> : current[metric].toLocaleString()}
+                </p>
+                <Delta change={percentChange(current[metric], before[metric])} higherIsWorse={metric === 'bounced'} />
+              </Card>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {Object.entries(ANALYTICS_METRICS).map(([metric, { label, className }]) => (
+              <Card key={metric} title={`Daily ${label}`}>
+                <DailyBarChart
+                  days={series.map(day => ({ label: dayLabel(day.date, timeZone), values: { [metric]: day[metric] } }))}
+                  series={[{ key: metric, label, className }]}
+                />
+              </Card>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500">
+            Days run midnight to midnight in {timeZone}. The previous period is the {range.days} days before {dayLabel(range.start, timeZone)}.
+          </p>
+        </>
+      )}
+
+      <Card title={`Deliverability Trend (last ${SCORE_WINDOW_DAYS} days)`}>
+        {scores.trend.some(p => p.score !== null) ? (
+          <TrendChart points={scores.trend} />
+        ) : (
+          <p className="text-sm text-center text-gray-500">Not enough warmup traffic to score yet.</p>
+        )}
+      </Card>
+
+      <Card title="Latest Warmup Activity Log">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Timestamp
+                </th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Event
+                </th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Account
+                </th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Status
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {logs.length > 0 ? logs.map((log) => (
+                <tr key={log.id}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {formatDateTime(log.timestamp, timeZone)}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                    {log.event}
+                    {log.detail && <span className="block text-xs font-normal text-gray-500">{log.detail}</span>}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{log.email}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${LOG_STATUS_COLORS[log.status] || LOG_STATUS_COLORS.error}`}>
+                      {log.status}
+                    </span>
+                  </td>
+                </tr>
+              )) : (
+                <tr>
+                  <td colSpan="4" className="px-6 py-4 text-center text-sm text-gray-500">
+                    No recent warmup activity yet.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+        <p className="mt-2 text-xs text-gray-500">
+          Times shown in {timeZone}. <a href={routeHref('account')} className="text-indigo-600 hover:text-indigo-800">Change</a>
+        </p>
+        <Button variant="secondary" className="mt-4" onClick={() => navigate('logs')}>
+          <List className="h-4 w-4 mr-2" /> View Full Activity Log
+        </Button>
+      </Card>
+    </div>
+  );
+};
+
+// Encrypts a mailbox password with the backend's current public key.
+// Resolves to the `credential` envelope sent in its place.
+const sealPassword = async (api, password) => {
+  const key = await api.get('/api/credentials/key');
+  if (!key?.keyId || !key?.jwk) throw new Error('The backend did not provide a credential encryption key.');
+  return encryptCredential(key, password);
+};
+
+// Registers an account with the backend and, if it accepts, stores it in
+// Firestore and logs the connection. `details` holds the email, password and
+// optional SMTP/IMAP connection fields. Resolves { ok: false, error } when the
+// address is already connected, the backend refuses it or provides no
+// encryption key, or the password can't be encrypted; throws if the backend
+// or Firestore is unreachable.
+const connectAccount = async (api, workspaceId, details, settings) => {
+  // The password stays with the backend; only connection metadata is stored
+  const { password, startVolume, ...connection } = details;
+
+  // Checked before registering, as a duplicate registration can't be undone
+  // without disconnecting the account that is already there
+  if ((await getDoc(accountRef(workspaceId, details.email))).exists()) {
+    return { ok: false, error: `${details.email} is already connected.` };
+  }
+
+  let data;
+  try {
+    const credential = await sealPassword(api, password);
+    data = await api.post('/api/emails/connect', { ...connection, startVolume, credential, workspaceId });
+  } catch (error) {
+    if (!(error instanceof ApiError) || error.kind === 'http') {
+      return { ok: false, error: error.message };
+    }
+    throw error;
+  }
+  if (!data?.success) {
+    return { ok: false, error: data?.message || 'API connection failed. Check credentials.' };
+  }
+
+  const newAccount = {
+    ...connection,
+    status: 'active',
+    volume: startVolume ?? settings.startVolume,
+    joined: Date.now(),
+    lastSync: Date.now(),
+    auth: { method: 'password', expiresAt: null, updatedAt: Date.now(), error: null },
+    ...(startVolume ? { settingsOverrides: { startVolume } } : {}),
+  };
+
+  // Another tab or teammate may have connected the same address meanwhile; the
+  // backend registration is then theirs as well, so it stays
+  if (!(await createAccount(workspaceId, newAccount))) {
+    return { ok: false, error: `${details.email} is already connected.` };
+  }
+
+  await logEventSafely(workspaceId, { event: ACCOUNT_EVENTS.connected, email: details.email, status: 'success' });
+  return { ok: true };
+};
+
+// Asks the backend to try SMTP auth and IMAP login with `details` without
+// saving anything. Resolves to { smtp, imap }, each { ok, message, code }.
+const testAccountConnection = async (api, details) => {
+  const { password, ...connection } = details;
+  const credential = await sealPassword(api, password);
+
+  let data;
+  try {
+    data = await api.post('/api/emails/test', { ...connection, credential });
+  } catch (error) {
+    // A failed check may still come back as a 4xx carrying per-protocol results
+    if (!(error instanceof ApiError) || !(error.data?.smtp || error.data?.imap)) throw error;
+    data = error.data;
+  }
+
+  if (!data?.smtp && !data?.imap) {
+    throw new Error(data?.message || 'The backend returned no test results.');
+  }
+  return {
+    smtp: data.smtp || { ok: false, message: 'No SMTP result returned.' },
+    imap: data.imap || { ok: false, message: 'No IMAP result returned.' },
+  };
+};
+
+// Replaces an account's password once the backend has logged in with it.
+// Resolves to { ok, error }; throws only if the backend is unreachable.
+const updateAccountPassword = async (api, workspaceId, email, password) => {
+  try {
+    const credential = await sealPassword(api, password);
+    const data = await api.put(`/api/emails/${encodeURIComponent(email)}/credentials`, { credential, workspaceId });
+    if (data?.success === false) return { ok: false, error: data.message || 'The backend rejected the password.' };
+  } catch (error) {
+    if (!(error instanceof ApiError) || error.kind === 'http') return { ok: false, error: error.message };
+    throw error;
+  }
+
+  const auth = { method: 'password', expiresAt: null, updatedAt: Date.now(), error: null };
+  if (!(await updateAccount(workspaceId, email, () => ({ auth })))) {
+    return { ok: false, error: 'The account no longer exists.' };
+  }
+  await logEventSafely(workspaceId, { event: ACCOUNT_EVENTS.credentialsUpdated, email, status: 'success', detail: AUTH_METHODS.password.label });
+  return { ok: true };
+};
+
+// Sends the browser to the provider's consent screen. The backend holds the
+// client secret and exchanges the code itself, then returns the browser to
+// #/oauth/callback with `state` (and `error` if consent failed) in the hash
+// query. `email` is set when re-authorizing an existing account.
+const startOAuth = async (api, { method, workspaceId, email = null }) => {
+  const state = createOAuthState(sessionStorage, { method, workspaceId, email });
+  const returnUrl = `${window.location.origin}${window.location.pathname}${routeHref('oauth-callback')}`;
+  const data = await api.post(`/api/oauth/${method}/start`, { state, workspaceId, loginHint: email, returnUrl });
+  if (!isAuthorizeUrl(method, data?.authorizeUrl)) {
+    throw new Error('The backend returned an unexpected sign-in address.');
+  }
+  window.location.assign(data.authorizeUrl);
+};
+
+// Finishes a flow started by startOAuth: collects the grant the backend holds
+// for `state` and connects the mailbox, or refreshes the auth of the account
+// being re-authorized. Resolves to { ok, email, connected, error }; throws
+// only if the backend is unreachable.
+const completeOAuth = async (api, pending, state) => {
+  const { method, workspaceId } = pending;
+  let data;
+  try {
+    data = await api.post('/api/oauth/complete', { state, workspaceId });
+  } catch (error) {
+    if (error instanceof ApiError && error.kind === 'http') return { ok: false, error: error.message };
+    throw error;
+  }
+  if (!data?.success || !data.email) {
+    return { ok: false, error: data?.message || 'The provider did not grant access.' };
+  }
+  if (pending.email && accountKey(data.email) !== accountKey(pending.email)) {
+    return { ok: false, error: `You signed in as ${data.email}, but this re-authorization is for ${pending.email}. Try again and pick that mailbox.` };
+  }
+
+  const auth = { method, expiresAt: data.expiresAt ?? null, updatedAt: Date.now(), error: null };
+  let connected = false;
+  if (!pending.email) {
+    const settingsSnapshot = await getDoc(workspaceDoc(workspaceId, 'settings', 'warmup'));
+    const settings = withWarmupDefaults(settingsSnapshot.exists() ? settingsSnapshot.data() : null);
+    const provider = AUTH_METHODS[method].provider;
+    connected = await createAccount(workspaceId, {
+      email: data.email,
+      provider,
+      ...providerConnection(provider),
+      status: 'active',
+      volume: settings.startVolume,
+      joined: Date.now(),
+      lastSync: Date.now(),
+      auth,
+    });
+  }
+  // Connecting an address that is already connected just refreshes its auth
+  if (!connected && !(await updateAccount(workspaceId, data.email, () => ({ auth })))) {
+    return { ok: false, error: `${data.email} is no longer connected.` };
+  }
+
+  await logEventSafely(workspaceId, {
+    event: connected ? ACCOUNT_EVENTS.connected : ACCOUNT_EVENTS.credentialsUpdated,
+    email: data.email,
+    status: 'success',
+    detail: AUTH_METHODS[method].label,
+  });
+  return { ok: true, email: data.email, connected };
+};
+
+const ConnectionCheck = ({ label, result }) => {
+  const hint = result.ok ? null : connectionHint(result);
+  return (
+    <div className={`p-3 rounded-lg text-sm ${result.ok ? 'bg-green-50 text-green-700' : 'bg-red-50 text-red-700'}`}>
+      <p className="font-medium flex items-center">
+        {result.ok ? <CheckCircle className="h-4 w-4 mr-2" /> : <AlertTriangle className="h-4 w-4 mr-2" />}
+        {label}: {result.ok ? 'OK' : 'Failed'}
+      </p>
+      {result.message && <p className="mt-1 ml-6 text-xs font-mono break-all">{result.message}</p>}
+      {hint && <p className="mt-1 ml-6 text-xs">Hint: {hint}</p>}
+    </div>
+  );
+};
+
+// Sign-in method of an account, with its credential status when that needs attention.
+const AuthBadge = ({ account }) => {
+  const { method } = accountAuth(account);
+  const status = AUTH_STATUSES[authStatus(account)];
+  return (
+    <span className="inline-flex items-center text-xs text-gray-500">
+      <KeyRound className="h-3 w-3 mr-1 text-gray-400" />
+      {AUTH_METHODS[method].label}
+      {status !== AUTH_STATUSES.ok && (
+        <span className={`ml-2 px-2 inline-flex leading-5 font-semibold rounded-full ${LOG_STATUS_COLORS[status.tone]}`}>
+          {status.label}
+        </span>
+      )}
+    </span>
+  );
+};
+
+// Backend connects run at most this many at a time during a bulk import.
+const IMPORT_CONCURRENCY = 3;
+
+const IMPORT_STATUS_STYLES = {
+  invalid: 'bg-red-100 text-red-700',
+  pending: 'bg-gray-100 text-gray-700',
+  connecting: 'bg-indigo-100 text-indigo-700',
+  connected: STATUS_MAP.active.color,
+  failed: STATUS_MAP.error.color,
+};
+
+const BulkImportCard = ({ accounts, settings }) => {
+  const { workspaceId } = useWorkspace();
+  const { api } = useApi();
+  const [rows, setRows] = useState([]);
+  const [fileName, setFileName] = useState('');
+  const [isImporting, setIsImporting] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const parsed = parseCsvObjects(await file.text());
+    if (parsed.length === 0 || !('email' in parsed[0].values)) {
+      setRows([]);
+      setMessage({ type: 'error', text: 'The CSV needs a header row with at least: email, app_password.' });
+      return;
+    }
+
+    setFileName(file.name);
+    setMessage(null);
+    setRows(validateImportRows(parsed, accounts.map(acc => acc.email)).map(row => ({
+      ...row,
+      status: row.errors.length > 0 ? 'invalid' : 'pending',
+      error: row.errors.join(' '),
+    })));
+  };
+
+  const updateRow = (line, changes) => {
+    setRows(current => current.map(row => (row.line === line ? { ...row, ...changes } : row)));
+  };
+
+  const connectRows = async (targets) => {
+    if (!workspaceId || targets.length === 0) return;
+    setIsImporting(true);
+    setMessage(null);
+
+    const results = await runWithConcurrency(targets, IMPORT_CONCURRENCY, async (row) => {
+      updateRow(row.line, { status: 'connecting', error: '' });
+      try {
+        const result = await connectAccount(api, workspaceId, row.account, settings);
+        updateRow(row.line, result.ok ? { status: 'connected' } : { status: 'failed', error: result.error });
+        return result.ok;
+      } catch (error) {
+        updateRow(row.line, { status: 'failed', error: error.message });
+        return false;
+      }
+    });
+
+    const connected = results.filter(Boolean).length;
+    setMessage({
+      type: connected === targets.length ? 'success' : connected > 0 ? 'warning' : 'error',
+      text: `Connected ${connected} of ${targets.length} accounts.`,
+    });
+    setIsImporting(false);
+  };
+
+  const downloadTemplate = () => {
+    downloadFile('warmup-accounts-template.csv', toCsv([], IMPORT_COLUMNS));
+  };
+
+  const pending = rows.filter(row => row.status === 'pending');
+  const failed = rows.filter(row => row.status === 'failed');
+
+  return (
+    <Card title="Bulk Import (CSV)">
+      <Message message={message} />
+      <p className="text-sm text-gray-600 mb-4">
+        Columns: <span className="font-mono text-xs">{IMPORT_COLUMNS.join(', ')}</span>. Only email and app_password are required.
+      </p>
+      <div className="flex flex-wrap gap-2 items-center">
+        <label className="px-4 py-2 font-semibold rounded-lg bg-gray-200 text-gray-700 hover:bg-gray-300 cursor-pointer flex items-center">
+          <Upload className="h-4 w-4 mr-2" /> Choose CSV
+          <input type="file" accept=".csv,text/csv" className="hidden" onChange={handleFile} disabled={isImporting} />
+        </label>
+        <Button variant="secondary" onClick={downloadTemplate}>
+          <Download className="h-4 w-4 mr-2" /> Template
+        </Button>
+        {pending.length > 0 && (
+          <Button variant="primary" loading={isImporting} onClick={() => connectRows(pending)}>
+            Connect {pending.length} Account{pending.length === 1 ? '' : 's'}
+          </Button>
+        )}
+        {failed.length > 0 && !isImporting && (
+          <Button variant="secondary" onClick={() => connectRows(failed)}>
+            <RefreshCw className="h-4 w-4 mr-2" /> Retry {failed.length} Failed
+          </Button>
+        )}
+        {fileName && <span className="text-xs text-gray-500">{fileName}</span>}
+      </div>
+
+      {rows.length > 0 && (
+        <div className="overflow-x-auto mt-4">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Line
+                </th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Email
+                </th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Result
+                </th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Details
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {rows.map(row => (
+                <tr key={row.line}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{row.line}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{row.account.email || '—'}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${IMPORT_STATUS_STYLES[row.status]}`}>
+                      {row.status}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-500">
+                    {row.error}
+                    {row.status === 'failed' && !isImporting && (
+                      <button className="ml-2 text-indigo-600 hover:text-indigo-800 text-xs font-semibold" onClick={() => connectRows([row])}>
+                        Retry
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </Card>
+  );
+};
+
+const AccountSchedule = ({ account, settings }) => {
+  const { workspaceId } = useWorkspace();
+  const [dailySends, setDailySends] = useState({});
+
+  const effective = accountWarmupSettings(account, settings);
+  const today = warmupDayIndex(account.joined);
+  const schedule = buildSchedule(account.joined, effective);
+  // Only sends inside the charted days are needed, not the whole history
+  const since = account.joined;
+  const until = addDays(schedule[schedule.length - 1].date, 1);
+
+  useEffect(() => {
+    if (!workspaceId) return;
+
+    const logsRef = workspaceCollection(workspaceId, 'logs');
+    const logsQuery = query(
+      logsRef,
+      where('email', '==', account.email),
+      where('event', '==', WARMUP_EVENTS.sent),
+      where('timestamp', '>=', since),
+      where('timestamp', '<', until),
+    );
+
+    const unsubscribe = onSnapshot(logsQuery, (snapshot) => {
+      setDailySends(countDailySends(snapshot.docs.map(doc => doc.data())));
+    });
+
+    return () => unsubscribe();
+  }, [workspaceId, account.email, since, until]);
+
+  const points = schedule.map(({ day, date, target }) => ({
+    label: new Date(date).toLocaleDateString(),
+    projected: target,
+    // No actuals for days that haven't happened yet
+    actual: day - 1 <= today ? (dailySends[date] || 0) : null,
+  }));
+
+  return (
+    <div className="space-y-2">
+      <div className="flex justify-between text-xs text-gray-500">
+        <span>Warmup day {Math.min(today + 1, effective.warmupDays)} of {effective.warmupDays}</span>
+        <span>
+          <span className="inline-block w-3 border-t-2 border-dashed border-indigo-600 mr-1 align-middle" /> Projected
+          <span className="inline-block w-3 h-3 bg-green-400 ml-3 mr-1 align-middle" /> Actual
+        </span>
+      </div>
+      <VolumeChart points={points} />
+    </div>
+  );
+};
+
+const EmailManagementPage = () => {
+  const { userId } = useAuth();
+  const { workspaceId, workspace, can } = useWorkspace();
+  const { isOnline, queue, queueOperation } = useSync();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [provider, setProvider] = useState('custom');
+  const [providerChosen, setProviderChosen] = useState(false);
+  const [connection, setConnection] = useState(providerConnection('custom'));
+  const [connectionErrors, setConnectionErrors] = useState({});
+  const [testResult, setTestResult] = useState(null);
+  const [isTesting, setIsTesting] = useState(false);
+  const [isAuthorizing, setIsAuthorizing] = useState(false);
+  const { api, backendUrl, saveBackendUrl, health, checkHealth } = useApi();
+  const [backendUrlInput, setBackendUrlInput] = useState(backendUrl);
+  const [backendUrlError, setBackendUrlError] = useState(null);
+  const [isSavingUrl, setIsSavingUrl] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [expandedAccount, setExpandedAccount] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [pendingStatus, setPendingStatus] = useState(null);
+  const [collapsedDomains, setCollapsedDomains] = useState([]);
+  const [applyingDomain, setApplyingDomain] = useState(null);
+  const accounts = useEmailAccounts();
+  const settings = useWarmupSettings();
+  const scores = useDeliverabilityScores();
+  const peerActivity = usePeerActivity();
+  const domains = useDomains(accounts);
+
+  // Follow the saved URL once it loads (or changes in another tab)
+  useEffect(() => {
+    setBackendUrlInput(backendUrl);
+  }, [backendUrl]);
+
+  const connectionDetails = () => ({
+    email,
+    password,
+    provider,
+    ...connection,
+    smtpPort: Number(connection.smtpPort),
+    imapPort: Number(connection.imapPort),
+  });
+
+  // A test only counts for the exact details it was run with
+  const detailsKey = JSON.stringify(connectionDetails());
+  const testPassed = testResult?.key === detailsKey && testResult.smtp.ok && testResult.imap.ok;
+  const oauthMethod = oauthMethodFor(provider);
+  const reauthAccounts = accounts.filter(acc => needsReauth(acc));
+
+  const handleEmailChange = (e) => {
+    setEmail(e.target.value);
+    // Follow the address domain until the user picks a provider themselves
+    const detected = detectProvider(e.target.value);
+    if (!providerChosen && detected && detected !== provider) {
+      setProvider(detected);
+      setConnection(providerConnection(detected));
+    }
+  };
+
+  const handleProviderChange = (e) => {
+    setProvider(e.target.value);
+    setProviderChosen(true);
+    setConnection(providerConnection(e.target.value));
+    setConnectionErrors({});
+  };
+
+  const updateConnection = (field) => (e) => {
+    setConnection({ ...connection, [field]: e.target.value });
+    setConnectionErrors({ ...connectionErrors, [field]: undefined });
+  };
+
+  const handleTest = async () => {
+    const errors = validateConnection(connection);
+    setConnectionErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    setIsTesting(true);
+    setMessage(null);
+    try {
+      const result = await testAccountConnection(api, connectionDetails());
+      setTestResult({ key: detailsKey, ...result });
+    } catch (error) {
+      console.error('Connection Test Error:', error);
+      setTestResult(null);
+      setMessage({ type: 'error', text: `Could not run the connection test: ${error.message}` });
+    } finally {
+      setIsTesting(false);
+    }
+  };
+
+  // Leaves the page for the provider's consent screen; the callback page finishes the connection
+  const handleOAuth = async () => {
+    if (!workspaceId) {
+      setMessage({ type: 'error', text: 'No workspace is selected.' });
+      return;
+    }
+
+    setIsAuthorizing(true);
+    setMessage(null);
+    try {
+      await startOAuth(api, { method: oauthMethod, workspaceId });
+    } catch (error) {
+      console.error('OAuth Start Error:', error);
+      setMessage({ type: 'error', text: `Could not start the sign-in: ${error.message}` });
+      setIsAuthorizing(false);
+    }
+  };
+
+  const handleConnect = async (e) => {
+    e.preventDefault();
+    if (!workspaceId) {
+      setMessage({ type: 'error', text: 'No workspace is selected.' });
+      return;
+    }
+
+    if (accounts.some(acc => accountKey(acc.email) === accountKey(email))) {
+      setMessage({ type: 'error', text: `${email} is already connected.` });
+      return;
+    }
+
+    setIsLoading(true);
+    setMessage(null);
+
+    try {
+      const result = await connectAccount(api, workspaceId, connectionDetails(), settings);
+
+      if (result.ok) {
+        setMessage({ type: 'success', text: `Successfully connected: ${email}. Warmup started.` });
+        setEmail('');
+        setPassword('');
+        setTestResult(null);
+      } else {
+        // Handle API error response
+        const hint = connectionHint(result.error);
+        setMessage({ type: 'error', text: hint ? `${result.error} ${hint}` : result.error });
+      }
+    } catch (error) {
+      console.error('Connection Error:', error);
+      setMessage({ type: 'error', text: `${error.message} Check the backend URL.` });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleRemove = async (targetEmail) => {
+    if (!workspaceId) return;
+
+    if (!isOnline) {
+      const account = accounts.find(acc => acc.email === targetEmail);
+      queueOperation({ type: 'remove', email: targetEmail, base: { status: account?.status ?? null } });
+      setSelected(current => current.filter(email => email !== targetEmail));
+      setMessage({ type: 'warning', text: `You are offline. Removing ${targetEmail} is queued and will sync when you reconnect.` });
+      return;
+    }
+
+    try {
+      await removeAccount(workspaceId, targetEmail);
+      setSelected(current => current.filter(email => email !== targetEmail));
+      setMessage({ type: 'success', text: `${targetEmail} removed successfully.` });
+    } catch (error) {
+      console.error("Remove Error:", error);
+      setMessage({ type: 'error', text: 'Failed to remove account.' });
+    }
+  };
+
+  // Applies a STATUS_ACTIONS transition to one or more accounts, or queues it
+  // while offline.
+  const handleStatusChange = async (actionKey, targetEmails) => {
+    if (!workspaceId) return;
+    const action = STATUS_ACTIONS[actionKey];
+    const eligible = accounts.filter(acc => targetEmails.includes(acc.email) && action.from.includes(acc.status));
+
+    if (eligible.length === 0) {
+      setMessage({ type: 'error', text: `None of the selected accounts can be ${action.to === 'paused' ? 'paused' : 'resumed'}.` });
+      return;
+    }
+
+    if (!isOnline) {
+      eligible.forEach(account => queueOperation({ type: actionKey, email: account.email, base: { status: account.status } }));
+      setSelected([]);
+      setMessage({ type: 'warning', text: `You are offline. ${action.label} for ${eligible.length} account${eligible.length === 1 ? '' : 's'} is queued and will sync when you reconnect.` });
+      return;
+    }
+
+    setPendingStatus(actionKey);
+    setMessage(null);
+
+    const results = await applyStatusAction(api, workspaceId, actionKey, eligible);
+    const succeeded = results.filter(r => r.ok).map(r => r.email);
+    const failed = results.filter(r => !r.ok);
+
+    if (failed.length === 0) {
+      setMessage({ type: 'success', text: `${action.event}: ${succeeded.join(', ')}` });
+    } else {
+      setMessage({
+        type: succeeded.length > 0 ? 'warning' : 'error',
+        text: `${action.label} failed for ${failed.map(r => `${r.email}${r.error ? ` (${r.error})` : ''}`).join(', ')}.`,
+      });
+    }
+
+    setSelected(current => current.filter(email => !succeeded.includes(email)));
+    setPendingStatus(null);
+  };
+
+  const toggleSelected = (targetEmail) => {
+    setSelected(current => (current.includes(targetEmail)
+      ? current.filter(email => email !== targetEmail)
+      : [...current, targetEmail]));
+  };
+
+  const toggleDomainSelected = (emails) => {
+    setSelected(current => (emails.every(email => current.includes(email))
+      ? current.filter(email => !emails.includes(email))
+      : [...new Set([...current, ...emails])]));
+  };
+
+  const toggleDomainCollapsed = (domain) => {
+    setCollapsedDomains(collapsedDomains.includes(domain)
+      ? collapsedDomains.filter(d => d !== domain)
+      : [...collapsedDomains, domain]);
+  };
+
+  const handleApplyRamp = async (domain, suggestions) => {
+    setApplyingDomain(domain);
+    setMessage(null);
+
+    const results = await applyRampOverrides(api, workspaceId, suggestions);
+    const applied = results.filter(r => r.ok);
+    const unsynced = applied.filter(r => !r.synced);
+    const failed = results.filter(r => !r.ok);
+
+    if (failed.length === 0 && unsynced.length === 0) {
+      setMessage({ type: 'success', text: `Conservative ramp applied to ${applied.length} account${applied.length === 1 ? '' : 's'} on ${domain}.` });
+    } else {
+      setMessage({
+        type: applied.length > 0 ? 'warning' : 'error',
+        text: [
+          applied.length > 0 && `Ramp saved for ${applied.length} account${applied.length === 1 ? '' : 's'} on ${domain}.`,
+          unsynced.length > 0 && `The backend could not be reached for ${unsynced.map(r => r.email).join(', ')}.`,
+          failed.length > 0 && `Failed for ${failed.map(r => r.email).join(', ')}.`,
+        ].filter(Boolean).join(' '),
+      });
+    }
+    setApplyingDomain(null);
+  };
+
+  const exportAccounts = (format) => {
+    const rows = accounts.map(acc => ({
+      email: acc.email,
+      status: acc.status,
+      dailyVolume: todaysTarget(acc, settings),
+      score: scores.accounts[acc.email]?.score ?? null,
+      joined: acc.joined ? new Date(acc.joined).toISOString() : null,
+      lastSync: acc.lastSync ? new Date(acc.lastSync).toISOString() : null,
+    }));
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    if (format === 'json') {
+      downloadFile(`warmup-accounts-${stamp}.json`, JSON.stringify(rows, null, 2), 'application/json');
+    } else {
+      downloadFile(`warmup-accounts-${stamp}.csv`, toCsv(rows, ['email', 'status', 'dailyVolume', 'score', 'joined', 'lastSync']));
+    }
+  };
+
+  const allSelected = accounts.length > 0 && selected.length === accounts.length;
+
+  const handleSaveBackendUrl = async (e) => {
+    e.preventDefault();
+    if (!isValidBaseUrl(backendUrlInput)) {
+      setBackendUrlError('Enter a full http(s):// URL.');
+      return;
+    }
+    setIsSavingUrl(true);
+    try {
+      await saveBackendUrl(backendUrlInput);
+    } catch (error) {
+      console.error('Save Backend URL Error:', error);
+      setBackendUrlError('Failed to save the backend URL.');
+    } finally {
+      setIsSavingUrl(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6 p-4 md:p-8">
+      <h1 className="text-3xl font-bold text-gray-900">Email Account Management</h1>
+
+      {/* Backend URL Input */}
+      <Card title="Backend API Configuration (Render)" className="border border-indigo-200">
+        <form onSubmit={handleSaveBackendUrl} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+          <div className="md:col-span-2">
+            <Input
+              label="Backend API URL"
+              id="backend-url"
+              value={backendUrlInput}
+              onChange={(e) => {
+                setBackendUrlInput(e.target.value);
+                setBackendUrlError(null);
+              }}
+              placeholder="e.g., https://your-warmup-api.onrender.com"
+              error={backendUrlError}
+            />
+          </div>
+          <div className="flex space-x-2">
+            <Button type="submit" loading={isSavingUrl} disabled={normalizeBaseUrl(backendUrlInput) === backendUrl}>
+              Save URL
+            </Button>
+            <Button variant="secondary" loading={health.status === 'checking'} onClick={checkHealth}>
+              <RefreshCw className="h-4 w-4 mr-2" /> Check
+            </Button>
+          </div>
+        </form>
+        <p className="mt-2 text-xs text-gray-500 flex items-center">
+            <Cloud className="h-4 w-4 mr-1 text-indigo-500" />
+            Your live backend is hosted on Render. The URL is saved to your profile; the first request after idle may take a minute while it wakes up.
+        </p>
+      </Card>
+
+      {!can.edit && (
+        <Message message={{ type: 'warning', text: `You have view-only access to ${workspace?.name || 'this workspace'}. Ask an owner or admin to connect or change accounts.` }} />
+      )}
+
+      {/* Connection Form */}
+      {can.edit && (
+        <Card title="Connect New Email Account">
+          <Message message={message} />
+          <form onSubmit={handleConnect} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <Select
+                label="Provider"
+                id="provider"
+                value={provider}
+                onChange={handleProviderChange}
+                options={Object.entries(MAIL_PROVIDERS).map(([value, preset]) => ({ value, label: preset.label }))}
+              />
+              <Input
+                label="Email Address (SMTP/IMAP)"
+                id="email"
+                type="email"
+                value={email}
+                onChange={handleEmailChange}
+                placeholder="e.g., marketing@yourdomain.com"
+                required
+              />
+              <Input
+                label="App Password"
+                id="password"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Encrypted in your browser before sending"
+                required
+              />
+            </div>
+            {oauthMethod && (
+              <div className="p-3 rounded-lg bg-indigo-50 text-sm text-indigo-800 flex flex-wrap items-center justify-between gap-2">
+                <span>{MAIL_PROVIDERS[provider].label} mailboxes can connect with OAuth, so no password is shared at all.</span>
+                <Button variant="secondary" className="p-2 h-auto text-xs" loading={isAuthorizing} onClick={handleOAuth}>
+                  <KeyRound className="h-4 w-4 mr-1" /> Connect with {AUTH_METHODS[oauthMethod].label}
+                </Button>
+              </div>
+            )}
+            {['smtp', 'imap'].map(prefix => (
+              <div key={prefix} className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <Input
+                  label={`${prefix.toUpperCase()} Host`}
+                  id={`${prefix}-host`}
+                  value={connection[`${prefix}Host`]}
+                  onChange={updateConnection(`${prefix}Host`)}
+                  placeholder={prefix === 'smtp' ? 'smtp.yourdomain.com' : 'imap.yourdomain.com'}
+                  error={connectionErrors[`${prefix}Host`]}
+                />
+                <Input
+                  label={`${prefix.toUpperCase()} Port`}
+                  id={`${prefix}-port`}
+                  type="number"
+                  value={connection[`${prefix}Port`]}
+                  onChange={updateConnection(`${prefix}Port`)}
+                  min={1}
+                  max={65535}
+                  error={connectionErrors[`${prefix}Port`]}
+                />
+                <Select
+                  label={`${prefix.toUpperCase()} Security`}
+                  id={`${prefix}-security`}
+                  value={connection[`${prefix}Security`]}
+                  onChange={updateConnection(`${prefix}Security`)}
+                  options={Object.entries(SECURITY_MODES).map(([value, label]) => ({ value, label }))}
+                />
+              </div>
+            ))}
+            {testResult?.key === detailsKey && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <ConnectionCheck label="SMTP authentication" result={testResult.smtp} />
+                <ConnectionCheck label="IMAP login" result={testResult.imap} />
+              </div>
+            )}
+            <div className="flex flex-wrap gap-2">
+              <Button variant="secondary" loading={isTesting} disabled={!email || !password} onClick={handleTest}>
+                <PlugZap className="h-4 w-4 mr-2" /> Test Connection
+              </Button>
+              <Button type="submit" loading={isLoading} disabled={!testPassed} className="w-full md:w-auto">
+                {isLoading ? 'Connecting...' : 'Connect Account via API'}
+              </Button>
+            </div>
+            {!testPassed && email && password && (
+              <p className="text-xs text-gray-500">Run a successful connection test before connecting the account.</p>
+            )}
+          </form>
+        </Card>
+      )}
+
+      {can.edit && <BulkImportCard accounts={accounts} settings={settings} />}
+
+      {/* Existing Accounts Table */}
+      <Card title="Existing Warmup Accounts">
+        {reauthAccounts.length > 0 && (
+          <div className="mb-4 p-3 rounded-lg bg-red-50 text-sm text-red-700">
+            <p className="font-medium flex items-center">
+              <AlertTriangle className="h-4 w-4 mr-2" />
+              {reauthAccounts.length} account{reauthAccounts.length === 1 ? ' needs' : 's need'} new credentials before the backend can sign in again:
+            </p>
+            <p className="mt-1 ml-6">
+              {reauthAccounts.map((acc, i) => (
+                <React.Fragment key={acc.email}>
+                  {i > 0 && ', '}
+                  <a href={routeHref('account-detail', { address: acc.email })} className="underline hover:text-red-900">{acc.email}</a>
+                </React.Fragment>
+              ))}
+            </p>
+          </div>
+        )}
+        <div className="flex justify-end space-x-2 mb-4">
+          <Button variant="secondary" className="p-2 h-auto text-xs" disabled={accounts.length === 0} onClick={() => exportAccounts('csv')}>
+            <Download className="h-4 w-4 mr-1" /> Export CSV
+          </Button>
+          <Button variant="secondary" className="p-2 h-auto text-xs" disabled={accounts.length === 0} onClick={() => exportAccounts('json')}>
+            <Download className="h-4 w-4 mr-1" /> Export JSON
+          </Button>
+        </div>
+        {selected.length > 0 && (
+          <div className="flex items-center justify-between mb-4 p-3 rounded-lg bg-indigo-50 text-sm text-indigo-800">
+            <span>{selected.length} account{selected.length === 1 ? '' : 's'} selected</span>
+            <div className="flex space-x-2">
+              <Button variant="secondary" className="p-2 h-auto text-xs" loading={pendingStatus === 'pause'} onClick={() => handleStatusChange('pause', selected)}>
+                <Pause className="h-4 w-4 mr-1" /> Pause Selected
+              </Button>
+              <Button variant="secondary" className="p-2 h-auto text-xs" loading={pendingStatus === 'resume'} onClick={() => handleStatusChange('resume', selected)}>
+                <Play className="h-4 w-4 mr-1" /> Resume Selected
+              </Button>
+            </div>
+          </div>
+        )}
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className="pl-6 py-3 text-left">
+                  <input
+                    type="checkbox"
+                    aria-label="Select all accounts"
+                    checked={allSelected}
+                    disabled={!can.edit}
+                    onChange={() => setSelected(allSelected ? [] : accounts.map(acc => acc.email))}
+                  />
+                </th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Email
+                </th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Status
+                </th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Daily Volume
+                </th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Score ({SCORE_WINDOW_DAYS}d)
+                </th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Warmup Pool
+                </th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Actions
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {accounts.length > 0 ? groupByDomain(accounts).map(({ domain, accounts: domainAccounts }) => {
+                const emails = domainAccounts.map(acc => acc.email);
+                const rollup = rollupDomain(domainAccounts, { scores: scores.accounts, settings });
+                const isCollapsed = collapsedDomains.includes(domain);
+                const isFreeMail = isFreeMailDomain(domain);
+                const info = isFreeMail ? null : domains[domain];
+                const ageDays = domainAgeDays(info);
+                const suggestions = domainAccounts
+                  .map(acc => ({ email: acc.email, ...suggestRamp(ageDays, acc, settings) }))
+                  .filter(suggestion => suggestion.overrides);
+                const tier = suggestions[0]?.tier;
+
+                return (
+                  <React.Fragment key={domain}>
+                    <tr className="bg-gray-50">
+                      <td className="pl-6 py-3">
+                        <input
+                          type="checkbox"
+                          aria-label={`Select all accounts on ${domain}`}
+                          checked={emails.every(email => selected.includes(email))}
+                          disabled={!can.edit}
+                          onChange={() => toggleDomainSelected(emails)}
+                        />
+                      </td>
+                      <td className="px-6 py-3 whitespace-nowrap text-sm">
+                        <button
+                          className="mr-1 text-gray-400 hover:text-indigo-600 align-middle"
+                          aria-label={`${isCollapsed ? 'Expand' : 'Collapse'} ${domain}`}
+                          onClick={() => toggleDomainCollapsed(domain)}
+                        >
+                          {isCollapsed ? <ChevronRight className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+                        </button>
+                        <span className="font-bold text-gray-900">{domain}</span>
+                        <span className="ml-2 text-xs text-gray-500">{rollup.accounts} account{rollup.accounts === 1 ? '' : 's'}</span>
+                        <p className="ml-5 text-xs text-gray-500">
+                          {isFreeMail
+                            ? 'Shared provider domain'
+                            : info?.registeredAt
+                              ? `Registered ${new Date(info.registeredAt).toLocaleDateString()} (${ageDays} days ago)`
+                              : info?.firstSeenAt
+                                ? `First seen ${new Date(info.firstSeenAt).toLocaleDateString()} (${ageDays} days ago)`
+                                : 'Domain age unknown'}
+                        </p>
+                      </td>
+                      <td className="px-6 py-3 whitespace-nowrap space-x-1">
+                        {Object.keys(STATUS_MAP).filter(status => rollup[status] > 0).map(status => (
+                          <span key={status} className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STATUS_MAP[status].color}`}>
+                            {rollup[status]} {STATUS_MAP[status].text.toLowerCase()}
+                          </span>
+                        ))}
+                      </td>
+                      <td className="px-6 py-3 whitespace-nowrap text-sm font-semibold text-gray-700" title="Today's target across active accounts">
+                        {rollup.dailyVolume}
+                      </td>
+                      <td className={`px-6 py-3 whitespace-nowrap text-sm font-semibold ${scoreColor(rollup.averageScore)}`} title="Average of scored accounts">
+                        {formatScore(rollup.averageScore)}
+                      </td>
+                      <td />
+                      <td className="px-6 py-3 whitespace-nowrap text-sm font-medium space-x-2">
+                        {can.edit && (
+                          <>
+                            <Button variant="secondary" className="p-2 h-auto text-xs" disabled={pendingStatus !== null || rollup.active === 0} onClick={() => handleStatusChange('pause', emails)}>
+                              <Pause className="h-4 w-4 mr-1" /> Pause All
+                            </Button>
+                            <Button variant="secondary" className="p-2 h-auto text-xs" disabled={pendingStatus !== null || rollup.active === rollup.accounts} onClick={() => handleStatusChange('resume', emails)}>
+                              <Play className="h-4 w-4 mr-1" /> Resume All
+                            </Button>
+                          </>
+                        )}
+                      </td>
+                    </tr>
+                    {tier && (
+                      <tr className="bg-yellow-50">
+                        <td colSpan="7" className="px-6 py-2 text-xs text-yellow-800">
+                          <div className="flex flex-wrap items-center justify-between gap-2">
+                            <span className="flex items-center">
+                              <AlertTriangle className="h-3 w-3 mr-1 flex-shrink-0" />
+                              {tier.label} (under {tier.maxAgeDays} days old): start at {tier.startVolume}/day, grow at most {tier.dailyIncreasePct}% a day
+                              up to {tier.maxDailyEmails}/day over at least {tier.warmupDays} days. {suggestions.length} account{suggestions.length === 1 ? ' ramps' : 's ramp'} faster than that.
+                            </span>
+                            {can.edit && (
+                              <Button
+                                variant="secondary"
+                                className="p-2 h-auto text-xs"
+                                loading={applyingDomain === domain}
+                                disabled={!isOnline || (applyingDomain !== null && applyingDomain !== domain)}
+                                onClick={() => handleApplyRamp(domain, suggestions)}
+                              >
+                                Apply Conservative Ramp
+                              </Button>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    )}
+                    {!isCollapsed && domainAccounts.map((account) => (
+                      <React.Fragment key={account.email}>
+                        <tr className="hover:bg-gray-50">
+                          <td className="pl-6 py-4">
+                            <input
+                              type="checkbox"
+                              aria-label={`Select ${account.email}`}
+                              checked={selected.includes(account.email)}
+                              disabled={!can.edit}
+                              onChange={() => toggleSelected(account.email)}
+                            />
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                            <button
+                              className="mr-1 text-gray-400 hover:text-indigo-600 align-middle"
+                              aria-label={`Toggle schedule for ${account.email}`}
+                              onClick={() => setExpandedAccount(expandedAccount === account.email ? null : account.email)}
+                            >
+                              <ChevronDown className={`h-4 w-4 transition ${expandedAccount === account.email ? 'rotate-180' : ''}`} />
+                            </button>
+                            <a href={routeHref('account-detail', { address: account.email })} className="hover:text-indigo-600">
+                              {account.email}
+                            </a>
+                            <div className="ml-5">
+                              <AuthBadge account={account} />
+                            </div>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STATUS_MAP[account.status]?.color}`}>
+                              {STATUS_MAP[account.status]?.text}
+                            </span>
+                            {account.status === 'error' && account.lastError && (
+                              <p className="mt-1 text-xs text-red-600 whitespace-normal">{account.lastError}</p>
+                            )}
+                            {queue.filter(op => op.email === account.email).map(op => (
+                              <p key={op.id} className="mt-1 text-xs text-gray-500">
+                                <Cloud className="h-3 w-3 inline mr-1" />
+                                {op.conflict ? `${QUEUED_OPERATIONS[op.type]} conflicted` : `${QUEUED_OPERATIONS[op.type]} queued`}
+                              </p>
+                            ))}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{todaysTarget(account, settings)}</td>
+                          <td className={`px-6 py-4 whitespace-nowrap text-sm font-semibold ${scoreColor(scores.accounts[account.email]?.score)}`}>
+                            {formatScore(scores.accounts[account.email]?.score)}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                            {withPoolDefaults(account.pool).mode === 'private' ? 'Private' : 'Shared'}
+                            <a href={routeHref('pool', {}, { email: account.email })} className="block text-xs text-indigo-600 hover:text-indigo-800">
+                              {(peerActivity.byAccount[account.email] || []).length} peers ({POOL_WINDOW_DAYS}d)
+                            </a>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-2">
+                            {!can.edit ? (
+                              <span className="text-xs text-gray-400">View only</span>
+                            ) : account.status === 'active' ? (
+                              <Button variant="secondary" className="p-2 h-auto text-xs" disabled={pendingStatus !== null} onClick={() => handleStatusChange('pause', [account.email])}>
+                                <Pause className="h-4 w-4 mr-1" /> Pause
+                              </Button>
+                            ) : (
+                              <Button variant="secondary" className="p-2 h-auto text-xs" disabled={pendingStatus !== null} onClick={() => handleStatusChange('resume', [account.email])}>
+                                <Play className="h-4 w-4 mr-1" /> {account.status === 'error' ? 'Retry' : 'Resume'}
+                              </Button>
+                            )}
+                            {can.edit && (
+                              <Button variant="danger" className="p-2 h-auto text-xs" onClick={() => handleRemove(account.email)}>
+                                <X className="h-4 w-4 mr-1" /> Remove
+                              </Button>
+                            )}
+                          </td>
+                        </tr>
+                        {expandedAccount === account.email && (
+                          <tr>
+                            <td colSpan="7" className="px-6 py-4 bg-gray-50">
+                              <AccountSchedule account={account} settings={settings} />
+                            </td>
+                          </tr>
+                        )}
+                      </React.Fragment>
+                    ))}
+                  </React.Fragment>
+                );
+              }) : (
+                <tr>
+                  <td colSpan="7" className="px-6 py-4 text-center text-sm text-gray-500">
+                    No email accounts are currently connected.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+          <p className="mt-4 text-xs text-gray-500">User ID for troubleshooting: {userId} · Workspace: {workspaceId}</p>
+        </div>
+      </Card>
+    </div>
+  );
+};
+
+// Provider error codes the OAuth callback can come back with.
+const OAUTH_ERROR_MESSAGES = {
+  access_denied: 'Access was not granted on the provider\'s consent screen.',
+  consent_required: 'An administrator must approve this app for your organization first.',
+  invalid_grant: 'The sign-in expired before it finished. Try again.',
+};
+
+// Where the backend returns the browser after the provider's consent screen.
+const OAuthCallbackPage = () => {
+  const { api, isReady } = useApi();
+  const { workspaceId } = useWorkspace();
+  const [result, setResult] = useState(null);
+  // The pending flow can only be consumed once
+  const handledRef = useRef(false);
+
+  useEffect(() => {
+    if (!isReady || !workspaceId || handledRef.current) return;
+    handledRef.current = true;
+
+    const params = queryFromHash(window.location.hash);
+    const state = params.get('state');
+    const pending = consumeOAuthState(sessionStorage, state);
+    if (!pending) {
+      setResult({ ok: false, error: 'This sign-in has expired or was already completed. Start it again from the accounts page.' });
+      return;
+    }
+
+    const providerError = params.get('error');
+    if (providerError) {
+      setResult({
+        ok: false,
+        pending,
+        error: OAUTH_ERROR_MESSAGES[providerError] || params.get('error_description') || `The provider returned "${providerError}".`,
+      });
+      return;
+    }
+
+    completeOAuth(api, pending, state)
+      .then(outcome => setResult({ ...outcome, pending }))
+      .catch((error) => {
+        console.error('OAuth Callback Error:', error);
+        setResult({ ok: false, pending, error: `${error.message} Check the backend URL.` });
+      });
+  }, [isReady, workspaceId]);
+
+  const retryHref = result?.pending?.email ? routeHref('account-detail', { address: result.pending.email }) : routeHref('emails');
+
+  return (
+    <div className="p-4 md:p-8 space-y-6">
+      <h1 className="text-3xl font-bold text-gray-900">Mailbox Sign-in</h1>
+      <Card>
+        {!result ? (
+          <p className="text-sm text-gray-500 flex items-center">
+            <Loader2 className="h-4 w-4 mr-2 animate-spin" /> Finishing the sign-in...
+          </p>
+        ) : result.ok ? (
+          <>
+            <Message message={{
+              type: 'success',
+              text: result.connected ? `Successfully connected: ${result.email}. Warmup started.` : `${result.email} is re-authorized.`,
+            }} />
+            <a href={routeHref('account-detail', { address: result.email })} className="text-sm text-indigo-600 hover:text-indigo-800">
+              View account
+            </a>
+          </>
+        ) : (
+          <>
+            <Message message={{ type: 'error', text: result.error }} />
+            <a href={retryHref} className="text-sm text-indigo-600 hover:text-indigo-800">Back to try again</a>
+          </>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+// Days of history shown on the account detail page.
+const HISTORY_DAYS = 30;
+const RECENT_ACTIVITY_LIMIT = 20;
+
+// An active account that hasn't synced for this long is probably stuck.
+const STALE_SYNC_MS = 24 * 60 * 60 * 1000;
+
+const ACTIVITY_SERIES = [
+  { key: 'sent', label: 'Sent', className: 'fill-indigo-500' },
+  { key: 'received', label: 'Received', className: 'fill-green-400' },
+  { key: 'replied', label: 'Replied', className: 'fill-yellow-400' },
+  { key: 'rescued', label: 'Rescued from spam', className: 'fill-red-400' },
+];
+
+// How the backend signs in to the mailbox, with re-authorization for OAuth
+// accounts and password re-entry (rotation) for password accounts.
+const AccountCredentials = ({ account }) => {
+  const { api } = useApi();
+  const { workspaceId, can } = useWorkspace();
+  const { timeZone } = useProfile();
+  const [password, setPassword] = useState('');
+  const [isEditing, setIsEditing] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isAuthorizing, setIsAuthorizing] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const auth = accountAuth(account);
+  const status = authStatus(account);
+  const isOAuth = AUTH_METHODS[auth.method].oauth;
+  // Password accounts on Google or Microsoft can switch to OAuth
+  const oauthMethod = isOAuth ? auth.method : oauthMethodFor(account.provider);
+
+  const prompts = {
+    expired: auth.error
+      ? `The backend could not sign in: ${auth.error}`
+      : `The authorization expired on ${formatDateTime(auth.expiresAt, timeZone)}.`,
+    expiring: `The authorization expires on ${formatDateTime(auth.expiresAt, timeZone)}. Re-authorize to keep warmup running.`,
+    rotate: `This password was set over ${PASSWORD_ROTATION_DAYS} days ago. Create a new app password with your provider and enter it below.`,
+  };
+
+  const handleReauthorize = async (method) => {
+    setIsAuthorizing(true);
+    setMessage(null);
+    try {
+      await startOAuth(api, { method, workspaceId, email: account.email });
+    } catch (error) {
+      console.error('OAuth Start Error:', error);
+      setMessage({ type: 'error', text: `Could not start the sign-in: ${error.message}` });
+      setIsAuthorizing(false);
+    }
+  };
+
+  const handlePassword = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setMessage(null);
+    try {
+      const result = await updateAccountPassword(api, workspaceId, account.email, password);
+      if (result.ok) {
+        setMessage({ type: 'success', text: 'Password updated. The backend signed in with it successfully.' });
+        setPassword('');
+        setIsEditing(false);
+      } else {
+        const hint = connectionHint(result.error);
+        setMessage({ type: 'error', text: hint ? `${result.error} ${hint}` : result.error });
+      }
+    } catch (error) {
+      console.error('Password Update Error:', error);
+      setMessage({ type: 'error', text: `${error.message} Check the backend URL.` });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <Message message={message} />
+      {prompts[status] && (
+        <Message message={{ type: AUTH_STATUSES[status].tone, text: prompts[status] }} />
+      )}
+      <dl className="grid grid-cols-2 md:grid-cols-3 gap-4 text-sm">
+        <div>
+          <dt className="text-gray-500">Method</dt>
+          <dd className="text-gray-900">{AUTH_METHODS[auth.method].label}</dd>
+        </div>
+        <div>
+          <dt className="text-gray-500">Status</dt>
+          <dd>
+            <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${LOG_STATUS_COLORS[AUTH_STATUSES[status].tone]}`}>
+              {AUTH_STATUSES[status].label}
+            </span>
+          </dd>
+        </div>
+        <div>
+          <dt className="text-gray-500">{isOAuth ? 'Authorized' : 'Password Set'}</dt>
+          <dd className="text-gray-900">{auth.updatedAt ? formatDateTime(auth.updatedAt, timeZone) : '—'}</dd>
+        </div>
+        {isOAuth && (
+          <div>
+            <dt className="text-gray-500">Expires</dt>
+            <dd className="text-gray-900">{auth.expiresAt ? formatDateTime(auth.expiresAt, timeZone) : 'No fixed expiry'}</dd>
+          </div>
+        )}
+      </dl>
+
+      {can.edit && (
+        <div className="flex flex-wrap gap-2">
+          {oauthMethod && (
+            <Button variant={isOAuth ? 'primary' : 'secondary'} loading={isAuthorizing} onClick={() => handleReauthorize(oauthMethod)}>
+              <KeyRound className="h-4 w-4 mr-2" /> {isOAuth ? 'Re-authorize' : `Switch to ${AUTH_METHODS[oauthMethod].label}`}
+            </Button>
+          )}
+          {!isOAuth && !isEditing && (
+            <Button variant="secondary" onClick={() => setIsEditing(true)}>Re-enter Password</Button>
+          )}
+        </div>
+      )}
+
+      {can.edit && !isOAuth && isEditing && (
+        <form onSubmit={handlePassword} className="space-y-4">
+          <Input
+            label="New App Password"
+            id="account-password"
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Encrypted in your browser before sending"
+            required
+          />
+          <p className="text-xs text-gray-500">The backend signs in with the new password before replacing the old one.</p>
+          <div className="flex gap-2">
+            <Button type="submit" loading={isSaving} disabled={!password}>Update Password</Button>
+            <Button variant="secondary" onClick={() => { setIsEditing(false); setPassword(''); }}>Cancel</Button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+// Per-account overrides of the global warmup settings. Blank fields inherit.
+const AccountOverrides = ({ account, settings }) => {
+  const { api } = useApi();
+  const { workspaceId, can } = useWorkspace();
+  const overridesKey = JSON.stringify(account.settingsOverrides || {});
+  const toForm = () => Object.fromEntries(SETTINGS_FIELDS.map(({ field }) => [
+    field,
+    account.settingsOverrides?.[field] != null ? String(account.settingsOverrides[field]) : '',
+  ]));
+  const [form, setForm] = useState(toForm);
+  const [errors, setErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  // Follow changes saved elsewhere
+  useEffect(() => {
+    setForm(toForm());
+  }, [overridesKey]);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const overridden = Object.keys(form).filter(field => form[field].trim() !== '');
+    // Validate the effective settings so cross-field rules (max >= start) still apply
+    const { settings: effective, errors: validationErrors } = validateWarmupSettings({
+      ...settings,
+      ...Object.fromEntries(overridden.map(field => [field, form[field]])),
+    });
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) {
+      setMessage({ type: 'error', text: 'Please fix the highlighted overrides.' });
+      return;
+    }
+
+    const overrides = Object.fromEntries(overridden.map(field => [field, effective[field]]));
+    setIsSaving(true);
+    setMessage(null);
+
+    try {
+      const saved = await updateAccount(workspaceId, account.email, () => ({ settingsOverrides: overrides }));
+      if (!saved) throw new Error('The account no longer exists.');
+    } catch (error) {
+      console.error('Save Overrides Error:', error);
+      setMessage({ type: 'error', text: `Failed to save overrides: ${error.message}` });
+      setIsSaving(false);
+      return;
+    }
+
+    let synced = false;
+    try {
+      await api.put(`/api/emails/${encodeURIComponent(account.email)}/settings`, { overrides, workspaceId });
+      synced = true;
+    } catch (error) {
+      console.error('Overrides Sync Error:', error);
+    }
+    await logEventSafely(workspaceId, { event: ACCOUNT_EVENTS.settingsUpdated, email: account.email, status: synced ? 'success' : 'warning' });
+
+    setMessage(synced
+      ? { type: 'success', text: overridden.length > 0 ? 'Overrides saved and applied.' : 'Overrides cleared; this account follows the global settings.' }
+      : { type: 'warning', text: 'Overrides saved, but the backend could not be reached. They will not drive the ramp until synced.' });
+    setIsSaving(false);
+  };
+
+  return (
+    <form onSubmit={handleSave} className="space-y-4">
+      <p className="text-sm text-gray-600">Leave a field blank to use the global value shown as its placeholder.</p>
+      <Message message={message} />
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {SETTINGS_FIELDS.map(({ field, label, id }) => (
+          <Input
+            key={field}
+            label={label}
+            id={`override-${id}`}
+            type="number"
+            value={form[field]}
+            onChange={(e) => {
+              setForm({ ...form, [field]: e.target.value });
+              setErrors({ ...errors, [field]: undefined });
+            }}
+            placeholder={String(settings[field])}
+            min={WARMUP_SETTINGS_LIMITS[field].min}
+            max={WARMUP_SETTINGS_LIMITS[field].max}
+            step={1}
+            error={errors[field]}
+            disabled={!can.edit}
+          />
+        ))}
+      </div>
+      {can.edit && (
+        <div className="flex space-x-2">
+          <Button type="submit" loading={isSaving}>
+            <Settings className="h-4 w-4 mr-2" /> Save Overrides
+          </Button>
+          <Button variant="secondary" disabled={isSaving} onClick={() => setForm(Object.fromEntries(SETTINGS_FIELDS.map(({ field }) => [field, ''])))}>
+            Clear All
+          </Button>
+        </div>
+      )}
+    </form>
+  );
+};
+
+// Which enabled templates an account sends from; none selected means all of them.
+const AccountTemplates = ({ account }) => {
+  const { api } = useApi();
+  const { workspaceId, can } = useWorkspace();
+  const templates = useTemplates().filter(t => t.enabled);
+  const [selected, setSelected] = useState(account.templateIds || []);
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    setSelected(account.templateIds || []);
+  }, [JSON.stringify(account.templateIds || [])]);
+
+  // Templates since disabled or deleted no longer count towards the selection
+  const chosen = selected.filter(id => templates.some(t => t.id === id));
+
+  const toggle = (templateId) => setSelected(current => (current.includes(templateId)
+    ? current.filter(id => id !== templateId)
+    : [...current, templateId]));
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setMessage(null);
+    try {
+      const saved = await updateAccount(workspaceId, account.email, () => ({ templateIds: chosen }));
+      if (!saved) throw new Error('The account no longer exists.');
+    } catch (error) {
+      console.error('Save Template Set Error:', error);
+      setMessage({ type: 'error', text: `Failed to save the template set: ${error.message}` });
+      setIsSaving(false);
+      return;
+    }
+
+    let synced = false;
+    try {
+      await api.put(`/api/emails/${encodeURIComponent(account.email)}/templates`, { templateIds: chosen, workspaceId });
+      synced = true;
+    } catch (error) {
+      console.error('Template Set Sync Error:', error);
+    }
+    await logEventSafely(workspaceId, { event: ACCOUNT_EVENTS.templatesUpdated, email: account.email, status: synced ? 'success' : 'warning' });
+
+    setMessage(synced
+      ? { type: 'success', text: 'Template set saved.' }
+      : { type: 'warning', text: 'Template set saved, but the backend could not be reached.' });
+    setIsSaving(false);
+  };
+
+  if (templates.length === 0) {
+    return (
+      <p className="text-sm text-gray-500">
+        No enabled templates. <a href={routeHref('templates')} className="text-indigo-600 hover:text-indigo-800">Create one</a> to control what this account sends.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <Message message={message} />
+      <p className="text-sm text-gray-600">
+        {chosen.length === 0 ? 'This account uses every enabled template.' : `This account uses ${chosen.length} of ${templates.length} enabled templates.`}
+      </p>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+        {templates.map(template => (
+          <label key={template.id} className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              className="mr-2"
+              checked={selected.includes(template.id)}
+              disabled={!can.edit}
+              onChange={() => toggle(template.id)}
+            />
+            {template.name}
+            <span className="ml-2 text-xs text-gray-400">{TEMPLATE_LANGUAGES[template.language] || template.language}</span>
+          </label>
+        ))}
+      </div>
+      {can.edit && (
+        <Button loading={isSaving} onClick={handleSave}>Save Template Set</Button>
+      )}
+    </div>
+  );
+};
+
+const TOP_PEERS_LIMIT = 5;
+
+const toPoolForm = (pool) => ({
+  mode: pool.mode,
+  providerMix: Object.fromEntries(Object.entries(pool.providerMix).map(([provider, share]) => [provider, String(share)])),
+});
+
+// Shared or private pool membership and the target provider mix for one account.
+const AccountPool = ({ account, accounts, peers }) => {
+  const { api } = useApi();
+  const { workspaceId, can } = useWorkspace();
+  const saved = withPoolDefaults(account.pool);
+  const savedKey = JSON.stringify(saved);
+  const [form, setForm] = useState(() => toPoolForm(saved));
+  const [errors, setErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    setForm(toPoolForm(saved));
+  }, [savedKey]);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const { pool, errors: validationErrors } = validatePoolSettings(form);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) {
+      setMessage({ type: 'error', text: 'Please fix the highlighted fields.' });
+      return;
+    }
+
+    setIsSaving(true);
+    setMessage(null);
+    try {
+      const updated = await updateAccount(workspaceId, account.email, () => ({ pool }));
+      if (!updated) throw new Error('The account no longer exists.');
+    } catch (error) {
+      console.error('Save Pool Settings Error:', error);
+      setMessage({ type: 'error', text: `Failed to save pool settings: ${error.message}` });
+      setIsSaving(false);
+      return;
+    }
+
+    let synced = false;
+    try {
+      await api.put(`/api/emails/${encodeURIComponent(account.email)}/pool`, { pool, workspaceId });
+      synced = true;
+    } catch (error) {
+      console.error('Pool Sync Error:', error);
+    }
+    await logEventSafely(workspaceId, { event: ACCOUNT_EVENTS.poolUpdated, email: account.email, status: synced ? 'success' : 'warning' });
+
+    setMessage(synced
+      ? { type: 'success', text: 'Pool settings saved and applied.' }
+      : { type: 'warning', text: 'Pool settings saved, but the backend could not be reached.' });
+    setIsSaving(false);
+  };
+
+  const actual = actualProviderMix(peers);
+  const issues = poolIssues(account, accounts, peers);
+
+  return (
+    <div className="space-y-6">
+      <form onSubmit={handleSave} className="space-y-4">
+        <Message message={message} />
+        <Select
+          label="Pool"
+          id="pool-mode"
+          value={form.mode}
+          onChange={(e) => setForm({ ...form, mode: e.target.value })}
+          options={Object.entries(POOL_MODES).map(([value, label]) => ({ value, label }))}
+          disabled={!can.edit}
+        />
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          {Object.entries(PEER_PROVIDERS).map(([provider, { label }]) => (
+            <Input
+              key={provider}
+              label={`${label} (%)`}
+              id={`pool-mix-${provider}`}
+              type="number"
+              min="0"
+              max="100"
+              value={form.providerMix[provider]}
+              onChange={(e) => setForm({ ...form, providerMix: { ...form.providerMix, [provider]: e.target.value } })}
+              disabled={!can.edit}
+              error={errors[provider]}
+            />
+          ))}
+        </div>
+        {errors.providerMix && <p className="text-xs text-red-600">{errors.providerMix}</p>}
+        {can.edit && <Button type="submit" loading={isSaving}>Save Pool Settings</Button>}
+      </form>
+
+      <div>
+        <h3 className="text-sm font-semibold text-gray-700 mb-2">Provider Mix (last {POOL_WINDOW_DAYS} days of sends)</h3>
+        <dl className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+          {Object.entries(PEER_PROVIDERS).map(([provider, { label }]) => (
+            <div key={provider}>
+              <dt className="text-gray-500">{label}</dt>
+              <dd className="text-gray-900">
+                {actual ? `${actual[provider]}%` : '—'}
+                <span className="text-xs text-gray-500"> of {saved.providerMix[provider]}% target</span>
+              </dd>
+            </div>
+          ))}
+        </dl>
+        {issues.map(issue => (
+          <p key={issue} className="mt-2 text-xs text-yellow-700 flex items-center">
+            <AlertTriangle className="h-3 w-3 mr-1 flex-shrink-0" /> {issue}
+          </p>
+        ))}
+      </div>
+
+      <div>
+        <h3 className="text-sm font-semibold text-gray-700 mb-2">Busiest Peers</h3>
+        {peers.length > 0 ? (
+          <ul className="divide-y divide-gray-200 text-sm">
+            {peers.slice(0, TOP_PEERS_LIMIT).map(peer => (
+              <li key={peer.peer} className="py-1 flex justify-between">
+                <span className="text-gray-900">{peer.peer}</span>
+                <span className="text-gray-500 text-xs">{PEER_PROVIDERS[peer.provider].label} · {peer.total} interactions · {peer.replied} replies</span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500">No peer interactions recorded in the last {POOL_WINDOW_DAYS} days.</p>
+        )}
+        <a href={routeHref('pool', {}, { email: account.email })} className="inline-block mt-2 text-sm text-indigo-600 hover:text-indigo-800">
+          View all peers for this account
+        </a>
+      </div>
+    </div>
+  );
+};
+
+const PREVIEW_HOURS = 24;
+
+const toWindowForm = (sendingWindow) => ({
+  ...sendingWindow,
+  startHour: String(sendingWindow.startHour),
+  endHour: String(sendingWindow.endHour),
+  blackoutDates: sendingWindow.blackoutDates.join(', '),
+});
+
+// When the account sends, and the next day's planned sends paced across that window.
+const AccountSendingWindow = ({ account, settings }) => {
+  const { api } = useApi();
+  const { workspaceId, can } = useWorkspace();
+  const { timeZone } = useProfile();
+  const zones = useMemo(() => listTimeZones(), []);
+  const saved = withWindowDefaults(account.sendingWindow, timeZone);
+  const savedKey = JSON.stringify(saved);
+  const [form, setForm] = useState(() => toWindowForm(saved));
+  const [errors, setErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    setForm(toWindowForm(saved));
+  }, [savedKey]);
+
+  const toggleDay = (day) => setForm({
+    ...form,
+    days: form.days.includes(day) ? form.days.filter(d => d !== day) : [...form.days, day],
+  });
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const { sendingWindow, errors: validationErrors } = validateSendingWindow(form);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) {
+      setMessage({ type: 'error', text: 'Please fix the highlighted fields.' });
+      return;
+    }
+
+    setIsSaving(true);
+    setMessage(null);
+    try {
+      const updated = await updateAccount(workspaceId, account.email, () => ({ sendingWindow }));
+      if (!updated) throw new Error('The account no longer exists.');
+    } catch (error) {
+      console.error('Save Sending Window Error:', error);
+      setMessage({ type: 'error', text: `Failed to save the sending window: ${error.message}` });
+      setIsSaving(false);
+      return;
+    }
+
+    let synced = false;
+    try {
+      await api.put(`/api/emails/${encodeURIComponent(account.email)}/schedule`, { sendingWindow, workspaceId });
+      synced = true;
+    } catch (error) {
+      console.error('Sending Window Sync Error:', error);
+    }
+    await logEventSafely(workspaceId, { event: ACCOUNT_EVENTS.sendingWindowUpdated, email: account.email, status: synced ? 'success' : 'warning' });
+
+    setMessage(synced
+      ? { type: 'success', text: 'Sending window saved and applied.' }
+      : { type: 'warning', text: 'Sending window saved, but the backend could not be reached.' });
+    setIsSaving(false);
+  };
+
+  // Preview the form as edited when it's valid, otherwise what's saved
+  const draft = validateSendingWindow(form);
+  const isDraftValid = Object.keys(draft.errors).length === 0;
+  const previewWindow = isDraftValid ? draft.sendingWindow : saved;
+  const effective = accountWarmupSettings(account, settings);
+  const planned = account.status === 'active'
+    ? planSends({
+      sendingWindow: previewWindow,
+      countForDay: (dayStart) => targetVolumeForDay(warmupDayIndex(account.joined ?? dayStart, dayStart), effective),
+      hours: PREVIEW_HOURS,
+      seed: accountKey(account.email),
+    })
+    : [];
+
+  return (
+    <div className="space-y-6">
+      <form onSubmit={handleSave} className="space-y-4">
+        <Message message={message} />
+        <div>
+          <span className="block text-sm font-medium text-gray-700 mb-1">Sending Days</span>
+          <div className="flex flex-wrap gap-3">
+            {WEEKDAYS.map((label, day) => (
+              <label key={label} className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  className="mr-1"
+                  checked={form.days.includes(day)}
+                  disabled={!can.edit}
+                  onChange={() => toggleDay(day)}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+          {errors.days && <p className="text-xs text-red-600 mt-1">{errors.days}</p>}
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <Input
+            label="Start Hour (0-23)"
+            id="window-start-hour"
+            type="number"
+            min="0"
+            max="23"
+            value={form.startHour}
+            onChange={(e) => setForm({ ...form, startHour: e.target.value })}
+            disabled={!can.edit}
+            error={errors.startHour}
+          />
+          <Input
+            label="End Hour (1-24)"
+            id="window-end-hour"
+            type="number"
+            min="1"
+            max="24"
+            value={form.endHour}
+            onChange={(e) => setForm({ ...form, endHour: e.target.value })}
+            disabled={!can.edit}
+            error={errors.endHour}
+          />
+          <div>
+            <Select
+              label="Time Zone"
+              id="window-time-zone"
+              value={form.timeZone}
+              onChange={(e) => setForm({ ...form, timeZone: e.target.value })}
+              options={zones.map(zone => ({ value: zone, label: zone }))}
+              disabled={!can.edit}
+            />
+            {errors.timeZone && <p className="text-xs text-red-600 mt-1">{errors.timeZone}</p>}
+          </div>
+        </div>
+        <Input
+          label="Blackout Dates (YYYY-MM-DD, comma separated)"
+          id="window-blackout-dates"
+          value={form.blackoutDates}
+          onChange={(e) => setForm({ ...form, blackoutDates: e.target.value })}
+          placeholder="2026-12-24, 2026-12-25"
+          disabled={!can.edit}
+          error={errors.blackoutDates}
+        />
+        {can.edit && (
+          <div className="flex space-x-2">
+            <Button type="submit" loading={isSaving}>Save Sending Window</Button>
+            <Button variant="secondary" disabled={isSaving} onClick={() => setForm(toWindowForm(withWindowDefaults({ ...DEFAULT_SENDING_WINDOW, timeZone: form.timeZone })))}>
+              Reset to Default
+            </Button>
+          </div>
+        )}
+      </form>
+
+      <div>
+        <h3 className="text-sm font-semibold text-gray-700 mb-2">
+          Next {PREVIEW_HOURS} Hours: {planned.length} planned send{planned.length === 1 ? '' : 's'}
+        </h3>
+        <p className="text-xs text-gray-500 mb-2">
+          {describeWindow(previewWindow)}{isDraftValid && JSON.stringify(previewWindow) !== savedKey ? ' (unsaved changes)' : ''}.
+          Times are paced across the window with random jitter.
+        </p>
+        {account.status !== 'active' ? (
+          <p className="text-sm text-gray-500">Warmup is not running for this account, so nothing is planned.</p>
+        ) : planned.length > 0 ? (
+          <ul className="divide-y divide-gray-200 max-h-64 overflow-y-auto text-sm">
+            {planned.map((at, i) => (
+              <li key={`${at}-${i}`} className="py-1 flex justify-between">
+                <span className="text-gray-500">#{i + 1}</span>
+                <span className="text-gray-900">
+                  {formatDateTime(at, timeZone)}
+                  {previewWindow.timeZone !== timeZone && (
+                    <span className="ml-2 text-xs text-gray-400">{formatDateTime(at, previewWindow.timeZone, { timeStyle: 'short' })} account time</span>
+                  )}
+                </span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500">No sends fall in the next {PREVIEW_HOURS} hours of this window.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const AccountDetailPage = ({ address }) => {
+  const { workspaceId } = useWorkspace();
+  const { timeZone } = useProfile();
+  const accounts = useEmailAccounts();
+  const settings = useWarmupSettings();
+  const account = accounts.find(acc => accountKey(acc.email) === accountKey(address));
+  const [history, setHistory] = useState([]);
+  const [recent, setRecent] = useState([]);
+
+  useEffect(() => {
+    if (!workspaceId || !account) return;
+
+    const logsRef = workspaceCollection(workspaceId, 'logs');
+    const since = Date.now() - HISTORY_DAYS * DAY_MS;
+    const unsubscribeHistory = onSnapshot(
+      query(logsRef, where('email', '==', account.email), where('timestamp', '>=', since)),
+      (snapshot) => setHistory(snapshot.docs.map(doc => doc.data())),
+    );
+    const unsubscribeRecent = onSnapshot(
+      query(logsRef, where('email', '==', account.email), orderBy('timestamp', 'desc'), limit(RECENT_ACTIVITY_LIMIT)),
+      (snapshot) => setRecent(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))),
+    );
+
+    return () => {
+      unsubscribeHistory();
+      unsubscribeRecent();
+    };
+  }, [workspaceId, account?.email]);
+
+  if (!account) {
+    return (
+      <div className="p-4 md:p-8 space-y-6">
+        <a href={routeHref('emails')} className="inline-flex items-center text-sm text-indigo-600 hover:text-indigo-800">
+          <ArrowLeft className="h-4 w-4 mr-1" /> All accounts
+        </a>
+        <h1 className="text-3xl font-bold text-gray-900 break-all">{address}</h1>
+        <Card>
+          <p className="text-sm text-center text-gray-500">This account is not connected.</p>
+        </Card>
+      </div>
+    );
+  }
+
+  const effective = accountWarmupSettings(account, settings);
+  const warmupDay = Math.min(warmupDayIndex(account.joined) + 1, effective.warmupDays);
+  const isWarmupComplete = warmupDayIndex(account.joined) >= effective.warmupDays;
+  const score = scoreLogs(history, { targetReplyRate: effective.targetReplyRate, timeZone });
+  const reputation = scoreLogs(history, { targetReplyRate: effective.targetReplyRate, days: HISTORY_DAYS, timeZone }).trend;
+  const isStale = account.status === 'active' && (!account.lastSync || Date.now() - account.lastSync > STALE_SYNC_MS);
+  const peers = tallyPeers(history.filter(log => log.timestamp >= Date.now() - POOL_WINDOW_DAYS * DAY_MS));
+  const activity = dailyTallies(history, { days: HISTORY_DAYS, timeZone }).map(day => ({
+    label: dayLabel(day.date, timeZone),
+    values: { sent: day.sent, received: day.inbox + day.spam, replied: day.replied, rescued: day.rescued },
+  }));
+
+  return (
+    <div className="p-4 md:p-8 space-y-6">
+      <a href={routeHref('emails')} className="inline-flex items-center text-sm text-indigo-600 hover:text-indigo-800">
+        <ArrowLeft className="h-4 w-4 mr-1" /> All accounts
+      </a>
+      <h1 className="text-3xl font-bold text-gray-900 break-all">{address}</h1>
+
+      <Card title="Overview">
+        <dl className="grid grid-cols-2 md:grid-cols-3 gap-4 text-sm">
+          <div>
+            <dt className="text-gray-500">Status</dt>
+            <dd>
+              <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STATUS_MAP[account.status]?.color}`}>
+                {STATUS_MAP[account.status]?.text}
+              </span>
+              {account.status === 'error' && account.lastError && (
+                <p className="mt-1 text-xs text-red-600">{account.lastError}</p>
+              )}
+            </dd>
+          </div>
+          <div>
+            <dt className="text-gray-500">Today&apos;s Target</dt>
+            <dd className="text-gray-900 font-semibold">{todaysTarget(account, settings)} emails</dd>
+          </div>
+          <div>
+            <dt className="text-gray-500">Score ({SCORE_WINDOW_DAYS}d)</dt>
+            <dd className={`font-semibold ${scoreColor(score.overall)}`}>{formatScore(score.overall)}</dd>
+          </div>
+          <div>
+            <dt className="text-gray-500">Warmup Progress</dt>
+            <dd className="text-gray-900">
+              {isWarmupComplete ? 'Complete' : `Day ${warmupDay} of ${effective.warmupDays}`}
+              <div className="mt-1 h-2 w-full rounded-full bg-gray-200">
+                <div className="h-2 rounded-full bg-indigo-500" style={{ width: `${Math.round((warmupDay / effective.warmupDays) * 100)}%` }} />
+              </div>
+            </dd>
+          </div>
+          <div>
+            <dt className="text-gray-500">Sign-in</dt>
+            <dd><AuthBadge account={account} /></dd>
+          </div>
+          <div>
+            <dt className="text-gray-500">Sending Window</dt>
+            <dd className="text-gray-900">{describeWindow(withWindowDefaults(account.sendingWindow, timeZone))}</dd>
+          </div>
+          <div>
+            <dt className="text-gray-500">Joined</dt>
+            <dd className="text-gray-900">{account.joined ? dayLabel(account.joined, timeZone) : '—'}</dd>
+          </div>
+          <div>
+            <dt className="text-gray-500">Last Sync</dt>
+            <dd className={isStale ? 'text-yellow-700 font-semibold' : 'text-gray-900'} title={account.lastSync ? formatDateTime(account.lastSync, timeZone) : ''}>
+              {formatAge(account.lastSync)}
+              {isStale && (
+                <p className="text-xs font-normal flex items-center">
+                  <AlertTriangle className="h-3 w-3 mr-1" /> Stale: the backend hasn&apos;t synced this account in over a day.
+                </p>
+              )}
+            </dd>
+          </div>
+        </dl>
+      </Card>
+
+      <Card title="Credentials">
+        <AccountCredentials account={account} />
+      </Card>
+
+      <Card title={`Daily Activity (last ${HISTORY_DAYS} days)`}>
+        {history.length > 0
+          ? <DailyBarChart days={activity} series={ACTIVITY_SERIES} />
+          : <p className="text-sm text-center text-gray-500">No warmup activity recorded yet.</p>}
+      </Card>
+
+      <Card title="Reputation Timeline">
+        {reputation.some(p => p.score !== null) ? (
+          <>
+            <TrendChart points={reputation} />
+            <div className="flex justify-between text-xs text-gray-500 mt-1">
+              <span>{dayLabel(reputation[0].date, timeZone)}</span>
+              <span>{dayLabel(reputation[reputation.length - 1].date, timeZone)}</span>
+            </div>
+          </>
+        ) : (
+          <p className="text-sm text-center text-gray-500">No scored days yet.</p>
+        )}
+      </Card>
+
+      <Card title="Ramp-up Schedule">
+        <AccountSchedule account={account} settings={settings} />
+      </Card>
+
+      <Card title="Sending Window">
+        <AccountSendingWindow account={account} settings={settings} />
+      </Card>
+
+      <Card title="Warmup Pool">
+        <AccountPool account={account} accounts={accounts} peers={peers} />
+      </Card>
+
+      <Card title="Warmup Setting Overrides">
+        <AccountOverrides account={account} settings={settings} />
+      </Card>
+
+      <Card title="Engagement Rules">
+        <AccountEngagement account={account} />
+      </Card>
+
+      <Card title="Content Templates">
+        <AccountTemplates account={account} />
+      </Card>
+
+      <Card title="Recent Activity">
+        {recent.length > 0 ? (
+          <ul className="divide-y divide-gray-200">
+            {recent.map(log => (
+              <li key={log.id} className="py-2 flex items-center justify-between text-sm">
+                <span className="text-gray-900">{log.event}</span>
+                <span className="flex items-center space-x-3">
+                  <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${LOG_STATUS_COLORS[log.status] || LOG_STATUS_COLORS.error}`}>
+                    {log.status}
+                  </span>
+                  <span className="text-gray-500 text-xs">{formatDateTime(log.timestamp, timeZone)}</span>
+                </span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-center text-gray-500">No activity for this account yet.</p>
+        )}
+        <a href={routeHref('logs', {}, { email: account.email })} className="inline-block mt-4 text-sm text-indigo-600 hover:text-indigo-800">
+          View full activity log for this account
+        </a>
+      </Card>
+    </div>
+  );
+};
+
+const SETTINGS_FIELDS = [
+  { field: 'startVolume', label: 'Starting Daily Volume (Per Account)', id: 'start-volume' },
+  { field: 'maxDailyEmails', label: 'Max Daily Emails (Per Account)', id: 'max-daily' },
+  { field: 'dailyIncreasePct', label: 'Daily Volume Increase (%)', id: 'daily-increase' },
+  { field: 'targetReplyRate', label: 'Target Reply Rate (%)', id: 'target-reply' },
+  { field: 'warmupDays', label: 'Warmup Duration (Days)', id: 'warmup-days' },
+];
+
+const toFormValues = (settings) => Object.fromEntries(
+  Object.entries(withWarmupDefaults(settings)).map(([field, value]) => [field, String(value)])
+);
+
+const toEngagementForm = (rules) => Object.fromEntries(
+  Object.entries(rules).map(([key, rule]) => [key, Object.fromEntries(
+    Object.entries(rule).map(([field, value]) => [field, field === 'enabled' ? value : String(value)])
+  )])
+);
+
+const ENABLED_OVERRIDE_OPTIONS = [
+  { value: '', label: 'Inherit' },
+  { value: 'on', label: 'On' },
+  { value: 'off', label: 'Off' },
+];
+
+// Editable rows for the engagement rules. With `inherited` set the rows edit
+// account overrides: `enabled` becomes inherit/on/off and blank parameters
+// fall back to the inherited values shown as placeholders.
+const EngagementRuleFields = ({ values, onChange, errors, disabled, inherited = null }) => (
+  <div className="divide-y divide-gray-200">
+    {Object.entries(ENGAGEMENT_RULES).map(([key, rule]) => {
+      const value = values[key] || {};
+      const update = (field, fieldValue) => onChange({ ...values, [key]: { ...value, [field]: fieldValue } });
+
+      return (
+        <div key={key} className="py-4 grid grid-cols-1 md:grid-cols-3 gap-4 items-start">
+          <div>
+            {inherited ? (
+              <Select
+                label={rule.label}
+                id={`engagement-${key}-enabled`}
+                value={value.enabled === true ? 'on' : value.enabled === false ? 'off' : ''}
+                onChange={(e) => update('enabled', e.target.value === '' ? undefined : e.target.value === 'on')}
+                disabled={disabled}
+                options={ENABLED_OVERRIDE_OPTIONS.map(option => (option.value === ''
+                  ? { ...option, label: `Inherit (${inherited[key].enabled ? 'on' : 'off'})` }
+                  : option))}
+              />
+            ) : (
+              <label className="flex items-center text-sm font-medium text-gray-800">
+                <input
+                  type="checkbox"
+                  className="mr-2"
+                  checked={value.enabled !== false}
+                  disabled={disabled}
+                  onChange={(e) => update('enabled', e.target.checked)}
+                />
+                {rule.label}
+              </label>
+            )}
+            <p className="mt-1 text-xs text-gray-500">{rule.description}</p>
+          </div>
+          {Object.entries(rule.params).map(([param, { label, min, max }]) => (
+            <Input
+              key={param}
+              label={label}
+              id={`engagement-${key}-${param}`}
+              type="number"
+              value={value[param] ?? ''}
+              onChange={(e) => update(param, e.target.value)}
+              placeholder={inherited ? String(inherited[key][param]) : ''}
+              min={min}
+              max={max}
+              step={1}
+              disabled={disabled}
+              error={errors[`${key}.${param}`]}
+            />
+          ))}
+        </div>
+      );
+    })}
+  </div>
+);
+
+const EngagementRulesCard = () => {
+  const { api } = useApi();
+  const { workspaceId, can } = useWorkspace();
+  const rules = useEngagementRules();
+  const accounts = useEmailAccounts();
+  const [form, setForm] = useState(() => toEngagementForm(rules));
+  const [errors, setErrors] = useState({});
+  const [isDirty, setIsDirty] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  // Follow saved rules until the user starts editing
+  useEffect(() => {
+    if (!isDirty) setForm(toEngagementForm(rules));
+  }, [rules, isDirty]);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const { rules: validated, errors: validationErrors } = validateEngagementRules(form);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) {
+      setMessage({ type: 'error', text: 'Please fix the highlighted rules.' });
+      return;
+    }
+
+    setIsSaving(true);
+    setMessage(null);
+    try {
+      const synced = await saveEngagementRules(api, workspaceId, validated);
+      setIsDirty(false);
+      setMessage(synced
+        ? { type: 'success', text: 'Engagement rules saved and applied to the warmup backend.' }
+        : { type: 'warning', text: 'Engagement rules saved, but the backend could not be reached.' });
+    } catch (error) {
+      console.error('Save Engagement Rules Error:', error);
+      setMessage({ type: 'error', text: 'Failed to save engagement rules.' });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <>
+      <Card title="Engagement Simulation Rules">
+        <form onSubmit={handleSave}>
+          <p className="text-sm text-gray-600">
+            How seed inboxes interact with warmup emails. These are the workspace defaults; accounts can override them on their detail page.
+          </p>
+          <Message message={message} />
+          <EngagementRuleFields
+            values={form}
+            onChange={(values) => {
+              setForm(values);
+              setIsDirty(true);
+            }}
+            errors={errors}
+            disabled={!can.edit}
+          />
+          {can.edit && (
+            <Button type="submit" loading={isSaving} className="mt-2">
+              <Settings className="h-4 w-4 mr-2" /> Save Engagement Rules
+            </Button>
+          )}
+        </form>
+        <div className="flex flex-wrap gap-2 mt-4">
+          <Button variant="secondary" onClick={() => navigate('templates')}>
+            <FileText className="h-4 w-4 mr-2" /> Manage Content Templates
+          </Button>
+          <Button variant="secondary" onClick={() => navigate('diagnostics')}>
+            <RefreshCw className="h-4 w-4 mr-2" /> View Detailed Diagnostics
+          </Button>
+        </div>
+      </Card>
+
+      <Card title="Active Rules by Account">
+        {accounts.length > 0 ? (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Account</th>
+                  {Object.entries(ENGAGEMENT_RULES).map(([key, rule]) => (
+                    <th key={key} scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{rule.label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {accounts.map(account => {
+                  const effective = accountEngagementRules(account, rules);
+                  return (
+                    <tr key={account.email}>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm font-medium text-gray-900">
+                        <a href={routeHref('account-detail', { address: account.email })} className="hover:text-indigo-600">{account.email}</a>
+                      </td>
+                      {Object.keys(ENGAGEMENT_RULES).map(key => (
+                        <td key={key} className="px-4 py-3 whitespace-nowrap text-xs">
+                          {effective[key].enabled ? (
+                            <span className="text-green-700">
+                              <CheckCircle className="h-4 w-4 inline mr-1" />
+                              {describeEngagementRule(key, effective[key])}
+                            </span>
+                          ) : (
+                            <span className="text-gray-400">Off</span>
+                          )}
+                          {account.engagementOverrides?.[key] && <span className="ml-1 text-indigo-600" title="Overridden for this account">*</span>}
+                        </td>
+                      ))}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            <p className="mt-2 text-xs text-gray-500">* overridden for that account</p>
+          </div>
+        ) : (
+          <p className="text-sm text-center text-gray-500">No email accounts are currently connected.</p>
+        )}
+      </Card>
+    </>
+  );
+};
+
+// Per-account overrides of the workspace engagement rules.
+const AccountEngagement = ({ account }) => {
+  const { api } = useApi();
+  const { workspaceId, can } = useWorkspace();
+  const rules = useEngagementRules();
+  const overridesKey = JSON.stringify(account.engagementOverrides || {});
+  const [form, setForm] = useState(() => toEngagementForm(account.engagementOverrides || {}));
+  const [errors, setErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    setForm(toEngagementForm(account.engagementOverrides || {}));
+  }, [overridesKey]);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const { overrides, errors: validationErrors } = validateEngagementOverrides(form);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) {
+      setMessage({ type: 'error', text: 'Please fix the highlighted rules.' });
+      return;
+    }
+
+    setIsSaving(true);
+    setMessage(null);
+    try {
+      const saved = await updateAccount(workspaceId, account.email, () => ({ engagementOverrides: overrides }));
+      if (!saved) throw new Error('The account no longer exists.');
+    } catch (error) {
+      console.error('Save Engagement Overrides Error:', error);
+      setMessage({ type: 'error', text: `Failed to save overrides: ${error.message}` });
+      setIsSaving(false);
+      return;
+    }
+
+    let synced = false;
+    try {
+      await api.put(`/api/emails/${encodeURIComponent(account.email)}/engagement`, { overrides, workspaceId });
+      synced = true;
+    } catch (error) {
+      console.error('Engagement Sync Error:', error);
+    }
+    await logEventSafely(workspaceId, { event: ACCOUNT_EVENTS.engagementUpdated, email: account.email, status: synced ? 'success' : 'warning' });
+
+    setMessage(synced
+      ? { type: 'success', text: 'Engagement overrides saved and applied.' }
+      : { type: 'warning', text: 'Engagement overrides saved, but the backend could not be reached.' });
+    setIsSaving(false);
+  };
+
+  return (
+    <form onSubmit={handleSave}>
+      <Message message={message} />
+      <EngagementRuleFields values={form} onChange={setForm} errors={errors} disabled={!can.edit} inherited={rules} />
+      {can.edit && (
+        <div className="flex space-x-2 mt-2">
+          <Button type="submit" loading={isSaving}>Save Overrides</Button>
+          <Button variant="secondary" disabled={isSaving} onClick={() => setForm({})}>Inherit All</Button>
+        </div>
+      )}
+    </form>
+  );
+};
+
+const WarmupControlPage = () => {
+  const { workspaceId, can } = useWorkspace();
+  const { api } = useApi();
+  const { isOnline, queueOperation } = useSync();
+  const [form, setForm] = useState(toFormValues(DEFAULT_WARMUP_SETTINGS));
+  const [errors, setErrors] = useState({});
+  const [isDirty, setIsDirty] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  // updatedAt of the stored settings, so an offline save can detect conflicting edits
+  const [serverUpdatedAt, setServerUpdatedAt] = useState(null);
+
+  useEffect(() => {
+    if (!workspaceId) return;
+
+    const unsubscribe = onSnapshot(workspaceDoc(workspaceId, 'settings', 'warmup'), (snapshot) => {
+      setServerUpdatedAt(snapshot.exists() ? snapshot.data().updatedAt ?? null : null);
+      // Don't clobber edits the user hasn't saved yet
+      if (isDirty) return;
+      setForm(toFormValues(snapshot.exists() ? snapshot.data() : null));
+    });
+
+    return () => unsubscribe();
+  }, [workspaceId, isDirty]);
+
+  const handleChange = (field) => (e) => {
+    setForm({ ...form, [field]: e.target.value });
+    setErrors({ ...errors, [field]: undefined });
+    setIsDirty(true);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!workspaceId || !can.edit) return;
+
+    const { settings, errors: validationErrors } = validateWarmupSettings(form);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) {
+      setMessage({ type: 'error', text: 'Please fix the highlighted settings.' });
+      return;
+    }
+
+    if (!isOnline) {
+      queueOperation({ type: 'settings', payload: { settings }, base: { updatedAt: serverUpdatedAt } });
+      setMessage({ type: 'warning', text: 'You are offline. These settings are queued and will be saved when you reconnect.' });
+      return;
+    }
+
+    setIsSaving(true);
+    setMessage(null);
+
+    let synced;
+    try {
+      synced = await saveWarmupSettings(api, workspaceId, settings);
+      setIsDirty(false);
+    } catch (error) {
+      console.error('Save Settings Error:', error);
+      setMessage({ type: 'error', text: 'Failed to save settings.' });
+      setIsSaving(false);
+      return;
+    }
+
+    setMessage(synced
+      ? { type: 'success', text: 'Global settings saved and applied to the warmup backend.' }
+      : { type: 'warning', text: 'Settings saved, but the backend could not be reached. They will not drive the ramp until synced.' });
+    setIsSaving(false);
+  };
+
+  return (
+    <div className="p-4 md:p-8 space-y-6">
+      <h1 className="text-3xl font-bold text-gray-900">Warmup Control & Strategy</h1>
+      <Card title="Global Warmup Settings">
+        <form onSubmit={handleSave} className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Configure the automated ramp-up schedule and engagement rules across all connected accounts.
+          </p>
+          <Message message={message} />
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {SETTINGS_FIELDS.map(({ field, label, id }) => (
+              <Input
+                key={field}
+                label={label}
+                id={id}
+                type="number"
+                value={form[field]}
+                onChange={handleChange(field)}
+                placeholder={String(DEFAULT_WARMUP_SETTINGS[field])}
+                min={WARMUP_SETTINGS_LIMITS[field].min}
+                max={WARMUP_SETTINGS_LIMITS[field].max}
+                step={1}
+                error={errors[field]}
+                disabled={!can.edit}
+              />
+            ))}
+          </div>
+          {!can.edit && <p className="text-xs text-gray-500">Only workspace owners and admins can change these settings.</p>}
+          <Button type="submit" variant="primary" loading={isSaving} disabled={!can.edit}>
+            <Settings className="h-4 w-4 mr-2" /> Save Global Settings
+          </Button>
+        </form>
+      </Card>
+
+      <EngagementRulesCard />
+    </div>
+  );
+};
+
+const PoolPage = () => {
+  const { timeZone } = useProfile();
+  const accounts = useEmailAccounts();
+  const activity = usePeerActivity();
+  // Deep links such as #/pool?email=... open filtered to that account
+  const [email, setEmail] = useState(() => queryFromHash(window.location.hash).get('email') || '');
+
+  const peers = email ? activity.byAccount[email] || [] : activity.peers;
+  const privateMembers = accounts.filter(acc => withPoolDefaults(acc.pool).mode === 'private');
+
+  return (
+    <div className="p-4 md:p-8 space-y-6">
+      <h1 className="text-3xl font-bold text-gray-900">Warmup Pool</h1>
+
+      <Card>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+          <Select
+            label="Account"
+            id="pool-account"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            options={[{ value: '', label: 'All accounts' }, ...accounts.map(acc => ({ value: acc.email, label: acc.email }))]}
+          />
+          <p className="md:col-span-2 text-xs text-gray-500">
+            Inboxes {email || 'your accounts'} exchanged warmup mail with in the last {POOL_WINDOW_DAYS} days, grouped by provider.
+          </p>
+        </div>
+        <dl className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm mt-6">
+          {Object.entries(PEER_PROVIDERS).map(([provider, { label }]) => {
+            const group = peers.filter(peer => peer.provider === provider);
+            return (
+              <div key={provider}>
+                <dt className="text-gray-500">{label}</dt>
+                <dd className="text-gray-900 font-semibold">{group.length} peers</dd>
+                <dd className="text-xs text-gray-500">{group.reduce((sum, peer) => sum + peer.total, 0)} interactions</dd>
+              </div>
+            );
+          })}
+        </dl>
+      </Card>
+
+      {peers.length === 0 && (
+        <Card>
+          <p className="text-sm text-center text-gray-500">No peer interactions recorded in the last {POOL_WINDOW_DAYS} days.</p>
+        </Card>
+      )}
+
+      {Object.entries(PEER_PROVIDERS).map(([provider, { label }]) => {
+        const group = peers.filter(peer => peer.provider === provider);
+        if (group.length === 0) return null;
+        return (
+          <Card key={provider} title={`${label} (${group.length})`}>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {['Peer Inbox', 'Sent', 'Inbox', 'Spam', 'Rescued', 'Replies', 'Last Interaction'].map(heading => (
+                      <th key={heading} scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        {heading}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {group.map(peer => (
+                    <tr key={peer.peer}>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                        {peer.peer}
+                        {accounts.some(acc => accountKey(acc.email) === peer.peer) && (
+                          <span className="ml-2 text-xs font-normal text-indigo-600">this workspace</span>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{peer.sent}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{peer.inbox}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{peer.spam}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{peer.rescued}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{peer.replied}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDateTime(peer.lastAt, timeZone)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </Card>
+        );
+      })}
+
+      <Card title="Private Pool">
+        <p className="text-sm text-gray-600 mb-4">
+          Accounts in the private pool only exchange warmup mail with each other. Opt accounts in from their detail page.
+        </p>
+        {privateMembers.length > 0 ? (
+          <ul className="divide-y divide-gray-200 text-sm">
+            {privateMembers.map(acc => (
+              <li key={acc.email} className="py-2 flex justify-between">
+                <a href={routeHref('account-detail', { address: acc.email })} className="text-gray-900 hover:text-indigo-600">{acc.email}</a>
+                <span className="text-xs text-gray-500">{PEER_PROVIDERS[accountPeerProvider(acc)].label}</span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500">No accounts use the private pool; all of them warm up with the shared seed network.</p>
+        )}
+        {privateMembers.length === 1 && (
+          <p className="mt-2 text-xs text-yellow-700">A private pool with one account has nobody to exchange mail with.</p>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+const FOLDER_STYLES = {
+  inbox: STATUS_MAP.active.color,
+  promotions: 'bg-blue-100 text-blue-800',
+  spam: STATUS_MAP.error.color,
+  missing: 'bg-gray-100 text-gray-800',
+};
+
+const MAX_COMPARED_RUNS = 2;
+
+const formatChange = (change) => (change === null ? '' : ` (${change > 0 ? '+' : ''}${change})`);
+
+// Folder counts per provider for one run.
+const PlacementResults = ({ test }) => {
+  const summary = summarizePlacement(test.results);
+  const providers = Object.keys(PEER_PROVIDERS).filter(provider => summary.providers[provider]);
+
+  return (
+    <div className="space-y-4">
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Provider</th>
+              {Object.entries(PLACEMENT_FOLDERS).map(([folder, label]) => (
+                <th key={folder} scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{label}</th>
+              ))}
+              <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Inbox Rate</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {[...providers.map(provider => [PEER_PROVIDERS[provider].label, summary.providers[provider]]), ['All providers', summary]].map(([label, group]) => (
+              <tr key={label}>
+                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{label}</td>
+                {Object.keys(PLACEMENT_FOLDERS).map(folder => (
+                  <td key={folder} className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{group.counts[folder]}</td>
+                ))}
+                <td className={`px-6 py-4 whitespace-nowrap text-sm font-semibold ${scoreColor(group.inboxRate)}`}>{formatScore(group.inboxRate)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {summary.pending > 0 && (
+        <p className="text-xs text-gray-500 flex items-center">
+          <Loader2 className="h-3 w-3 mr-1 animate-spin" /> Waiting for {summary.pending} of {test.results.length} seed inboxes to report.
+        </p>
+      )}
+      <div className="flex flex-wrap gap-2">
+        {test.results.map(result => (
+          <span key={result.seed} className={`px-2 inline-flex text-xs leading-5 rounded-full ${result.folder ? FOLDER_STYLES[result.folder] : 'bg-gray-50 text-gray-500'}`}>
+            {result.seed}: {result.folder ? PLACEMENT_FOLDERS[result.folder] : 'pending'}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Folder shares of two runs side by side, with the change in percentage points.
+const PlacementComparison = ({ before, after }) => {
+  const { timeZone } = useProfile();
+  const comparison = compareRuns(before, after);
+  const rows = [
+    ...Object.entries(comparison.providers).map(([provider, folders]) => [PEER_PROVIDERS[provider].label, folders]),
+    ['All providers', comparison.overall],
+  ];
+
+  return (
+    <div className="space-y-2">
+      <p className="text-xs text-gray-500">
+        {before.email}, {formatDateTime(before.startedAt, timeZone)} → {after.email}, {formatDateTime(after.startedAt, timeZone)}.
+        Shares of seeds per folder in %, change in points.
+      </p>
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Provider</th>
+              {Object.entries(PLACEMENT_FOLDERS).map(([folder, label]) => (
+                <th key={folder} scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {rows.map(([label, folders]) => (
+              <tr key={label}>
+                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{label}</td>
+                {Object.keys(PLACEMENT_FOLDERS).map((folder) => {
+                  const { before: from, after: to, change } = folders[folder];
+                  // More inbox is good; more of anything else is bad
+                  const isBetter = change !== null && change !== 0 && (folder === 'inbox' ? change > 0 : change < 0);
+                  return (
+                    <td key={folder} className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {from ?? '—'} → {to ?? '—'}
+                      {change !== null && change !== 0 && (
+                        <span className={isBetter ? 'text-green-600' : 'text-red-600'}>{formatChange(change)}</span>
+                      )}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+const PlacementTestsPage = () => {
+  const { api } = useApi();
+  const { workspaceId, can } = useWorkspace();
+  const { timeZone } = useProfile();
+  const accounts = useEmailAccounts();
+  const tests = usePlacementTests();
+  const [email, setEmail] = useState('');
+  const [isStarting, setIsStarting] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [viewedId, setViewedId] = useState(null);
+  const [compared, setCompared] = useState([]);
+
+  const runningKey = tests.filter(test => test.status === 'running').map(test => test.id).join(',');
+  const latestTests = useRef(tests);
+  latestTests.current = tests;
+
+  // Editors poll running tests while the page is open; any open tab can finish a run
+  useEffect(() => {
+    if (!can.edit || !runningKey) return;
+
+    const poll = () => latestTests.current
+      .filter(test => test.status === 'running')
+      .forEach(test => pollPlacementTest(api, workspaceId, test).catch(error => console.error('Placement Poll Error:', error)));
+    poll();
+    const interval = setInterval(poll, PLACEMENT_POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [runningKey, can.edit, workspaceId, api]);
+
+  const handleStart = async (e) => {
+    e.preventDefault();
+    const address = email || accounts[0]?.email;
+    if (!address) return;
+
+    setIsStarting(true);
+    setMessage(null);
+    try {
+      const testId = await startPlacementTest(api, workspaceId, address);
+      setViewedId(String(testId));
+      setMessage({ type: 'success', text: `Placement test started for ${address}. Results appear as seed inboxes report.` });
+    } catch (error) {
+      console.error('Start Placement Test Error:', error);
+      setMessage({ type: 'error', text: `Could not start the placement test: ${error.message}` });
+    } finally {
+      setIsStarting(false);
+    }
+  };
+
+  const toggleCompared = (testId) => setCompared(compared.includes(testId)
+    ? compared.filter(id => id !== testId)
+    : [...compared, testId].slice(-MAX_COMPARED_RUNS));
+
+  const viewed = tests.find(test => test.id === viewedId) || tests[0];
+  // Compare oldest to newest regardless of click order
+  const comparedRuns = tests.filter(test => compared.includes(test.id)).sort((a, b) => a.startedAt - b.startedAt);
+
+  return (
+    <div className="p-4 md:p-8 space-y-6">
+      <h1 className="text-3xl font-bold text-gray-900">Inbox Placement Tests</h1>
+
+      <Card title="Run a Placement Test">
+        <p className="text-sm text-gray-600 mb-4">
+          The backend sends one message from the account to every seed inbox and reports whether it landed in the inbox, promotions or spam, or never arrived.
+        </p>
+        {can.edit ? (
+          <form onSubmit={handleStart} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+            <div className="md:col-span-2">
+              <Select
+                label="Account"
+                id="placement-account"
+                value={email || accounts[0]?.email || ''}
+                onChange={(e) => setEmail(e.target.value)}
+                options={accounts.map(acc => ({ value: acc.email, label: acc.email }))}
+              />
+            </div>
+            <Button type="submit" loading={isStarting} disabled={accounts.length === 0} className="w-full md:w-auto">
+              <Inbox className="h-4 w-4 mr-2" /> Run Test
+            </Button>
+          </form>
+        ) : (
+          <p className="text-xs text-gray-500">Only workspace owners and admins can run placement tests.</p>
+        )}
+        <div className="mt-4"><Message message={message} /></div>
+      </Card>
+
+      {viewed && (
+        <Card title={`Results: ${viewed.email}`}>
+          <p className="text-xs text-gray-500 mb-4">
+            {TEST_STATUSES[viewed.status]} · started {formatDateTime(viewed.startedAt, timeZone)}
+            {viewed.completedAt && ` · finished ${formatDateTime(viewed.completedAt, timeZone)}`}
+            {viewed.error && ` · ${viewed.error}`}
+          </p>
+          <PlacementResults test={viewed} />
+        </Card>
+      )}
+
+      {comparedRuns.length === MAX_COMPARED_RUNS && (
+        <Card title="Run Comparison">
+          <PlacementComparison before={comparedRuns[0]} after={comparedRuns[1]} />
+        </Card>
+      )}
+
+      <Card title="Test History">
+        {tests.length > 0 ? (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th scope="col" className="pl-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Compare</th>
+                  {['Started', 'Account', 'Status', 'Inbox Rate', ''].map(heading => (
+                    <th key={heading} scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{heading}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {tests.map((test) => {
+                  const summary = summarizePlacement(test.results);
+                  return (
+                    <tr key={test.id} className={viewed?.id === test.id ? 'bg-indigo-50' : ''}>
+                      <td className="pl-6 py-4">
+                        <input
+                          type="checkbox"
+                          aria-label={`Compare test started ${formatDateTime(test.startedAt, timeZone)}`}
+                          checked={compared.includes(test.id)}
+                          onChange={() => toggleCompared(test.id)}
+                        />
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDateTime(test.startedAt, timeZone)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{test.email}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{TEST_STATUSES[test.status] || test.status}</td>
+                      <td className={`px-6 py-4 whitespace-nowrap text-sm font-semibold ${scoreColor(summary.inboxRate)}`}>{formatScore(summary.inboxRate)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">
+                        <Button variant="secondary" className="p-2 h-auto text-xs" onClick={() => setViewedId(test.id)}>View</Button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            <p className="mt-2 text-xs text-gray-500">Tick two runs to compare them.</p>
+          </div>
+        ) : (
+          <p className="text-sm text-center text-gray-500">No placement tests have been run yet.</p>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+const EMPTY_TEMPLATE_FORM = { name: '', language: 'en', tags: '', subject: '', body: '' };
+
+const templateRef = (workspaceId, templateId) => doc(workspaceCollection(workspaceId, 'templates'), templateId);
+
+// Pushes a stored template to the backend, which renders the actual warmup
+// emails, and records the outcome on the template. Resolves to whether the
+// backend accepted it.
+const syncTemplate = async (api, workspaceId, templateId, template) => {
+  let synced = false;
+  try {
+    await api.put(`/api/templates/${encodeURIComponent(templateId)}`, { workspaceId, template });
+    synced = true;
+  } catch (error) {
+    console.error('Template Sync Error:', error);
+  }
+
+  try {
+    await updateDoc(templateRef(workspaceId, templateId), { backendSynced: synced });
+  } catch (error) {
+    console.error('Template Bookkeeping Error:', error);
+  }
+  return synced;
+};
+
+const TemplatesPage = () => {
+  const { userId } = useAuth();
+  const { api } = useApi();
+  const { workspaceId, can } = useWorkspace();
+  const templates = useTemplates();
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_TEMPLATE_FORM);
+  const [nameError, setNameError] = useState(null);
+  const [previewSeed, setPreviewSeed] = useState(0);
+  const [languageFilter, setLanguageFilter] = useState('');
+  const [tagFilter, setTagFilter] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const findings = checkTemplateContent(form);
+  const hasErrors = findings.some(f => f.severity === 'error');
+  // Re-roll only on demand or when the text changes, not on every render
+  const preview = useMemo(() => ({
+    subject: renderTemplate(form.subject),
+    body: renderTemplate(form.body),
+  }), [form.subject, form.body, previewSeed]);
+
+  const allTags = [...new Set(templates.flatMap(t => t.tags || []))].sort();
+  const visible = templates.filter(t => (!languageFilter || t.language === languageFilter) && (!tagFilter || (t.tags || []).includes(tagFilter)));
+
+  const startEdit = (template) => {
+    setEditingId(template ? template.id : 'new');
+    setForm(template
+      ? { name: template.name, language: template.language, tags: (template.tags || []).join(', '), subject: template.subject, body: template.body }
+      : EMPTY_TEMPLATE_FORM);
+    setNameError(null);
+    setMessage(null);
+  };
+
+  const insertVariable = (name) => setForm({ ...form, body: `${form.body}{{${name}}}` });
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) {
+      setNameError('Name is required.');
+      return;
+    }
+
+    setIsSaving(true);
+    setMessage(null);
+    const existing = templates.find(t => t.id === editingId);
+    const template = {
+      name: form.name.trim(),
+      language: form.language,
+      tags: parseTags(form.tags),
+      subject: form.subject,
+      body: form.body,
+      // A template that no longer passes the content check can't stay enabled
+      enabled: Boolean(existing?.enabled) && !hasErrors,
+      updatedAt: Date.now(),
+    };
+
+    try {
+      const ref = existing
+        ? templateRef(workspaceId, existing.id)
+        : doc(workspaceCollection(workspaceId, 'templates'));
+      await setDoc(ref, existing ? template : { ...template, createdAt: Date.now(), createdBy: userId }, { merge: true });
+      const synced = await syncTemplate(api, workspaceId, ref.id, template);
+
+      setEditingId(ref.id);
+      setMessage(synced
+        ? { type: 'success', text: `Template "${template.name}" saved.` }
+        : { type: 'warning', text: `Template "${template.name}" saved, but the backend could not be reached.` });
+    } catch (error) {
+      console.error('Save Template Error:', error);
+      setMessage({ type: 'error', text: 'Failed to save the template.' });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const toggleEnabled = async (template) => {
+    if (!template.enabled) {
+      const errors = checkTemplateContent(template).filter(f => f.severity === 'error');
+      if (errors.length > 0) {
+        setMessage({ type: 'error', text: `"${template.name}" can't be enabled: ${errors.map(f => f.message).join(' ')}` });
+        return;
+      }
+    }
+    try {
+      await updateDoc(templateRef(workspaceId, template.id), { enabled: !template.enabled, updatedAt: Date.now() });
+      const { id, ...stored } = template;
+      await syncTemplate(api, workspaceId, id, { ...stored, enabled: !template.enabled });
+    } catch (error) {
+      console.error('Toggle Template Error:', error);
+      setMessage({ type: 'error', text: 'Failed to update the template.' });
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete the template "${template.name}"?`)) return;
+    try {
+      await deleteDoc(templateRef(workspaceId, template.id));
+      if (editingId === template.id) setEditingId(null);
+      await api.delete(`/api/templates/${encodeURIComponent(template.id)}?${new URLSearchParams({ workspaceId })}`)
+        .catch(error => console.error('Template Sync Error:', error));
+    } catch (error) {
+      console.error('Delete Template Error:', error);
+      setMessage({ type: 'error', text: 'Failed to delete the template.' });
+    }
+  };
+
+  return (
+    <div className="p-4 md:p-8 space-y-6">
+      <h1 className="text-3xl font-bold text-gray-900">Warmup Content Templates</h1>
+      <Message message={message} />
+
+      <Card title="Template Library">
+        <div className="flex flex-wrap gap-4 items-end mb-4">
+          <Select
+            label="Language"
+            id="template-language-filter"
+            value={languageFilter}
+            onChange={(e) => setLanguageFilter(e.target.value)}
+            options={[{ value: '', label: 'All languages' }, ...Object.entries(TEMPLATE_LANGUAGES).map(([value, label]) => ({ value, label }))]}
+          />
+          <Select
+            label="Topic"
+            id="template-tag-filter"
+            value={tagFilter}
+            onChange={(e) => setTagFilter(e.target.value)}
+            options={[{ value: '', label: 'All topics' }, ...allTags.map(tag => ({ value: tag, label: tag }))]}
+          />
+          {can.edit && (
+            <Button onClick={() => startEdit(null)}>
+              <FileText className="h-4 w-4 mr-2" /> New Template
+            </Button>
+          )}
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Language</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Topics</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Variants</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {visible.length > 0 ? visible.map(template => (
+                <tr key={template.id} className={editingId === template.id ? 'bg-indigo-50' : ''}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{template.name}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{TEMPLATE_LANGUAGES[template.language] || template.language}</td>
+                  <td className="px-6 py-4 text-sm text-gray-500">{(template.tags || []).join(', ') || '—'}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {(countVariants(template.subject) * countVariants(template.body)).toLocaleString()}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${template.enabled ? STATUS_MAP.active.color : STATUS_MAP.paused.color}`}>
+                      {template.enabled ? 'Enabled' : 'Disabled'}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-2">
+                    <Button variant="secondary" className="p-2 h-auto text-xs" onClick={() => startEdit(template)}>
+                      {can.edit ? 'Edit' : 'View'}
+                    </Button>
+                    {can.edit && (
+                      <>
+                        <Button variant="secondary" className="p-2 h-auto text-xs" onClick={() => toggleEnabled(template)}>
+                          {template.enabled ? 'Disable' : 'Enable'}
+                        </Button>
+                        <Button variant="danger" className="p-2 h-auto text-xs" onClick={() => handleDelete(template)}>
+                          <X className="h-4 w-4 mr-1" /> Delete
+                        </Button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              )) : (
+                <tr>
+                  <td colSpan="6" className="px-6 py-4 text-center text-sm text-gray-500">
+                    {templates.length > 0 ? 'No templates match these filters.' : 'No templates yet. The backend uses its built-in content until you add some.'}
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </Card>
+
+      {editingId && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <Card title={editingId === 'new' ? 'New Template' : 'Edit Template'}>
+            <form onSubmit={handleSave} className="space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <Input
+                  label="Name"
+                  id="template-name"
+                  value={form.name}
+                  onChange={(e) => {
+                    setForm({ ...form, name: e.target.value });
+                    setNameError(null);
+                  }}
+                  disabled={!can.edit}
+                  error={nameError}
+                />
+                <Select
+                  label="Language"
+                  id="template-language"
+                  value={form.language}
+                  onChange={(e) => setForm({ ...form, language: e.target.value })}
+                  options={Object.entries(TEMPLATE_LANGUAGES).map(([value, label]) => ({ value, label }))}
+                />
+              </div>
+              <Input
+                label="Topics (comma separated)"
+                id="template-tags"
+                value={form.tags}
+                onChange={(e) => setForm({ ...form, tags: e.target.value })}
+                placeholder="e.g., follow-up, scheduling"
+                disabled={!can.edit}
+              />
+              <Input
+                label="Subject"
+                id="template-subject"
+                value={form.subject}
+                onChange={(e) => setForm({ ...form, subject: e.target.value })}
+                placeholder="{Quick|Short} {question|note} for {{first_name}}"
+                disabled={!can.edit}
+              />
+              <Textarea
+                label="Body"
+                id="template-body"
+                value={form.body}
+                onChange={(e) => setForm({ ...form, body: e.target.value })}
+                placeholder={'{Hi|Hello} {{first_name}},\n\n{Hope your week is going well|Hope all is well}.\n\n{Thanks|Cheers},\n{{sender_name}}'}
+                rows={10}
+                disabled={!can.edit}
+              />
+              {can.edit && (
+                <div className="flex flex-wrap gap-2 text-xs">
+                  <span className="text-gray-500 self-center">Insert:</span>
+                  {Object.entries(TEMPLATE_VARIABLES).map(([name, description]) => (
+                    <button
+                      key={name}
+                      type="button"
+                      title={description}
+                      onClick={() => insertVariable(name)}
+                      className="px-2 py-1 rounded bg-gray-100 text-gray-700 font-mono hover:bg-gray-200"
+                    >
+                      {`{{${name}}}`}
+                    </button>
+                  ))}
+                </div>
+              )}
+              <p className="text-xs text-gray-500">
+                Use {'{a|b|c}'} to pick one option per email (options can nest) and {'{{variable}}'} for placeholders.
+              </p>
+              {can.edit && (
+                <div className="flex space-x-2">
+                  <Button type="submit" loading={isSaving}>Save Template</Button>
+                  <Button variant="secondary" onClick={() => setEditingId(null)}>Close</Button>
+                </div>
+              )}
+            </form>
+          </Card>
+
+          <div className="space-y-6">
+            <Card title="Live Preview">
+              <div className="flex items-center justify-between mb-4">
+                <p className="text-xs text-gray-500">
+                  {(countVariants(form.subject) * countVariants(form.body)).toLocaleString()} possible variants · sample values
+                </p>
+                <Button variant="secondary" className="p-2 h-auto text-xs" onClick={() => setPreviewSeed(previewSeed + 1)}>
+                  <RefreshCw className="h-4 w-4 mr-1" /> Shuffle
+                </Button>
+              </div>
+              <div className="rounded-lg border border-gray-200 p-4 text-sm">
+                <p className="font-semibold text-gray-900 mb-2">{preview.subject || <span className="text-gray-400">(no subject)</span>}</p>
+                <p className="text-gray-700 whitespace-pre-wrap">{preview.body || <span className="text-gray-400">(no body)</span>}</p>
+              </div>
+            </Card>
+            <Card title="Content Check">
+              <Findings title={hasErrors ? 'Must be fixed before enabling' : 'Ready to enable'} findings={findings} />
+            </Card>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Common selectors used by the big mailbox providers; checked unless overridden.
+const DEFAULT_DKIM_SELECTORS = 'google, selector1, selector2, default, k1';
+
+const SEVERITY_STYLES = {
+  error: 'bg-red-50 text-red-700',
+  warning: 'bg-yellow-50 text-yellow-700',
+};
+
+const Findings = ({ title, findings, children }) => (
+  <div className="space-y-2">
+    <div className="flex items-center justify-between">
+      <h3 className="text-sm font-semibold text-gray-800">{title}</h3>
+      <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+        findings.some(f => f.severity === 'error') ? STATUS_MAP.error.color
+          : findings.length > 0 ? STATUS_MAP.paused.color : STATUS_MAP.active.color
+      }`}>
+        {findings.some(f => f.severity === 'error') ? 'Failing' : findings.length > 0 ? 'Needs attention' : 'Pass'}
+      </span>
+    </div>
+    {children}
+    {findings.map((finding, index) => (
+      <div key={index} className={`p-3 rounded-lg text-sm ${SEVERITY_STYLES[finding.severity]}`}>
+        <p className="font-medium flex items-center">
+          <AlertTriangle className="h-4 w-4 mr-2 flex-shrink-0" /> {finding.message}
+        </p>
+        {finding.fix && <p className="mt-1 ml-6 text-xs">Fix: {finding.fix}</p>}
+      </div>
+    ))}
+  </div>
+);
+
+// `recheck` changes whenever the page asks every domain to check again.
+const DomainDiagnostics = ({ domain, selectors, recheck }) => {
+  const { api } = useApi();
+  const { workspaceId, can } = useWorkspace();
+  const { timeZone } = useProfile();
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const runCheck = async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const params = new URLSearchParams({ selectors });
+      const records = await api.get(`/api/dns/${encodeURIComponent(domain)}?${params}`);
+      setResult({ checkedAt: Date.now(), ...diagnoseDomain(domain, records) });
+      // Feeds the "DNS record changed" alert rule
+      if (can.edit) {
+        recordDnsSnapshot(workspaceId, domain, records).catch(error => console.error('DNS Snapshot Error:', error));
+      }
+    } catch (err) {
+      console.error('DNS Lookup Error:', err);
+      setError(`Could not fetch DNS records: ${err.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    runCheck();
+  }, [domain, selectors, recheck]);
+
+  return (
+    <Card title={domain}>
+      <div className="flex items-center justify-between mb-4">
+        <p className="text-xs text-gray-500">
+          {result ? `Last checked ${formatDateTime(result.checkedAt, timeZone)}` : 'Not checked yet'}
+        </p>
+        <Button variant="secondary" className="p-2 h-auto text-xs" loading={isLoading} onClick={runCheck}>
+          <RefreshCw className="h-4 w-4 mr-1" /> Recheck
+        </Button>
+      </div>
+      <Message message={error && { type: 'error', text: error }} />
+      {result && (
+        <div className="space-y-6">
+          <Findings title="SPF" findings={result.spf.findings}>
+            {result.spf.parsed && (
+              <div className="text-xs text-gray-600 space-y-1">
+                <p className="font-mono break-all">{result.spf.parsed.record}</p>
+                <p>
+                  {result.spf.parsed.mechanisms.length} mechanisms, {result.spf.parsed.lookupCount}/{SPF_LOOKUP_LIMIT} DNS lookups
+                </p>
+              </div>
+            )}
+          </Findings>
+          <Findings title="DKIM" findings={result.dkim.findings}>
+            {result.dkim.parsed.map(key => (
+              <p key={key.selector} className="text-xs text-gray-600">
+                <span className="font-mono">{key.selector}._domainkey</span>: {key.keyType.toUpperCase()}
+                {key.keyBits ? `, ${key.keyBits}-bit` : ''}
+              </p>
+            ))}
+          </Findings>
+          <Findings title="DMARC" findings={result.dmarc.findings}>
+            {result.dmarc.parsed && (
+              <div className="text-xs text-gray-600 space-y-1">
+                <p className="font-mono break-all">{result.dmarc.parsed.record}</p>
+                <p>
+                  Policy: {result.dmarc.parsed.policy || 'none set'} · pct: {result.dmarc.parsed.pct}
+                  {' '}· Reports: {result.dmarc.parsed.rua.join(', ') || 'none'}
+                </p>
+              </div>
+            )}
+          </Findings>
+        </div>
+      )}
+    </Card>
+  );
+};
+
+const DiagnosticsPage = () => {
+  const accounts = useEmailAccounts();
+  const [selectorInput, setSelectorInput] = useState(DEFAULT_DKIM_SELECTORS);
+  const [selectors, setSelectors] = useState(DEFAULT_DKIM_SELECTORS);
+  // Bumped by "Check All Domains" so unchanged selectors still re-run the checks
+  const [recheck, setRecheck] = useState(0);
+
+  const domains = [...new Set(accounts.map(acc => domainOf(acc.email)).filter(Boolean))];
+
+  return (
+    <div className="p-4 md:p-8 space-y-6">
+      <h1 className="text-3xl font-bold text-gray-900">DNS Authentication Diagnostics</h1>
+      <Card title="DKIM Selectors">
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            setSelectors(selectorInput);
+            setRecheck(count => count + 1);
+          }}
+          className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end"
+        >
+          <div className="md:col-span-2">
+            <Input
+              label="Selectors to check (comma separated)"
+              id="dkim-selectors"
+              value={selectorInput}
+              onChange={(e) => setSelectorInput(e.target.value)}
+              placeholder={DEFAULT_DKIM_SELECTORS}
+            />
+          </div>
+          <Button type="submit" variant="primary" className="w-full md:w-auto">
+            <ShieldCheck className="h-4 w-4 mr-2" /> Check All Domains
+          </Button>
+        </form>
+      </Card>
+      {domains.length > 0 ? domains.map(domain => (
+        <DomainDiagnostics key={domain} domain={domain} selectors={selectors} recheck={recheck} />
+      )) : (
+        <Card>
+          <p className="text-sm text-center text-gray-500">Connect an email account to diagnose its domain.</p>
+        </Card>
+      )}
+    </div>
+  );
+};
+
+const LISTING_STYLES = {
+  listed: { label: 'Listed', color: STATUS_MAP.error.color },
+  clear: { label: 'Clear', color: STATUS_MAP.active.color },
+  unknown: { label: 'Unknown', color: 'bg-gray-100 text-gray-800' },
+};
+
+const BLOCKLIST_HISTORY_LIMIT = 50;
+
+const toBlocklistForm = (settings) => ({
+  zones: settings.zones,
+  customIpZones: settings.customIpZones.join(', '),
+  customDomainZones: settings.customDomainZones.join(', '),
+  ips: settings.ips.join(', '),
 });
 
-const AuthProvider = ({ children }) => {
-  const [user, setUser] = useState(null);
-  const [userId, setUserId] = useState(null);
-  const [isAuthReady, setIsAuthReady] = useState(false);
+const BlocklistSettings = ({ settings }) => {
+  const { workspaceId, can } = useWorkspace();
+  const [form, setForm] = useState(() => toBlocklistForm(settings));
+  const [errors, setErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState(null);
 
   useEffect(() => {
-    const unsubscribe = onAuthStateChanged(auth, async (currentUser) => {
-      if (currentUser) {
-        setUser(currentUser);
-        setUserId(currentUser.uid);
-      } else {
-        // Sign in anonymously if no token is available or needed
-        try {
-          await signInAnonymously(auth);
-        } catch (error) {
-          console.error("Error signing in anonymously:", error);
-        }
-      }
-      setIsAuthReady(true);
-    });
+    setForm(toBlocklistForm(settings));
+  }, [JSON.stringify(settings)]);
 
-    if (initialAuthToken) {
-      signInWithCustomToken(auth, initialAuthToken)
-        .catch(error => {
-          console.error("Error signing in with custom token:", error);
-          // If token fails, fall back to anonymous sign-in, which onAuthStateChanged will handle
-        });
-    }
+  const toggleZone = (zone) => setForm({
+    ...form,
+    zones: form.zones.includes(zone) ? form.zones.filter(z => z !== zone) : [...form.zones, zone],
+  });
 
-    return () => unsubscribe();
-  }, []);
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const { settings: validated, errors: validationErrors } = validateBlocklistSettings(form);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) {
+      setMessage({ type: 'error', text: 'Please fix the highlighted fields.' });
+      return;
+    }
 
-  const logout = () => {
-    // In a real app, implement proper sign out
-    console.log("Logout triggered. In a live app, this signs out the user.");
+    setIsSaving(true);
+    setMessage(null);
+    try {
+      await setDoc(workspaceDoc(workspaceId, 'settings', 'blocklists'), { ...validated, updatedAt: Date.now() });
+      setMessage({ type: 'success', text: 'Blocklist settings saved.' });
+    } catch (error) {
+      console.error('Save Blocklist Settings Error:', error);
+      setMessage({ type: 'error', text: `Failed to save blocklist settings: ${error.message}` });
+    } finally {
+      setIsSaving(false);
+    }
   };
 
   return (
-    <AuthContext.Provider value={{ user, userId, isAuthReady, logout }}>
-      {children}
-    </AuthContext.Provider>
+    <form onSubmit={handleSave} className="space-y-4">
+      <Message message={message} />
+      {['ip', 'domain'].map(type => (
+        <div key={type}>
+          <span className="block text-sm font-medium text-gray-700 mb-1">{type === 'ip' ? 'IP Blocklists' : 'Domain Blocklists'}</span>
+          <div className="flex flex-wrap gap-4">
+            {Object.entries(BLOCKLISTS).filter(([, list]) => list.type === type).map(([zone, { label }]) => (
+              <label key={zone} className="flex items-center text-sm text-gray-700" title={zone}>
+                <input
+                  type="checkbox"
+                  className="mr-2"
+                  checked={form.zones.includes(zone)}
+                  disabled={!can.edit}
+                  onChange={() => toggleZone(zone)}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+        </div>
+      ))}
+      {errors.zones && <p className="text-xs text-red-600">{errors.zones}</p>}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <Input
+          label="Extra IP Blocklist Zones"
+          id="custom-ip-zones"
+          value={form.customIpZones}
+          onChange={(e) => setForm({ ...form, customIpZones: e.target.value })}
+          placeholder="dnsbl.example.net"
+          disabled={!can.edit}
+        />
+        <Input
+          label="Extra Domain Blocklist Zones"
+          id="custom-domain-zones"
+          value={form.customDomainZones}
+          onChange={(e) => setForm({ ...form, customDomainZones: e.target.value })}
+          placeholder="dbl.example.net"
+          disabled={!can.edit}
+        />
+      </div>
+      {errors.customZones && <p className="text-xs text-red-600">{errors.customZones}</p>}
+      <Input
+        label="Sending IPs to Monitor (comma separated)"
+        id="monitored-ips"
+        value={form.ips}
+        onChange={(e) => setForm({ ...form, ips: e.target.value })}
+        placeholder="203.0.113.10, 203.0.113.11"
+        disabled={!can.edit}
+        error={errors.ips}
+      />
+      {can.edit ? (
+        <Button type="submit" loading={isSaving}>Save Blocklist Settings</Button>
+      ) : (
+        <p className="text-xs text-gray-500">Only workspace owners and admins can change blocklist settings.</p>
+      )}
+    </form>
   );
 };
 
-const useAuth = () => useContext(AuthContext);
-
-// --- APP DATA STRUCTURES ---
+const BlocklistsPage = () => {
+  const { api } = useApi();
+  const { workspaceId, can } = useWorkspace();
+  const { timeZone } = useProfile();
+  const accounts = useEmailAccounts();
+  const settings = useBlocklistSettings();
+  const [statuses, setStatuses] = useState(null);
+  const [isChecking, setIsChecking] = useState(false);
+  const [message, setMessage] = useState(null);
+  const autoChecked = useRef(false);
 
-const STATUS_MAP = {
-  active: { text: 'Active', color: 'bg-green-100 text-green-700' },
-  paused: { text: 'Paused', color: 'bg-yellow-100 text-yellow-700' },
-  error: { text: 'Error', color: 'bg-red-100 text-red-700' },
-};
+  useEffect(() => {
+    if (!workspaceId) return;
 
-// --- GENERAL COMPONENTS ---
+    const unsubscribe = onSnapshot(blocklistStatusCollection(workspaceId), (snapshot) => {
+      setStatuses(Object.fromEntries(snapshot.docs.map(doc => [doc.data().target, doc.data()])));
+    });
+    return () => unsubscribe();
+  }, [workspaceId]);
 
-const Card = ({ children, title, className = '' }) => (
-  <div className={`bg-white shadow-xl rounded-xl p-4 sm:p-6 ${className}`}>
-    {title && <h2 className="text-xl font-bold text-gray-800 mb-4">{title}</h2>}
-    {children}
-  </div>
-);
+  const domains = [...new Set(accounts.map(acc => domainOf(acc.email)).filter(Boolean))];
+  const targets = [...domains, ...settings.ips];
 
-const Button = ({ children, onClick, disabled = false, loading = false, variant = 'primary', className = '' }) => {
-  const baseStyle = "px-4 py-2 font-semibold rounded-lg transition duration-150 ease-in-out flex items-center justify-center";
-  const variants = {
-    primary: "bg-indigo-600 text-white hover:bg-indigo-700 focus:ring-4 focus:ring-indigo-500/50",
-    secondary: "bg-gray-200 text-gray-700 hover:bg-gray-300 focus:ring-4 focus:ring-gray-400/50",
-    danger: "bg-red-600 text-white hover:bg-red-700 focus:ring-4 focus:ring-red-500/50",
+  const runCheck = async () => {
+    setIsChecking(true);
+    setMessage(null);
+    try {
+      const results = await runBlocklistCheck(api, workspaceId, targets, settings);
+      const listed = results.filter(result => Object.values(result.results).some(r => r.status === 'listed')).length;
+      setMessage(listed > 0
+        ? { type: 'warning', text: `${listed} of ${results.length} targets are listed on at least one blocklist.` }
+        : { type: 'success', text: `All ${results.length} targets are clear.` });
+    } catch (error) {
+      console.error('Blocklist Check Error:', error);
+      setMessage({ type: 'error', text: `Blocklist check failed: ${error.message}` });
+    } finally {
+      setIsChecking(false);
+    }
   };
+
+  // Re-check once per visit when a target has never been checked or its last check is stale
+  useEffect(() => {
+    if (!statuses || !can.edit || targets.length === 0 || autoChecked.current) return;
+    const isStale = targets.some(target => !statuses[target] || Date.now() - statuses[target].checkedAt > BLOCKLIST_CHECK_INTERVAL_MS);
+    if (!isStale) return;
+    autoChecked.current = true;
+    runCheck();
+  }, [statuses, can.edit, targets.join(',')]);
+
+  const history = targets
+    .flatMap(target => (statuses?.[target]?.history || []).map(entry => ({ ...entry, target })))
+    .sort((a, b) => b.at - a.at)
+    .slice(0, BLOCKLIST_HISTORY_LIMIT);
+
   return (
-    <button
-      onClick={onClick}
-      disabled={disabled || loading}
-      className={`${baseStyle} ${variants[variant]} ${disabled ? 'opacity-50 cursor-not-allowed' : ''} ${className}`}
-    >
-      {loading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
-      {children}
-    </button>
+    <div className="p-4 md:p-8 space-y-6">
+      <h1 className="text-3xl font-bold text-gray-900">Blocklist Monitoring</h1>
+
+      <Card title="Listing Status">
+        <div className="flex items-center justify-between mb-4">
+          <p className="text-xs text-gray-500">
+            Sending domains come from connected accounts; times shown in {timeZone}.
+          </p>
+          {can.edit && (
+            <Button variant="secondary" className="p-2 h-auto text-xs" loading={isChecking} disabled={targets.length === 0} onClick={runCheck}>
+              <RefreshCw className="h-4 w-4 mr-1" /> Check Now
+            </Button>
+          )}
+        </div>
+        <Message message={message} />
+        {targets.length > 0 ? (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Target</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Blocklists</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Checked</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {targets.map(target => {
+                  const status = statuses?.[target];
+                  const zones = zonesFor(targetType(target), settings);
+                  return (
+                    <tr key={target}>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                        {target}
+                        <span className="block text-xs font-normal text-gray-500">{targetType(target) === 'ip' ? 'IP address' : 'Domain'}</span>
+                      </td>
+                      <td className="px-6 py-4 text-sm">
+                        <div className="flex flex-wrap gap-2">
+                          {zones.map(zone => {
+                            const listing = status?.listings?.[zone];
+                            const style = LISTING_STYLES[listing?.status] || LISTING_STYLES.unknown;
+                            const title = [zone, listing?.detail, listing?.error, listing?.since && `since ${formatDateTime(listing.since, timeZone)}`]
+                              .filter(Boolean).join(' · ');
+                            return (
+                              <span key={zone} title={title} className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${style.color}`}>
+                                {blocklistLabel(zone)}: {style.label}{listing?.error ? ' (!)' : ''}
+                              </span>
+                            );
+                          })}
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {status?.checkedAt ? formatDateTime(status.checkedAt, timeZone) : 'Never'}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="text-sm text-center text-gray-500">Connect an email account or add sending IPs to monitor.</p>
+        )}
+      </Card>
+
+      <Card title="Listing History">
+        {history.length > 0 ? (
+          <ul className="divide-y divide-gray-200">
+            {history.map(entry => (
+              <li key={`${entry.target}-${entry.zone}-${entry.at}`} className="py-2 flex items-center justify-between text-sm">
+                <span className="text-gray-900">
+                  <span className={`mr-2 px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${entry.event === 'listed' ? LISTING_STYLES.listed.color : LISTING_STYLES.clear.color}`}>
+                    {entry.event === 'listed' ? 'Listed' : 'Delisted'}
+                  </span>
+                  {entry.target} on {blocklistLabel(entry.zone)}
+                </span>
+                <span className="text-gray-500 text-xs">{formatDateTime(entry.at, timeZone)}</span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-center text-gray-500">No listings or delistings recorded yet.</p>
+        )}
+      </Card>
+
+      <Card title="Blocklists to Check">
+        <BlocklistSettings settings={settings} />
+      </Card>
+    </div>
   );
 };
 
-const Input = ({ label, id, type = 'text', value, onChange, placeholder = '', required = false }) => (
-  <div className="space-y-1">
-    {label && (
-      <label htmlFor={id} className="block text-sm font-medium text-gray-700">
-        {label}
-      </label>
-    )}
-    <input
-      type={type}
-      id={id}
-      value={value}
-      onChange={onChange}
-      placeholder={placeholder}
-      required={required}
-      className="mt-1 block w-full rounded-lg border border-gray-300 p-3 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm transition"
-    />
-  </div>
-);
+const LOG_PAGE_SIZE = 25;
 
-// --- PAGE COMPONENTS ---
+const EMPTY_LOG_FILTERS = { email: '', event: '', status: '', from: '', to: '' };
 
-const DashboardPage = () => {
-  const { userId, isAuthReady } = useAuth();
-  const [stats, setStats] = useState({ totalAccounts: 0, activeWarmup: 0, deliverabilityScore: 'N/A' });
+// Upper bound on rows pulled for a single export.
+const MAX_LOG_EXPORT = 10000;
+
+// Builds the server-side query for one page of logs. Equality filters combined
+// with the timestamp ordering need composite indexes on the logs collection.
+const buildLogsQuery = (workspaceId, filters, timeZone, { cursor = null, max = LOG_PAGE_SIZE + 1 } = {}) => {
+  const constraints = [];
+  if (filters.email) constraints.push(where('email', '==', filters.email));
+  if (filters.event) constraints.push(where('event', '==', filters.event));
+  if (filters.status) constraints.push(where('status', '==', filters.status));
+  // Date inputs are yyyy-mm-dd; the range covers whole days in the zone the
+  // table shows times in
+  if (filters.from) constraints.push(where('timestamp', '>=', dayStart(filters.from, timeZone)));
+  if (filters.to) constraints.push(where('timestamp', '<', dayStart(shiftDayKey(filters.to, 1), timeZone)));
+  constraints.push(orderBy('timestamp', 'desc'));
+  if (cursor) constraints.push(startAfter(cursor));
+  // By default one extra row tells us whether there is a next page
+  constraints.push(limit(max));
+
+  return query(workspaceCollection(workspaceId, 'logs'), ...constraints);
+};
+
+const LogsPage = () => {
+  const { workspaceId } = useWorkspace();
+  const { timeZone } = useProfile();
+  const accounts = useEmailAccounts();
+  // Deep links such as #/logs?email=... open with that filter applied
+  const [initialFilters] = useState(() => {
+    const linked = queryFromHash(window.location.hash);
+    return Object.fromEntries(Object.entries(EMPTY_LOG_FILTERS).map(([key, value]) => [key, linked.get(key) || value]));
+  });
+  const [form, setForm] = useState(initialFilters);
+  const [filters, setFilters] = useState(initialFilters);
+  // cursors[i] is the last document of page i - 1; page 0 has no cursor
+  const [cursors, setCursors] = useState([null]);
+  const [page, setPage] = useState(0);
   const [logs, setLogs] = useState([]);
+  const [lastDoc, setLastDoc] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportMessage, setExportMessage] = useState(null);
+  const [error, setError] = useState(null);
 
   useEffect(() => {
-    if (!isAuthReady || !userId) return;
+    if (!workspaceId) return;
 
-    // Simulate real-time stats fetching (this is where API calls or Firestore listeners would go)
-    const statsRef = doc(db, 'artifacts', appId, 'users', userId, 'dashboard', 'stats');
-    const logsRef = collection(db, 'artifacts', appId, 'users', userId, 'logs');
-    const logsQuery = query(logsRef); // In a real app, you would add limits/sorting here
-
-    const unsubscribeStats = onSnapshot(statsRef, (doc) => {
-      if (doc.exists()) {
-        setStats(doc.data());
-      } else {
-        // Initialize if not exists
-        setStats({ totalAccounts: 0, activeWarmup: 0, deliverabilityScore: 'N/A' });
-        setDoc(statsRef, { totalAccounts: 0, activeWarmup: 0, deliverabilityScore: 'N/A' }, { merge: true });
-      }
-    });
+    let cancelled = false;
+    setIsLoading(true);
+    setError(null);
 
-    const unsubscribeLogs = onSnapshot(logsQuery, (snapshot) => {
-      const logData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-      // Sort by timestamp descending (simulated timestamp for simplicity)
-      logData.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
-      setLogs(logData.slice(0, 10)); // Show top 10 logs
-    });
+    getDocs(buildLogsQuery(workspaceId, filters, timeZone, { cursor: cursors[page] }))
+      .then((snapshot) => {
+        if (cancelled) return;
+        const docs = snapshot.docs.slice(0, LOG_PAGE_SIZE);
+        setLogs(docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        setLastDoc(docs[docs.length - 1] || null);
+        setHasMore(snapshot.docs.length > LOG_PAGE_SIZE);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error('Log Query Error:', err);
+        setError('Failed to load activity logs.');
+      })
+      .finally(() => !cancelled && setIsLoading(false));
 
     return () => {
-      unsubscribeStats();
-      unsubscribeLogs();
+      cancelled = true;
     };
-  }, [userId, isAuthReady]);
+  }, [workspaceId, filters, timeZone, page]);
 
-  const statCards = [
-    { title: 'Total Accounts', value: stats.totalAccounts, icon: Mail, color: 'bg-indigo-500' },
-    { title: 'Active Warmups', value: stats.activeWarmup, icon: Activity, color: 'bg-green-500' },
-    { title: 'Avg. Deliverability', value: stats.deliverabilityScore, icon: CheckCircle, color: 'bg-yellow-500' },
-  ];
+  const applyFilters = (e) => {
+    e.preventDefault();
+    if (form.from && form.to && form.from > form.to) {
+      setError('The start date must be on or before the end date.');
+      return;
+    }
+    setFilters(form);
+    setCursors([null]);
+    setPage(0);
+  };
+
+  const resetFilters = () => {
+    setForm(EMPTY_LOG_FILTERS);
+    setFilters(EMPTY_LOG_FILTERS);
+    setCursors([null]);
+    setPage(0);
+  };
+
+  const nextPage = () => {
+    setCursors([...cursors.slice(0, page + 1), lastDoc]);
+    setPage(page + 1);
+  };
+
+  const updateForm = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  // Exports every log matching the applied filters, not just the current page
+  const exportLogs = async (format) => {
+    setIsExporting(true);
+    setExportMessage(null);
+    try {
+      // One extra row tells us whether the export was cut short
+      const snapshot = await getDocs(buildLogsQuery(workspaceId, filters, timeZone, { max: MAX_LOG_EXPORT + 1 }));
+      const isTruncated = snapshot.docs.length > MAX_LOG_EXPORT;
+      const rows = snapshot.docs.slice(0, MAX_LOG_EXPORT).map(doc => {
+        const { timestamp, event, email, status, detail = '' } = doc.data();
+        return { timestamp: new Date(timestamp).toISOString(), event, email, status, detail };
+      });
+      const stamp = new Date().toISOString().slice(0, 10);
+
+      if (format === 'json') {
+        downloadFile(`warmup-activity-${stamp}.json`, JSON.stringify(rows, null, 2), 'application/json');
+      } else {
+        downloadFile(`warmup-activity-${stamp}.csv`, toCsv(rows, ['timestamp', 'event', 'email', 'status', 'detail']));
+      }
+      if (isTruncated) {
+        setExportMessage({
+          type: 'warning',
+          text: `Only the newest ${MAX_LOG_EXPORT.toLocaleString()} entries were exported. Narrow the filters or date range to export the rest.`,
+        });
+      }
+    } catch (err) {
+      console.error('Log Export Error:', err);
+      setError('Failed to export activity logs.');
+    } finally {
+      setIsExporting(false);
+    }
+  };
 
   return (
-    <div className="space-y-6 p-4 md:p-8">
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-        {statCards.map((card, index) => (
-          <Card key={index} className="flex items-center space-x-4">
-            <div className={`p-3 rounded-full ${card.color} text-white`}>
-              <card.icon className="h-6 w-6" />
-            </div>
-            <div>
-              <p className="text-sm font-medium text-gray-500">{card.title}</p>
-              <p className="text-2xl font-bold text-gray-900">{card.value}</p>
-            </div>
-          </Card>
-        ))}
-      </div>
+    <div className="p-4 md:p-8 space-y-6">
+      <h1 className="text-3xl font-bold text-gray-900">Activity Log</h1>
 
-      <Card title="Latest Warmup Activity Log">
+      <Card title="Filters">
+        <form onSubmit={applyFilters} className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-5 gap-4 items-end">
+          <Select
+            label="Account"
+            id="log-account"
+            value={form.email}
+            onChange={updateForm('email')}
+            options={[{ value: '', label: 'All accounts' }, ...accounts.map(acc => ({ value: acc.email, label: acc.email }))]}
+          />
+          <Select
+            label="Event"
+            id="log-event"
+            value={form.event}
+            onChange={updateForm('event')}
+            options={[{ value: '', label: 'All events' }, ...LOG_EVENT_TYPES.map(event => ({ value: event, label: event }))]}
+          />
+          <Select
+            label="Status"
+            id="log-status"
+            value={form.status}
+            onChange={updateForm('status')}
+            options={[
+              { value: '', label: 'Any status' },
+              ...Object.keys(LOG_STATUS_COLORS).map(status => ({ value: status, label: status })),
+            ]}
+          />
+          <Input label="From" id="log-from" type="date" value={form.from} onChange={updateForm('from')} />
+          <Input label="To" id="log-to" type="date" value={form.to} onChange={updateForm('to')} />
+          <div className="flex space-x-2 lg:col-span-5">
+            <Button type="submit" variant="primary">Apply Filters</Button>
+            <Button variant="secondary" onClick={resetFilters}>Reset</Button>
+          </div>
+        </form>
+      </Card>
+
+      <Card>
+        <Message message={error && { type: 'error', text: error }} />
+        <Message message={exportMessage} />
+        <div className="flex justify-end space-x-2 mb-4">
+          <Button variant="secondary" className="p-2 h-auto text-xs" loading={isExporting} onClick={() => exportLogs('csv')}>
+            <Download className="h-4 w-4 mr-1" /> Export CSV
+          </Button>
+          <Button variant="secondary" className="p-2 h-auto text-xs" loading={isExporting} onClick={() => exportLogs('json')}>
+            <Download className="h-4 w-4 mr-1" /> Export JSON
+          </Button>
+        </div>
         <div className="overflow-x-auto">
           <table className="min-w-full divide-y divide-gray-200">
             <thead className="bg-gray-50">
@@ -203,15 +5759,24 @@ const DashboardPage = () => {
               </tr>
             </thead>
             <tbody className="bg-white divide-y divide-gray-200">
-              {logs.length > 0 ? logs.map((log) => (
+              {isLoading ? (
+                <tr>
+                  <td colSpan="4" className="px-6 py-4 text-center text-sm text-gray-500">
+                    <Loader2 className="h-5 w-5 inline animate-spin mr-2" /> Loading activity...
+                  </td>
+                </tr>
+              ) : logs.length > 0 ? logs.map((log) => (
                 <tr key={log.id}>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {new Date(log.timestamp).toLocaleTimeString()}
+                    {formatDateTime(log.timestamp, timeZone)}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                    {log.event}
+                    {log.detail && <span className="block text-xs font-normal text-gray-500">{log.detail}</span>}
                   </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{log.event}</td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{log.email}</td>
                   <td className="px-6 py-4 whitespace-nowrap">
-                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${log.status === 'success' ? STATUS_MAP.active.color : STATUS_MAP.error.color}`}>
+                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${LOG_STATUS_COLORS[log.status] || LOG_STATUS_COLORS.error}`}>
                       {log.status}
                     </span>
                   </td>
@@ -219,293 +5784,910 @@ const DashboardPage = () => {
               )) : (
                 <tr>
                   <td colSpan="4" className="px-6 py-4 text-center text-sm text-gray-500">
-                    No recent warmup activity yet.
+                    No activity matches these filters.
                   </td>
                 </tr>
               )}
             </tbody>
           </table>
         </div>
+        <div className="flex items-center justify-between mt-4">
+          <p className="text-xs text-gray-500">Page {page + 1} · Times shown in {timeZone}</p>
+          <div className="flex space-x-2">
+            <Button variant="secondary" className="p-2 h-auto text-xs" disabled={page === 0 || isLoading} onClick={() => setPage(page - 1)}>
+              <ChevronLeft className="h-4 w-4 mr-1" /> Newer
+            </Button>
+            <Button variant="secondary" className="p-2 h-auto text-xs" disabled={!hasMore || isLoading} onClick={nextPage}>
+              Older <ChevronRight className="h-4 w-4 ml-1" />
+            </Button>
+          </div>
+        </div>
       </Card>
     </div>
   );
 };
 
-const EmailManagementPage = () => {
-  const { userId, isAuthReady } = useAuth();
-  const [email, setEmail] = useState('');
-  const [password, setPassword] = useState('');
-  const [backendUrl, setBackendUrl] = useState('https://email-warmup-tool.onrender.com'); // Default to the live Render backend
+const DELIVERY_LABELS = {
+  pending: 'Delivering...',
+  sent: 'Delivered',
+  failed: 'Delivery failed',
+};
+
+const emptyRuleForm = (type = 'spamRate') => ({
+  name: '',
+  type,
+  params: defaultRuleParams(type),
+  scope: '',
+  webhookUrl: '',
+  webhookFormat: 'slack',
+});
+
+const describeRule = (rule) => {
+  const params = ALERT_RULE_TYPES[rule.type]?.params || {};
+  const details = Object.entries(params).map(([field, { label }]) => `${label}: ${rule.params?.[field]}`);
+  return [ALERT_RULE_TYPES[rule.type]?.label, ...details, rule.scope || 'All accounts'].filter(Boolean).join(' · ');
+};
+
+const AlertsPage = () => {
+  const { userId } = useAuth();
+  const { workspaceId, can } = useWorkspace();
+  const { timeZone } = useProfile();
+  const { rules, notifications, unreadCount, isUnread, markRead, markAllRead } = useAlerts();
+  const accounts = useEmailAccounts();
+  const [form, setForm] = useState(emptyRuleForm());
+  const [errors, setErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
   const [message, setMessage] = useState(null);
-  const [isLoading, setIsLoading] = useState(false);
-  const [accounts, setAccounts] = useState([]);
 
-  const accountCollectionPath = doc(db, 'artifacts', appId, 'users', userId, 'emailAccounts', 'list');
+  const handleTypeChange = (e) => {
+    setForm({ ...form, type: e.target.value, params: defaultRuleParams(e.target.value) });
+    setErrors({});
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const { rule, errors: validationErrors } = validateAlertRule(form);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+
+    setIsSaving(true);
+    setMessage(null);
+    try {
+      await addDoc(alertRulesCollection(workspaceId), { ...rule, createdAt: Date.now(), createdBy: userId });
+      setForm(emptyRuleForm(form.type));
+      setMessage({ type: 'success', text: `Alert rule "${rule.name}" created.` });
+    } catch (error) {
+      console.error('Save Alert Rule Error:', error);
+      setMessage({ type: 'error', text: 'Failed to save the alert rule.' });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const toggleRule = (rule) => updateDoc(doc(alertRulesCollection(workspaceId), rule.id), { enabled: !rule.enabled })
+    .catch(error => console.error('Toggle Alert Rule Error:', error));
+
+  const removeRule = (rule) => {
+    if (!window.confirm(`Delete the alert rule "${rule.name}"?`)) return;
+    deleteDoc(doc(alertRulesCollection(workspaceId), rule.id))
+      .catch(error => console.error('Delete Alert Rule Error:', error));
+  };
+
+  return (
+    <div className="p-4 md:p-8 space-y-6">
+      <h1 className="text-3xl font-bold text-gray-900">Alerts</h1>
+
+      <Card title={`Notifications${unreadCount > 0 ? ` (${unreadCount} unread)` : ''}`}>
+        <div className="flex justify-end mb-4">
+          <Button variant="secondary" className="p-2 h-auto text-xs" disabled={unreadCount === 0} onClick={markAllRead}>
+            <CheckCircle className="h-4 w-4 mr-1" /> Mark All Read
+          </Button>
+        </div>
+        {notifications.length > 0 ? (
+          <ul className="divide-y divide-gray-200">
+            {notifications.map(notification => (
+              <li
+                key={notification.id}
+                className={`py-3 px-2 flex items-start justify-between ${isUnread(notification) ? 'bg-indigo-50' : ''}`}
+              >
+                <div className="flex items-start">
+                  <AlertTriangle className={`h-5 w-5 mr-3 flex-shrink-0 ${notification.severity === 'error' ? 'text-red-500' : 'text-yellow-500'}`} />
+                  <div>
+                    <p className="text-sm font-semibold text-gray-900">{notification.title}</p>
+                    <p className="text-sm text-gray-600">{notification.message}</p>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {formatDateTime(notification.createdAt, timeZone)} · {notification.ruleName}
+                      {notification.delivery && ` · ${DELIVERY_LABELS[notification.delivery.status] || notification.delivery.status}`}
+                      {notification.delivery?.error && ` (${notification.delivery.error})`}
+                    </p>
+                  </div>
+                </div>
+                {isUnread(notification) && (
+                  <Button variant="secondary" className="p-2 h-auto text-xs ml-4" onClick={() => markRead(notification.id)}>
+                    Mark Read
+                  </Button>
+                )}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-center text-gray-500">No alerts have fired yet.</p>
+        )}
+      </Card>
+
+      <Card title="Alert Rules">
+        {rules.length > 0 ? (
+          <ul className="divide-y divide-gray-200 mb-6">
+            {rules.map(rule => (
+              <li key={rule.id} className="py-3 flex items-center justify-between">
+                <div>
+                  <p className="text-sm font-semibold text-gray-900">
+                    {rule.name}
+                    {!rule.enabled && <span className="ml-2 text-xs font-normal text-gray-500">(disabled)</span>}
+                  </p>
+                  <p className="text-xs text-gray-500">{describeRule(rule)}</p>
+                  {rule.webhookUrl && (
+                    <p className="text-xs text-gray-500 break-all">Webhook ({WEBHOOK_FORMATS[rule.webhookFormat]}): {rule.webhookUrl}</p>
+                  )}
+                </div>
+                {can.edit && (
+                  <div className="flex space-x-2 ml-4">
+                    <Button variant="secondary" className="p-2 h-auto text-xs" onClick={() => toggleRule(rule)}>
+                      {rule.enabled ? <><Pause className="h-4 w-4 mr-1" /> Disable</> : <><Play className="h-4 w-4 mr-1" /> Enable</>}
+                    </Button>
+                    <Button variant="danger" className="p-2 h-auto text-xs" onClick={() => removeRule(rule)}>
+                      <X className="h-4 w-4 mr-1" /> Delete
+                    </Button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500 mb-6">No alert rules yet.</p>
+        )}
+
+        {can.edit ? (
+          <form onSubmit={handleSave} className="space-y-4">
+            <Message message={message} />
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <Input
+                label="Rule Name"
+                id="rule-name"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                placeholder="e.g., Spam spike"
+                error={errors.name}
+              />
+              <Select
+                label="Condition"
+                id="rule-type"
+                value={form.type}
+                onChange={handleTypeChange}
+                options={Object.entries(ALERT_RULE_TYPES).map(([value, { label }]) => ({ value, label }))}
+              />
+              <Select
+                label="Applies To"
+                id="rule-scope"
+                value={form.scope}
+                onChange={(e) => setForm({ ...form, scope: e.target.value })}
+                options={[{ value: '', label: 'All accounts' }, ...accounts.map(acc => ({ value: acc.email, label: acc.email }))]}
+              />
+              {Object.entries(ALERT_RULE_TYPES[form.type].params).map(([field, { label, min, max }]) => (
+                <Input
+                  key={field}
+                  label={label}
+                  id={`rule-${field}`}
+                  type="number"
+                  value={form.params[field]}
+                  onChange={(e) => setForm({ ...form, params: { ...form.params, [field]: e.target.value } })}
+                  min={min}
+                  max={max}
+                  step={1}
+                  error={errors[field]}
+                />
+              ))}
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="md:col-span-2">
+                <Input
+                  label="Webhook URL (optional)"
+                  id="rule-webhook"
+                  value={form.webhookUrl}
+                  onChange={(e) => setForm({ ...form, webhookUrl: e.target.value })}
+                  placeholder="https://hooks.slack.com/services/..."
+                  error={errors.webhookUrl}
+                />
+              </div>
+              <Select
+                label="Webhook Format"
+                id="rule-webhook-format"
+                value={form.webhookFormat}
+                onChange={(e) => setForm({ ...form, webhookFormat: e.target.value })}
+                options={Object.entries(WEBHOOK_FORMATS).map(([value, label]) => ({ value, label }))}
+              />
+            </div>
+            <Button type="submit" loading={isSaving}>
+              <Bell className="h-4 w-4 mr-2" /> Add Alert Rule
+            </Button>
+            <p className="text-xs text-gray-500">
+              Rules are evaluated while an owner or admin has the app open. Webhook deliveries are sent by the backend.
+            </p>
+          </form>
+        ) : (
+          <p className="text-xs text-gray-500">Only workspace owners and admins can change alert rules.</p>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+const INVITE_ROLES = ['admin', 'viewer'];
+
+// Invitations addressed to the signed-in user, across all workspaces.
+const PendingInvitations = () => {
+  const { user } = useAuth();
+  const { switchWorkspace } = useWorkspace();
+  const [invitations, setInvitations] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+  const [message, setMessage] = useState(null);
 
   useEffect(() => {
-    if (!isAuthReady || !userId) return;
+    if (!user?.email) return;
 
-    // Listener for real-time updates to email accounts
-    const unsubscribe = onSnapshot(accountCollectionPath, (doc) => {
-      if (doc.exists()) {
-        setAccounts(doc.data().emails || []);
-      } else {
-        setAccounts([]);
-      }
+    const invitationsQuery = query(invitationsCollection(), where('email', '==', accountKey(user.email)), where('status', '==', 'pending'));
+    const unsubscribe = onSnapshot(invitationsQuery, (snapshot) => {
+      setInvitations(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
     });
 
     return () => unsubscribe();
-  }, [userId, isAuthReady]);
-
-  const handleConnect = async (e) => {
-    e.preventDefault();
-    if (!userId || !backendUrl) {
-      setMessage({ type: 'error', text: 'Backend URL or User ID is missing.' });
-      return;
-    }
+  }, [user?.email]);
 
-    setIsLoading(true);
+  const respond = async (invitation, accept) => {
+    setBusyId(invitation.id);
     setMessage(null);
-
-    // 1. Simulate API call to the live Render backend
     try {
-      const response = await fetch(`${backendUrl}/api/emails/connect`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ email, password, userId }),
-      });
+      if (!accept) {
+        await declineInvitation(invitation.id);
+      } else if (await acceptInvitation(invitation.id, user)) {
+        await switchWorkspace(invitation.workspaceId);
+        setMessage({ type: 'success', text: `You joined ${invitation.workspaceName}.` });
+      } else {
+        setMessage({ type: 'error', text: 'This invitation is no longer valid.' });
+      }
+    } catch (error) {
+      console.error('Invitation Error:', error);
+      setMessage({ type: 'error', text: 'Failed to respond to the invitation.' });
+    } finally {
+      setBusyId(null);
+    }
+  };
 
-      const data = await response.json();
+  if (invitations.length === 0 && !message) return null;
+
+  return (
+    <Card title="Invitations">
+      <Message message={message} />
+      <ul className="divide-y divide-gray-200">
+        {invitations.map(invitation => (
+          <li key={invitation.id} className="py-3 flex items-center justify-between">
+            <span className="text-sm text-gray-700">
+              Join <span className="font-semibold">{invitation.workspaceName}</span> as {ROLES[invitation.role]?.label || invitation.role}
+            </span>
+            <div className="flex space-x-2">
+              <Button className="p-2 h-auto text-xs" loading={busyId === invitation.id} onClick={() => respond(invitation, true)}>
+                Accept
+              </Button>
+              <Button variant="secondary" className="p-2 h-auto text-xs" disabled={busyId === invitation.id} onClick={() => respond(invitation, false)}>
+                Decline
+              </Button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </Card>
+  );
+};
 
-      if (response.ok && data.success) {
-        // 2. If API call is successful, save the mock account data to Firestore
-        const newAccount = {
-          email,
-          status: 'active',
-          volume: 10,
-          joined: Date.now(),
-          lastSync: Date.now(),
-        };
+const WorkspacePage = () => {
+  const { user, userId } = useAuth();
+  const { api } = useApi();
+  const { workspace, role, can, switchWorkspace } = useWorkspace();
+  const [name, setName] = useState('');
+  const [newName, setNewName] = useState('');
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState('viewer');
+  const [invitations, setInvitations] = useState([]);
+  const [message, setMessage] = useState(null);
+  const [pending, setPending] = useState(null);
 
-        const currentAccounts = accounts.length > 0 ? accounts : [];
+  useEffect(() => {
+    setName(workspace?.name || '');
+  }, [workspace?.id, workspace?.name]);
 
-        await setDoc(accountCollectionPath, {
-          emails: [...currentAccounts, newAccount],
-        }, { merge: true });
+  useEffect(() => {
+    setInvitations([]);
+    if (!workspace || !can.manageMembers) return;
 
-        setMessage({ type: 'success', text: `Successfully connected: ${email}. Warmup started.` });
-        setEmail('');
-        setPassword('');
+    const invitationsQuery = query(invitationsCollection(), where('workspaceId', '==', workspace.id), where('status', '==', 'pending'));
+    const unsubscribe = onSnapshot(invitationsQuery, (snapshot) => {
+      setInvitations(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    });
 
-        // Simulate logging the event to the dashboard log
-        await setDoc(doc(db, 'artifacts', appId, 'users', userId, 'logs', Date.now().toString()), {
-          timestamp: Date.now(),
-          event: 'Account Connected',
-          email: email,
-          status: 'success',
-        }, { merge: true });
+    return () => unsubscribe();
+  }, [workspace?.id, can.manageMembers]);
 
-      } else {
-        // Handle API error response
-        setMessage({ type: 'error', text: data.message || 'API connection failed. Check credentials.' });
-      }
+  // Runs a workspace change, reporting failures instead of throwing
+  const run = async (key, action, successText) => {
+    setPending(key);
+    setMessage(null);
+    try {
+      await action();
+      if (successText) setMessage({ type: 'success', text: successText });
     } catch (error) {
-      console.error('Connection Error:', error);
-      setMessage({ type: 'error', text: `Could not reach API: ${error.message}. Check your URL.` });
+      console.error('Workspace Error:', error);
+      setMessage({ type: 'error', text: error.message || 'The workspace change failed.' });
     } finally {
-      setIsLoading(false);
+      setPending(null);
     }
   };
 
-  const handleRemove = async (targetEmail) => {
-    if (!userId) return;
+  if (!workspace) {
+    return (
+      <div className="flex items-center justify-center p-8">
+        <Loader2 className="h-6 w-6 animate-spin text-indigo-500 mr-2" />
+        <p className="text-gray-700">Loading workspace...</p>
+      </div>
+    );
+  }
 
-    const updatedAccounts = accounts.filter(acc => acc.email !== targetEmail);
+  const members = Object.entries(workspace.members || {})
+    .map(([id, member]) => ({ id, ...member }))
+    .sort((a, b) => (a.joinedAt || 0) - (b.joinedAt || 0));
 
-    try {
-      await setDoc(accountCollectionPath, { emails: updatedAccounts }, { merge: true });
-      setMessage({ type: 'success', text: `${targetEmail} removed successfully.` });
+  const handleRename = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    run('rename', () => renameWorkspace(workspace.id, name.trim()), 'Workspace renamed.');
+  };
 
-      // Simulate logging the event
-      await setDoc(doc(db, 'artifacts', appId, 'users', userId, 'logs', Date.now().toString()), {
-        timestamp: Date.now(),
-        event: 'Account Removed',
-        email: targetEmail,
-        status: 'warning',
-      }, { merge: true });
-      
-    } catch (error) {
-      console.error("Remove Error:", error);
-      setMessage({ type: 'error', text: 'Failed to remove account.' });
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    run('create', async () => {
+      const workspaceId = await createWorkspace(user, newName.trim());
+      await switchWorkspace(workspaceId);
+      setNewName('');
+    }, `Created ${newName.trim()}.`);
+  };
+
+  const handleInvite = (e) => {
+    e.preventDefault();
+    const email = inviteEmail.trim();
+    if (members.some(member => member.email && accountKey(member.email) === accountKey(email))) {
+      setMessage({ type: 'error', text: `${email} is already a member.` });
+      return;
     }
+    run('invite', async () => {
+      await createInvitation(workspace, email, inviteRole, userId);
+      setInviteEmail('');
+      // The invitation works without the email; the invitee also sees it on this page
+      try {
+        await api.post(`/api/workspaces/${encodeURIComponent(workspace.id)}/invitations`, { email, role: inviteRole });
+      } catch (error) {
+        console.error('Invitation Email Error:', error);
+        throw new Error(`Invitation saved, but the email could not be sent (${error.message}). ${email} can accept it after signing in.`);
+      }
+    }, `Invited ${email} as ${ROLES[inviteRole].label}.`);
+  };
+
+  const handleLeave = () => {
+    if (!window.confirm(`Leave ${workspace.name}? You will lose access to its accounts.`)) return;
+    run('leave', async () => {
+      await removeMember(workspace.id, userId);
+      await switchWorkspace(userId);
+    });
   };
 
   return (
-    <div className="space-y-6 p-4 md:p-8">
-      <h1 className="text-3xl font-bold text-gray-900">Email Account Management</h1>
+    <div className="p-4 md:p-8 space-y-6">
+      <h1 className="text-3xl font-bold text-gray-900">Team Workspace</h1>
+      <Message message={message} />
 
-      {/* Backend URL Input */}
-      <Card title="Backend API Configuration (Render)" className="border border-indigo-200">
-        <Input
-          label="Backend API URL"
-          id="backend-url"
-          value={backendUrl}
-          onChange={(e) => setBackendUrl(e.target.value)}
-          placeholder="e.g., https://your-warmup-api.onrender.com"
-        />
-        <p className="mt-2 text-xs text-gray-500 flex items-center">
-            <Cloud className="h-4 w-4 mr-1 text-indigo-500" />
-            Your live backend is hosted on Render. Ensure the URL is correct to enable warmup.
-        </p>
-      </Card>
+      <PendingInvitations />
 
-      {/* Connection Form */}
-      <Card title="Connect New Email Account">
-        {message && (
-          <div className={`p-3 mb-4 rounded-lg flex items-center text-sm ${message.type === 'success' ? 'bg-green-50 text-green-700' : 'bg-red-50 text-red-700'}`}>
-            {message.type === 'success' ? <CheckCircle className="h-5 w-5 mr-2" /> : <AlertTriangle className="h-5 w-5 mr-2" />}
-            {message.text}
-          </div>
+      <Card title={workspace.name}>
+        <p className="text-sm text-gray-600 mb-4">
+          Your role: <span className="font-semibold">{ROLES[role]?.label || 'None'}</span>.
+          {' '}Owners and admins can manage accounts, settings and members; viewers have read-only access.
+        </p>
+        {can.manageMembers && (
+          <form onSubmit={handleRename} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+            <div className="md:col-span-2">
+              <Input label="Workspace Name" id="workspace-name" value={name} onChange={(e) => setName(e.target.value)} required />
+            </div>
+            <Button type="submit" loading={pending === 'rename'} disabled={name.trim() === workspace.name}>
+              Rename
+            </Button>
+          </form>
         )}
-        <form onSubmit={handleConnect} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
-          <Input
-            label="Email Address (SMTP/IMAP)"
-            id="email"
-            type="email"
-            value={email}
-            onChange={(e) => setEmail(e.target.value)}
-            placeholder="e.g., marketing@yourdomain.com"
-            required
-          />
-          <Input
-            label="App Password / Token"
-            id="password"
-            type="password"
-            value={password}
-            onChange={(e) => setPassword(e.target.value)}
-            placeholder="This is stored securely by the API"
-            required
-          />
-          <Button type="submit" loading={isLoading} disabled={!email || !password || !backendUrl} className="w-full md:w-auto">
-            {isLoading ? 'Connecting...' : 'Connect Account via API'}
+        {role !== 'owner' && (
+          <Button variant="danger" className="mt-4" loading={pending === 'leave'} onClick={handleLeave}>
+            <LogOut className="h-4 w-4 mr-2" /> Leave Workspace
           </Button>
-        </form>
+        )}
       </Card>
 
-      {/* Existing Accounts Table */}
-      <Card title="Existing Warmup Accounts">
+      <Card title="Members">
         <div className="overflow-x-auto">
           <table className="min-w-full divide-y divide-gray-200">
             <thead className="bg-gray-50">
               <tr>
-                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Email
-                </th>
-                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Status
-                </th>
-                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Daily Volume
-                </th>
-                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Actions
-                </th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Member</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Role</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Joined</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
               </tr>
             </thead>
             <tbody className="bg-white divide-y divide-gray-200">
-              {accounts.length > 0 ? accounts.map((account) => (
-                <tr key={account.email} className="hover:bg-gray-50">
-                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{account.email}</td>
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STATUS_MAP[account.status]?.color}`}>
-                      {STATUS_MAP[account.status]?.text}
-                    </span>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{account.volume}</td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-2">
-                    <Button variant="secondary" className="p-2 h-auto text-xs" onClick={() => console.log('Pause Warmup')}>
-                      <Zap className="h-4 w-4 mr-1" /> Pause
-                    </Button>
-                    <Button variant="danger" className="p-2 h-auto text-xs" onClick={() => handleRemove(account.email)}>
-                      <X className="h-4 w-4 mr-1" /> Remove
-                    </Button>
-                  </td>
-                </tr>
-              )) : (
-                <tr>
-                  <td colSpan="4" className="px-6 py-4 text-center text-sm text-gray-500">
-                    No email accounts are currently connected.
-                  </td>
-                </tr>
-              )}
+              {members.map(member => {
+                // The owner's membership can't be changed, and nobody edits their own role
+                const editable = can.manageMembers && member.role !== 'owner' && member.id !== userId;
+                return (
+                  <tr key={member.id}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {member.email || <span className="font-mono text-xs">{member.id}</span>}
+                      {member.id === userId && <span className="ml-2 text-xs text-gray-500">(you)</span>}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                      {editable ? (
+                        <select
+                          aria-label={`Role for ${member.email || member.id}`}
+                          value={member.role}
+                          disabled={pending !== null}
+                          onChange={(e) => run(`role-${member.id}`, () => setMemberRole(workspace.id, member.id, e.target.value))}
+                          className="rounded-lg border border-gray-300 p-1 text-sm"
+                        >
+                          {INVITE_ROLES.map(value => <option key={value} value={value}>{ROLES[value].label}</option>)}
+                        </select>
+                      ) : (ROLES[member.role]?.label || member.role)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {member.joinedAt ? new Date(member.joinedAt).toLocaleDateString() : '—'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      {editable && (
+                        <Button
+                          variant="danger"
+                          className="p-2 h-auto text-xs"
+                          loading={pending === `remove-${member.id}`}
+                          onClick={() => run(`remove-${member.id}`, () => removeMember(workspace.id, member.id), `${member.email || 'Member'} removed.`)}
+                        >
+                          <X className="h-4 w-4 mr-1" /> Remove
+                        </Button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
             </tbody>
           </table>
-          <p className="mt-4 text-xs text-gray-500">User ID for troubleshooting: {userId}</p>
         </div>
       </Card>
+
+      {can.manageMembers && (
+        <Card title="Invite a Teammate">
+          {workspace.personal && (
+            <p className="text-sm text-gray-600 mb-4">
+              This is your personal workspace. You can share it, or create a separate team workspace below.
+            </p>
+          )}
+          <form onSubmit={handleInvite} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+            <Input label="Email" id="invite-email" type="email" value={inviteEmail} onChange={(e) => setInviteEmail(e.target.value)} required />
+            <Select
+              label="Role"
+              id="invite-role"
+              value={inviteRole}
+              onChange={(e) => setInviteRole(e.target.value)}
+              options={INVITE_ROLES.map(value => ({ value, label: ROLES[value].label }))}
+            />
+            <Button type="submit" loading={pending === 'invite'}>
+              <UserPlus className="h-4 w-4 mr-2" /> Send Invite
+            </Button>
+          </form>
+          {invitations.length > 0 && (
+            <ul className="mt-4 divide-y divide-gray-200">
+              {invitations.map(invitation => (
+                <li key={invitation.id} className="py-2 flex items-center justify-between text-sm">
+                  <span className="text-gray-700">
+                    {invitation.email} · {ROLES[invitation.role]?.label} · invited {new Date(invitation.createdAt).toLocaleDateString()}
+                  </span>
+                  <Button
+                    variant="secondary"
+                    className="p-2 h-auto text-xs"
+                    loading={pending === `revoke-${invitation.id}`}
+                    onClick={() => run(`revoke-${invitation.id}`, () => revokeInvitation(invitation.id), `Invitation for ${invitation.email} revoked.`)}
+                  >
+                    Revoke
+                  </Button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </Card>
+      )}
+
+      <Card title="New Workspace">
+        <form onSubmit={handleCreate} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+          <div className="md:col-span-2">
+            <Input label="Name" id="new-workspace-name" value={newName} onChange={(e) => setNewName(e.target.value)} placeholder="e.g., Client: Acme Inc." required />
+          </div>
+          <Button type="submit" loading={pending === 'create'}>
+            <Users className="h-4 w-4 mr-2" /> Create Workspace
+          </Button>
+        </form>
+      </Card>
     </div>
   );
 };
 
-const WarmupControlPage = () => (
-  <div className="p-4 md:p-8 space-y-6">
-    <h1 className="text-3xl font-bold text-gray-900">Warmup Control & Strategy</h1>
-    <Card title="Global Warmup Settings">
-      <div className="space-y-4">
-        <p className="text-sm text-gray-600">
-          Configure the automated ramp-up schedule and engagement rules across all connected accounts.
-        </p>
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-          <Input label="Max Daily Emails (Per Account)" id="max-daily" type="number" placeholder="50" />
-          <Input label="Daily Volume Increase (%)" id="daily-increase" type="number" placeholder="10" />
-        </div>
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-          <Input label="Target Reply Rate (%)" id="target-reply" type="number" placeholder="15" />
-          <Input label="Warmup Duration (Days)" id="warmup-days" type="number" placeholder="30" />
+// --- AUTHENTICATION SCREENS ---
+
+// Email/password + Google form. In `signup` mode a guest session is linked
+// rather than replaced, so its data carries over.
+const AuthForm = ({ initialMode = 'signin', allowModeSwitch = true, onDone }) => {
+  const { isAnonymous, signInWithEmail, signUpWithEmail, signInWithGoogle, resetPassword } = useAuth();
+  const [mode, setMode] = useState(initialMode);
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [message, setMessage] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const run = async (action) => {
+    setIsLoading(true);
+    setMessage(null);
+    try {
+      await action();
+      onDone?.();
+    } catch (error) {
+      console.error('Auth Error:', error);
+      setMessage({ type: 'error', text: authErrorMessage(error) });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    run(() => (mode === 'signup' ? signUpWithEmail(email, password) : signInWithEmail(email, password)));
+  };
+
+  const handleReset = async () => {
+    if (!email) {
+      setMessage({ type: 'error', text: 'Enter your email address first.' });
+      return;
+    }
+    try {
+      await resetPassword(email);
+      setMessage({ type: 'success', text: `Password reset email sent to ${email}.` });
+    } catch (error) {
+      setMessage({ type: 'error', text: authErrorMessage(error) });
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {allowModeSwitch && (
+        <div className="flex rounded-lg bg-gray-100 p-1">
+          {[['signin', 'Sign In'], ['signup', 'Create Account']].map(([value, label]) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => {
+                setMode(value);
+                setMessage(null);
+              }}
+              className={`flex-1 py-2 text-sm font-semibold rounded-md transition ${mode === value ? 'bg-white shadow text-indigo-700' : 'text-gray-600'}`}
+            >
+              {label}
+            </button>
+          ))}
         </div>
-        <Button variant="primary">
-          <Settings className="h-4 w-4 mr-2" /> Save Global Settings
+      )}
+      {mode === 'signin' && isAnonymous && (
+        <p className="text-xs text-yellow-700 bg-yellow-50 p-2 rounded-lg">
+          Signing in to an existing account switches away from this guest session; its data is not merged.
+        </p>
+      )}
+      <Message message={message} />
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <Input label="Email" id="auth-email" type="email" value={email} onChange={(e) => setEmail(e.target.value)} required />
+        <Input label="Password" id="auth-password" type="password" value={password} onChange={(e) => setPassword(e.target.value)} required />
+        <Button type="submit" loading={isLoading} disabled={!email || !password} className="w-full">
+          {mode === 'signup' ? <UserPlus className="h-4 w-4 mr-2" /> : <LogIn className="h-4 w-4 mr-2" />}
+          {mode === 'signup' ? (isAnonymous ? 'Save Guest Data to New Account' : 'Create Account') : 'Sign In'}
         </Button>
+      </form>
+      <Button variant="secondary" loading={isLoading} className="w-full" onClick={() => run(() => signInWithGoogle({ link: isAnonymous && mode === 'signup' }))}>
+        Continue with Google
+      </Button>
+      {mode === 'signin' && (
+        <button type="button" onClick={handleReset} className="text-xs text-indigo-600 hover:text-indigo-800">
+          Forgot your password?
+        </button>
+      )}
+    </div>
+  );
+};
+
+const SignInPage = () => {
+  const { continueAsGuest } = useAuth();
+  const [error, setError] = useState(null);
+
+  const handleGuest = async () => {
+    try {
+      await continueAsGuest();
+    } catch (err) {
+      setError(authErrorMessage(err));
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 p-4">
+      <div className="w-full max-w-md space-y-6">
+        <div className="flex items-center justify-center">
+          <Zap className="h-10 w-10 text-indigo-600" />
+          <span className="text-3xl font-extrabold text-gray-900 ml-2 tracking-wide">Warmup AI</span>
+        </div>
+        <Card>
+          <AuthForm />
+        </Card>
+        <Message message={error && { type: 'error', text: error }} />
+        <p className="text-center text-xs text-gray-500">
+          Just looking around?{' '}
+          <button type="button" onClick={handleGuest} className="text-indigo-600 hover:text-indigo-800 font-semibold">
+            Continue as guest
+          </button>
+          . Guest data can be saved to an account later.
+        </p>
       </div>
+    </div>
+  );
+};
+
+const DisplayPreferences = () => {
+  const { timeZone, updateProfile } = useProfile();
+  const [message, setMessage] = useState(null);
+  const zones = useMemo(() => listTimeZones(), []);
+
+  const handleChange = async (e) => {
+    setMessage(null);
+    try {
+      await updateProfile({ timeZone: e.target.value });
+    } catch (error) {
+      console.error('Save Time Zone Error:', error);
+      setMessage({ type: 'error', text: `Failed to save the time zone: ${error.message}` });
+    }
+  };
+
+  return (
+    <Card title="Display Preferences">
+      <Message message={message} />
+      <Select
+        label="Time Zone"
+        id="display-time-zone"
+        value={timeZone}
+        onChange={handleChange}
+        options={zones.map(zone => ({ value: zone, label: zone }))}
+      />
+      <p className="mt-2 text-xs text-gray-500">
+        Timestamps across the dashboard are shown in this zone. Now: {formatDateTime(Date.now(), timeZone)}.
+      </p>
     </Card>
+  );
+};
 
-    <Card title="Engagement Simulation Rules">
-      <ul className="text-sm text-gray-600 space-y-2 list-disc list-inside">
-        <li>Automatically move emails from **Spam** to **Primary Inbox** upon arrival.</li>
-        <li>Simulate **human-like replies** to warm-up emails within 3 hours.</li>
-        <li>Mark warm-up emails as **Important** to improve sender reputation.</li>
-        <li>Monitor DNS records (SPF, DKIM, DMARC) for authentication issues.</li>
-      </ul>
-      <Button variant="secondary" className="mt-4">
-        <RefreshCw className="h-4 w-4 mr-2" /> View Detailed Diagnostics
+const AccountPage = () => {
+  const { user, isAnonymous, logout } = useAuth();
+  const [linked, setLinked] = useState(false);
+
+  return (
+    <div className="p-4 md:p-8 space-y-6">
+      <h1 className="text-3xl font-bold text-gray-900">Your Account</h1>
+      {isAnonymous ? (
+        <Card title="Save Your Guest Data">
+          <p className="text-sm text-gray-600 mb-4">
+            You are using a guest session. Its accounts and logs disappear if this browser&apos;s storage is cleared.
+            Create an account to keep them.
+          </p>
+          <AuthForm initialMode="signup" allowModeSwitch={false} onDone={() => setLinked(true)} />
+        </Card>
+      ) : (
+        <Card title="Sign-in Details">
+          {linked && <Message message={{ type: 'success', text: 'Your guest data is now saved to this account.' }} />}
+          <dl className="text-sm space-y-2">
+            <div className="flex"><dt className="w-32 text-gray-500">Email</dt><dd className="text-gray-900">{user?.email || '—'}</dd></div>
+            <div className="flex">
+              <dt className="w-32 text-gray-500">Sign-in methods</dt>
+              <dd className="text-gray-900">{user?.providerData.map(p => p.providerId).join(', ') || 'custom token'}</dd>
+            </div>
+            <div className="flex"><dt className="w-32 text-gray-500">User ID</dt><dd className="text-gray-900 font-mono text-xs">{user?.uid}</dd></div>
+          </dl>
+          <Button variant="secondary" className="mt-4" onClick={logout}>
+            <LogOut className="h-4 w-4 mr-2" /> Sign Out
+          </Button>
+        </Card>
+      )}
+      <DisplayPreferences />
+    </div>
+  );
+};
+
+// --- MAIN LAYOUT & ROUTING ---
+
+const HEALTH_STYLES = {
+  online: { dot: 'bg-green-400', text: 'Backend online' },
+  offline: { dot: 'bg-red-400', text: 'Backend unreachable' },
+  checking: { dot: 'bg-yellow-300 animate-pulse', text: 'Checking backend...' },
+  unknown: { dot: 'bg-gray-400', text: 'Backend status unknown' },
+};
+
+const BackendStatus = () => {
+  const { health, checkHealth } = useApi();
+  const { timeZone } = useProfile();
+  const style = HEALTH_STYLES[health.status] || HEALTH_STYLES.unknown;
+  const title = [
+    health.error,
+    health.checkedAt && `Last checked ${formatDateTime(health.checkedAt, timeZone, { timeStyle: 'medium' })}`,
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <button onClick={checkHealth} title={title} className="flex items-center text-xs text-indigo-100 hover:text-white px-4 py-2">
+      <span className={`inline-block h-2 w-2 rounded-full mr-2 ${style.dot}`} />
+      {style.text}
+    </button>
+  );
+};
+
+const navigate = (name, params) => {
+  window.location.hash = routeHref(name, params);
+};
+
+// Current route from the URL hash, kept in sync with back/forward.
+const useHashRoute = () => {
+  const [path, setPath] = useState(() => pathFromHash(window.location.hash));
+
+  useEffect(() => {
+    const handleChange = () => setPath(pathFromHash(window.location.hash));
+    window.addEventListener('hashchange', handleChange);
+    return () => window.removeEventListener('hashchange', handleChange);
+  }, []);
+
+  useEffect(() => {
+    // Bare URLs land on the dashboard without adding a history entry
+    if (!matchRoute(path)) {
+      window.history.replaceState(null, '', `#${DEFAULT_PATH}`);
+      setPath(DEFAULT_PATH);
+    }
+  }, [path]);
+
+  return matchRoute(path) || matchRoute(DEFAULT_PATH);
+};
+
+const NotFoundPage = () => (
+  <div className="p-4 md:p-8">
+    <Card title="Page Not Found">
+      <p className="text-sm text-gray-600 mb-4">
+        There is nothing at <span className="font-mono">{window.location.hash || '/'}</span>.
+      </p>
+      <Button variant="secondary" onClick={() => navigate('dashboard')}>
+        <Home className="h-4 w-4 mr-2" /> Back to Dashboard
       </Button>
     </Card>
   </div>
 );
 
-// --- MAIN LAYOUT & ROUTING ---
+// Connectivity banner plus any queued changes that conflicted on replay.
+const SyncBanner = () => {
+  const { isOnline, isSyncing, queue, resolveConflict } = useSync();
+  const [resolving, setResolving] = useState(null);
+  const pending = queue.filter(op => !op.conflict);
+  const conflicts = queue.filter(op => op.conflict);
+
+  const resolve = async (operation, apply) => {
+    setResolving(operation.id);
+    try {
+      await resolveConflict(operation.id, apply);
+    } catch (error) {
+      console.error('Resolve Conflict Error:', error);
+    } finally {
+      setResolving(null);
+    }
+  };
+
+  return (
+    <>
+      {!isOnline && (
+        <div className="bg-gray-800 text-gray-100 px-4 py-2 text-sm flex items-center">
+          <Cloud className="h-4 w-4 mr-2" />
+          You are offline. Showing the last synced data
+          {pending.length > 0 ? `; ${pending.length} queued change${pending.length === 1 ? '' : 's'} will sync when you reconnect.` : '.'}
+        </div>
+      )}
+      {isOnline && isSyncing && (
+        <div className="bg-indigo-50 border-b border-indigo-200 px-4 py-2 text-sm text-indigo-800 flex items-center">
+          <Loader2 className="h-4 w-4 mr-2 animate-spin" /> Syncing changes made while offline...
+        </div>
+      )}
+      {conflicts.map(operation => (
+        <div key={operation.id} className="bg-red-50 border-b border-red-200 px-4 py-2 text-sm text-red-800 flex items-center justify-between">
+          <span>
+            <AlertTriangle className="h-4 w-4 inline mr-2" />
+            {describeOperation(operation)} was not applied: {operation.conflict}
+          </span>
+          <span className="flex space-x-2 ml-4 flex-shrink-0">
+            <Button variant="secondary" className="p-1 h-auto text-xs" disabled={!isOnline} loading={resolving === operation.id} onClick={() => resolve(operation, true)}>
+              Apply Anyway
+            </Button>
+            <Button variant="secondary" className="p-1 h-auto text-xs" disabled={resolving === operation.id} onClick={() => resolve(operation, false)}>
+              Discard
+            </Button>
+          </span>
+        </div>
+      ))}
+    </>
+  );
+};
+
+// Sidebar dropdown for moving between the workspaces the user belongs to.
+const WorkspaceSwitcher = () => {
+  const { workspace, workspaces, role, switchWorkspace } = useWorkspace();
+
+  if (!workspace) return null;
+
+  return (
+    <div className="px-4 pt-4">
+      <label htmlFor="workspace-switcher" className="block text-xs font-medium text-indigo-200 mb-1">Workspace</label>
+      <select
+        id="workspace-switcher"
+        value={workspace.id}
+        onChange={(e) => switchWorkspace(e.target.value).catch(error => console.error('Switch Workspace Error:', error))}
+        className="block w-full rounded-lg border-0 bg-indigo-700 text-white text-sm p-2 focus:ring-2 focus:ring-white"
+      >
+        {workspaces.map(ws => (
+          <option key={ws.id} value={ws.id}>{ws.name}</option>
+        ))}
+      </select>
+      <p className="mt-1 text-xs text-indigo-200">{ROLES[role]?.label || ''}</p>
+    </div>
+  );
+};
 
-const Layout = ({ children, currentPage, setCurrentPage }) => {
+const Layout = ({ children, currentPage }) => {
   const [sidebarOpen, setSidebarOpen] = useState(false);
-  const { user, logout } = useAuth();
+  const { user, isAnonymous, logout } = useAuth();
+  const { unreadCount } = useAlerts();
   const userId = user?.uid;
+  const userLabel = isAnonymous ? 'Guest' : (user?.email || userId);
 
   const navigation = [
     { name: 'Dashboard', href: 'dashboard', icon: Home },
     { name: 'Email Management', href: 'emails', icon: Mail },
     { name: 'Warmup Control', href: 'warmup', icon: Activity },
+    { name: 'Warmup Pool', href: 'pool', icon: Share2 },
+    { name: 'Placement Tests', href: 'placement', icon: Inbox },
+    { name: 'Templates', href: 'templates', icon: FileText },
+    { name: 'Activity Log', href: 'logs', icon: List },
+    { name: 'Diagnostics', href: 'diagnostics', icon: ShieldCheck },
+    { name: 'Blocklists', href: 'blocklists', icon: ShieldAlert },
+    { name: 'Alerts', href: 'alerts', icon: Bell, badge: unreadCount },
+    { name: 'Team Workspace', href: 'workspace', icon: Users },
   ];
 
   const NavLink = ({ item }) => (
     <a
-      href="#"
-      onClick={(e) => {
-        e.preventDefault();
-        setCurrentPage(item.href);
-        setSidebarOpen(false);
-      }}
+      href={routeHref(item.href)}
+      onClick={() => setSidebarOpen(false)}
       className={`group flex items-center px-2 py-3 text-base font-medium rounded-lg transition duration-150 ease-in-out ${
         currentPage === item.href
           ? 'bg-indigo-700 text-white shadow-lg'
@@ -514,6 +6696,11 @@ const Layout = ({ children, currentPage, setCurrentPage }) => {
     >
       <item.icon className={`mr-4 h-6 w-6 transition duration-150 ${currentPage === item.href ? 'text-white' : 'text-indigo-200 group-hover:text-white'}`} aria-hidden="true" />
       {item.name}
+      {item.badge > 0 && (
+        <span className="ml-auto inline-flex items-center justify-center min-w-[1.25rem] h-5 px-1 rounded-full bg-red-500 text-white text-xs font-semibold">
+          {item.badge > 99 ? '99+' : item.badge}
+        </span>
+      )}
     </a>
   );
 
@@ -537,16 +6724,21 @@ const Layout = ({ children, currentPage, setCurrentPage }) => {
               <Zap className="h-8 w-8 text-white" />
               <span className="text-xl font-bold text-white ml-2">Warmup AI</span>
             </div>
+            <WorkspaceSwitcher />
             <nav className="mt-5 px-2 space-y-1">
               {navigation.map((item) => (
                 <NavLink key={item.name} item={item} />
               ))}
             </nav>
           </div>
+          <BackendStatus />
           <div className="flex-shrink-0 flex border-t border-indigo-700 p-4">
             <div className="flex items-center">
               <div className="ml-3">
-                <p className="text-sm font-medium text-white">User: {userId ? userId.substring(0, 8) + '...' : 'Guest'}</p>
+                <p className="text-sm font-medium text-white">User: {isAnonymous ? 'Guest' : user?.email || (userId ? userId.substring(0, 8) + '...' : 'Guest')}</p>
+                <a href={routeHref('account')} onClick={() => setSidebarOpen(false)} className="block text-xs font-medium text-indigo-200 hover:text-white">
+                  <User className="h-4 w-4 inline mr-1" /> {isAnonymous ? 'Save Guest Data' : 'Account'}
+                </a>
                 <button onClick={logout} className="text-xs font-medium text-indigo-200 hover:text-white">
                   <LogOut className="h-4 w-4 inline mr-1" /> Sign Out
                 </button>
@@ -564,19 +6756,24 @@ const Layout = ({ children, currentPage, setCurrentPage }) => {
               <Zap className="h-8 w-8 text-white" />
               <span className="text-2xl font-extrabold text-white ml-2 tracking-wide">Warmup AI</span>
             </div>
+            <WorkspaceSwitcher />
             <nav className="mt-6 flex-1 px-4 space-y-1">
               {navigation.map((item) => (
                 <NavLink key={item.name} item={item} />
               ))}
             </nav>
           </div>
+          <BackendStatus />
           <div className="flex-shrink-0 flex border-t border-indigo-700 p-4">
             <div className="flex items-center w-full">
               <div className="flex-shrink-0 h-10 w-10 bg-indigo-900 rounded-full flex items-center justify-center">
                 <User className="h-6 w-6 text-indigo-300" />
               </div>
               <div className="ml-3 truncate">
-                <p className="text-sm font-medium text-white truncate">User ID: {userId}</p>
+                <p className="text-sm font-medium text-white truncate">{userLabel}</p>
+                <a href={routeHref('account')} className="block text-xs font-medium text-indigo-200 hover:text-white transition">
+                  <User className="h-4 w-4 inline mr-1" /> {isAnonymous ? 'Save Guest Data' : 'Account'}
+                </a>
                 <button onClick={logout} className="text-xs font-medium text-indigo-200 hover:text-white transition">
                   <LogOut className="h-4 w-4 inline mr-1" /> Sign Out
                 </button>
@@ -597,6 +6794,15 @@ const Layout = ({ children, currentPage, setCurrentPage }) => {
           </button>
         </div>
         <main className="flex-1 relative overflow-y-auto focus:outline-none bg-gray-50">
+          <SyncBanner />
+          {isAnonymous && currentPage !== 'account' && (
+            <div className="bg-yellow-50 border-b border-yellow-200 px-4 py-2 text-sm text-yellow-800 flex items-center justify-between">
+              <span>You are using a guest session. Create an account so your data isn&apos;t lost.</span>
+              <a href={routeHref('account')} className="font-semibold hover:text-yellow-900">
+                Save Guest Data
+              </a>
+            </div>
+          )}
           <div className="py-6">
             <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
               {children}
@@ -609,42 +6815,103 @@ const Layout = ({ children, currentPage, setCurrentPage }) => {
 };
 
 const App = () => {
-  const [currentPage, setCurrentPage] = useState('dashboard');
-  const { isAuthReady } = useAuth();
+  const route = useHashRoute();
+  const { user, isAuthReady } = useAuth();
+  const { workspaceId, isWorkspaceReady, migrationError, retryMigration } = useWorkspace();
 
-  const renderPage = () => {
-    if (!isAuthReady) {
-      return (
-        <div className="flex items-center justify-center h-screen">
-          <Loader2 className="h-8 w-8 animate-spin text-indigo-500 mr-2" />
-          <p className="text-lg text-gray-700">Initializing services...</p>
+  if (!isAuthReady) {
+    return (
+      <div className="flex items-center justify-center h-screen">
+        <Loader2 className="h-8 w-8 animate-spin text-indigo-500 mr-2" />
+        <p className="text-lg text-gray-700">Initializing services...</p>
+      </div>
+    );
+  }
+
+  // Route guard: nothing behind the layout renders without a signed-in user
+  if (!user) {
+    return <SignInPage />;
+  }
+
+  if (migrationError) {
+    return (
+      <div className="flex items-center justify-center h-screen">
+        <div className="max-w-md">
+          <Message message={{ type: 'error', text: `Your existing accounts, logs and settings could not be moved into your workspace: ${migrationError}` }} />
+          <Button onClick={retryMigration}>Try Again</Button>
         </div>
-      );
-    }
-    
-    switch (currentPage) {
+      </div>
+    );
+  }
+
+  if (!isWorkspaceReady) {
+    return (
+      <div className="flex items-center justify-center h-screen">
+        <Loader2 className="h-8 w-8 animate-spin text-indigo-500 mr-2" />
+        <p className="text-lg text-gray-700">Loading workspace...</p>
+      </div>
+    );
+  }
+
+  const renderPage = () => {
+    switch (route.name) {
       case 'dashboard':
         return <DashboardPage />;
       case 'emails':
         return <EmailManagementPage />;
+      case 'account-detail':
+        return <AccountDetailPage address={route.params.address} />;
+      case 'oauth-callback':
+        return <OAuthCallbackPage />;
       case 'warmup':
         return <WarmupControlPage />;
+      case 'pool':
+        return <PoolPage />;
+      case 'placement':
+        return <PlacementTestsPage />;
+      case 'diagnostics':
+        return <DiagnosticsPage />;
+      case 'blocklists':
+        return <BlocklistsPage />;
+      case 'logs':
+        return <LogsPage />;
+      case 'templates':
+        return <TemplatesPage />;
+      case 'alerts':
+        return <AlertsPage />;
+      case 'workspace':
+        return <WorkspacePage />;
+      case 'account':
+        return <AccountPage />;
       default:
-        return <DashboardPage />;
+        return <NotFoundPage />;
     }
   };
 
   return (
-    <Layout currentPage={currentPage} setCurrentPage={setCurrentPage}>
-      {renderPage()}
+    <Layout currentPage={route.section}>
+      {/* Remount on switch so no page keeps state (forms, cursors) from the previous workspace */}
+      <React.Fragment key={workspaceId}>
+        {renderPage()}
+      </React.Fragment>
     </Layout>
   );
 };
 
 // --- APPLICATION WRAPPER ---
-// This ensures AuthContext is available to the entire App component
+// This ensures the Auth, Profile, Api, Workspace, Sync and Alerts contexts are available to the entire App component
 export default () => (
     <AuthProvider>
-        <App />
+        <ProfileProvider>
+            <ApiProvider>
+                <WorkspaceProvider>
+                    <SyncProvider>
+                        <AlertsProvider>
+                            <App />
+                        </AlertsProvider>
+                    </SyncProvider>
+                </WorkspaceProvider>
+            </ApiProvider>
+        </ProfileProvider>
     </AuthProvider>
 );
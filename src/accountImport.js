@@ -0,0 +1,100 @@
+// --- BULK ACCOUNT IMPORT ---
+// Validation for CSV import rows and a small concurrency-limited runner for
+// connecting them through the backend.
+
+import { WARMUP_SETTINGS_LIMITS } from './warmupSettings.js';
+import { SECURITY_MODES } from './mailProviders.js';
+
+export const IMPORT_COLUMNS = [
+  'email', 'app_password',
+  'smtp_host', 'smtp_port', 'smtp_security',
+  'imap_host', 'imap_port', 'imap_security',
+  'start_volume',
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const HOST_PATTERN = /^[a-z0-9.-]+$/i;
+
+const parsePort = (value) => {
+  const port = Number(value);
+  return Number.isInteger(port) && port >= 1 && port <= 65535 ? port : null;
+};
+
+// Validates one parsed CSV row. `existing` is a Set of lowercased addresses that
+// are already connected (or appear earlier in the same file).
+// Returns { account, errors } where `account` holds the typed connection details.
+export const validateImportRow = (row, existing = new Set()) => {
+  const errors = [];
+  const email = (row.email || '').trim();
+  const password = row.app_password || row.password || '';
+
+  if (!EMAIL_PATTERN.test(email)) {
+    errors.push('Invalid email address.');
+  } else if (existing.has(email.toLowerCase())) {
+    errors.push('Account is already connected or listed twice.');
+  }
+  if (!password) errors.push('App password is required.');
+
+  const account = { email, password };
+
+  [['smtp', 'SMTP'], ['imap', 'IMAP']].forEach(([prefix, label]) => {
+    const host = row[`${prefix}_host`];
+    const port = row[`${prefix}_port`];
+    const security = (row[`${prefix}_security`] || '').toLowerCase();
+
+    if (host) {
+      if (HOST_PATTERN.test(host)) account[`${prefix}Host`] = host;
+      else errors.push(`Invalid ${label} host.`);
+    }
+    if (port) {
+      const parsed = parsePort(port);
+      if (parsed) account[`${prefix}Port`] = parsed;
+      else errors.push(`${label} port must be between 1 and 65535.`);
+    }
+    if (security) {
+      if (SECURITY_MODES[security]) account[`${prefix}Security`] = security;
+      else errors.push(`${label} security must be one of: ${Object.keys(SECURITY_MODES).join(', ')}.`);
+    }
+  });
+
+  if (row.start_volume) {
+    const { min, max } = WARMUP_SETTINGS_LIMITS.startVolume;
+    const volume = Number(row.start_volume);
+    if (Number.isInteger(volume) && volume >= min && volume <= max) {
+      account.startVolume = volume;
+    } else {
+      errors.push(`Starting volume must be a whole number between ${min} and ${max}.`);
+    }
+  }
+
+  return { account, errors };
+};
+
+// Validates every row from parseCsvObjects, flagging duplicates against
+// `connectedEmails` and against earlier rows in the same file. Results keep
+// each row's source line.
+export const validateImportRows = (rows, connectedEmails = []) => {
+  const seen = new Set(connectedEmails.map(email => email.toLowerCase()));
+  return rows.map(({ line, values }) => {
+    const result = validateImportRow(values, seen);
+    if (result.account.email) seen.add(result.account.email.toLowerCase());
+    return { line, ...result };
+  });
+};
+
+// Runs `worker` over `items` with at most `concurrency` calls in flight.
+// Resolves to the results in input order.
+export const runWithConcurrency = async (items, concurrency, worker) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const lane = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, lane));
+  return results;
+};
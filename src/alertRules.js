@@ -0,0 +1,183 @@
+// --- ALERT RULES ---
+// User-defined alert rules and their evaluation against accounts, recent logs
+// and DNS snapshots. Every trigger carries a stable `key` for its incident, so
+// re-evaluating (in any number of open tabs) raises one notification per
+// incident rather than one per evaluation.
+
+import { WARMUP_EVENTS } from './warmupEvents.js';
+import { isValidBaseUrl } from './apiClient.js';
+import { domainOf } from './domains.js';
+
+export const HOUR_MS = 60 * 60 * 1000;
+
+// Rules can look back at most this far; it bounds the logs kept in memory.
+export const MAX_ALERT_WINDOW_HOURS = 168;
+
+// A spam rate over fewer placements than this is noise, not a signal.
+export const MIN_SPAM_SAMPLE = 5;
+
+// DNS changes older than this don't fire newly created rules.
+const DNS_CHANGE_MAX_AGE_MS = 7 * 24 * HOUR_MS;
+
+export const ALERT_RULE_TYPES = {
+  spamRate: {
+    label: 'Spam rate above threshold',
+    severity: 'warning',
+    params: {
+      threshold: { label: 'Spam Rate (%)', min: 1, max: 100, default: 10 },
+      windowHours: { label: 'Window (hours)', min: 1, max: MAX_ALERT_WINDOW_HOURS, default: 24 },
+    },
+  },
+  accountError: {
+    label: 'Account status becomes error',
+    severity: 'error',
+    params: {},
+  },
+  inactivity: {
+    label: 'No activity for a period',
+    severity: 'warning',
+    params: {
+      hours: { label: 'Hours Without Activity', min: 1, max: MAX_ALERT_WINDOW_HOURS, default: 24 },
+    },
+  },
+  dnsChanged: {
+    label: 'DNS record changed',
+    severity: 'warning',
+    params: {},
+  },
+};
+
+export const WEBHOOK_FORMATS = {
+  slack: 'Slack-compatible',
+  json: 'Plain JSON',
+};
+
+export const defaultRuleParams = (type) => Object.fromEntries(
+  Object.entries(ALERT_RULE_TYPES[type]?.params || {}).map(([field, { default: value }]) => [field, value])
+);
+
+// Validates raw form values. Returns { rule, errors } where `errors` maps
+// field -> message (params errors are keyed by the param name).
+export const validateAlertRule = (values) => {
+  const errors = {};
+  const type = ALERT_RULE_TYPES[values?.type] ? values.type : null;
+  const name = (values?.name || '').trim();
+  const webhookUrl = (values?.webhookUrl || '').trim();
+
+  if (!name) errors.name = 'Name is required.';
+  if (!type) errors.type = 'Choose a rule type.';
+
+  const params = {};
+  Object.entries(ALERT_RULE_TYPES[type]?.params || {}).forEach(([field, { label, min, max }]) => {
+    const number = Number(values?.params?.[field]);
+    if (!Number.isInteger(number) || number < min || number > max) {
+      errors[field] = `${label} must be a whole number between ${min} and ${max}.`;
+    } else {
+      params[field] = number;
+    }
+  });
+
+  if (webhookUrl && !isValidBaseUrl(webhookUrl)) {
+    errors.webhookUrl = 'Enter a full http(s):// URL.';
+  }
+
+  return {
+    rule: {
+      name,
+      type,
+      params,
+      scope: values?.scope || '',
+      webhookUrl,
+      webhookFormat: WEBHOOK_FORMATS[values?.webhookFormat] ? values.webhookFormat : 'slack',
+      enabled: values?.enabled !== false,
+    },
+    errors,
+  };
+};
+
+// Accounts a rule applies to; an empty scope means every account.
+const scopedAccounts = (rule, accounts) => (rule.scope
+  ? accounts.filter(acc => acc.email.toLowerCase() === rule.scope.toLowerCase())
+  : accounts);
+
+const EVALUATORS = {
+  spamRate: (rule, { accounts, logs, now }) => {
+    const { threshold, windowHours } = rule.params;
+    const since = now - windowHours * HOUR_MS;
+
+    return scopedAccounts(rule, accounts).flatMap((account) => {
+      const recent = logs.filter(log => log.email === account.email && log.timestamp >= since);
+      const inbox = recent.filter(log => log.event === WARMUP_EVENTS.inbox).length;
+      const spam = recent.filter(log => log.event === WARMUP_EVENTS.spam).length;
+      const placements = inbox + spam;
+      if (placements < MIN_SPAM_SAMPLE) return [];
+
+      const rate = Math.round((spam / placements) * 100);
+      if (rate <= threshold) return [];
+
+      return [{
+        // One alert per account per window-sized bucket
+        key: `${account.email}:${Math.floor(now / (windowHours * HOUR_MS))}`,
+        email: account.email,
+        title: `High spam rate on ${account.email}`,
+        message: `${rate}% of placements (${spam} of ${placements}) landed in spam over the last ${windowHours}h; the limit is ${threshold}%.`,
+      }];
+    });
+  },
+
+  accountError: (rule, { accounts }) => scopedAccounts(rule, accounts)
+    .filter(account => account.status === 'error')
+    .map(account => ({
+      key: `${account.email}:${account.statusChangedAt || account.lastSync || 0}`,
+      email: account.email,
+      title: `${account.email} is in error`,
+      message: account.lastError || 'The backend reported an error for this account.',
+    })),
+
+  inactivity: (rule, { accounts, logs, now }) => {
+    const { hours } = rule.params;
+
+    return scopedAccounts(rule, accounts)
+      .filter(account => account.status === 'active')
+      .flatMap((account) => {
+        const lastActivity = logs
+          .filter(log => log.email === account.email)
+          .reduce((latest, log) => Math.max(latest, log.timestamp || 0), account.joined || 0);
+        if (now - lastActivity < hours * HOUR_MS) return [];
+
+        return [{
+          key: `${account.email}:${lastActivity}`,
+          email: account.email,
+          title: `No activity on ${account.email}`,
+          message: `Nothing has been logged for this active account in over ${hours}h.`,
+        }];
+      });
+  },
+
+  dnsChanged: (rule, { accounts, dnsSnapshots, now }) => {
+    const domains = new Set(scopedAccounts(rule, accounts).map(acc => domainOf(acc.email)));
+
+    return dnsSnapshots
+      .filter(snapshot => domains.has(snapshot.domain) && snapshot.changedAt && now - snapshot.changedAt < DNS_CHANGE_MAX_AGE_MS)
+      .map(snapshot => ({
+        key: `${snapshot.domain}:${snapshot.changedAt}`,
+        email: snapshot.domain,
+        title: `DNS records changed for ${snapshot.domain}`,
+        message: (snapshot.changes || []).join(' ') || 'The authentication records differ from the previous check.',
+      }));
+  },
+};
+
+// Evaluates one rule. `context` is { accounts, logs, dnsSnapshots, now }.
+// Returns [{ key, email, title, message }] for every incident currently firing.
+export const evaluateAlertRule = (rule, context) => {
+  const evaluate = EVALUATORS[rule.type];
+  if (!rule.enabled || !evaluate) return [];
+  return evaluate(rule, {
+    accounts: [],
+    logs: [],
+    dnsSnapshots: [],
+    now: Date.now(),
+    ...context,
+  });
+};
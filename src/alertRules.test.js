@@ -0,0 +1,122 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { WARMUP_EVENTS } from './warmupEvents.js';
+import { HOUR_MS, MIN_SPAM_SAMPLE, defaultRuleParams, validateAlertRule, evaluateAlertRule } from './alertRules.js';
+
+const NOW = Date.UTC(2026, 9, 18, 12);
+
+const rule = (type, params = defaultRuleParams(type), extra = {}) => ({ type, params, scope: '', enabled: true, ...extra });
+const placements = (email, inbox, spam, timestamp = NOW - HOUR_MS) => [
+  ...Array.from({ length: inbox }, () => ({ event: WARMUP_EVENTS.inbox, email, timestamp })),
+  ...Array.from({ length: spam }, () => ({ event: WARMUP_EVENTS.spam, email, timestamp })),
+];
+
+const ACCOUNTS = [
+  { email: 'a@one.com', status: 'active', joined: NOW - 30 * 24 * HOUR_MS },
+  { email: 'b@two.com', status: 'active', joined: NOW - 30 * 24 * HOUR_MS },
+];
+
+test('validateAlertRule parses a valid rule and fills defaults', () => {
+  const { rule: parsed, errors } = validateAlertRule({
+    name: '  Spam watch ', type: 'spamRate', params: { threshold: '15', windowHours: 12 },
+  });
+  assert.deepEqual(errors, {});
+  assert.deepEqual(parsed, {
+    name: 'Spam watch',
+    type: 'spamRate',
+    params: { threshold: 15, windowHours: 12 },
+    scope: '',
+    webhookUrl: '',
+    webhookFormat: 'slack',
+    enabled: true,
+  });
+  assert.deepEqual(defaultRuleParams('spamRate'), { threshold: 10, windowHours: 24 });
+  assert.deepEqual(defaultRuleParams('accountError'), {});
+});
+
+test('validateAlertRule rejects missing fields and out-of-range params', () => {
+  assert.deepEqual(Object.keys(validateAlertRule({ name: ' ', type: 'nope' }).errors).sort(), ['name', 'type']);
+
+  const { errors } = validateAlertRule({ name: 'x', type: 'spamRate', params: { threshold: 0, windowHours: 1.5 } });
+  assert.equal(errors.threshold, 'Spam Rate (%) must be a whole number between 1 and 100.');
+  assert.match(errors.windowHours, /between 1 and 168/);
+  assert.ok(validateAlertRule({ name: 'x', type: 'inactivity', params: { hours: 169 } }).errors.hours);
+});
+
+test('validateAlertRule accepts only http(s) webhook URLs', () => {
+  const webhookError = (webhookUrl) => validateAlertRule({ name: 'x', type: 'accountError', webhookUrl }).errors.webhookUrl;
+  assert.equal(webhookError(''), undefined);
+  assert.equal(webhookError(' https://hooks.example.com/T1/B2 '), undefined);
+  assert.equal(webhookError('http://localhost:8080/hook'), undefined);
+  assert.equal(webhookError('hooks.example.com/T1'), 'Enter a full http(s):// URL.');
+  assert.equal(webhookError('ftp://example.com/hook'), 'Enter a full http(s):// URL.');
+  assert.equal(validateAlertRule({ name: 'x', type: 'accountError', webhookFormat: 'xml' }).rule.webhookFormat, 'slack');
+});
+
+test('spamRate fires only above the threshold with enough placements', () => {
+  const spamRule = rule('spamRate', { threshold: 20, windowHours: 24 });
+  const logs = [
+    ...placements('a@one.com', 6, 4),
+    // Exactly at the threshold
+    ...placements('b@two.com', 8, 2),
+  ];
+  const triggers = evaluateAlertRule(spamRule, { accounts: ACCOUNTS, logs, now: NOW });
+  assert.deepEqual(triggers.map(t => t.email), ['a@one.com']);
+  assert.equal(triggers[0].key, `a@one.com:${Math.floor(NOW / (24 * HOUR_MS))}`);
+  assert.match(triggers[0].message, /^40% of placements \(4 of 10\)/);
+
+  const few = placements('a@one.com', 0, MIN_SPAM_SAMPLE - 1);
+  assert.deepEqual(evaluateAlertRule(spamRule, { accounts: ACCOUNTS, logs: few, now: NOW }), []);
+
+  const old = placements('a@one.com', 0, 10, NOW - 25 * HOUR_MS);
+  assert.deepEqual(evaluateAlertRule(spamRule, { accounts: ACCOUNTS, logs: old, now: NOW }), []);
+});
+
+test('rules only look at the account in their scope', () => {
+  const logs = [...placements('a@one.com', 0, 10), ...placements('b@two.com', 0, 10)];
+  const scoped = rule('spamRate', undefined, { scope: 'B@Two.com' });
+  assert.deepEqual(evaluateAlertRule(scoped, { accounts: ACCOUNTS, logs, now: NOW }).map(t => t.email), ['b@two.com']);
+
+  const errored = ACCOUNTS.map(acc => ({ ...acc, status: 'error', statusChangedAt: 5 }));
+  assert.deepEqual(evaluateAlertRule(rule('accountError', {}, { scope: 'a@one.com' }), { accounts: errored }), [{
+    key: 'a@one.com:5',
+    email: 'a@one.com',
+    title: 'a@one.com is in error',
+    message: 'The backend reported an error for this account.',
+  }]);
+});
+
+test('disabled rules and unknown types never fire', () => {
+  const errored = [{ email: 'a@one.com', status: 'error' }];
+  assert.deepEqual(evaluateAlertRule(rule('accountError', {}, { enabled: false }), { accounts: errored }), []);
+  assert.deepEqual(evaluateAlertRule(rule('nope', {}), { accounts: errored }), []);
+});
+
+test('inactivity fires for active accounts quiet for longer than the limit', () => {
+  const accounts = [
+    ...ACCOUNTS,
+    { email: 'c@one.com', status: 'paused', joined: 0 },
+    { email: 'd@one.com', status: 'active', joined: NOW - HOUR_MS },
+  ];
+  const logs = [{ event: WARMUP_EVENTS.sent, email: 'a@one.com', timestamp: NOW - 2 * HOUR_MS }];
+  const triggers = evaluateAlertRule(rule('inactivity', { hours: 24 }), { accounts, logs, now: NOW });
+
+  assert.deepEqual(triggers.map(t => [t.email, t.key]), [['b@two.com', `b@two.com:${ACCOUNTS[1].joined}`]]);
+});
+
+test('dnsChanged fires for recent changes to domains in scope', () => {
+  const dnsSnapshots = [
+    { domain: 'one.com', changedAt: NOW - HOUR_MS, changes: ['SPF changed.'] },
+    { domain: 'two.com', changedAt: NOW - 8 * 24 * HOUR_MS },
+    { domain: 'three.com', changedAt: NOW - HOUR_MS },
+  ];
+  const triggers = evaluateAlertRule(rule('dnsChanged', {}), { accounts: ACCOUNTS, dnsSnapshots, now: NOW });
+
+  assert.deepEqual(triggers, [{
+    key: `one.com:${NOW - HOUR_MS}`,
+    email: 'one.com',
+    title: 'DNS records changed for one.com',
+    message: 'SPF changed.',
+  }]);
+  assert.deepEqual(evaluateAlertRule(rule('dnsChanged', {}, { scope: 'b@two.com' }), { accounts: ACCOUNTS, dnsSnapshots, now: NOW }), []);
+});
@@ -0,0 +1,161 @@
+// --- DASHBOARD ANALYTICS ---
+// Daily per-account event counts ("rollups") for the dashboard charts. Days
+// run midnight to midnight in a time zone (the viewer's profile zone). Past
+// days are aggregated and cached per zone in
+// artifacts/{appId}/workspaces/{workspaceId}/dailyStats/{zone}/days/{YYYY-MM-DD},
+// so a 90-day range reads ~90 small documents instead of every log entry.
+//
+// Rollup shape: { [dayKey]: { [email]: { sent, inbox, spam, rescued, replied, bounced } } }.
+
+import { WARMUP_EVENTS } from './warmupEvents.js';
+import { DAY_MS } from './warmupSchedule.js';
+import { emptyTally, tallyEvents } from './deliverabilityScore.js';
+import { zonedParts, zonedTime } from './sendingWindows.js';
+import { domainOf } from './domains.js';
+
+// Metrics charted on the dashboard, in display order.
+export const ANALYTICS_METRICS = {
+  sent: { label: 'Sends', className: 'fill-indigo-500' },
+  replied: { label: 'Replies', className: 'fill-yellow-400' },
+  rescued: { label: 'Spam Rescues', className: 'fill-red-400' },
+  bounced: { label: 'Bounces', className: 'fill-gray-500' },
+};
+
+export const RANGE_PRESETS = {
+  7: 'Last 7 days',
+  30: 'Last 30 days',
+  90: 'Last 90 days',
+  custom: 'Custom range',
+};
+
+export const MAX_RANGE_DAYS = 366;
+
+const COUNT_KEYS = Object.keys(emptyTally());
+
+const COUNTED_EVENTS = new Set(Object.values(WARMUP_EVENTS));
+
+const DAY_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const formatDayKey = (year, month, day) =>
+  `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+// "2026-10-18" for the day containing `timestamp` in `timeZone`.
+export const dayKey = (timestamp, timeZone) => {
+  const { year, month, day } = zonedParts(timestamp, timeZone);
+  return formatDayKey(year, month, day);
+};
+
+// The day key `days` calendar days after `key` (before, if negative).
+export const shiftDayKey = (key, days) => {
+  const [year, month, day] = key.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return formatDayKey(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+};
+
+// Midnight starting the day `key` in `timeZone`, or NaN for a malformed key.
+export const dayStart = (key, timeZone) => {
+  if (!DAY_KEY_PATTERN.test(key || '')) return NaN;
+  const [year, month, day] = key.split('-').map(Number);
+  return zonedTime({ year, month, day }, 0, timeZone);
+};
+
+// Resolves the range form into { range, previous, error }. Both periods are
+// { start, end, days } with `start` inclusive and `end` exclusive (midnights
+// in `timeZone`); `previous` is the same number of days immediately before
+// `range`. Days may be 23 or 25 hours long across DST changes.
+export const resolveRange = ({ preset, from, to }, timeZone, now = Date.now()) => {
+  let firstKey;
+  let lastKey;
+  if (preset === 'custom') {
+    if (Number.isNaN(dayStart(from, timeZone)) || Number.isNaN(dayStart(to, timeZone))) {
+      return { error: 'Enter both dates as YYYY-MM-DD.' };
+    }
+    if (to < from) return { error: 'The end date must be on or after the start date.' };
+    if (dayStart(from, timeZone) > now) return { error: 'The range must start today or earlier.' };
+    [firstKey, lastKey] = [from, to];
+  } else {
+    lastKey = dayKey(now, timeZone);
+    firstKey = shiftDayKey(lastKey, 1 - Number(preset));
+  }
+
+  const days = Math.round((dayStart(lastKey, 'UTC') - dayStart(firstKey, 'UTC')) / DAY_MS) + 1;
+  if (days > MAX_RANGE_DAYS) return { error: `Ranges can cover at most ${MAX_RANGE_DAYS} days.` };
+
+  const start = dayStart(firstKey, timeZone);
+  return {
+    range: { start, end: dayStart(shiftDayKey(lastKey, 1), timeZone), days },
+    previous: { start: dayStart(shiftDayKey(firstKey, -days), timeZone), end: start, days },
+    error: null,
+  };
+};
+
+// One pass over `logs` into a rollup with days in `timeZone`.
+export const rollupLogs = (logs, timeZone) => {
+  const grouped = {};
+  logs.forEach((log) => {
+    if (!COUNTED_EVENTS.has(log.event) || !log.email || !log.timestamp) return;
+    const day = dayKey(log.timestamp, timeZone);
+    if (!grouped[day]) grouped[day] = {};
+    if (!grouped[day][log.email]) grouped[day][log.email] = [];
+    grouped[day][log.email].push(log);
+  });
+  return Object.fromEntries(Object.entries(grouped).map(([day, byEmail]) => [
+    day,
+    Object.fromEntries(Object.entries(byEmail).map(([email, accountLogs]) => [email, tallyEvents(accountLogs)])),
+  ]));
+};
+
+// Stored form of one day. Addresses contain dots, so accounts are kept as a
+// list rather than a map keyed by email.
+export const toDailyDoc = (key, day = {}) => ({
+  date: key,
+  accounts: Object.entries(day).map(([email, counts]) => ({ email, ...counts })),
+});
+
+export const fromDailyDoc = (data) => Object.fromEntries((data?.accounts || []).map(({ email, ...counts }) => [
+  email,
+  { ...emptyTally(), ...counts },
+]));
+
+// Keys of the days in `timeZone` that start in [start, end), where `start`
+// is a midnight in that zone.
+export const dayKeysBetween = (start, end, timeZone) => {
+  const keys = [];
+  for (let key = dayKey(start, timeZone); dayStart(key, timeZone) < end; key = shiftDayKey(key, 1)) keys.push(key);
+  return keys;
+};
+
+// Emails matching the account/domain filters, or null for every account.
+export const filterEmails = (accounts, { email = '', domain = '' } = {}) => {
+  if (!email && !domain) return null;
+  return new Set(accounts
+    .map(acc => acc.email)
+    .filter(address => (!email || address === email) && (!domain || domainOf(address) === domain)));
+};
+
+const sumDay = (day = {}, emails) => Object.entries(day).reduce((total, [email, counts]) => {
+  if (emails && !emails.has(email)) return total;
+  COUNT_KEYS.forEach((key) => {
+    total[key] += counts[key] || 0;
+  });
+  return total;
+}, emptyTally());
+
+// Daily counts across the period, oldest first: [{ date, sent, inbox, ... }]
+// with `date` the day's midnight in `timeZone`.
+export const dailySeries = (rollup, { start, end }, timeZone, emails = null) =>
+  dayKeysBetween(start, end, timeZone).map(key => ({ date: dayStart(key, timeZone), ...sumDay(rollup[key], emails) }));
+
+// Summed counts for the period.
+export const periodTotals = (rollup, period, timeZone, emails = null) => dailySeries(rollup, period, timeZone, emails)
+  .reduce((total, day) => {
+    COUNT_KEYS.forEach((key) => {
+      total[key] += day[key];
+    });
+    return total;
+  }, emptyTally());
+
+// Relative change in whole percent, or null when there's no baseline.
+export const percentChange = (current, previous) => (previous > 0
+  ? Math.round(((current - previous) / previous) * 100)
+  : null);
@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { WARMUP_EVENTS, ACCOUNT_EVENTS } from './warmupEvents.js';
+import { dayKey, shiftDayKey, dayStart, resolveRange, rollupLogs, dayKeysBetween, dailySeries, periodTotals } from './analytics.js';
+
+const NEW_YORK = 'America/New_York';
+const HOUR = 60 * 60 * 1000;
+
+test('days follow the time zone, not UTC', () => {
+  // 03:30 UTC on the 18th is still the evening of the 17th in New York
+  const evening = Date.UTC(2026, 9, 18, 3, 30);
+  assert.equal(dayKey(evening, 'UTC'), '2026-10-18');
+  assert.equal(dayKey(evening, NEW_YORK), '2026-10-17');
+  assert.equal(dayStart('2026-10-17', NEW_YORK), Date.UTC(2026, 9, 17, 4));
+  assert.ok(Number.isNaN(dayStart('17/10/2026', NEW_YORK)));
+  assert.equal(shiftDayKey('2026-02-28', 1), '2026-03-01');
+  assert.equal(shiftDayKey('2026-01-01', -1), '2025-12-31');
+});
+
+test('rollupLogs buckets warmup events by zoned day and account', () => {
+  const logs = [
+    { event: WARMUP_EVENTS.sent, email: 'a@x.com', timestamp: Date.UTC(2026, 9, 18, 3, 30) },
+    { event: WARMUP_EVENTS.replied, email: 'a@x.com', timestamp: Date.UTC(2026, 9, 18, 3, 45) },
+    { event: WARMUP_EVENTS.sent, email: 'b@x.com', timestamp: Date.UTC(2026, 9, 18, 12) },
+    { event: ACCOUNT_EVENTS.paused, email: 'b@x.com', timestamp: Date.UTC(2026, 9, 18, 12) },
+  ];
+  const rollup = rollupLogs(logs, NEW_YORK);
+
+  assert.deepEqual(Object.keys(rollup).sort(), ['2026-10-17', '2026-10-18']);
+  assert.deepEqual(rollup['2026-10-17']['a@x.com'], { sent: 1, inbox: 0, spam: 0, rescued: 0, replied: 1, bounced: 0 });
+  assert.deepEqual(Object.keys(rollup['2026-10-18']), ['b@x.com']);
+  assert.equal(rollupLogs(logs, 'UTC')['2026-10-18']['a@x.com'].sent, 1);
+});
+
+test('resolveRange covers whole zoned days, including DST days', () => {
+  const now = Date.UTC(2026, 10, 3, 15);
+  const { range, previous } = resolveRange({ preset: '7' }, NEW_YORK, now);
+
+  assert.equal(range.days, 7);
+  assert.equal(range.start, dayStart('2026-10-28', NEW_YORK));
+  assert.equal(range.end, dayStart('2026-11-04', NEW_YORK));
+  // Clocks went back on 2026-11-01, so the range is an hour longer than 7 x 24h
+  assert.equal(range.end - range.start, 7 * 24 * HOUR + HOUR);
+  assert.deepEqual(previous, { start: dayStart('2026-10-21', NEW_YORK), end: range.start, days: 7 });
+  assert.deepEqual(dayKeysBetween(range.start, range.end, NEW_YORK), [
+    '2026-10-28', '2026-10-29', '2026-10-30', '2026-10-31', '2026-11-01', '2026-11-02', '2026-11-03',
+  ]);
+});
+
+test('resolveRange validates custom ranges', () => {
+  const now = Date.UTC(2026, 9, 18, 12);
+  assert.equal(resolveRange({ preset: 'custom', from: '', to: '2026-10-01' }, NEW_YORK, now).error, 'Enter both dates as YYYY-MM-DD.');
+  assert.equal(resolveRange({ preset: 'custom', from: '2026-10-02', to: '2026-10-01' }, NEW_YORK, now).error, 'The end date must be on or after the start date.');
+  assert.equal(resolveRange({ preset: 'custom', from: '2026-10-19', to: '2026-10-20' }, NEW_YORK, now).error, 'The range must start today or earlier.');
+
+  const { range } = resolveRange({ preset: 'custom', from: '2026-03-07', to: '2026-03-09' }, NEW_YORK, now);
+  assert.equal(range.days, 3);
+  assert.equal(range.end - range.start, 3 * 24 * HOUR - HOUR);
+});
+
+test('dailySeries and periodTotals sum the filtered accounts per day', () => {
+  const rollup = rollupLogs([
+    { event: WARMUP_EVENTS.sent, email: 'a@x.com', timestamp: Date.UTC(2026, 9, 17, 14) },
+    { event: WARMUP_EVENTS.sent, email: 'b@x.com', timestamp: Date.UTC(2026, 9, 17, 15) },
+    { event: WARMUP_EVENTS.bounced, email: 'a@x.com', timestamp: Date.UTC(2026, 9, 18, 14) },
+  ], NEW_YORK);
+  const period = { start: dayStart('2026-10-17', NEW_YORK), end: dayStart('2026-10-19', NEW_YORK) };
+
+  const series = dailySeries(rollup, period, NEW_YORK, new Set(['a@x.com']));
+  assert.deepEqual(series.map(day => [day.date, day.sent, day.bounced]), [
+    [dayStart('2026-10-17', NEW_YORK), 1, 0],
+    [dayStart('2026-10-18', NEW_YORK), 0, 1],
+  ]);
+  assert.equal(periodTotals(rollup, period, NEW_YORK).sent, 2);
+});
@@ -0,0 +1,123 @@
+// --- BACKEND API CLIENT ---
+// Single entry point for talking to the warmup backend: base URL resolution,
+// bearer auth, timeouts, retries with backoff and typed errors.
+
+export const DEFAULT_BACKEND_URL = import.meta.env?.VITE_BACKEND_URL || 'https://email-warmup-tool.onrender.com';
+
+export const DEFAULT_TIMEOUT_MS = 20000;
+
+// Render free instances take up to a minute to wake, answering 502/503 meanwhile.
+export const DEFAULT_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 1500;
+const RETRYABLE_STATUSES = [502, 503, 504];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+// `kind` is one of:
+//   'network' - the request never got a response (DNS, CORS, offline)
+//   'timeout' - no response within the timeout
+//   'http'    - the backend answered with a non-2xx status
+//   'config'  - the client is missing its base URL or auth
+export class ApiError extends Error {
+  constructor(message, { kind, status = null, code = null, data = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.kind = kind;
+    this.status = status;
+    this.code = code;
+    this.data = data;
+  }
+
+  get retryable() {
+    return this.kind === 'network' || this.kind === 'timeout' || RETRYABLE_STATUSES.includes(this.status);
+  }
+}
+
+export const normalizeBaseUrl = (url) => (url || '').trim().replace(/\/+$/, '');
+
+export const isValidBaseUrl = (url) => {
+  try {
+    const parsed = new URL(normalizeBaseUrl(url));
+    return parsed.protocol === 'https:' || parsed.protocol === 'http:';
+  } catch {
+    return false;
+  }
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const parseBody = async (response) => {
+  const text = await response.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+// `getBaseUrl` returns the current backend URL; `getToken` resolves to a
+// Firebase ID token (or null when signed out).
+export const createApiClient = ({ getBaseUrl, getToken, timeoutMs = DEFAULT_TIMEOUT_MS, retries = DEFAULT_RETRIES }) => {
+  const attempt = async (method, path, body, timeout) => {
+    const baseUrl = normalizeBaseUrl(getBaseUrl());
+    if (!baseUrl) throw new ApiError('Backend URL is not configured.', { kind: 'config' });
+
+    const token = await getToken();
+    const headers = { Accept: 'application/json' };
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    let response;
+    try {
+      response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: controller.signal,
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new ApiError(`The backend did not respond within ${Math.round(timeout / 1000)}s.`, { kind: 'timeout' });
+      }
+      throw new ApiError(`Could not reach the backend: ${error.message}`, { kind: 'network' });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const data = await parseBody(response);
+    if (!response.ok) {
+      const message = (data && typeof data === 'object' && data.message)
+        || (typeof data === 'string' && data.length < 200 && data)
+        || `Backend returned ${response.status}.`;
+      throw new ApiError(message, { kind: 'http', status: response.status, code: data?.code ?? null, data });
+    }
+    return data;
+  };
+
+  // Non-idempotent requests only retry when the caller opts in with `retry: true`.
+  const request = async (method, path, { body, retry, timeout = timeoutMs } = {}) => {
+    const maxRetries = (retry ?? IDEMPOTENT_METHODS.includes(method)) ? retries : 0;
+
+    for (let tries = 0; ; tries++) {
+      try {
+        return await attempt(method, path, body, timeout);
+      } catch (error) {
+        if (!(error instanceof ApiError) || !error.retryable || tries >= maxRetries) throw error;
+        await sleep(RETRY_BASE_DELAY_MS * 2 ** tries);
+      }
+    }
+  };
+
+  return {
+    request,
+    get: (path, options) => request('GET', path, options),
+    post: (path, body, options) => request('POST', path, { ...options, body }),
+    put: (path, body, options) => request('PUT', path, { ...options, body }),
+    delete: (path, options) => request('DELETE', path, options),
+    // Single quick probe; the layout indicator polls this.
+    health: () => request('GET', '/api/health', { retry: false, timeout: 8000 }),
+  };
+};
@@ -0,0 +1,153 @@
+// --- BLOCKLIST (DNSBL) MONITORING ---
+// Checks sending IPs and domains against DNS-based blocklists. A target is
+// listed on a zone when `<query>.<zone>` resolves to an address in
+// 127.0.0.0/8; IPv4 queries use the reversed octets (1.2.3.4 -> 4.3.2.1).
+//
+// Lookups go through a `resolve(names)` function returning
+// { [name]: { addresses: [], error? } }, so the same logic runs against the
+// backend check endpoint or a local stub resolver (createStaticResolver).
+// Settings live in artifacts/{appId}/workspaces/{workspaceId}/settings/blocklists.
+
+export const BLOCKLISTS = {
+  'zen.spamhaus.org': { label: 'Spamhaus ZEN', type: 'ip' },
+  'bl.spamcop.net': { label: 'SpamCop', type: 'ip' },
+  'b.barracudacentral.org': { label: 'Barracuda', type: 'ip' },
+  'dnsbl.sorbs.net': { label: 'SORBS', type: 'ip' },
+  'psbl.surriel.com': { label: 'PSBL', type: 'ip' },
+  'dbl.spamhaus.org': { label: 'Spamhaus DBL', type: 'domain' },
+  'multi.surbl.org': { label: 'SURBL', type: 'domain' },
+  'multi.uribl.com': { label: 'URIBL', type: 'domain' },
+};
+
+export const DEFAULT_BLOCKLIST_SETTINGS = {
+  zones: Object.keys(BLOCKLISTS),
+  customIpZones: [],
+  customDomainZones: [],
+  ips: [],
+};
+
+// Listings change slowly and public lists rate-limit, so don't check more often.
+export const BLOCKLIST_CHECK_INTERVAL_MS = 12 * 60 * 60 * 1000;
+
+// Listing/delisting entries kept per target.
+export const MAX_BLOCKLIST_HISTORY = 50;
+
+const IPV4_PATTERN = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/i;
+
+export const isIpv4 = (value) => {
+  const match = IPV4_PATTERN.exec(value || '');
+  return Boolean(match) && match.slice(1).every(octet => Number(octet) <= 255);
+};
+
+export const isHostname = (value) => HOSTNAME_PATTERN.test(value || '');
+
+export const targetType = (target) => (isIpv4(target) ? 'ip' : 'domain');
+
+// "a, b\nc" -> ['a', 'b', 'c'], lowercased and de-duplicated.
+export const parseList = (input) => [...new Set(
+  (Array.isArray(input) ? input : (input || '').split(/[\s,]+/)).map(item => item.trim().toLowerCase()).filter(Boolean)
+)];
+
+export const withBlocklistDefaults = (stored) => ({
+  ...DEFAULT_BLOCKLIST_SETTINGS,
+  ...(stored || {}),
+});
+
+// Validates raw form values. Returns { settings, errors } with errors keyed by field.
+export const validateBlocklistSettings = (values) => {
+  const errors = {};
+  const zones = (values?.zones || []).filter(zone => BLOCKLISTS[zone]);
+  const customIpZones = parseList(values?.customIpZones);
+  const customDomainZones = parseList(values?.customDomainZones);
+  const ips = parseList(values?.ips);
+
+  const badZones = [...customIpZones, ...customDomainZones].filter(zone => !isHostname(zone));
+  if (badZones.length > 0) errors.customZones = `Not valid zone names: ${badZones.join(', ')}.`;
+  if (zones.length + customIpZones.length + customDomainZones.length === 0) {
+    errors.zones = 'Enable at least one blocklist.';
+  }
+  const badIps = ips.filter(ip => !isIpv4(ip));
+  if (badIps.length > 0) errors.ips = `Not valid IPv4 addresses: ${badIps.join(', ')}.`;
+
+  return { settings: { zones, customIpZones, customDomainZones, ips }, errors };
+};
+
+// Zones that apply to targets of `type` ('ip' or 'domain') under `settings`.
+export const zonesFor = (type, settings) => {
+  const { zones, customIpZones, customDomainZones } = withBlocklistDefaults(settings);
+  return [
+    ...zones.filter(zone => BLOCKLISTS[zone]?.type === type),
+    ...(type === 'ip' ? customIpZones : customDomainZones),
+  ];
+};
+
+export const blocklistLabel = (zone) => BLOCKLISTS[zone]?.label || zone;
+
+// DNS name to look up for `target` on `zone`.
+export const blocklistQueryName = (target, zone) => (isIpv4(target)
+  ? `${target.split('.').reverse().join('.')}.${zone}`
+  : `${target.toLowerCase()}.${zone}`);
+
+// Reads one answer as { status: 'listed' | 'clear' | 'error', detail }. No
+// addresses (NXDOMAIN) means clear. Spamhaus answers 127.255.255.x when it
+// refuses a query, e.g. from a public resolver; that says nothing about the target.
+export const interpretAnswer = (answer) => {
+  if (!answer) return { status: 'error', detail: 'No answer from the resolver.' };
+  if (answer.error) return { status: 'error', detail: answer.error };
+
+  const addresses = answer.addresses || [];
+  if (addresses.some(address => address.startsWith('127.255.255.'))) {
+    return { status: 'error', detail: `The blocklist refused the query (${addresses.join(', ')}).` };
+  }
+  const listed = addresses.filter(address => address.startsWith('127.'));
+  return listed.length > 0
+    ? { status: 'listed', detail: `Return code ${listed.join(', ')}` }
+    : { status: 'clear', detail: '' };
+};
+
+// Checks every target against its applicable zones in one resolver call.
+// Returns [{ target, type, checkedAt, results: { [zone]: { status, detail } } }].
+export const checkBlocklists = async ({ targets, settings, resolve, now = Date.now() }) => {
+  const queries = targets.flatMap(target => zonesFor(targetType(target), settings)
+    .map(zone => ({ target, zone, name: blocklistQueryName(target, zone) })));
+  const answers = queries.length > 0 ? await resolve(queries.map(q => q.name)) : {};
+
+  return targets.map(target => ({
+    target,
+    type: targetType(target),
+    checkedAt: now,
+    results: Object.fromEntries(queries
+      .filter(q => q.target === target)
+      .map(q => [q.zone, interpretAnswer(answers?.[q.name])])),
+  }));
+};
+
+// Merges a check result into a target's stored status. Returns the new
+// { listings, history } and the listing changes as [{ zone, event, at }] with
+// event 'listed' or 'delisted'. A failed lookup keeps the previous state.
+export const applyCheckResult = (previous, result) => {
+  const at = result.checkedAt;
+  const changes = [];
+  const listings = Object.fromEntries(Object.entries(result.results).map(([zone, { status, detail }]) => {
+    const before = previous?.listings?.[zone];
+    if (status === 'error') {
+      return [zone, before ? { ...before, error: detail } : { status: 'unknown', since: at, error: detail }];
+    }
+    if (status === 'listed' && before?.status !== 'listed') changes.push({ zone, event: 'listed', at });
+    if (status === 'clear' && before?.status === 'listed') changes.push({ zone, event: 'delisted', at });
+    return [zone, { status, since: before?.status === status ? before.since : at, detail }];
+  }));
+
+  return {
+    listings,
+    history: [...changes, ...(previous?.history || [])].slice(0, MAX_BLOCKLIST_HISTORY),
+    changes,
+  };
+};
+
+// Stub resolver answering from a fixed { [name]: ['127.0.0.2'] } map; names
+// not in the map are NXDOMAIN. For local development and tests.
+export const createStaticResolver = (records) => async (names) => Object.fromEntries(
+  names.map(name => [name, { addresses: records[name.toLowerCase()] || [] }])
+);
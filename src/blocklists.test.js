@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { checkBlocklists, interpretAnswer, applyCheckResult, createStaticResolver } from './blocklists.js';
+
+const SETTINGS = { zones: ['zen.spamhaus.org', 'dbl.spamhaus.org'], customIpZones: ['bl.example.org'], customDomainZones: [], ips: [] };
+
+test('interpretAnswer reads listings, clear answers and refusals', () => {
+  assert.deepEqual(interpretAnswer({ addresses: ['127.0.0.2', '127.0.0.4'] }), { status: 'listed', detail: 'Return code 127.0.0.2, 127.0.0.4' });
+  assert.deepEqual(interpretAnswer({ addresses: [] }), { status: 'clear', detail: '' });
+  assert.deepEqual(interpretAnswer({ addresses: ['10.0.0.1'] }), { status: 'clear', detail: '' });
+  assert.equal(interpretAnswer({ addresses: ['127.255.255.254'] }).status, 'error');
+  assert.equal(interpretAnswer({ addresses: ['127.0.0.2', '127.255.255.252'] }).status, 'error');
+  assert.deepEqual(interpretAnswer({ addresses: [], error: 'SERVFAIL' }), { status: 'error', detail: 'SERVFAIL' });
+  assert.equal(interpretAnswer(undefined).status, 'error');
+});
+
+test('checkBlocklists queries reversed IPs and domains on their own zones', async () => {
+  const resolve = createStaticResolver({
+    '4.3.2.1.zen.spamhaus.org': ['127.0.0.2'],
+    '4.3.2.1.bl.example.org': ['127.255.255.254'],
+  });
+  const [ip, domain] = await checkBlocklists({ targets: ['1.2.3.4', 'Example.com'], settings: SETTINGS, resolve, now: 1000 });
+
+  assert.deepEqual(ip, {
+    target: '1.2.3.4',
+    type: 'ip',
+    checkedAt: 1000,
+    results: {
+      'zen.spamhaus.org': { status: 'listed', detail: 'Return code 127.0.0.2' },
+      'bl.example.org': { status: 'error', detail: 'The blocklist refused the query (127.255.255.254).' },
+    },
+  });
+  assert.equal(domain.type, 'domain');
+  assert.deepEqual(domain.results, { 'dbl.spamhaus.org': { status: 'clear', detail: '' } });
+});
+
+test('checkBlocklists reports resolver errors per zone', async () => {
+  const stub = createStaticResolver({});
+  const resolve = async (names) => {
+    const answers = await stub(names);
+    answers['4.3.2.1.zen.spamhaus.org'] = { addresses: [], error: 'Timed out.' };
+    delete answers['4.3.2.1.bl.example.org'];
+    return answers;
+  };
+  const [result] = await checkBlocklists({ targets: ['1.2.3.4'], settings: SETTINGS, resolve, now: 1000 });
+
+  assert.deepEqual(result.results, {
+    'zen.spamhaus.org': { status: 'error', detail: 'Timed out.' },
+    'bl.example.org': { status: 'error', detail: 'No answer from the resolver.' },
+  });
+});
+
+test('checkBlocklists skips the resolver when nothing applies', async () => {
+  const resolve = async () => assert.fail('resolver called');
+  assert.deepEqual(await checkBlocklists({ targets: [], settings: SETTINGS, resolve }), []);
+});
+
+test('applyCheckResult records listing and delisting in history', () => {
+  const listed = applyCheckResult(null, { checkedAt: 1000, results: { 'zen.spamhaus.org': { status: 'listed', detail: 'Return code 127.0.0.2' } } });
+  assert.deepEqual(listed.changes, [{ zone: 'zen.spamhaus.org', event: 'listed', at: 1000 }]);
+  assert.deepEqual(listed.listings['zen.spamhaus.org'], { status: 'listed', since: 1000, detail: 'Return code 127.0.0.2' });
+
+  const still = applyCheckResult(listed, { checkedAt: 2000, results: { 'zen.spamhaus.org': { status: 'listed', detail: 'Return code 127.0.0.2' } } });
+  assert.deepEqual(still.changes, []);
+  assert.equal(still.listings['zen.spamhaus.org'].since, 1000);
+
+  const delisted = applyCheckResult(still, { checkedAt: 3000, results: { 'zen.spamhaus.org': { status: 'clear', detail: '' } } });
+  assert.deepEqual(delisted.changes, [{ zone: 'zen.spamhaus.org', event: 'delisted', at: 3000 }]);
+  assert.deepEqual(delisted.listings['zen.spamhaus.org'], { status: 'clear', since: 3000, detail: '' });
+  assert.deepEqual(delisted.history, [
+    { zone: 'zen.spamhaus.org', event: 'delisted', at: 3000 },
+    { zone: 'zen.spamhaus.org', event: 'listed', at: 1000 },
+  ]);
+});
+
+test('applyCheckResult keeps the previous state when a lookup fails', () => {
+  const listed = applyCheckResult(null, { checkedAt: 1000, results: { 'zen.spamhaus.org': { status: 'listed', detail: 'Return code 127.0.0.2' } } });
+  const failed = applyCheckResult(listed, {
+    checkedAt: 2000,
+    results: {
+      'zen.spamhaus.org': { status: 'error', detail: 'Timed out.' },
+      'bl.example.org': { status: 'error', detail: 'Timed out.' },
+    },
+  });
+
+  assert.deepEqual(failed.changes, []);
+  assert.deepEqual(failed.listings['zen.spamhaus.org'], { status: 'listed', since: 1000, detail: 'Return code 127.0.0.2', error: 'Timed out.' });
+  assert.deepEqual(failed.listings['bl.example.org'], { status: 'unknown', since: 2000, error: 'Timed out.' });
+  assert.deepEqual(failed.history, listed.history);
+});
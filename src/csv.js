@@ -0,0 +1,100 @@
+// --- CSV HELPERS ---
+// Minimal RFC 4180 reader/writer used for account import and report exports.
+
+// Parses CSV text into an array of rows (arrays of strings). Handles quoted
+// fields, escaped quotes ("") and CRLF line endings; blank lines are skipped.
+// Each row carries a `line` property: the 1-based source line it starts on,
+// which differs from its index once blank lines or multiline fields occur.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.some(value => value.trim() !== '')) rows.push(Object.assign(row, { line: rowLine }));
+    row = [];
+    rowLine = line;
+  };
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n' || (char === '\r' && input[i + 1] !== '\n')) line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      line++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+// Parses CSV with a header row into [{ line, values }], where `values` is keyed
+// by normalised header names (lowercase, spaces and dashes turned into
+// underscores) and `line` is the source line the row starts on.
+export const parseCsvObjects = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const keys = header.map(name => name.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+  return rows.map(row => ({
+    line: row.line,
+    values: Object.fromEntries(keys.map((key, i) => [key, (row[i] ?? '').trim()])),
+  }));
+};
+
+// Text a spreadsheet would run as a formula (CSV injection); such cells get a
+// leading ' so they open as plain text.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serialises objects to CSV. `columns` is a list of { key, label } or plain keys.
+export const toCsv = (items, columns) => {
+  const cols = columns.map(col => (typeof col === 'string' ? { key: col, label: col } : col));
+  const lines = [
+    cols.map(col => escapeField(col.label)).join(','),
+    ...items.map(item => cols.map(col => escapeField(item[col.key])).join(',')),
+  ];
+  return lines.join('\r\n');
+};
+
+// Triggers a browser download of `content`.
+export const downloadFile = (filename, content, type = 'text/csv') => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
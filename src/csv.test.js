@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, parseCsvObjects, toCsv } from './csv.js';
+import { validateImportRows } from './accountImport.js';
+
+test('parseCsv records the source line each row starts on', () => {
+  const rows = parseCsv('a,b\r\n\r\n"multi\r\nline",x\n\nlast,y');
+  assert.deepEqual(rows.map(row => [...row]), [['a', 'b'], ['multi\r\nline', 'x'], ['last', 'y']]);
+  assert.deepEqual(rows.map(row => row.line), [1, 3, 6]);
+});
+
+test('import rows report their source line after blank lines and multiline fields', () => {
+  const text = [
+    'Email,App Password,Note',
+    'one@example.com,secret,ok',
+    '',
+    'two@example.com,secret,"spans',
+    'two lines"',
+    'not-an-email,secret,bad',
+  ].join('\n');
+  const parsed = parseCsvObjects(text);
+  assert.deepEqual(parsed[0], { line: 2, values: { email: 'one@example.com', app_password: 'secret', note: 'ok' } });
+
+  const results = validateImportRows(parsed);
+  assert.deepEqual(results.map(row => row.line), [2, 4, 6]);
+  assert.deepEqual(results.map(row => row.errors.length > 0), [false, false, true]);
+});
+
+test('toCsv writes formula-like text as plain text', () => {
+  const items = [
+    { email: 'a@x.com', detail: '=HYPERLINK("http://evil.example","click")', volume: -5 },
+    { email: 'b@x.com', detail: '+1, -2 or @SUM(A1)', volume: 10 },
+    { email: 'c@x.com', detail: 'fine - really', volume: null },
+  ];
+  assert.equal(toCsv(items, ['email', 'detail', 'volume']), [
+    'email,detail,volume',
+    'a@x.com,"\'=HYPERLINK(""http://evil.example"",""click"")",-5',
+    'b@x.com,"\'+1, -2 or @SUM(A1)",10',
+    'c@x.com,fine - really,',
+  ].join('\r\n'));
+  assert.equal(toCsv([{ a: '@cmd' }, { a: '-1+1' }, { a: '\tx' }], ['a']), "a\r\n'@cmd\r\n'-1+1\r\n'\tx");
+});
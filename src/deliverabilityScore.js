@@ -0,0 +1,107 @@
+// --- DELIVERABILITY SCORING ---
+// Derives 0-100 deliverability scores from warmup log events over a rolling
+// window. Scores are null when there is no warmup traffic to judge.
+
+import { WARMUP_EVENTS } from './warmupEvents.js';
+import { DAY_MS, addDays } from './warmupSchedule.js';
+import { zonedParts, zonedTime } from './sendingWindows.js';
+
+export const SCORE_WINDOW_DAYS = 14;
+
+// Share of the score contributed by each signal.
+const WEIGHTS = { placement: 0.6, replies: 0.25, bounces: 0.15 };
+
+// A bounce rate at or above this zeroes the bounce component.
+const MAX_BOUNCE_RATE = 0.1;
+
+export const emptyTally = () => ({ sent: 0, inbox: 0, spam: 0, rescued: 0, replied: 0, bounced: 0 });
+
+const EVENT_KEYS = Object.fromEntries(
+  Object.entries(WARMUP_EVENTS).map(([key, event]) => [event, key])
+);
+
+export const tallyEvents = (logs) => logs.reduce((tally, log) => {
+  const key = EVENT_KEYS[log.event];
+  if (key) tally[key] += 1;
+  return tally;
+}, emptyTally());
+
+// Score for a single tally. A rescued message still landed in spam, but the
+// rescue earns back half of that placement penalty.
+export const scoreTally = (tally, targetReplyRate = 15) => {
+  const placements = tally.inbox + tally.spam;
+  if (tally.sent === 0 && placements === 0) return null;
+
+  const rescued = Math.min(tally.rescued, tally.spam);
+  const placement = placements > 0 ? (tally.inbox + rescued * 0.5) / placements : 1;
+  const replyRate = tally.sent > 0 ? tally.replied / tally.sent : 0;
+  const replies = targetReplyRate > 0 ? Math.min(1, replyRate / (targetReplyRate / 100)) : 1;
+  const bounceRate = tally.sent > 0 ? tally.bounced / tally.sent : 0;
+  const bounces = 1 - Math.min(1, bounceRate / MAX_BOUNCE_RATE);
+
+  return Math.round(100 * (
+    WEIGHTS.placement * placement
+    + WEIGHTS.replies * replies
+    + WEIGHTS.bounces * bounces
+  ));
+};
+
+// Keeps only logs inside the rolling window ending at `now`.
+export const withinWindow = (logs, now = Date.now(), days = SCORE_WINDOW_DAYS) => {
+  const since = now - days * DAY_MS;
+  return logs.filter(log => log.timestamp >= since && log.timestamp <= now);
+};
+
+// Midnights starting each of the last `days` days plus the one ending them,
+// oldest first. Days are local unless `timeZone` is given.
+const dayBoundaries = (now, days, timeZone) => {
+  if (!timeZone) {
+    const firstDay = addDays(now, -(days - 1));
+    return Array.from({ length: days + 1 }, (_, i) => addDays(firstDay, i));
+  }
+  const today = zonedParts(now, timeZone);
+  return Array.from({ length: days + 1 }, (_, i) => zonedTime({ ...today, day: today.day - (days - 1) + i }, 0, timeZone));
+};
+
+// Per-account scores plus a volume-weighted overall score and a daily trend,
+// bucketed by day in `timeZone` (local days when omitted).
+export const scoreLogs = (logs, { targetReplyRate, now = Date.now(), days = SCORE_WINDOW_DAYS, timeZone = null } = {}) => {
+  const recent = withinWindow(logs, now, days);
+
+  const byEmail = recent.reduce((groups, log) => {
+    if (!log.email) return groups;
+    (groups[log.email] = groups[log.email] || []).push(log);
+    return groups;
+  }, {});
+
+  const accounts = Object.fromEntries(Object.entries(byEmail).map(([email, accountLogs]) => {
+    const tally = tallyEvents(accountLogs);
+    return [email, { ...tally, score: scoreTally(tally, targetReplyRate) }];
+  }));
+
+  const scored = Object.values(accounts).filter(acc => acc.score !== null);
+  const weight = (acc) => Math.max(acc.sent, 1);
+  const totalWeight = scored.reduce((sum, acc) => sum + weight(acc), 0);
+  const overall = scored.length > 0
+    ? Math.round(scored.reduce((sum, acc) => sum + acc.score * weight(acc), 0) / totalWeight)
+    : null;
+
+  const boundaries = dayBoundaries(now, days, timeZone);
+  const trend = boundaries.slice(0, -1).map((date, i) => {
+    const dayLogs = recent.filter(log => log.timestamp >= date && log.timestamp < boundaries[i + 1]);
+    return { date, score: scoreTally(tallyEvents(dayLogs), targetReplyRate) };
+  });
+
+  return { overall, accounts, trend };
+};
+
+// Event counts per calendar day in `timeZone` (local days when omitted) for
+// the last `days` days, oldest first:
+// [{ date, sent, inbox, spam, rescued, replied, bounced }].
+export const dailyTallies = (logs, { now = Date.now(), days = SCORE_WINDOW_DAYS, timeZone = null } = {}) => {
+  const boundaries = dayBoundaries(now, days, timeZone);
+  return boundaries.slice(0, -1).map((date, i) => {
+    const dayLogs = logs.filter(log => log.timestamp >= date && log.timestamp < boundaries[i + 1]);
+    return { date, ...tallyEvents(dayLogs) };
+  });
+};
@@ -0,0 +1,122 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { WARMUP_EVENTS, ACCOUNT_EVENTS } from './warmupEvents.js';
+import { emptyTally, tallyEvents, scoreTally, withinWindow, scoreLogs, dailyTallies } from './deliverabilityScore.js';
+
+// Trend and tally days are local calendar days; pin them to a zone with DST changes
+process.env.TZ = 'America/New_York';
+
+const local = (month, day, hour = 0) => new Date(2026, month - 1, day, hour).getTime();
+const tally = (counts) => ({ ...emptyTally(), ...counts });
+const events = (email, timestamp, counts) => Object.entries(counts).flatMap(([key, count]) =>
+  Array.from({ length: count }, () => ({ event: WARMUP_EVENTS[key], email, timestamp })));
+
+test('scoreTally is null without warmup traffic', () => {
+  assert.equal(scoreTally(emptyTally()), null);
+  // Replies or bounces alone don't make a placement or a send to judge
+  assert.equal(scoreTally(tally({ replied: 2, bounced: 1 })), null);
+});
+
+test('scoreTally weights placement, replies and bounces 60/25/15', () => {
+  assert.equal(scoreTally(tally({ sent: 10, inbox: 10, replied: 2 })), 100);
+  // Placement only
+  assert.equal(scoreTally(tally({ sent: 10, inbox: 10, bounced: 1 })), 60);
+  // Replies only
+  assert.equal(scoreTally(tally({ sent: 10, spam: 10, replied: 2, bounced: 1 })), 25);
+  // Bounces only
+  assert.equal(scoreTally(tally({ sent: 10, spam: 10 })), 15);
+  // Half the target reply rate and half the bounce ceiling
+  assert.equal(scoreTally(tally({ sent: 100, inbox: 100, replied: 15, bounced: 5 }), 30), Math.round(60 + 12.5 + 7.5));
+});
+
+test('scoreTally gives rescued spam half credit, up to the spam count', () => {
+  assert.equal(scoreTally(tally({ sent: 10, inbox: 5, spam: 5, rescued: 2, bounced: 1 })), 36);
+  assert.equal(scoreTally(tally({ sent: 10, inbox: 5, spam: 5, rescued: 5, bounced: 1 })), 45);
+  assert.equal(scoreTally(tally({ sent: 10, inbox: 10, rescued: 3, bounced: 1 })), 60);
+});
+
+test('scoreTally handles missing sends, placements and reply targets', () => {
+  // Placement results without sends in the window: no reply or bounce rate to judge
+  assert.equal(scoreTally(tally({ inbox: 4 })), 75);
+  // Sends whose placement isn't known yet count as placed
+  assert.equal(scoreTally(tally({ sent: 10 })), 75);
+  // Without a reply target the reply component is met
+  assert.equal(scoreTally(tally({ sent: 10, inbox: 10 }), 0), 100);
+});
+
+test('tallyEvents counts only warmup events', () => {
+  const logs = [
+    ...events('a@x.com', 1, { sent: 2, inbox: 1, rescued: 1 }),
+    { event: ACCOUNT_EVENTS.paused, email: 'a@x.com', timestamp: 1 },
+  ];
+  assert.deepEqual(tallyEvents(logs), tally({ sent: 2, inbox: 1, rescued: 1 }));
+});
+
+test('withinWindow keeps the rolling window ending now', () => {
+  const now = local(10, 18, 12);
+  const logs = [local(10, 4, 11), local(10, 4, 13), local(10, 18, 12), local(10, 18, 13)].map(timestamp => ({ timestamp }));
+  assert.deepEqual(withinWindow(logs, now).map(log => log.timestamp), [local(10, 4, 13), local(10, 18, 12)]);
+  assert.equal(withinWindow(logs, now, 1).length, 1);
+});
+
+test('scoreLogs weights the overall score by each account\'s sends', () => {
+  const now = local(10, 18, 12);
+  const logs = [
+    ...events('a@x.com', local(10, 17, 9), { sent: 30, inbox: 30, replied: 6 }),
+    ...events('b@x.com', local(10, 17, 9), { sent: 10, spam: 10 }),
+    // Outside the window, so c@x.com has no score
+    ...events('c@x.com', local(9, 1, 9), { sent: 10, spam: 10 }),
+    // Logs without an account don't count towards any score
+    ...events(undefined, local(10, 17, 9), { sent: 10, spam: 10 }),
+  ];
+  const { overall, accounts } = scoreLogs(logs, { targetReplyRate: 15, now });
+
+  assert.deepEqual(Object.keys(accounts).sort(), ['a@x.com', 'b@x.com']);
+  assert.equal(accounts['a@x.com'].score, 100);
+  assert.equal(accounts['b@x.com'].score, 15);
+  assert.equal(overall, Math.round((100 * 30 + 15 * 10) / 40));
+});
+
+test('scoreLogs leaves the overall score and quiet days null', () => {
+  const now = local(10, 18, 12);
+  const { overall, accounts, trend } = scoreLogs([
+    { event: ACCOUNT_EVENTS.resumed, email: 'a@x.com', timestamp: local(10, 18, 9) },
+  ], { now });
+
+  assert.equal(overall, null);
+  assert.equal(accounts['a@x.com'].score, null);
+  assert.equal(trend.length, 14);
+  assert.ok(trend.every(day => day.score === null));
+});
+
+test('trend and daily tallies step by calendar day across DST', () => {
+  // Clocks go back on 2026-11-01
+  const now = local(11, 3, 12);
+  const logs = [
+    ...events('a@x.com', local(11, 1, 23), { sent: 1, inbox: 1 }),
+    ...events('a@x.com', local(11, 2, 0), { sent: 2, spam: 2 }),
+  ];
+  const { trend } = scoreLogs(logs, { now, days: 4 });
+  const tallies = dailyTallies(logs, { now, days: 4 });
+
+  assert.deepEqual(trend.map(day => day.date), [local(10, 31), local(11, 1), local(11, 2), local(11, 3)]);
+  assert.deepEqual(trend.map(day => day.score), [null, 75, 15, null]);
+  assert.deepEqual(tallies.map(day => day.date), trend.map(day => day.date));
+  assert.deepEqual(tallies.map(day => [day.sent, day.inbox, day.spam]), [[0, 0, 0], [1, 1, 0], [2, 0, 2], [0, 0, 0]]);
+});
+
+test('trend and daily tallies follow a given time zone instead of local days', () => {
+  // 03:30 UTC on the 18th is the evening of the 17th in New York but the 18th in Berlin
+  const now = Date.UTC(2026, 9, 18, 12);
+  const logs = events('a@x.com', Date.UTC(2026, 9, 18, 3, 30), { sent: 1, inbox: 1 });
+  const tallies = dailyTallies(logs, { now, days: 2, timeZone: 'Europe/Berlin' });
+
+  assert.deepEqual(tallies.map(day => day.date), [Date.UTC(2026, 9, 16, 22), Date.UTC(2026, 9, 17, 22)]);
+  assert.deepEqual(tallies.map(day => day.sent), [0, 1]);
+  assert.deepEqual(dailyTallies(logs, { now, days: 2 }).map(day => day.sent), [1, 0]);
+  assert.deepEqual(scoreLogs(logs, { now, days: 2, timeZone: 'Europe/Berlin' }).trend.map(day => day.score), [null, 75]);
+
+  // Berlin's clocks go back on 2026-10-25, so that day runs 25 hours
+  const [fallBack, next] = dailyTallies([], { now: Date.UTC(2026, 9, 26, 12), days: 2, timeZone: 'Europe/Berlin' });
+  assert.equal(next.date - fallBack.date, 25 * 60 * 60 * 1000);
+});
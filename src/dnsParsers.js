@@ -0,0 +1,395 @@
+// --- DNS AUTHENTICATION PARSERS ---
+// Pure parsers for SPF, DKIM and DMARC TXT records plus the checks that turn
+// them into actionable findings. Findings are { severity, message, fix } where
+// severity is 'error' | 'warning'.
+
+// SPF allows at most 10 DNS-querying terms (RFC 7208 section 4.6.4).
+export const SPF_LOOKUP_LIMIT = 10;
+
+const SPF_MECHANISMS = ['all', 'include', 'a', 'mx', 'ptr', 'ip4', 'ip6', 'exists'];
+const SPF_LOOKUP_TERMS = ['include', 'a', 'mx', 'ptr', 'exists', 'redirect'];
+const SPF_QUALIFIERS = { '+': 'pass', '-': 'fail', '~': 'softfail', '?': 'neutral' };
+
+// Splits "k1=v1; k2=v2" tag lists used by DKIM and DMARC.
+const parseTags = (record) => record
+  .split(';')
+  .map(part => part.trim())
+  .filter(Boolean)
+  .reduce((tags, part) => {
+    const index = part.indexOf('=');
+    if (index === -1) return tags;
+    tags[part.slice(0, index).trim().toLowerCase()] = part.slice(index + 1).trim();
+    return tags;
+  }, {});
+
+// TXT answers often arrive quoted and split into 255-byte chunks.
+export const normalizeTxt = (txt) => String(txt)
+  .replace(/"\s+"/g, '')
+  .replace(/^"|"$/g, '')
+  .trim();
+
+export const isSpfRecord = (txt) => /^v=spf1(\s|$)/i.test(normalizeTxt(txt));
+export const isDmarcRecord = (txt) => /^v=DMARC1\s*(;|$)/i.test(normalizeTxt(txt));
+
+export const parseSpf = (txt) => {
+  const record = normalizeTxt(txt);
+  const [version, ...terms] = record.split(/\s+/);
+  const mechanisms = [];
+  const modifiers = {};
+  const unknown = [];
+
+  terms.forEach((term) => {
+    const modifier = term.match(/^([a-z][a-z0-9_.-]*)=(.*)$/i);
+    if (modifier) {
+      modifiers[modifier[1].toLowerCase()] = modifier[2];
+      return;
+    }
+
+    const qualifier = SPF_QUALIFIERS[term[0]] ? term[0] : '+';
+    const body = SPF_QUALIFIERS[term[0]] ? term.slice(1) : term;
+    const match = body.match(/^([a-z0-9]+)(?:[:/](.*))?$/i);
+    const type = match?.[1].toLowerCase();
+
+    if (!match || !SPF_MECHANISMS.includes(type)) {
+      unknown.push(term);
+      return;
+    }
+    mechanisms.push({ qualifier, result: SPF_QUALIFIERS[qualifier], type, value: match[2] ?? null });
+  });
+
+  const lookupCount = mechanisms.filter(m => SPF_LOOKUP_TERMS.includes(m.type)).length
+    + (modifiers.redirect ? 1 : 0);
+  const all = mechanisms.find(m => m.type === 'all') || null;
+
+  return {
+    valid: version?.toLowerCase() === 'v=spf1',
+    record,
+    mechanisms,
+    modifiers,
+    unknown,
+    lookupCount,
+    allQualifier: all ? all.qualifier : null,
+  };
+};
+
+// Minimal DER walker: returns { tag, length, start, end } for the element at `offset`.
+const readDer = (bytes, offset) => {
+  const tag = bytes[offset];
+  let length = bytes[offset + 1];
+  let start = offset + 2;
+
+  if (length & 0x80) {
+    const count = length & 0x7f;
+    length = 0;
+    for (let i = 0; i < count; i++) {
+      length = (length * 256) + bytes[start + i];
+    }
+    start += count;
+  }
+  return { tag, length, start, end: start + length };
+};
+
+const decodeBase64 = (value) => {
+  const binary = atob(value.replace(/\s+/g, ''));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+};
+
+// Bit length of an RSA public key given as base64 SubjectPublicKeyInfo (or bare
+// RSAPublicKey). Returns null if the key can't be decoded.
+export const rsaKeyBits = (base64Key) => {
+  try {
+    const bytes = decodeBase64(base64Key);
+    let node = readDer(bytes, 0);
+    let inner = readDer(bytes, node.start);
+
+    // SubjectPublicKeyInfo: SEQUENCE { SEQUENCE algorithm, BIT STRING key }
+    if (inner.tag === 0x30) {
+      const bitString = readDer(bytes, inner.end);
+      node = readDer(bytes, bitString.start + 1); // skip the unused-bits byte
+      inner = readDer(bytes, node.start);
+    }
+
+    // RSAPublicKey: SEQUENCE { INTEGER modulus, INTEGER exponent }
+    if (inner.tag !== 0x02) return null;
+    let start = inner.start;
+    while (start < inner.end && bytes[start] === 0) start++;
+    if (start === inner.end) return 0;
+
+    const leading = bytes[start].toString(2).length;
+    return (inner.end - start - 1) * 8 + leading;
+  } catch {
+    return null;
+  }
+};
+
+export const parseDkim = (txt) => {
+  const record = normalizeTxt(txt);
+  const tags = parseTags(record);
+  const keyType = (tags.k || 'rsa').toLowerCase();
+  const publicKey = tags.p ?? null;
+
+  let keyBits = null;
+  if (publicKey) {
+    keyBits = keyType === 'ed25519' ? 256 : rsaKeyBits(publicKey);
+  }
+
+  return {
+    valid: (!tags.v || tags.v === 'DKIM1') && publicKey !== null,
+    record,
+    tags,
+    keyType,
+    revoked: publicKey === '',
+    keyBits,
+    testing: (tags.t || '').split(':').map(flag => flag.trim()).includes('y'),
+  };
+};
+
+export const parseDmarc = (txt) => {
+  const record = normalizeTxt(txt);
+  const tags = parseTags(record);
+  const pct = tags.pct === undefined ? 100 : Number(tags.pct);
+  const mailto = (value) => (value || '')
+    .split(',')
+    .map(uri => uri.trim())
+    .filter(Boolean);
+
+  return {
+    valid: isDmarcRecord(record),
+    record,
+    tags,
+    policy: tags.p?.toLowerCase() ?? null,
+    subdomainPolicy: tags.sp?.toLowerCase() ?? null,
+    pct,
+    rua: mailto(tags.rua),
+    ruf: mailto(tags.ruf),
+    alignment: { dkim: tags.adkim || 'r', spf: tags.aspf || 'r' },
+  };
+};
+
+export const checkSpf = (records, domain) => {
+  const spfRecords = records.filter(isSpfRecord);
+
+  if (spfRecords.length === 0) {
+    return { parsed: null, findings: [{
+      severity: 'error',
+      message: 'No SPF record found.',
+      fix: `Add a TXT record on ${domain}: "v=spf1 include:<your provider> ~all".`,
+    }] };
+  }
+  if (spfRecords.length > 1) {
+    return { parsed: parseSpf(spfRecords[0]), findings: [{
+      severity: 'error',
+      message: `${spfRecords.length} SPF records found; receivers treat this as a permanent error.`,
+      fix: 'Merge all SPF mechanisms into a single "v=spf1 ..." TXT record.',
+    }] };
+  }
+
+  const parsed = parseSpf(spfRecords[0]);
+  const findings = [];
+
+  if (parsed.unknown.length > 0) {
+    findings.push({
+      severity: 'error',
+      message: `Unrecognised SPF terms: ${parsed.unknown.join(' ')}.`,
+      fix: 'Remove or correct these terms; an invalid term fails the whole record.',
+    });
+  }
+  if (parsed.lookupCount > SPF_LOOKUP_LIMIT) {
+    findings.push({
+      severity: 'error',
+      message: `SPF uses ${parsed.lookupCount} DNS lookups (limit is ${SPF_LOOKUP_LIMIT}).`,
+      fix: 'Remove unused includes or replace them with ip4/ip6 ranges.',
+    });
+  } else if (parsed.lookupCount >= SPF_LOOKUP_LIMIT - 2) {
+    findings.push({
+      severity: 'warning',
+      message: `SPF uses ${parsed.lookupCount} of ${SPF_LOOKUP_LIMIT} DNS lookups before nested includes are counted.`,
+      fix: 'Trim includes now; nested includes count towards the same limit.',
+    });
+  }
+  if (parsed.mechanisms.some(m => m.type === 'ptr')) {
+    findings.push({
+      severity: 'warning',
+      message: 'SPF uses the deprecated "ptr" mechanism.',
+      fix: 'Replace "ptr" with explicit ip4/ip6 or include mechanisms.',
+    });
+  }
+  if (parsed.allQualifier === '+') {
+    findings.push({
+      severity: 'error',
+      message: 'SPF ends in "+all", which authorises every server on the internet.',
+      fix: 'Change "+all" to "~all" (or "-all" once you are sure every sender is listed).',
+    });
+  } else if (parsed.allQualifier === '?') {
+    findings.push({
+      severity: 'warning',
+      message: 'SPF ends in "?all", which gives receivers no guidance.',
+      fix: 'Change "?all" to "~all" or "-all".',
+    });
+  } else if (!parsed.allQualifier && !parsed.modifiers.redirect) {
+    findings.push({
+      severity: 'warning',
+      message: 'SPF has no "all" mechanism or redirect.',
+      fix: 'End the record with "~all" or "-all".',
+    });
+  }
+
+  return { parsed, findings };
+};
+
+// `recordsBySelector` maps each DKIM selector to the TXT records found at
+// <selector>._domainkey.<domain>.
+export const checkDkim = (recordsBySelector, domain) => {
+  const selectors = Object.entries(recordsBySelector || {})
+    .filter(([, records]) => records.length > 0)
+    .map(([selector, records]) => ({ selector, ...parseDkim(records[0]) }));
+
+  if (selectors.length === 0) {
+    return { parsed: [], findings: [{
+      severity: 'error',
+      message: 'No DKIM key found for the checked selectors.',
+      fix: `Enable DKIM signing with your provider and publish the key at <selector>._domainkey.${domain}.`,
+    }] };
+  }
+
+  const findings = [];
+  selectors.forEach((key) => {
+    if (key.revoked) {
+      findings.push({
+        severity: 'warning',
+        message: `DKIM selector "${key.selector}" is revoked (empty p=).`,
+        fix: 'Remove the record if the selector is no longer used, or publish the current key.',
+      });
+    } else if (!key.valid) {
+      findings.push({
+        severity: 'error',
+        message: `DKIM selector "${key.selector}" is malformed.`,
+        fix: 'Republish the key exactly as given by your mail provider ("v=DKIM1; k=rsa; p=...").',
+      });
+    } else if (key.keyType === 'rsa' && key.keyBits !== null && key.keyBits < 1024) {
+      findings.push({
+        severity: 'error',
+        message: `DKIM selector "${key.selector}" uses a ${key.keyBits}-bit key; most receivers reject keys under 1024 bits.`,
+        fix: 'Rotate to a 2048-bit RSA key.',
+      });
+    } else if (key.keyType === 'rsa' && key.keyBits !== null && key.keyBits < 2048) {
+      findings.push({
+        severity: 'warning',
+        message: `DKIM selector "${key.selector}" uses a ${key.keyBits}-bit key.`,
+        fix: 'Rotate to a 2048-bit RSA key when your provider supports it.',
+      });
+    }
+    if (key.testing) {
+      findings.push({
+        severity: 'warning',
+        message: `DKIM selector "${key.selector}" is in testing mode (t=y).`,
+        fix: 'Remove "t=y" once signing is verified so receivers enforce DKIM.',
+      });
+    }
+  });
+
+  return { parsed: selectors, findings };
+};
+
+export const checkDmarc = (records, domain) => {
+  const dmarcRecords = records.filter(isDmarcRecord);
+
+  if (dmarcRecords.length === 0) {
+    return { parsed: null, findings: [{
+      severity: 'error',
+      message: 'No DMARC record found.',
+      fix: `Add a TXT record on _dmarc.${domain}: "v=DMARC1; p=none; rua=mailto:dmarc@${domain}".`,
+    }] };
+  }
+  if (dmarcRecords.length > 1) {
+    return { parsed: parseDmarc(dmarcRecords[0]), findings: [{
+      severity: 'error',
+      message: 'Multiple DMARC records found; receivers ignore DMARC entirely.',
+      fix: `Keep exactly one TXT record on _dmarc.${domain}.`,
+    }] };
+  }
+
+  const parsed = parseDmarc(dmarcRecords[0]);
+  const findings = [];
+
+  if (!['none', 'quarantine', 'reject'].includes(parsed.policy)) {
+    findings.push({
+      severity: 'error',
+      message: `DMARC policy "${parsed.tags.p ?? ''}" is missing or invalid.`,
+      fix: 'Set p=none, p=quarantine or p=reject.',
+    });
+  } else if (parsed.policy === 'none') {
+    findings.push({
+      severity: 'warning',
+      message: 'DMARC policy is "none" (monitoring only).',
+      fix: 'Move to p=quarantine once reports show SPF and DKIM pass for all your senders.',
+    });
+  }
+  if (!Number.isInteger(parsed.pct) || parsed.pct < 0 || parsed.pct > 100) {
+    findings.push({
+      severity: 'error',
+      message: `DMARC pct="${parsed.tags.pct}" is invalid.`,
+      fix: 'Use a whole number between 0 and 100, or omit pct.',
+    });
+  } else if (parsed.pct < 100) {
+    findings.push({
+      severity: 'warning',
+      message: `DMARC policy only applies to ${parsed.pct}% of mail.`,
+      fix: 'Raise pct to 100 (or remove it) once the rollout is complete.',
+    });
+  }
+  if (parsed.rua.length === 0) {
+    findings.push({
+      severity: 'warning',
+      message: 'DMARC has no aggregate report address (rua).',
+      fix: `Add rua=mailto:dmarc@${domain} to receive daily reports.`,
+    });
+  }
+
+  return { parsed, findings };
+};
+
+// Runs every check for a domain. `records` is the backend response:
+// { spf: string[], dmarc: string[], dkim: { [selector]: string[] } }.
+export const diagnoseDomain = (domain, records) => ({
+  spf: checkSpf(records?.spf || [], domain),
+  dkim: checkDkim(records?.dkim || {}, domain),
+  dmarc: checkDmarc(records?.dmarc || [], domain),
+});
+
+// Canonical form of a backend DNS response, used to spot record changes
+// between checks. Records are normalised and sorted so that answer order and
+// chunking don't count as a change.
+export const normalizeDnsRecords = (records) => {
+  const sorted = (list) => (list || []).map(normalizeTxt).sort();
+  return {
+    spf: sorted((records?.spf || []).filter(isSpfRecord)),
+    dmarc: sorted((records?.dmarc || []).filter(isDmarcRecord)),
+    dkim: Object.fromEntries(
+      Object.entries(records?.dkim || {}).map(([selector, list]) => [selector, sorted(list)])
+    ),
+  };
+};
+
+const sameList = (a, b) => a.length === b.length && a.every((value, i) => value === b[i]);
+
+// Describes what changed between two normalised snapshots. DKIM is only
+// compared for selectors present in both, since each check may ask for a
+// different selector list. Returns an empty array when nothing changed.
+export const diffDnsRecords = (previous, next) => {
+  const changes = [];
+  const describe = (label, before, after) => {
+    if (sameList(before, after)) return;
+    if (before.length === 0) changes.push(`${label} record added.`);
+    else if (after.length === 0) changes.push(`${label} record removed.`);
+    else changes.push(`${label} record changed.`);
+  };
+
+  describe('SPF', previous.spf || [], next.spf || []);
+  describe('DMARC', previous.dmarc || [], next.dmarc || []);
+  Object.keys(next.dkim || {})
+    .filter(selector => selector in (previous.dkim || {}))
+    .forEach(selector => describe(`DKIM (${selector})`, previous.dkim[selector], next.dkim[selector]));
+
+  return changes;
+};
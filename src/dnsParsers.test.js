@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { SPF_LOOKUP_LIMIT, parseSpf, parseDmarc, parseDkim, rsaKeyBits, checkSpf, checkDkim } from './dnsParsers.js';
+
+// Keys recorded from real selectors, as published in the p= tag.
+const RSA_1024_SPKI = 'MIGfMA0GCSqGSIb3DQEBAQUAA4GNADCBiQKBgQDGBJldG/674LOM+XfbjVqI2a9mu/wUeVETdka/sWtZXQJVTVnWHq/MF3eZIwiO46TLbFNRvKFgnhoe3vS/jJk4eQSJgBHFXGxeEns6bLggKcPGblPU6wW4tEDEL6FOqNyjgxcQT91oJMvhTzNDmz/PwASJkPaJpkNsRp7zsqgVMQIDAQAB';
+const RSA_2048_SPKI = 'MIIBIjANBgkqhkiG9w0BAQEFAAOCAQ8AMIIBCgKCAQEAu74dSfXlkuPIG9FBj9qOYqSopnNTViMJ6PuQ8XwdrTmo2H+wono8k6U5nBiQzgT2hm03UwT+iECUjbFbOjZyJ3Kk5jEWwReismweWprcT1B2Q7TnxxbnIjDEA3LMG2fNKajuZsJBRXNh5OGBCsEMK4ZJPXc2rd7WCvkkxXroxazi10aCQ3ZNM1yzzoALL5lBsj10WikttYfo3vNhad+cmW7NLwcCqFKgTBUc5aXOy9aq9IczmsKGsr7U4sT0Kf7Hx3JCwze6WVwL/F1zRHC5mIPopKw/ErlPqzDJGkfmDb7CuZWKVjbsk48mr7h9+Ld3RBB2eoiIofnIbWIaXVyfLwIDAQAB';
+const RSA_1024_PKCS1 = 'MIGJAoGBAPfymRPdfSXJLMrE1ajFIxhLS6jA471TGnuVix5xh8GQi77NSt+RnPOb7HDKViTRRHu+eE07SeJkIkctxuj40V9YqUKxLprs3w6+wxCEgkcgFrddrm6l21DiTZiQN/hHUp0dCyAmVx0EXR+Slbhka6otkXbujNIeP519kufD5LGfAgMBAAE=';
+
+test('parseSpf counts DNS-querying mechanisms and redirect', () => {
+  const spf = parseSpf('v=spf1 ip4:192.0.2.0/24 include:_spf.google.com include:mailgun.org a mx ptr exists:%{i}.x.example redirect=_spf.example.com -all');
+  assert.equal(spf.valid, true);
+  assert.equal(spf.lookupCount, 7);
+  assert.equal(spf.allQualifier, '-');
+  assert.equal(spf.modifiers.redirect, '_spf.example.com');
+});
+
+test('parseSpf joins quoted TXT chunks and keeps unknown terms', () => {
+  const spf = parseSpf('"v=spf1 include:_spf.google.com " "include:spf.protection.outlook.com bogus ~all"');
+  assert.equal(spf.lookupCount, 2);
+  assert.deepEqual(spf.unknown, ['bogus']);
+  assert.equal(spf.allQualifier, '~');
+});
+
+test('checkSpf flags records over the lookup limit', () => {
+  const includes = Array.from({ length: SPF_LOOKUP_LIMIT + 1 }, (_, i) => `include:spf${i}.example.com`).join(' ');
+  const { parsed, findings } = checkSpf([`v=spf1 ${includes} -all`], 'example.com');
+  assert.equal(parsed.lookupCount, SPF_LOOKUP_LIMIT + 1);
+  assert.ok(findings.some(f => f.severity === 'error' && f.message.includes(`limit is ${SPF_LOOKUP_LIMIT}`)));
+});
+
+test('parseDmarc reads policy, pct, report addresses and alignment', () => {
+  const dmarc = parseDmarc('v=DMARC1; p=Quarantine; sp=reject; pct=50; rua=mailto:a@example.com, mailto:b@example.com; adkim=s');
+  assert.equal(dmarc.valid, true);
+  assert.equal(dmarc.policy, 'quarantine');
+  assert.equal(dmarc.subdomainPolicy, 'reject');
+  assert.equal(dmarc.pct, 50);
+  assert.deepEqual(dmarc.rua, ['mailto:a@example.com', 'mailto:b@example.com']);
+  assert.deepEqual(dmarc.ruf, []);
+  assert.deepEqual(dmarc.alignment, { dkim: 's', spf: 'r' });
+});
+
+test('parseDmarc defaults pct to 100 and rejects non-DMARC records', () => {
+  assert.equal(parseDmarc('v=DMARC1; p=none').pct, 100);
+  assert.equal(parseDmarc('v=spf1 -all').valid, false);
+});
+
+test('rsaKeyBits reads SubjectPublicKeyInfo and bare RSAPublicKey keys', () => {
+  assert.equal(rsaKeyBits(RSA_1024_SPKI), 1024);
+  assert.equal(rsaKeyBits(RSA_2048_SPKI), 2048);
+  assert.equal(rsaKeyBits(RSA_1024_PKCS1), 1024);
+  assert.equal(rsaKeyBits('not base64!'), null);
+});
+
+test('parseDkim reports key length, revocation and testing mode', () => {
+  assert.equal(parseDkim(`v=DKIM1; k=rsa; p=${RSA_2048_SPKI}`).keyBits, 2048);
+  assert.equal(parseDkim('v=DKIM1; k=ed25519; p=11qYAYKxCrfVS/7TyWQHOg7hcvPapiMlrwIaaPcHURo=').keyBits, 256);
+  assert.equal(parseDkim('v=DKIM1; p=').revoked, true);
+  assert.equal(parseDkim(`v=DKIM1; t=y:s; p=${RSA_2048_SPKI}`).testing, true);
+});
+
+test('checkDkim grades keys by length', () => {
+  const { findings } = checkDkim({
+    s1024: [`v=DKIM1; k=rsa; p=${RSA_1024_SPKI}`],
+    s2048: [`v=DKIM1; k=rsa; p=${RSA_2048_SPKI}`],
+    missing: [],
+  }, 'example.com');
+  assert.equal(findings.length, 1);
+  assert.equal(findings[0].severity, 'warning');
+  assert.match(findings[0].message, /"s1024" uses a 1024-bit key/);
+});
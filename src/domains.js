@@ -0,0 +1,86 @@
+// --- SENDING DOMAINS ---
+// Groups accounts by the domain they send from, with per-domain health
+// rollups and a conservative ramp for young domains. What is known about a
+// domain lives in artifacts/{appId}/workspaces/{workspaceId}/domains/{domain}:
+// { domain, firstSeenAt, registeredAt, checkedAt }, where `registeredAt` is the
+// registry's creation date (looked up by the backend over RDAP) or null.
+
+import { DAY_MS, todaysTarget } from './warmupSchedule.js';
+import { accountWarmupSettings } from './warmupSettings.js';
+
+// Ramp limits for young domains, youngest first. A domain younger than
+// `maxAgeDays` should start, grow and peak no faster than its tier.
+export const YOUNG_DOMAIN_RAMPS = [
+  { maxAgeDays: 30, label: 'New domain', startVolume: 2, maxDailyEmails: 20, dailyIncreasePct: 5, warmupDays: 60 },
+  { maxAgeDays: 90, label: 'Young domain', startVolume: 5, maxDailyEmails: 35, dailyIncreasePct: 8, warmupDays: 45 },
+];
+
+// Registration dates change rarely; re-check this often.
+export const DOMAIN_REGISTRATION_CHECK_MS = 30 * DAY_MS;
+
+export const domainOf = (email) => ((email || '').split('@')[1] || '').toLowerCase();
+
+// Accounts grouped by domain, sorted by domain: [{ domain, accounts }].
+// Accounts keep their order within a group.
+export const groupByDomain = (accounts) => {
+  const groups = {};
+  accounts.forEach((account) => {
+    const domain = domainOf(account.email);
+    if (!groups[domain]) groups[domain] = { domain, accounts: [] };
+    groups[domain].accounts.push(account);
+  });
+  return Object.values(groups).sort((a, b) => a.domain.localeCompare(b.domain));
+};
+
+// Health of one domain's accounts: { accounts, active, paused, error,
+// averageScore, dailyVolume }. `scores` maps email -> { score }; accounts
+// without a score are left out of the average, which is null if none have one.
+export const rollupDomain = (accounts, { scores = {}, settings, now = Date.now() }) => {
+  const scored = accounts.map(acc => scores[acc.email]?.score).filter(score => typeof score === 'number');
+  return {
+    accounts: accounts.length,
+    active: accounts.filter(acc => acc.status === 'active').length,
+    paused: accounts.filter(acc => acc.status === 'paused').length,
+    error: accounts.filter(acc => acc.status === 'error').length,
+    averageScore: scored.length > 0 ? Math.round(scored.reduce((sum, score) => sum + score, 0) / scored.length) : null,
+    dailyVolume: accounts
+      .filter(acc => acc.status === 'active')
+      .reduce((sum, acc) => sum + todaysTarget(acc, settings, now), 0),
+  };
+};
+
+// Earliest `joined` among the domain's accounts, or null.
+export const firstJoined = (accounts) => {
+  const joined = accounts.map(acc => acc.joined).filter(Boolean);
+  return joined.length > 0 ? Math.min(...joined) : null;
+};
+
+// When the domain started sending: its registration date if known, else the
+// day this workspace first saw it.
+export const domainStartedAt = (info) => info?.registeredAt ?? info?.firstSeenAt ?? null;
+
+export const domainAgeDays = (info, now = Date.now()) => {
+  const startedAt = domainStartedAt(info);
+  return startedAt ? Math.max(0, Math.floor((now - startedAt) / DAY_MS)) : null;
+};
+
+// Ramp suggestion for an account on a domain `ageDays` old. Returns
+// { tier, overrides } where `tier` is the YOUNG_DOMAIN_RAMPS entry and
+// `overrides` holds only the settings that ramp faster than it allows, or
+// null if none do.
+export const suggestRamp = (ageDays, account, settings) => {
+  if (ageDays === null) return null;
+  const tier = YOUNG_DOMAIN_RAMPS.find(ramp => ageDays < ramp.maxAgeDays);
+  if (!tier) return null;
+
+  const effective = accountWarmupSettings(account, settings);
+  const limited = {
+    startVolume: Math.min(effective.startVolume, tier.startVolume),
+    maxDailyEmails: Math.min(effective.maxDailyEmails, tier.maxDailyEmails),
+    dailyIncreasePct: Math.min(effective.dailyIncreasePct, tier.dailyIncreasePct),
+    warmupDays: Math.max(effective.warmupDays, tier.warmupDays),
+  };
+  const overrides = Object.fromEntries(Object.entries(limited).filter(([field, value]) => effective[field] !== value));
+
+  return Object.keys(overrides).length > 0 ? { tier, overrides } : null;
+};
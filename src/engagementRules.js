@@ -0,0 +1,139 @@
+// --- ENGAGEMENT SIMULATION RULES ---
+// How seed inboxes interact with received warmup emails. Workspace defaults live
+// in artifacts/{appId}/workspaces/{workspaceId}/settings/engagement; accounts
+// can override individual rules via `engagementOverrides`.
+//
+// Stored shape: { [ruleKey]: { enabled, ...params } }.
+
+export const ENGAGEMENT_RULES = {
+  rescueFromSpam: {
+    label: 'Move from spam to inbox',
+    description: 'Warmup emails that land in spam are moved to the primary inbox.',
+    params: {},
+  },
+  open: {
+    label: 'Open emails',
+    description: 'Seed inboxes open a share of received warmup emails.',
+    params: {
+      rate: { label: 'Open Rate (%)', min: 0, max: 100, default: 90 },
+    },
+  },
+  reply: {
+    label: 'Reply like a human',
+    description: 'Seed inboxes reply to a share of warmup emails after a delay.',
+    params: {
+      rate: { label: 'Reply Rate (%)', min: 0, max: 100, default: 30 },
+      withinHours: { label: 'Reply Within (hours)', min: 1, max: 72, default: 3 },
+    },
+  },
+  replyChain: {
+    label: 'Continue reply chains',
+    description: 'Replies continue back and forth up to a maximum thread depth.',
+    params: {
+      depth: { label: 'Max Thread Depth', min: 1, max: 10, default: 3 },
+    },
+  },
+  markImportant: {
+    label: 'Mark as important',
+    description: 'Seed inboxes flag a share of warmup emails as important.',
+    params: {
+      rate: { label: 'Important Rate (%)', min: 0, max: 100, default: 50 },
+    },
+  },
+  star: {
+    label: 'Star emails',
+    description: 'Seed inboxes star a share of warmup emails.',
+    params: {
+      rate: { label: 'Star Rate (%)', min: 0, max: 100, default: 20 },
+    },
+  },
+};
+
+const ruleDefaults = ({ params }) => Object.fromEntries(
+  Object.entries(params).map(([param, { default: value }]) => [param, value])
+);
+
+export const DEFAULT_ENGAGEMENT_RULES = Object.fromEntries(
+  Object.entries(ENGAGEMENT_RULES).map(([key, rule]) => [key, { enabled: true, ...ruleDefaults(rule) }])
+);
+
+// Fills in defaults for rules or parameters missing from a stored document.
+export const withEngagementDefaults = (stored) => Object.fromEntries(
+  Object.entries(DEFAULT_ENGAGEMENT_RULES).map(([key, defaults]) => [key, { ...defaults, ...(stored?.[key] || {}) }])
+);
+
+const validateParam = (raw, { label, min, max }) => {
+  const value = typeof raw === 'string' ? raw.trim() : raw;
+  const number = Number(value);
+  if (value === '' || value == null) return { error: `${label} is required.` };
+  if (!Number.isInteger(number) || number < min || number > max) {
+    return { error: `${label} must be a whole number between ${min} and ${max}.` };
+  }
+  return { value: number };
+};
+
+// Validates raw form values for the full rule set. Returns { rules, errors }
+// with errors keyed "ruleKey.param".
+export const validateEngagementRules = (values) => {
+  const errors = {};
+  const rules = {};
+
+  Object.entries(ENGAGEMENT_RULES).forEach(([key, { params }]) => {
+    rules[key] = { enabled: values?.[key]?.enabled !== false };
+    Object.entries(params).forEach(([param, limits]) => {
+      const { value, error } = validateParam(values?.[key]?.[param], limits);
+      if (error) errors[`${key}.${param}`] = error;
+      else rules[key][param] = value;
+    });
+  });
+
+  return { rules, errors };
+};
+
+// Validates account overrides, where every field is optional: `enabled` is
+// true/false or absent, and blank parameters inherit. Returns { overrides, errors }.
+export const validateEngagementOverrides = (values) => {
+  const errors = {};
+  const overrides = {};
+
+  Object.entries(ENGAGEMENT_RULES).forEach(([key, { params }]) => {
+    const override = {};
+    if (typeof values?.[key]?.enabled === 'boolean') override.enabled = values[key].enabled;
+    Object.entries(params).forEach(([param, limits]) => {
+      const raw = values?.[key]?.[param];
+      if (raw === '' || raw == null) return;
+      const { value, error } = validateParam(raw, limits);
+      if (error) errors[`${key}.${param}`] = error;
+      else override[param] = value;
+    });
+    if (Object.keys(override).length > 0) overrides[key] = override;
+  });
+
+  return { overrides, errors };
+};
+
+// Effective rules for one account: workspace rules with the account's
+// overrides applied per rule.
+export const accountEngagementRules = (account, rules) => {
+  const base = withEngagementDefaults(rules);
+  const overrides = account?.engagementOverrides || {};
+  return Object.fromEntries(
+    Object.entries(base).map(([key, rule]) => [key, { ...rule, ...(overrides[key] || {}) }])
+  );
+};
+
+// Short human summary of one rule's parameters, e.g. "30%, within 3h".
+export const describeEngagementRule = (key, rule) => {
+  switch (key) {
+    case 'reply':
+      return `${rule.rate}%, within ${rule.withinHours}h`;
+    case 'replyChain':
+      return `up to ${rule.depth} messages deep`;
+    case 'open':
+    case 'markImportant':
+    case 'star':
+      return `${rule.rate}%`;
+    default:
+      return '';
+  }
+};
@@ -0,0 +1,128 @@
+// --- MAILBOX CREDENTIALS ---
+// How the backend signs in to an account's mailbox: OAuth 2.0 for Google and
+// Microsoft 365, or an app password for everything else. The backend keeps the
+// tokens and passwords; the account only stores `auth`:
+// { method, expiresAt, updatedAt, error }, where `expiresAt` is when the OAuth
+// grant lapses and the backend sets `error` when a token refresh or login is
+// rejected.
+//
+// Passwords never leave the browser as plain JSON. They are encrypted with the
+// backend's RSA-OAEP public key (GET /api/credentials/key) and sent as a
+// `credential` envelope only the backend can open.
+
+import { DAY_MS } from './warmupSchedule.js';
+
+// `provider` is the MAIL_PROVIDERS preset an OAuth method connects;
+// `authorizeHosts` are the only hosts the connect flow will redirect to.
+export const AUTH_METHODS = {
+  password: { label: 'App password', oauth: false },
+  google: { label: 'Google OAuth', oauth: true, provider: 'gmail', authorizeHosts: ['accounts.google.com'] },
+  microsoft: { label: 'Microsoft 365 OAuth', oauth: true, provider: 'outlook', authorizeHosts: ['login.microsoftonline.com'] },
+};
+
+// `tone` picks the badge colour: success, warning or error.
+export const AUTH_STATUSES = {
+  ok: { label: 'Valid', tone: 'success' },
+  expiring: { label: 'Expiring soon', tone: 'warning' },
+  rotate: { label: 'Rotation due', tone: 'warning' },
+  expired: { label: 'Re-auth needed', tone: 'error' },
+};
+
+// OAuth grants lapsing within this window are flagged ahead of time.
+export const EXPIRY_WARNING_MS = 3 * DAY_MS;
+
+// App passwords older than this are flagged for rotation.
+export const PASSWORD_ROTATION_DAYS = 90;
+
+// A connect flow must come back from the provider within this time.
+export const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+
+export const OAUTH_STATE_KEY = 'warmup.oauthState';
+
+const CREDENTIAL_ALGORITHM = 'RSA-OAEP-256';
+
+// OAuth method that connects a MAIL_PROVIDERS preset, or null.
+export const oauthMethodFor = (provider) =>
+  Object.keys(AUTH_METHODS).find(method => AUTH_METHODS[method].provider === provider) || null;
+
+// The account's stored auth with defaults. Accounts connected before OAuth
+// support used passwords set when they joined.
+export const accountAuth = (account) => {
+  const stored = account?.auth || {};
+  return {
+    method: AUTH_METHODS[stored.method] ? stored.method : 'password',
+    expiresAt: stored.expiresAt ?? null,
+    updatedAt: stored.updatedAt ?? account?.joined ?? null,
+    error: stored.error ?? null,
+  };
+};
+
+// One of the AUTH_STATUSES keys for the account's credentials at `now`.
+export const authStatus = (account, now = Date.now()) => {
+  const { method, expiresAt, updatedAt, error } = accountAuth(account);
+  if (error) return 'expired';
+  if (AUTH_METHODS[method].oauth && expiresAt) {
+    if (expiresAt <= now) return 'expired';
+    if (expiresAt - now < EXPIRY_WARNING_MS) return 'expiring';
+  }
+  if (!AUTH_METHODS[method].oauth && updatedAt && now - updatedAt > PASSWORD_ROTATION_DAYS * DAY_MS) return 'rotate';
+  return 'ok';
+};
+
+export const needsReauth = (account, now = Date.now()) => authStatus(account, now) === 'expired';
+
+// Whether `url` is an https authorize URL on one of the method's hosts.
+export const isAuthorizeUrl = (method, url) => {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'https:' && (AUTH_METHODS[method]?.authorizeHosts || []).includes(parsed.hostname);
+  } catch {
+    return false;
+  }
+};
+
+const randomToken = (bytes = 32) => Array.from(
+  crypto.getRandomValues(new Uint8Array(bytes)),
+  byte => byte.toString(16).padStart(2, '0'),
+).join('');
+
+// Starts an OAuth flow: remembers where it came from in `storage` (the tab's
+// sessionStorage) and returns the `state` value to send to the provider.
+// `email` is set when re-authorizing an existing account.
+export const createOAuthState = (storage, { method, workspaceId, email = null, now = Date.now() }) => {
+  const state = randomToken();
+  storage.setItem(OAUTH_STATE_KEY, JSON.stringify({ state, method, workspaceId, email, createdAt: now }));
+  return state;
+};
+
+// Returns the pending flow for a callback's `state` and forgets it, or null
+// when the state is unknown, reused or older than OAUTH_STATE_TTL_MS.
+export const consumeOAuthState = (storage, state, now = Date.now()) => {
+  const raw = storage.getItem(OAUTH_STATE_KEY);
+  storage.removeItem(OAUTH_STATE_KEY);
+
+  let pending;
+  try {
+    pending = JSON.parse(raw);
+  } catch {
+    return null;
+  }
+  if (!pending || !state || pending.state !== state || now - pending.createdAt > OAUTH_STATE_TTL_MS) return null;
+  return pending;
+};
+
+const toBase64 = (buffer) => btoa(String.fromCharCode(...new Uint8Array(buffer)));
+
+// Encrypts `secret` for the backend key { keyId, jwk }. Resolves to the
+// { keyId, alg, ciphertext } envelope sent in place of the password.
+export const encryptCredential = async ({ keyId, jwk }, secret) => {
+  const key = await crypto.subtle.importKey('jwk', jwk, { name: 'RSA-OAEP', hash: 'SHA-256' }, false, ['encrypt']);
+  let ciphertext;
+  try {
+    ciphertext = await crypto.subtle.encrypt({ name: 'RSA-OAEP' }, key, new TextEncoder().encode(secret));
+  } catch {
+    // OAEP caps the plaintext at the key size minus padding (190 bytes for RSA-2048)
+    throw new Error('The password is too long to encrypt.');
+  }
+  return { keyId, alg: CREDENTIAL_ALGORITHM, ciphertext: toBase64(ciphertext) };
+};
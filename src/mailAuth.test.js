@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DAY_MS } from './warmupSchedule.js';
+import {
+  OAUTH_STATE_KEY, OAUTH_STATE_TTL_MS, EXPIRY_WARNING_MS, PASSWORD_ROTATION_DAYS,
+  authStatus, needsReauth, isAuthorizeUrl, createOAuthState, consumeOAuthState,
+} from './mailAuth.js';
+
+const NOW = Date.UTC(2026, 9, 18, 12);
+
+// Just enough of sessionStorage for the OAuth state helpers
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+  };
+};
+
+test('consumeOAuthState returns the pending flow once', () => {
+  const storage = memoryStorage();
+  const state = createOAuthState(storage, { method: 'google', workspaceId: 'w1', email: 'a@x.com', now: NOW });
+
+  assert.match(state, /^[0-9a-f]{64}$/);
+  assert.deepEqual(consumeOAuthState(storage, state, NOW + 1000), {
+    state, method: 'google', workspaceId: 'w1', email: 'a@x.com', createdAt: NOW,
+  });
+  // Reusing the state finds nothing
+  assert.equal(consumeOAuthState(storage, state, NOW + 2000), null);
+  assert.equal(storage.getItem(OAUTH_STATE_KEY), null);
+});
+
+test('consumeOAuthState rejects mismatched, missing and expired states', () => {
+  const storage = memoryStorage();
+  const state = createOAuthState(storage, { method: 'microsoft', workspaceId: 'w1', now: NOW });
+  assert.equal(consumeOAuthState(storage, `${state}0`, NOW), null);
+  // A rejected callback still forgets the pending flow
+  assert.equal(consumeOAuthState(storage, state, NOW), null);
+
+  createOAuthState(storage, { method: 'microsoft', workspaceId: 'w1', now: NOW });
+  assert.equal(consumeOAuthState(storage, '', NOW), null);
+
+  const fresh = createOAuthState(storage, { method: 'microsoft', workspaceId: 'w1', now: NOW });
+  assert.equal(consumeOAuthState(storage, fresh, NOW + OAUTH_STATE_TTL_MS).state, fresh);
+  const stale = createOAuthState(storage, { method: 'microsoft', workspaceId: 'w1', now: NOW });
+  assert.equal(consumeOAuthState(storage, stale, NOW + OAUTH_STATE_TTL_MS + 1), null);
+
+  storage.setItem(OAUTH_STATE_KEY, '{not json');
+  assert.equal(consumeOAuthState(storage, 'anything', NOW), null);
+  assert.equal(consumeOAuthState(memoryStorage(), 'anything', NOW), null);
+});
+
+test('isAuthorizeUrl only allows https on the method\'s own hosts', () => {
+  assert.equal(isAuthorizeUrl('google', 'https://accounts.google.com/o/oauth2/v2/auth?client_id=x'), true);
+  assert.equal(isAuthorizeUrl('microsoft', 'https://login.microsoftonline.com/common/oauth2/v2.0/authorize'), true);
+
+  assert.equal(isAuthorizeUrl('google', 'http://accounts.google.com/o/oauth2/v2/auth'), false);
+  assert.equal(isAuthorizeUrl('google', 'https://login.microsoftonline.com/common/oauth2/v2.0/authorize'), false);
+  assert.equal(isAuthorizeUrl('google', 'https://accounts.google.com.evil.example/auth'), false);
+  assert.equal(isAuthorizeUrl('google', 'https://evil.example/?next=https://accounts.google.com'), false);
+  assert.equal(isAuthorizeUrl('google', 'javascript:alert(1)'), false);
+  assert.equal(isAuthorizeUrl('password', 'https://accounts.google.com/'), false);
+  assert.equal(isAuthorizeUrl('google', undefined), false);
+});
+
+test('authStatus flags OAuth grants that are expiring or expired', () => {
+  const oauth = (expiresAt, error = null) => ({ auth: { method: 'google', expiresAt, updatedAt: NOW - DAY_MS, error } });
+
+  assert.equal(authStatus(oauth(NOW + EXPIRY_WARNING_MS), NOW), 'ok');
+  assert.equal(authStatus(oauth(NOW + EXPIRY_WARNING_MS - 1), NOW), 'expiring');
+  assert.equal(authStatus(oauth(NOW + 1), NOW), 'expiring');
+  assert.equal(authStatus(oauth(NOW), NOW), 'expired');
+  assert.equal(authStatus(oauth(null), NOW), 'ok');
+  assert.equal(authStatus(oauth(NOW + 30 * DAY_MS, 'invalid_grant'), NOW), 'expired');
+  assert.equal(needsReauth(oauth(NOW - 1), NOW), true);
+  assert.equal(needsReauth(oauth(NOW + 1), NOW), false);
+});
+
+test('authStatus flags app passwords due for rotation', () => {
+  const rotation = PASSWORD_ROTATION_DAYS * DAY_MS;
+  const password = (updatedAt) => ({ auth: { method: 'password', expiresAt: null, updatedAt, error: null } });
+
+  assert.equal(authStatus(password(NOW - rotation), NOW), 'ok');
+  assert.equal(authStatus(password(NOW - rotation - 1), NOW), 'rotate');
+  // Passwords don't expire on a date, even if one is stored
+  assert.equal(authStatus({ auth: { method: 'password', expiresAt: NOW - 1, updatedAt: NOW } }, NOW), 'ok');
+  // Accounts from before per-account auth fall back to their join date
+  assert.equal(authStatus({ joined: NOW - rotation - 1 }, NOW), 'rotate');
+  assert.equal(authStatus({}, NOW), 'ok');
+});
@@ -0,0 +1,111 @@
+// --- MAIL PROVIDER PRESETS ---
+// SMTP/IMAP defaults for common providers and hints for the connection errors
+// the backend reports.
+
+import { domainOf } from './domains.js';
+
+export const SECURITY_MODES = {
+  tls: 'SSL/TLS',
+  starttls: 'STARTTLS',
+  none: 'None (insecure)',
+};
+
+export const MAIL_PROVIDERS = {
+  gmail: {
+    label: 'Gmail / Google Workspace',
+    domains: ['gmail.com', 'googlemail.com'],
+    smtpHost: 'smtp.gmail.com', smtpPort: 587, smtpSecurity: 'starttls',
+    imapHost: 'imap.gmail.com', imapPort: 993, imapSecurity: 'tls',
+  },
+  outlook: {
+    label: 'Outlook / Microsoft 365',
+    domains: ['outlook.com', 'hotmail.com', 'live.com', 'msn.com'],
+    smtpHost: 'smtp.office365.com', smtpPort: 587, smtpSecurity: 'starttls',
+    imapHost: 'outlook.office365.com', imapPort: 993, imapSecurity: 'tls',
+  },
+  zoho: {
+    label: 'Zoho Mail',
+    domains: ['zoho.com', 'zohomail.com'],
+    smtpHost: 'smtp.zoho.com', smtpPort: 465, smtpSecurity: 'tls',
+    imapHost: 'imap.zoho.com', imapPort: 993, imapSecurity: 'tls',
+  },
+  custom: {
+    label: 'Custom SMTP/IMAP',
+    domains: [],
+    smtpHost: '', smtpPort: 587, smtpSecurity: 'starttls',
+    imapHost: '', imapPort: 993, imapSecurity: 'tls',
+  },
+};
+
+export const CONNECTION_FIELDS = ['smtpHost', 'smtpPort', 'smtpSecurity', 'imapHost', 'imapPort', 'imapSecurity'];
+
+// Connection fields for a preset.
+export const providerConnection = (provider) => {
+  const preset = MAIL_PROVIDERS[provider] || MAIL_PROVIDERS.custom;
+  return Object.fromEntries(CONNECTION_FIELDS.map(field => [field, preset[field]]));
+};
+
+// Guesses the preset from the address domain; custom domains can't be detected.
+export const detectProvider = (email) => {
+  const domain = domainOf(email);
+  const match = Object.entries(MAIL_PROVIDERS).find(([, preset]) => preset.domains.includes(domain));
+  return match ? match[0] : null;
+};
+
+// Checks host/port/security fields. Returns a map of field -> error message.
+export const validateConnection = (connection) => {
+  const errors = {};
+  ['smtp', 'imap'].forEach((prefix) => {
+    const label = prefix.toUpperCase();
+    const port = Number(connection[`${prefix}Port`]);
+
+    if (!/^[a-z0-9.-]+$/i.test(connection[`${prefix}Host`] || '')) {
+      errors[`${prefix}Host`] = `${label} host is required.`;
+    }
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      errors[`${prefix}Port`] = `${label} port must be between 1 and 65535.`;
+    }
+    if (!SECURITY_MODES[connection[`${prefix}Security`]]) {
+      errors[`${prefix}Security`] = `Choose a ${label} security mode.`;
+    }
+  });
+  return errors;
+};
+
+// Ordered most specific first; the first pattern that matches wins.
+const ERROR_HINTS = [
+  {
+    pattern: /application-specific password|app password|534-5\.7\.9|InvalidSecondFactor|web login required/i,
+    hint: 'This account has 2-step verification. Create an app password in the provider\'s security settings and use it instead of your normal password.',
+  },
+  {
+    pattern: /SmtpClientAuthentication is disabled|5\.7\.139|basic authentication is disabled/i,
+    hint: 'SMTP AUTH is disabled for this Microsoft 365 mailbox. An admin must enable "Authenticated SMTP" for it, or connect with OAuth.',
+  },
+  {
+    pattern: /IMAP (access )?(is )?disabled|enable IMAP|not enabled for IMAP/i,
+    hint: 'IMAP is turned off for this mailbox. Enable IMAP access in the provider\'s mail settings.',
+  },
+  {
+    pattern: /wrong version number|SSL routines|ssl3_get_record|tls.*handshake|unexpected socket close/i,
+    hint: 'Security mode does not match the port. Port 465 and 993 use SSL/TLS; port 587 and 143 use STARTTLS.',
+  },
+  {
+    pattern: /ENOTFOUND|getaddrinfo/i,
+    hint: 'The server host name could not be found. Check the SMTP/IMAP host for typos.',
+  },
+  {
+    pattern: /ECONNREFUSED|ETIMEDOUT|ECONNRESET|timed? ?out/i,
+    hint: 'The server did not answer on that port. Check the port number and that your provider allows external SMTP/IMAP connections.',
+  },
+  {
+    pattern: /535|5\.7\.8|AUTHENTICATIONFAILED|authentication failed|invalid credentials|username and password not accepted|LOGIN failed/i,
+    hint: 'The email or password was rejected. Double-check both; many providers require an app password rather than your login password.',
+  },
+];
+
+// Maps a backend error (message and/or code) to an actionable hint, or null.
+export const connectionHint = (error) => {
+  const text = [error?.code, error?.message, typeof error === 'string' ? error : null].filter(Boolean).join(' ');
+  return ERROR_HINTS.find(({ pattern }) => pattern.test(text))?.hint || null;
+};
@@ -1,6 +1,7 @@
 import React from 'react';
 import { createRoot } from 'react-dom/client';
 import App from './App.jsx';
+import { registerServiceWorker } from './serviceWorker.js';
 
 const container = document.getElementById('root');
 const root = createRoot(container);
@@ -9,3 +10,5 @@ root.render(
     <App />
   </React.StrictMode>
 );
+
+registerServiceWorker();
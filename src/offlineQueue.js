@@ -0,0 +1,58 @@
+// --- OFFLINE WRITE QUEUE ---
+// Account changes made while offline are kept in localStorage, per workspace,
+// and replayed when the connection returns. Each queued operation records the
+// server state it was based on so replay can detect conflicting changes.
+//
+// Operation shape: { id, type, email, payload, base, queuedAt } where `type` is
+// one of QUEUED_OPERATIONS.
+
+export const QUEUED_OPERATIONS = {
+  remove: 'Remove',
+  pause: 'Pause',
+  resume: 'Resume',
+  settings: 'Save settings',
+};
+
+const STORAGE_PREFIX = 'warmup-offline-queue';
+
+const storageKey = (workspaceId) => `${STORAGE_PREFIX}:${workspaceId}`;
+
+export const readQueue = (workspaceId, storage = window.localStorage) => {
+  try {
+    const stored = JSON.parse(storage.getItem(storageKey(workspaceId)) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+export const writeQueue = (workspaceId, queue, storage = window.localStorage) => {
+  if (queue.length === 0) storage.removeItem(storageKey(workspaceId));
+  else storage.setItem(storageKey(workspaceId), JSON.stringify(queue));
+};
+
+// Adds an operation. A newer operation on the same target replaces the older
+// one (pause then resume offline is just a resume), except that nothing is
+// queued after a removal. Settings saves always replace each other.
+export const enqueueOperation = (queue, operation) => {
+  const sameTarget = (op) => (operation.type === 'settings'
+    ? op.type === 'settings'
+    : op.type !== 'settings' && op.email === operation.email);
+
+  const existing = queue.find(sameTarget);
+  if (existing?.type === 'remove') return queue;
+
+  const entry = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    queuedAt: Date.now(),
+    ...operation,
+    // Keep the original base so replay compares against what the user last saw online
+    base: existing ? existing.base : operation.base,
+  };
+  return [...queue.filter(op => !sameTarget(op)), entry];
+};
+
+// Describes a queued operation for banners and conflict messages.
+export const describeOperation = (operation) => (operation.type === 'settings'
+  ? 'Save warmup settings'
+  : `${QUEUED_OPERATIONS[operation.type]} ${operation.email}`);
@@ -0,0 +1,90 @@
+// --- INBOX PLACEMENT TESTS ---
+// On-demand tests where the backend sends one message from an account to each
+// address on a seed list and reports the folder it landed in. Runs are stored
+// in artifacts/{appId}/workspaces/{workspaceId}/placementTests/{testId}, next
+// to the dashboard/stats document.
+//
+// Run shape: { email, status, startedAt, completedAt, results: [{ seed, provider, folder }] }
+// where `folder` is one of PLACEMENT_FOLDERS, or null while still pending.
+
+import { PEER_PROVIDERS, peerProvider } from './warmupPool.js';
+
+export const PLACEMENT_FOLDERS = {
+  inbox: 'Inbox',
+  promotions: 'Promotions',
+  spam: 'Spam',
+  missing: 'Missing',
+};
+
+export const TEST_STATUSES = {
+  running: 'Running',
+  completed: 'Completed',
+  failed: 'Failed',
+};
+
+export const PLACEMENT_POLL_INTERVAL_MS = 10000;
+
+// Seeds still pending this long after the start are reported as missing.
+export const PLACEMENT_TIMEOUT_MS = 30 * 60 * 1000;
+
+const emptyCounts = () => Object.fromEntries(Object.keys(PLACEMENT_FOLDERS).map(folder => [folder, 0]));
+
+const rate = (count, total) => (total > 0 ? Math.round((count / total) * 100) : null);
+
+// Normalizes a backend status response into stored results. Unknown folders
+// count as missing; pending seeds stay null until the run times out.
+export const normalizeResults = (results, { startedAt, now = Date.now() } = {}) => {
+  const timedOut = now - startedAt > PLACEMENT_TIMEOUT_MS;
+  return (results || []).map(({ seed, provider, folder }) => ({
+    seed,
+    provider: PEER_PROVIDERS[provider] ? provider : peerProvider(seed),
+    folder: PLACEMENT_FOLDERS[folder] ? folder : ((folder || timedOut) ? 'missing' : null),
+  }));
+};
+
+// A run is finished once every seed has a folder.
+export const isRunFinished = (results) => results.length > 0 && results.every(result => result.folder);
+
+// Folder counts overall and per provider:
+// { total, pending, counts, inboxRate, providers: { [provider]: { total, counts, inboxRate } } }.
+export const summarizePlacement = (results) => {
+  const summary = { total: 0, pending: 0, counts: emptyCounts(), providers: {} };
+
+  (results || []).forEach(({ provider, folder }) => {
+    if (!summary.providers[provider]) summary.providers[provider] = { total: 0, counts: emptyCounts() };
+    if (!folder) {
+      summary.pending += 1;
+      return;
+    }
+    summary.total += 1;
+    summary.counts[folder] += 1;
+    summary.providers[provider].total += 1;
+    summary.providers[provider].counts[folder] += 1;
+  });
+
+  summary.inboxRate = rate(summary.counts.inbox, summary.total);
+  Object.values(summary.providers).forEach((group) => {
+    group.inboxRate = rate(group.counts.inbox, group.total);
+  });
+  return summary;
+};
+
+// Per-provider and overall comparison of two runs, as share-of-seeds
+// percentages per folder: { overall, providers } where each entry is
+// { [folder]: { before, after, change } } and change is after - before.
+export const compareRuns = (before, after) => {
+  const a = summarizePlacement(before.results);
+  const b = summarizePlacement(after.results);
+
+  const compare = (left, right) => Object.fromEntries(Object.keys(PLACEMENT_FOLDERS).map((folder) => {
+    const from = left ? rate(left.counts[folder], left.total) : null;
+    const to = right ? rate(right.counts[folder], right.total) : null;
+    return [folder, { before: from, after: to, change: from !== null && to !== null ? to - from : null }];
+  }));
+
+  const providers = Object.keys(PEER_PROVIDERS).filter(provider => a.providers[provider] || b.providers[provider]);
+  return {
+    overall: compare(a, b),
+    providers: Object.fromEntries(providers.map(provider => [provider, compare(a.providers[provider], b.providers[provider])])),
+  };
+};
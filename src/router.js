@@ -0,0 +1,76 @@
+// --- HASH ROUTER ---
+// Routes live in the URL hash (#/emails/a@b.com) so deep links, refresh and
+// back/forward work from any static host, including the relative `base: './'`
+// build where the server can't rewrite paths to index.html.
+
+export const DEFAULT_PATH = '/dashboard';
+
+// `section` is the sidebar entry highlighted for the route.
+export const ROUTES = [
+  { name: 'dashboard', path: '/dashboard', section: 'dashboard' },
+  { name: 'emails', path: '/emails', section: 'emails' },
+  { name: 'account-detail', path: '/emails/:address', section: 'emails' },
+  { name: 'oauth-callback', path: '/oauth/callback', section: 'emails' },
+  { name: 'warmup', path: '/warmup', section: 'warmup' },
+  { name: 'pool', path: '/pool', section: 'pool' },
+  { name: 'placement', path: '/placement', section: 'placement' },
+  { name: 'templates', path: '/templates', section: 'templates' },
+  { name: 'logs', path: '/logs', section: 'logs' },
+  { name: 'diagnostics', path: '/diagnostics', section: 'diagnostics' },
+  { name: 'blocklists', path: '/blocklists', section: 'blocklists' },
+  { name: 'alerts', path: '/alerts', section: 'alerts' },
+  { name: 'workspace', path: '/workspace', section: 'workspace' },
+  { name: 'account', path: '/account', section: 'account' },
+];
+
+const splitPath = (path) => path.split('/').filter(Boolean);
+
+// Path part of a location hash ("#/emails?x" -> "/emails").
+export const pathFromHash = (hash) => {
+  const path = (hash || '').replace(/^#/, '').split('?')[0];
+  return path.startsWith('/') ? path : `/${path}`;
+};
+
+// Query part of a location hash ("#/logs?email=a%40b.com" -> URLSearchParams).
+export const queryFromHash = (hash) => new URLSearchParams((hash || '').split('?')[1] || '');
+
+// Resolves a path to { name, section, params }. Unknown paths resolve to the
+// 'not-found' route; the empty path resolves to null so callers can redirect.
+export const matchRoute = (path) => {
+  const parts = splitPath(path);
+  if (parts.length === 0) return null;
+
+  for (const route of ROUTES) {
+    const pattern = splitPath(route.path);
+    if (pattern.length !== parts.length) continue;
+
+    const params = {};
+    const matches = pattern.every((segment, i) => {
+      if (segment.startsWith(':')) {
+        try {
+          params[segment.slice(1)] = decodeURIComponent(parts[i]);
+        } catch {
+          return false;
+        }
+        return true;
+      }
+      return segment === parts[i];
+    });
+
+    if (matches) return { name: route.name, section: route.section, params };
+  }
+
+  return { name: 'not-found', section: null, params: {} };
+};
+
+// Builds the hash href for a route name, e.g. routeHref('account-detail', { address }).
+// `query` entries with empty values are left out.
+export const routeHref = (name, params = {}, query = {}) => {
+  const route = ROUTES.find(r => r.name === name);
+  if (!route) throw new Error(`Unknown route: ${name}`);
+  const path = splitPath(route.path)
+    .map(segment => (segment.startsWith(':') ? encodeURIComponent(params[segment.slice(1)] ?? '') : segment))
+    .join('/');
+  const search = new URLSearchParams(Object.entries(query).filter(([, value]) => value)).toString();
+  return `#/${path}${search ? `?${search}` : ''}`;
+};
@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PATH, pathFromHash, queryFromHash, matchRoute, routeHref } from './router.js';
+
+const NOT_FOUND = { name: 'not-found', section: null, params: {} };
+
+test('pathFromHash drops the hash sign and query string', () => {
+  assert.equal(pathFromHash('#/logs?email=a%40b.com&from=2026-10-01'), '/logs');
+  assert.equal(pathFromHash('#/emails/a%40b.com?tab=history'), '/emails/a%40b.com');
+  assert.equal(pathFromHash('#logs'), '/logs');
+  assert.equal(pathFromHash('#?email=x'), '/');
+  assert.equal(pathFromHash(''), '/');
+  assert.equal(pathFromHash(undefined), '/');
+
+  const query = queryFromHash('#/logs?email=a%40b.com&from=2026-10-01');
+  assert.equal(query.get('email'), 'a@b.com');
+  assert.equal(query.get('from'), '2026-10-01');
+  assert.equal(queryFromHash('#/logs').toString(), '');
+});
+
+test('matchRoute resolves pages and account addresses', () => {
+  assert.deepEqual(matchRoute(DEFAULT_PATH), { name: 'dashboard', section: 'dashboard', params: {} });
+  assert.deepEqual(matchRoute('/oauth/callback/'), { name: 'oauth-callback', section: 'emails', params: {} });
+  assert.deepEqual(matchRoute('/emails/first.last%2Btag%40example.com'), {
+    name: 'account-detail', section: 'emails', params: { address: 'first.last+tag@example.com' },
+  });
+});
+
+test('matchRoute sends malformed escapes and unknown paths to not-found', () => {
+  assert.deepEqual(matchRoute('/emails/a%40b.com%'), NOT_FOUND);
+  assert.deepEqual(matchRoute('/emails/%E0%A4%A'), NOT_FOUND);
+  assert.deepEqual(matchRoute('/nope'), NOT_FOUND);
+  assert.deepEqual(matchRoute('/emails/a@b.com/extra'), NOT_FOUND);
+});
+
+test('matchRoute leaves the empty path to the caller to redirect', () => {
+  assert.equal(matchRoute('/'), null);
+  assert.equal(matchRoute(''), null);
+  assert.equal(matchRoute(pathFromHash('#?email=x')), null);
+});
+
+test('routeHref round-trips through the hash', () => {
+  const href = routeHref('account-detail', { address: 'a+b/c@example.com' });
+  assert.equal(href, '#/emails/a%2Bb%2Fc%40example.com');
+  assert.deepEqual(matchRoute(pathFromHash(href)).params, { address: 'a+b/c@example.com' });
+
+  assert.equal(routeHref('logs', {}, { email: 'a@b.com', status: '', from: null }), '#/logs?email=a%40b.com');
+  assert.equal(routeHref('dashboard'), '#/dashboard');
+  assert.throws(() => routeHref('nope'), /Unknown route: nope/);
+});
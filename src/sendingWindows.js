@@ -0,0 +1,200 @@
+// --- SENDING WINDOWS & PACING ---
+// When an account sends: days of the week and hours in a time zone, minus
+// blackout dates. Each day's target volume is spread evenly across that day's
+// window with per-send jitter, seeded by account and date so a plan is stable
+// between renders. Stored on the account as `sendingWindow`.
+//
+// Window shape: { days: [0-6, Sunday = 0], startHour, endHour, timeZone, blackoutDates: ['YYYY-MM-DD'] }.
+
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export const DEFAULT_SENDING_WINDOW = {
+  days: [1, 2, 3, 4, 5],
+  startHour: 9,
+  endHour: 17,
+  timeZone: null,
+  blackoutDates: [],
+};
+
+// Share of each send's slot it may drift from the slot's midpoint. Below 1,
+// so sends never swap order or leave the window.
+const JITTER = 0.8;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Used when no zone is stored or Intl can't resolve one.
+const FALLBACK_TIME_ZONE = 'UTC';
+
+export const browserTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || FALLBACK_TIME_ZONE;
+  } catch {
+    return FALLBACK_TIME_ZONE;
+  }
+};
+
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// IANA zones the browser knows, for selectors. Older browsers lack
+// supportedValuesOf, so fall back to a short list.
+export const listTimeZones = () => {
+  const zones = typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('timeZone')
+    : ['America/Los_Angeles', 'America/Denver', 'America/Chicago', 'America/New_York', 'America/Sao_Paulo',
+      'Europe/London', 'Europe/Berlin', 'Europe/Moscow', 'Asia/Dubai', 'Asia/Kolkata', 'Asia/Singapore',
+      'Asia/Tokyo', 'Australia/Sydney'];
+  return [...new Set([FALLBACK_TIME_ZONE, browserTimeZone(), ...zones])].sort();
+};
+
+// Fills in defaults for a stored window; a missing zone becomes `fallbackZone`.
+export const withWindowDefaults = (stored, fallbackZone = browserTimeZone()) => {
+  const sendingWindow = { ...DEFAULT_SENDING_WINDOW, ...(stored || {}) };
+  return { ...sendingWindow, timeZone: isValidTimeZone(sendingWindow.timeZone) ? sendingWindow.timeZone : fallbackZone };
+};
+
+// "2026-12-24, 2026-12-25" or an array -> sorted unique date strings.
+export const parseDateList = (input) => [...new Set(
+  (Array.isArray(input) ? input : (input || '').split(/[\s,]+/)).map(date => date.trim()).filter(Boolean)
+)].sort();
+
+const isRealDate = (date) => {
+  if (!DATE_PATTERN.test(date)) return false;
+  const [year, month, day] = date.split('-').map(Number);
+  const parsed = new Date(Date.UTC(year, month - 1, day));
+  return parsed.getUTCFullYear() === year && parsed.getUTCMonth() === month - 1 && parsed.getUTCDate() === day;
+};
+
+// Validates raw form values. Returns { sendingWindow, errors } with errors keyed by field.
+export const validateSendingWindow = (values) => {
+  const errors = {};
+  const days = [...new Set((values?.days || []).map(Number))].filter(day => day >= 0 && day <= 6).sort();
+  const startHour = Number(values?.startHour);
+  const endHour = Number(values?.endHour);
+  const timeZone = (values?.timeZone || '').trim();
+  const blackoutDates = parseDateList(values?.blackoutDates);
+
+  if (days.length === 0) errors.days = 'Pick at least one sending day.';
+  if (!Number.isInteger(startHour) || startHour < 0 || startHour > 23) {
+    errors.startHour = 'Start hour must be a whole number between 0 and 23.';
+  }
+  if (!Number.isInteger(endHour) || endHour < 1 || endHour > 24) {
+    errors.endHour = 'End hour must be a whole number between 1 and 24.';
+  } else if (!errors.startHour && endHour <= startHour) {
+    errors.endHour = 'End hour must be after the start hour.';
+  }
+  if (!isValidTimeZone(timeZone)) errors.timeZone = 'Choose a valid time zone.';
+
+  const invalidDates = blackoutDates.filter(date => !isRealDate(date));
+  if (invalidDates.length > 0) {
+    errors.blackoutDates = `Use YYYY-MM-DD dates; not valid: ${invalidDates.join(', ')}.`;
+  }
+
+  return { sendingWindow: { days, startHour, endHour, timeZone, blackoutDates }, errors };
+};
+
+// Wall-clock parts of `timestamp` in `timeZone`: { year, month, day, hour, minute, weekday }.
+export const zonedParts = (timestamp, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric',
+    }).formatToParts(new Date(timestamp)).map(({ type, value }) => [type, Number(value)])
+  );
+  const { year, month, day, hour, minute } = parts;
+  return { year, month, day, hour, minute, weekday: new Date(Date.UTC(year, month - 1, day)).getUTCDay() };
+};
+
+// Timestamp of a wall-clock time in `timeZone`. Hours past 23 roll into the
+// next day. A time skipped by a DST change resolves forward (02:00 on a night
+// the clocks jump from 02:00 to 03:00 is 03:00); a time that happens twice
+// resolves to its first occurrence.
+export const zonedTime = ({ year, month, day }, hour, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour);
+  const wallClockAt = (timestamp) => {
+    const parts = zonedParts(timestamp, timeZone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  };
+  // Zone offsets either side of any DST change around that time
+  const [before, after] = [wallClock - DAY_MS, wallClock + DAY_MS].map(timestamp => wallClockAt(timestamp) - timestamp);
+  const matches = [wallClock - before, wallClock - after].filter(timestamp => wallClockAt(timestamp) === wallClock);
+  // No match means the time was skipped; the offset from before the jump lands after it
+  return matches.length > 0 ? Math.min(...matches) : wallClock - before;
+};
+
+const dateKey = ({ year, month, day }) =>
+  `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+const nextDate = ({ year, month, day }) => {
+  const date = new Date(Date.UTC(year, month - 1, day + 1));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+// Small seeded PRNG (mulberry32) so the same account and day always plan the same times.
+const seededRandom = (seedText) => {
+  let seed = [...seedText].reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619), 2166136261);
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Whether sends happen at all on a calendar date (in the window's zone).
+export const isSendingDay = (sendingWindow, date) => {
+  const weekday = new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay();
+  return sendingWindow.days.includes(weekday) && !sendingWindow.blackoutDates.includes(dateKey(date));
+};
+
+// Send times for `count` emails on one calendar date, ascending.
+export const planDay = (sendingWindow, date, count, seed = '') => {
+  if (count <= 0 || !isSendingDay(sendingWindow, date)) return [];
+  const start = zonedTime(date, sendingWindow.startHour, sendingWindow.timeZone);
+  const slot = (zonedTime(date, sendingWindow.endHour, sendingWindow.timeZone) - start) / count;
+  const random = seededRandom(`${seed}:${dateKey(date)}`);
+
+  return Array.from({ length: count }, (_, i) =>
+    Math.round(start + slot * (i + 0.5 + (random() - 0.5) * JITTER)));
+};
+
+// Planned send times in [now, now + hours), ascending. `countForDay(dayStart)`
+// returns the target volume for the day starting at that timestamp.
+export const planSends = ({ sendingWindow, countForDay, now = Date.now(), hours = 24, seed = '' }) => {
+  const end = now + hours * 60 * 60 * 1000;
+  const sends = [];
+  for (let date = zonedParts(now, sendingWindow.timeZone); zonedTime(date, 0, sendingWindow.timeZone) < end; date = nextDate(date)) {
+    const count = countForDay(zonedTime(date, 0, sendingWindow.timeZone));
+    sends.push(...planDay(sendingWindow, date, count, seed).filter(at => at >= now && at < end));
+  }
+  return sends;
+};
+
+const formatHour = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+// "Mon-Fri, 09:00-17:00 Europe/Berlin"
+export const describeWindow = (sendingWindow) => {
+  const days = [...sendingWindow.days].sort();
+  const isRange = days.length > 2 && days.every((day, i) => i === 0 || day === days[i - 1] + 1);
+  const dayText = days.length === 7 ? 'Every day'
+    : isRange ? `${WEEKDAYS[days[0]]}-${WEEKDAYS[days[days.length - 1]]}`
+      : days.map(day => WEEKDAYS[day]).join(', ');
+  return `${dayText}, ${formatHour(sendingWindow.startHour)}-${formatHour(sendingWindow.endHour)} ${sendingWindow.timeZone}`;
+};
+
+// Date and time of `timestamp` in `timeZone`, falling back to the browser's
+// zone if the stored one can't be resolved.
+export const formatDateTime = (timestamp, timeZone, options = {}) => {
+  const date = new Date(timestamp);
+  return isValidTimeZone(timeZone)
+    ? date.toLocaleString(undefined, { ...options, timeZone })
+    : date.toLocaleString(undefined, options);
+};
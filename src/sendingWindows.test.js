@@ -0,0 +1,101 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { zonedTime, zonedParts, planDay, planSends } from './sendingWindows.js';
+
+const HOUR = 60 * 60 * 1000;
+const NEW_YORK = 'America/New_York';
+const BERLIN = 'Europe/Berlin';
+
+const SPRING_NY = { year: 2026, month: 3, day: 8 };
+const FALL_NY = { year: 2026, month: 11, day: 1 };
+const SPRING_BERLIN = { year: 2026, month: 3, day: 29 };
+const FALL_BERLIN = { year: 2026, month: 10, day: 25 };
+
+const windowIn = (timeZone, startHour, endHour) => ({
+  days: [0, 1, 2, 3, 4, 5, 6], startHour, endHour, timeZone, blackoutDates: [],
+});
+
+test('zonedTime converts ordinary wall-clock times', () => {
+  assert.equal(zonedTime({ year: 2026, month: 7, day: 1 }, 9, NEW_YORK), Date.UTC(2026, 6, 1, 13));
+  assert.equal(zonedTime({ year: 2026, month: 1, day: 15 }, 9, BERLIN), Date.UTC(2026, 0, 15, 8));
+  assert.equal(zonedTime({ year: 2026, month: 7, day: 1 }, 9, 'Asia/Kolkata'), Date.UTC(2026, 6, 1, 3, 30));
+  // Hours past 23 roll into the next day
+  assert.equal(zonedTime({ year: 2026, month: 12, day: 31 }, 24, 'UTC'), Date.UTC(2027, 0, 1));
+});
+
+test('zonedTime resolves times skipped in spring forward', () => {
+  assert.equal(zonedTime(SPRING_NY, 1, NEW_YORK), Date.UTC(2026, 2, 8, 6));
+  // 02:00 doesn't exist; it resolves to 03:00 EDT, the same instant as hour 3
+  assert.equal(zonedTime(SPRING_NY, 2, NEW_YORK), Date.UTC(2026, 2, 8, 7));
+  assert.equal(zonedTime(SPRING_NY, 3, NEW_YORK), Date.UTC(2026, 2, 8, 7));
+  assert.equal(zonedParts(zonedTime(SPRING_NY, 2, NEW_YORK), NEW_YORK).hour, 3);
+
+  assert.equal(zonedTime(SPRING_BERLIN, 2, BERLIN), Date.UTC(2026, 2, 29, 1));
+  assert.equal(zonedTime(SPRING_BERLIN, 3, BERLIN), Date.UTC(2026, 2, 29, 1));
+});
+
+test('zonedTime resolves repeated fall-back times to the first occurrence', () => {
+  assert.equal(zonedTime(FALL_NY, 0, NEW_YORK), Date.UTC(2026, 10, 1, 4));
+  assert.equal(zonedTime(FALL_NY, 1, NEW_YORK), Date.UTC(2026, 10, 1, 5));
+  assert.equal(zonedTime(FALL_NY, 2, NEW_YORK), Date.UTC(2026, 10, 1, 7));
+
+  assert.equal(zonedTime(FALL_BERLIN, 2, BERLIN), Date.UTC(2026, 9, 25, 0));
+  assert.equal(zonedTime(FALL_BERLIN, 3, BERLIN), Date.UTC(2026, 9, 25, 2));
+});
+
+test('zonedTime midnights give 23 and 25 hour days across DST', () => {
+  const dayLength = (zone, date) => zonedTime(date, 24, zone) - zonedTime(date, 0, zone);
+  assert.equal(dayLength(NEW_YORK, SPRING_NY), 23 * HOUR);
+  assert.equal(dayLength(NEW_YORK, FALL_NY), 25 * HOUR);
+  assert.equal(dayLength(BERLIN, SPRING_BERLIN), 23 * HOUR);
+  assert.equal(dayLength(BERLIN, FALL_BERLIN), 25 * HOUR);
+});
+
+test('planDay keeps sends inside the window on DST days', () => {
+  [[NEW_YORK, SPRING_NY], [NEW_YORK, FALL_NY], [BERLIN, SPRING_BERLIN], [BERLIN, FALL_BERLIN]].forEach(([zone, date]) => {
+    const sendingWindow = windowIn(zone, 9, 17);
+    const sends = planDay(sendingWindow, date, 12, 'a@x.com');
+
+    assert.equal(sends.length, 12);
+    assert.deepEqual(sends, [...sends].sort((a, b) => a - b));
+    assert.ok(sends[0] >= zonedTime(date, 9, zone));
+    assert.ok(sends[sends.length - 1] < zonedTime(date, 17, zone));
+    sends.forEach(at => assert.ok(zonedParts(at, zone).hour >= 9 && zonedParts(at, zone).hour < 17));
+    assert.deepEqual(planDay(sendingWindow, date, 12, 'a@x.com'), sends);
+  });
+});
+
+test('planDay spreads a whole-day window over the real length of DST days', () => {
+  const spring = planDay(windowIn(NEW_YORK, 0, 24), SPRING_NY, 23, 'seed');
+  spring.forEach(at => assert.ok(at >= Date.UTC(2026, 2, 8, 5) && at < Date.UTC(2026, 2, 9, 4)));
+
+  const fall = planDay(windowIn(NEW_YORK, 0, 24), FALL_NY, 25, 'seed');
+  fall.forEach(at => assert.ok(at >= Date.UTC(2026, 10, 1, 4) && at < Date.UTC(2026, 10, 2, 5)));
+  // The repeated hour gets sends too
+  assert.ok(fall.some(at => at >= Date.UTC(2026, 10, 1, 6) && at < Date.UTC(2026, 10, 1, 7)));
+});
+
+test('planDay skips days outside the window and blackout dates', () => {
+  const sendingWindow = { ...windowIn(NEW_YORK, 9, 17), days: [1, 2, 3, 4, 5], blackoutDates: ['2026-03-09'] };
+  assert.deepEqual(planDay(sendingWindow, SPRING_NY, 5), []);
+  assert.deepEqual(planDay(sendingWindow, { year: 2026, month: 3, day: 9 }, 5), []);
+  assert.equal(planDay(sendingWindow, { year: 2026, month: 3, day: 10 }, 5).length, 5);
+  assert.deepEqual(planDay(sendingWindow, { year: 2026, month: 3, day: 10 }, 0), []);
+});
+
+test('planSends covers the next hours across the spring transition', () => {
+  const sends = planSends({
+    sendingWindow: windowIn(NEW_YORK, 9, 17),
+    countForDay: () => 4,
+    now: Date.UTC(2026, 2, 7, 20),
+    hours: 24,
+    seed: 'a@x.com',
+  });
+  // The rest of Saturday's window (15:00-17:00 EST), then Sunday's from 09:00
+  // EDT until 24 hours are up
+  const saturday = sends.filter(at => at < Date.UTC(2026, 2, 8));
+  const sunday = sends.filter(at => at >= Date.UTC(2026, 2, 8));
+  assert.ok(saturday.length > 0 && sunday.length > 0);
+  saturday.forEach(at => assert.ok(at >= Date.UTC(2026, 2, 7, 20) && at < Date.UTC(2026, 2, 7, 22)));
+  sunday.forEach(at => assert.ok(at >= Date.UTC(2026, 2, 8, 13) && at < Date.UTC(2026, 2, 8, 20)));
+});
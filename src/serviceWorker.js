@@ -0,0 +1,13 @@
+// --- SERVICE WORKER REGISTRATION ---
+// Registers public/sw.js in production builds. The dev server serves modules
+// that change on every edit, so caching them there would only get in the way.
+
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    // Relative to the page so it works under the `base: './'` build
+    navigator.serviceWorker.register('./sw.js')
+      .catch(error => console.error('Service Worker Registration Error:', error));
+  });
+};
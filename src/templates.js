@@ -0,0 +1,222 @@
+// --- WARMUP CONTENT TEMPLATES ---
+// Spintax rendering, placeholder substitution and content checks for the
+// subject/body templates warmup emails are generated from.
+//
+// Syntax: {a|b|c} picks one option (options may nest), {{variable}} inserts a
+// value from TEMPLATE_VARIABLES.
+
+export const TEMPLATE_VARIABLES = {
+  first_name: 'Recipient first name',
+  sender_name: 'Sender name',
+  company: 'Sender company',
+  day_of_week: 'Current weekday',
+};
+
+// Values used for the live preview.
+export const SAMPLE_VARIABLES = {
+  first_name: 'Alex',
+  sender_name: 'Sam',
+  company: 'Acme Inc.',
+  day_of_week: 'Tuesday',
+};
+
+export const TEMPLATE_LANGUAGES = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  pt: 'Portuguese',
+};
+
+// More links than this in one email reads as marketing to spam filters.
+export const MAX_TEMPLATE_LINKS = 1;
+
+const MAX_SUBJECT_LENGTH = 78;
+
+// Phrases that commonly trip content filters. Matched case-insensitively on
+// word boundaries against the raw template, so every variant is covered.
+// Words that are ordinary in conversation on their own ("feel free",
+// "unsubscribe") are only listed in their promotional phrasings.
+const SPAM_PHRASES = [
+  'act now', 'apply now', 'buy now', 'call now', 'click here', 'click below', 'order now',
+  '100% free', 'free gift', 'free trial', 'risk-free', 'no cost', 'no obligation', 'money back', 'guaranteed',
+  'winner', 'congratulations', 'you have been selected', 'cash bonus', 'earn money', 'make money',
+  'limited time', 'urgent', 'once in a lifetime', 'special promotion',
+  'viagra', 'casino', 'crypto', 'bitcoin', 'lowest price', 'best price', 'cheap',
+];
+
+const VARIABLE_PATTERN = /\{\{\s*([a-z_]+)\s*\}\}/gi;
+const LINK_PATTERN = /\bhttps?:\/\/|\bwww\./gi;
+
+// Stands in for a spintax group while measuring the text around it, so the
+// pieces either side don't join up into a word or link.
+const GROUP_GAP = '\uE002';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Swaps {{variables}} for private-use placeholders so their braces don't read
+// as spintax. Returns the masked text and the variable names in order.
+const maskVariables = (text) => {
+  const names = [];
+  const masked = text.replace(VARIABLE_PATTERN, (_, name) => {
+    names.push(name.toLowerCase());
+    return `\uE000${names.length - 1}\uE001`;
+  });
+  return { masked, names };
+};
+
+// Splits the inside of a {...} group on top-level pipes.
+const splitOptions = (inner) => {
+  const options = [];
+  let depth = 0;
+  let current = '';
+  for (const char of inner) {
+    if (char === '{') depth += 1;
+    if (char === '}') depth -= 1;
+    if (char === '|' && depth === 0) {
+      options.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  options.push(current);
+  return options;
+};
+
+// Finds the first top-level {...} group at or after `from`: { start, end } or null.
+const findGroup = (text, from = 0) => {
+  const start = text.indexOf('{', from);
+  if (start === -1) return null;
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '{') depth += 1;
+    if (text[i] === '}') depth -= 1;
+    if (depth === 0) return { start, end: i };
+  }
+  return null;
+};
+
+const spin = (text, random) => {
+  let result = '';
+  let index = 0;
+  for (let group = findGroup(text); group; group = findGroup(text, index)) {
+    const options = splitOptions(text.slice(group.start + 1, group.end));
+    result += text.slice(index, group.start) + spin(options[Math.floor(random() * options.length)], random);
+    index = group.end + 1;
+  }
+  return result + text.slice(index);
+};
+
+// Renders one random variant of `text` with `variables` filled in. Unknown
+// variables are left as-is so they stand out in the preview.
+export const renderTemplate = (text, variables = SAMPLE_VARIABLES, random = Math.random) => {
+  const { masked, names } = maskVariables(text || '');
+  return spin(masked, random).replace(/\uE000(\d+)\uE001/g, (_, i) => {
+    const name = names[Number(i)];
+    return variables[name] ?? `{{${name}}}`;
+  });
+};
+
+// Number of distinct variants the spintax can produce.
+export const countVariants = (text) => {
+  const count = (part) => {
+    let total = 1;
+    let index = 0;
+    for (let group = findGroup(part); group; group = findGroup(part, index)) {
+      total *= splitOptions(part.slice(group.start + 1, group.end)).reduce((sum, option) => sum + count(option), 0);
+      index = group.end + 1;
+    }
+    return total;
+  };
+  return count(maskVariables(text || '').masked);
+};
+
+// Largest value of `measure` over every variant of `text`, for measures that
+// add up across the pieces of a variant (lengths, link counts). Walks the
+// groups like countVariants, taking each group's largest option.
+const maxOverVariants = (text, measure, variables = SAMPLE_VARIABLES) => {
+  const { masked, names } = maskVariables(text || '');
+  const fill = (part) => part.replace(/\uE000(\d+)\uE001/g, (_, i) => {
+    const name = names[Number(i)];
+    return variables[name] ?? `{{${name}}}`;
+  });
+  const walk = (part) => {
+    let literal = '';
+    let total = 0;
+    let index = 0;
+    for (let group = findGroup(part); group; group = findGroup(part, index)) {
+      literal += part.slice(index, group.start) + GROUP_GAP;
+      total += Math.max(...splitOptions(part.slice(group.start + 1, group.end)).map(walk));
+      index = group.end + 1;
+    }
+    return total + measure(fill(literal + part.slice(index)));
+  };
+  return walk(masked);
+};
+
+const countLinks = (text) => (text.match(LINK_PATTERN) || []).length;
+const renderedLength = (text) => text.split(GROUP_GAP).join('').length;
+
+// Syntax errors in a template field: unbalanced braces and unknown variables.
+export const validateSpintax = (text) => {
+  const errors = [];
+  const { masked, names } = maskVariables(text || '');
+
+  let depth = 0;
+  for (const char of masked) {
+    if (char === '{') depth += 1;
+    if (char === '}') depth -= 1;
+    if (depth < 0) break;
+  }
+  if (depth !== 0) errors.push('Spintax braces are not balanced.');
+  if (/\{\s*\}/.test(masked)) errors.push('Spintax contains an empty {} group.');
+
+  const unknown = [...new Set(names.filter(name => !TEMPLATE_VARIABLES[name]))];
+  if (unknown.length > 0) {
+    errors.push(`Unknown variable${unknown.length === 1 ? '' : 's'}: ${unknown.map(name => `{{${name}}}`).join(', ')}.`);
+  }
+  return errors;
+};
+
+// Content findings for a template, as { severity, message }. A template with
+// any 'error' finding must not be enabled.
+export const checkTemplateContent = ({ subject = '', body = '' }) => {
+  const findings = [];
+
+  validateSpintax(subject).forEach(message => findings.push({ severity: 'error', message: `Subject: ${message}` }));
+  validateSpintax(body).forEach(message => findings.push({ severity: 'error', message: `Body: ${message}` }));
+  if (!subject.trim()) findings.push({ severity: 'error', message: 'Subject is empty.' });
+  if (!body.trim()) findings.push({ severity: 'error', message: 'Body is empty.' });
+
+  const text = `${subject}\n${body}`;
+  const phrases = SPAM_PHRASES.filter(phrase => new RegExp(`(^|\\W)${escapeRegExp(phrase)}(\\W|$)`, 'i').test(text));
+  if (phrases.length > 0) {
+    findings.push({ severity: 'error', message: `Spam-trigger phrases: ${phrases.map(p => `"${p}"`).join(', ')}.` });
+  }
+
+  // Options of one spintax group are alternatives, so count links in the
+  // worst variant rather than over the raw text
+  const links = maxOverVariants(body, countLinks);
+  if (links > MAX_TEMPLATE_LINKS) {
+    findings.push({ severity: 'error', message: `Up to ${links} links per email; keep it to ${MAX_TEMPLATE_LINKS}.` });
+  }
+
+  const shouting = (subject.match(/\b[A-Z]{4,}\b/g) || []).length;
+  if (shouting > 0) findings.push({ severity: 'warning', message: 'Subject has words in ALL CAPS.' });
+  if (/!{2,}|\?{2,}/.test(text)) findings.push({ severity: 'warning', message: 'Repeated punctuation (!!, ??) looks promotional.' });
+  if (/[$€£]\s?\d/.test(text)) findings.push({ severity: 'warning', message: 'Prices or amounts look promotional.' });
+  if (maxOverVariants(subject, renderedLength) > MAX_SUBJECT_LENGTH) {
+    findings.push({ severity: 'warning', message: `Subject can exceed ${MAX_SUBJECT_LENGTH} characters.` });
+  }
+  if (countVariants(subject) * countVariants(body) < 10) {
+    findings.push({ severity: 'warning', message: 'Fewer than 10 variants; identical emails are easy to fingerprint. Add more spintax options.' });
+  }
+
+  return findings;
+};
+
+// "sales, follow-up ,Sales" -> ['sales', 'follow-up']
+export const parseTags = (input) => [...new Set(
+  (input || '').split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean)
+)];
@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { renderTemplate, countVariants, validateSpintax, checkTemplateContent, MAX_TEMPLATE_LINKS } from './templates.js';
+
+// Cycles through `values`, standing in for Math.random.
+const seeded = (...values) => {
+  let call = 0;
+  return () => values[call++ % values.length];
+};
+
+const errors = (template) => checkTemplateContent(template).filter(f => f.severity === 'error').map(f => f.message);
+const warnings = (template) => checkTemplateContent(template).filter(f => f.severity === 'warning').map(f => f.message);
+
+const BODY = '{Hi|Hello|Hey} {{first_name}}, {quick|short} {note|question} about {this week|{next|last} month}. {Thanks|Cheers}, {{sender_name}}';
+
+test('renderTemplate picks options by the random draw and fills variables', () => {
+  assert.equal(renderTemplate('{a|b|c}-{x|y}', {}, seeded(0, 0.99)), 'a-y');
+  assert.equal(renderTemplate('{one|{two|three}}', {}, seeded(0.5, 0.5)), 'three');
+  assert.equal(renderTemplate('Hi {{first_name}}', { first_name: 'Kim' }), 'Hi Kim');
+  assert.equal(renderTemplate('Hi {{ nickname }}', {}), 'Hi {{nickname}}');
+});
+
+test('countVariants multiplies groups and adds nested options', () => {
+  assert.equal(countVariants('plain text'), 1);
+  assert.equal(countVariants('{a|b|c} {x|y}'), 6);
+  assert.equal(countVariants('{a|{b|c}}'), 3);
+  assert.equal(countVariants('{{first_name}}'), 1);
+  assert.equal(countVariants(BODY), 3 * 2 * 2 * 3 * 2);
+});
+
+test('validateSpintax reports braces, empty groups and unknown variables', () => {
+  assert.deepEqual(validateSpintax(BODY), []);
+  assert.deepEqual(validateSpintax('{a|b'), ['Spintax braces are not balanced.']);
+  assert.deepEqual(validateSpintax('a}{b'), ['Spintax braces are not balanced.']);
+  assert.deepEqual(validateSpintax('a {} b'), ['Spintax contains an empty {} group.']);
+  assert.deepEqual(validateSpintax('{{foo}} {{bar}} {{foo}}'), ['Unknown variables: {{foo}}, {{bar}}.']);
+});
+
+test('link check counts the worst variant, not the raw text', () => {
+  const oneLinkEither = `${BODY} {See https://a.example|Or www.b.example}`;
+  assert.equal(MAX_TEMPLATE_LINKS, 1);
+  assert.deepEqual(errors({ subject: 'Hello', body: oneLinkEither }), []);
+
+  const twoLinksSometimes = `${BODY} {See https://a.example and www.b.example|No links}`;
+  assert.deepEqual(errors({ subject: 'Hello', body: twoLinksSometimes }), ['Up to 2 links per email; keep it to 1.']);
+
+  const nested = `${BODY} https://a.example {plain|{also www.b.example|plain}}`;
+  assert.deepEqual(errors({ subject: 'Hello', body: nested }), ['Up to 2 links per email; keep it to 1.']);
+});
+
+test('subject length check uses the longest variant', () => {
+  const long = 'x'.repeat(70);
+  assert.deepEqual(warnings({ subject: `{Hi|${long} {{first_name}} extra}`, body: BODY }), ['Subject can exceed 78 characters.']);
+  assert.deepEqual(warnings({ subject: `{Hi|${long}}`, body: BODY }), []);
+});
+
+test('spam check flags promotional phrases but not everyday words', () => {
+  assert.deepEqual(errors({ subject: 'Hello', body: `${BODY} Feel free to reply, or unsubscribe from my notes.` }), []);
+  assert.deepEqual(errors({ subject: 'Hello', body: `${BODY} It is 100% free, click here.` }), [
+    'Spam-trigger phrases: "click here", "100% free".',
+  ]);
+  assert.deepEqual(errors({ subject: '{Quick note|URGENT}', body: BODY }), ['Spam-trigger phrases: "urgent".']);
+});
+
+test('checkTemplateContent gives the same result on every call', () => {
+  const template = { subject: 'Hello', body: `${BODY} {See https://a.example and www.b.example|No links}` };
+  const first = checkTemplateContent(template);
+  for (let i = 0; i < 20; i++) assert.deepEqual(checkTemplateContent(template), first);
+});
@@ -0,0 +1,37 @@
+// --- WARMUP LOG EVENTS ---
+// Event names written to the `logs` collection.
+
+// Written by the backend for warmup traffic. Entries carry `peer`, the
+// counterpart inbox of the exchange.
+export const WARMUP_EVENTS = {
+  sent: 'Warmup Email Sent',
+  inbox: 'Landed in Inbox',
+  spam: 'Landed in Spam',
+  rescued: 'Rescued from Spam',
+  replied: 'Reply Received',
+  bounced: 'Email Bounced',
+};
+
+// Written by this app when accounts or settings change.
+export const ACCOUNT_EVENTS = {
+  connected: 'Account Connected',
+  removed: 'Account Removed',
+  paused: 'Warmup Paused',
+  resumed: 'Warmup Resumed',
+  pauseFailed: 'Pause Failed',
+  resumeFailed: 'Resume Failed',
+  settingsUpdated: 'Warmup Settings Updated',
+  engagementUpdated: 'Engagement Rules Updated',
+  sendingWindowUpdated: 'Sending Window Updated',
+  poolUpdated: 'Warmup Pool Updated',
+  templatesUpdated: 'Template Set Updated',
+  credentialsUpdated: 'Credentials Updated',
+};
+
+// Written by this app when a blocklist check finds a listing change.
+export const BLOCKLIST_EVENTS = {
+  listed: 'Blocklist Listing',
+  delisted: 'Blocklist Delisting',
+};
+
+export const LOG_EVENT_TYPES = [...Object.values(ACCOUNT_EVENTS), ...Object.values(WARMUP_EVENTS), ...Object.values(BLOCKLIST_EVENTS)];
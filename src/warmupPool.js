@@ -0,0 +1,150 @@
+// --- WARMUP POOL ---
+// Which inboxes an account exchanges warmup mail with. Accounts either join
+// the shared seed network or a private pool made only of their workspace's
+// accounts, and set a target mix of peer providers. Stored on the account as
+// `pool`: { mode, providerMix: { [provider]: percent } }.
+//
+// The backend records the counterpart inbox of warmup traffic in the `peer`
+// field of WARMUP_EVENTS log entries.
+
+import { WARMUP_EVENTS } from './warmupEvents.js';
+import { domainOf } from './domains.js';
+
+export const PEER_PROVIDERS = {
+  gmail: { label: 'Gmail', domains: ['gmail.com', 'googlemail.com'] },
+  outlook: { label: 'Outlook', domains: ['outlook.com', 'hotmail.com', 'live.com', 'msn.com'] },
+  yahoo: { label: 'Yahoo', domains: ['yahoo.com', 'ymail.com', 'rocketmail.com', 'aol.com'] },
+  custom: { label: 'Custom domains', domains: [] },
+};
+
+export const POOL_MODES = {
+  shared: 'Shared seed network',
+  private: 'Private pool (this workspace only)',
+};
+
+export const DEFAULT_POOL_SETTINGS = {
+  mode: 'shared',
+  providerMix: { gmail: 40, outlook: 30, yahoo: 15, custom: 15 },
+};
+
+// A private pool needs at least this many accounts to exchange mail at all.
+export const MIN_PRIVATE_POOL_SIZE = 2;
+
+// Days of logs the pool views count interactions over.
+export const POOL_WINDOW_DAYS = 14;
+
+// Actual provider share this many points off target is flagged.
+export const MIX_TOLERANCE_PCT = 10;
+
+// Interactions counted per peer, by log event.
+const INTERACTIONS = {
+  [WARMUP_EVENTS.sent]: 'sent',
+  [WARMUP_EVENTS.inbox]: 'inbox',
+  [WARMUP_EVENTS.spam]: 'spam',
+  [WARMUP_EVENTS.rescued]: 'rescued',
+  [WARMUP_EVENTS.replied]: 'replied',
+};
+
+// Provider group for an inbox address. Regional Yahoo domains (yahoo.co.uk, ...) count as Yahoo.
+export const peerProvider = (email) => {
+  const domain = domainOf(email);
+  if (/^yahoo\.[a-z.]+$/.test(domain)) return 'yahoo';
+  const match = Object.entries(PEER_PROVIDERS).find(([, { domains }]) => domains.includes(domain));
+  return match ? match[0] : 'custom';
+};
+
+// Shared mailbox providers (gmail.com, outlook.com, ...) have no domain
+// reputation of their own to build.
+export const isFreeMailDomain = (domain) => peerProvider(`mailbox@${domain}`) !== 'custom';
+
+// Provider group for one of our accounts; the connection preset identifies
+// Google Workspace and Microsoft 365 mailboxes on custom domains.
+export const accountPeerProvider = (account) => (['gmail', 'outlook'].includes(account.provider)
+  ? account.provider
+  : peerProvider(account.email));
+
+export const withPoolDefaults = (stored) => ({
+  ...DEFAULT_POOL_SETTINGS,
+  ...(stored || {}),
+  providerMix: { ...DEFAULT_POOL_SETTINGS.providerMix, ...(stored?.providerMix || {}) },
+});
+
+// Validates raw form values. Returns { pool, errors } with mix errors keyed
+// by provider and a `providerMix` error when the shares don't add up to 100.
+export const validatePoolSettings = (values) => {
+  const errors = {};
+  const mode = POOL_MODES[values?.mode] ? values.mode : 'shared';
+  const providerMix = {};
+
+  Object.entries(PEER_PROVIDERS).forEach(([provider, { label }]) => {
+    const raw = values?.providerMix?.[provider];
+    const number = Number(typeof raw === 'string' ? raw.trim() : raw);
+    if (raw === '' || raw == null || !Number.isInteger(number) || number < 0 || number > 100) {
+      errors[provider] = `${label} share must be a whole number between 0 and 100.`;
+    } else {
+      providerMix[provider] = number;
+    }
+  });
+
+  const total = Object.values(providerMix).reduce((sum, share) => sum + share, 0);
+  if (Object.keys(errors).length === 0 && total !== 100) {
+    errors.providerMix = `Provider shares add up to ${total}%; they must add up to 100%.`;
+  }
+
+  return { pool: { mode, providerMix }, errors };
+};
+
+// Per-peer interaction counts from warmup logs, busiest first:
+// [{ peer, provider, sent, inbox, spam, rescued, replied, total, lastAt }].
+export const tallyPeers = (logs) => {
+  const peers = {};
+  logs.forEach((log) => {
+    const field = INTERACTIONS[log.event];
+    if (!field || !log.peer) return;
+    const key = log.peer.toLowerCase();
+    if (!peers[key]) peers[key] = { peer: key, provider: peerProvider(key), sent: 0, inbox: 0, spam: 0, rescued: 0, replied: 0, total: 0, lastAt: 0 };
+    peers[key][field] += 1;
+    peers[key].total += 1;
+    peers[key].lastAt = Math.max(peers[key].lastAt, log.timestamp || 0);
+  });
+  return Object.values(peers).sort((a, b) => b.total - a.total);
+};
+
+// Share of sends per provider, in whole percent, from tallyPeers output.
+// Null when nothing was sent.
+export const actualProviderMix = (peers) => {
+  const sent = peers.reduce((sum, peer) => sum + peer.sent, 0);
+  if (sent === 0) return null;
+  return Object.fromEntries(Object.keys(PEER_PROVIDERS).map(provider => [
+    provider,
+    Math.round((peers.filter(peer => peer.provider === provider).reduce((sum, peer) => sum + peer.sent, 0) / sent) * 100),
+  ]));
+};
+
+// Problems with an account's pool setup as user-facing messages.
+export const poolIssues = (account, accounts, peers = []) => {
+  const pool = withPoolDefaults(account.pool);
+  const issues = [];
+
+  if (pool.mode === 'private') {
+    const members = accounts.filter(acc => withPoolDefaults(acc.pool).mode === 'private');
+    if (members.length < MIN_PRIVATE_POOL_SIZE) {
+      issues.push(`A private pool needs at least ${MIN_PRIVATE_POOL_SIZE} accounts; opt in another account from this workspace.`);
+    }
+    const available = new Set(members.filter(acc => acc.email !== account.email).map(accountPeerProvider));
+    const missing = Object.keys(PEER_PROVIDERS).filter(provider => pool.providerMix[provider] > 0 && !available.has(provider));
+    if (missing.length > 0 && members.length >= MIN_PRIVATE_POOL_SIZE) {
+      issues.push(`No other private pool account is on ${missing.map(p => PEER_PROVIDERS[p].label).join(', ')}, so those shares can't be met.`);
+    }
+  }
+
+  const actual = actualProviderMix(peers);
+  if (actual) {
+    const off = Object.keys(PEER_PROVIDERS).filter(provider => Math.abs(actual[provider] - pool.providerMix[provider]) > MIX_TOLERANCE_PCT);
+    if (off.length > 0) {
+      issues.push(`Actual mix is more than ${MIX_TOLERANCE_PCT} points off target for ${off.map(p => PEER_PROVIDERS[p].label).join(', ')}.`);
+    }
+  }
+
+  return issues;
+};
@@ -0,0 +1,69 @@
+// --- RAMP-UP SCHEDULE ENGINE ---
+// Pure helpers that turn an account's join date and the warmup settings into
+// a day-by-day target sending volume.
+
+import { withWarmupDefaults, accountWarmupSettings } from './warmupSettings.js';
+import { WARMUP_EVENTS } from './warmupEvents.js';
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Midnight (local time) of the day containing `timestamp`.
+export const startOfDay = (timestamp) => {
+  const date = new Date(timestamp);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+};
+
+// Local midnight `days` calendar days after the day containing `timestamp`.
+// Steps by date rather than DAY_MS so days stay aligned across DST changes.
+export const addDays = (timestamp, days) => {
+  const date = new Date(timestamp);
+  date.setDate(date.getDate() + days);
+  return startOfDay(date);
+};
+
+// Whole calendar days from the day containing `from` to the day containing `to`.
+export const calendarDaysBetween = (from, to) => {
+  const utcDate = (timestamp) => {
+    const date = new Date(timestamp);
+    return Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+  };
+  return Math.round((utcDate(to) - utcDate(from)) / DAY_MS);
+};
+
+// Zero-based warmup day for `now`; day 0 is the day the account joined.
+export const warmupDayIndex = (joined, now = Date.now()) =>
+  Math.max(0, calendarDaysBetween(joined, now));
+
+// Target volume on a given zero-based day: compound daily growth from the
+// starting volume, capped at the max. After the warmup ends the cap holds.
+export const targetVolumeForDay = (dayIndex, settings) => {
+  const { startVolume, maxDailyEmails, dailyIncreasePct, warmupDays } = withWarmupDefaults(settings);
+  const day = Math.min(dayIndex, warmupDays - 1);
+  const volume = Math.round(startVolume * Math.pow(1 + dailyIncreasePct / 100, day));
+  return dayIndex >= warmupDays ? maxDailyEmails : Math.min(volume, maxDailyEmails);
+};
+
+// Full projected schedule for an account, one entry per warmup day.
+export const buildSchedule = (joined, settings) => {
+  const { warmupDays } = withWarmupDefaults(settings);
+  const firstDay = startOfDay(joined);
+
+  return Array.from({ length: warmupDays }, (_, day) => ({
+    day: day + 1,
+    date: addDays(firstDay, day),
+    target: targetVolumeForDay(day, settings),
+  }));
+};
+
+// Today's target volume for an account, honouring its setting overrides.
+export const todaysTarget = (account, settings, now = Date.now()) =>
+  targetVolumeForDay(warmupDayIndex(account.joined ?? now, now), accountWarmupSettings(account, settings));
+
+// Counts sent-email log entries per day, keyed by startOfDay timestamp.
+export const countDailySends = (logs) => logs.reduce((counts, log) => {
+  if (log.event !== WARMUP_EVENTS.sent) return counts;
+  const day = startOfDay(log.timestamp);
+  counts[day] = (counts[day] || 0) + 1;
+  return counts;
+}, {});
@@ -0,0 +1,85 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { WARMUP_EVENTS, ACCOUNT_EVENTS } from './warmupEvents.js';
+import { DAY_MS, startOfDay, addDays, calendarDaysBetween, warmupDayIndex, targetVolumeForDay, buildSchedule, todaysTarget, countDailySends } from './warmupSchedule.js';
+
+// The schedule works in local time; pin it to a zone with DST changes
+process.env.TZ = 'America/New_York';
+
+const HOUR = 60 * 60 * 1000;
+const local = (month, day, hour = 0, minute = 0) => new Date(2026, month - 1, day, hour, minute).getTime();
+
+const SETTINGS = { startVolume: 10, maxDailyEmails: 50, dailyIncreasePct: 10, warmupDays: 30 };
+
+test('addDays steps by calendar day across DST', () => {
+  // Spring forward on March 8 makes that day 23 hours long
+  assert.equal(addDays(local(3, 7), 1), local(3, 8));
+  assert.equal(addDays(local(3, 7), 2), local(3, 9));
+  assert.equal(local(3, 9) - local(3, 8), 23 * HOUR);
+  assert.notEqual(local(3, 8) + DAY_MS, local(3, 9));
+
+  // Fall back on November 1 makes that day 25 hours long
+  assert.equal(addDays(local(11, 1, 18), 1), local(11, 2));
+  assert.equal(addDays(local(11, 2), -1), local(11, 1));
+  assert.equal(startOfDay(local(11, 1, 23, 30)), local(11, 1));
+});
+
+test('calendarDaysBetween counts dates, not 24 hour spans', () => {
+  assert.equal(calendarDaysBetween(local(3, 7, 23, 30), local(3, 8, 0, 30)), 1);
+  assert.equal(calendarDaysBetween(local(3, 8), local(3, 9)), 1);
+  assert.equal(calendarDaysBetween(local(11, 1), local(11, 2, 23, 59)), 1);
+  assert.equal(calendarDaysBetween(local(2, 28), local(3, 31)), 31);
+  assert.equal(calendarDaysBetween(local(3, 9), local(3, 8)), -1);
+});
+
+test('warmupDayIndex is zero on the joining day and never negative', () => {
+  const joined = local(3, 7, 22);
+  assert.equal(warmupDayIndex(joined, local(3, 7, 23, 59)), 0);
+  assert.equal(warmupDayIndex(joined, local(3, 8, 0, 1)), 1);
+  assert.equal(warmupDayIndex(joined, local(3, 10, 0, 30)), 3);
+  assert.equal(warmupDayIndex(joined, local(3, 6)), 0);
+});
+
+test('targetVolumeForDay compounds from the start volume up to the cap', () => {
+  assert.equal(targetVolumeForDay(0, SETTINGS), 10);
+  assert.equal(targetVolumeForDay(1, SETTINGS), 11);
+  assert.equal(targetVolumeForDay(5, SETTINGS), Math.round(10 * 1.1 ** 5));
+  // 10 * 1.1^17 is just over 50
+  assert.equal(targetVolumeForDay(16, SETTINGS), 46);
+  assert.equal(targetVolumeForDay(17, SETTINGS), 50);
+  assert.equal(targetVolumeForDay(29, SETTINGS), 50);
+});
+
+test('targetVolumeForDay holds the cap once the warmup ends', () => {
+  const slow = { ...SETTINGS, dailyIncreasePct: 1, warmupDays: 7 };
+  assert.equal(targetVolumeForDay(6, slow), Math.round(10 * 1.01 ** 6));
+  assert.equal(targetVolumeForDay(7, slow), 50);
+  assert.equal(targetVolumeForDay(100, slow), 50);
+});
+
+test('buildSchedule has one entry per warmup day on consecutive local midnights', () => {
+  const schedule = buildSchedule(local(3, 6, 15), { ...SETTINGS, warmupDays: 7 });
+
+  assert.equal(schedule.length, 7);
+  assert.deepEqual(schedule.map(entry => entry.day), [1, 2, 3, 4, 5, 6, 7]);
+  assert.deepEqual(schedule.map(entry => entry.date), [6, 7, 8, 9, 10, 11, 12].map(day => local(3, day)));
+  assert.deepEqual(schedule.map(entry => entry.target), [0, 1, 2, 3, 4, 5, 6].map(day => targetVolumeForDay(day, SETTINGS)));
+});
+
+test('todaysTarget uses the account overrides and its warmup day', () => {
+  const account = { joined: local(3, 7, 9), settingsOverrides: { startVolume: 20 } };
+  assert.equal(todaysTarget(account, SETTINGS, local(3, 7, 18)), 20);
+  assert.equal(todaysTarget(account, SETTINGS, local(3, 9, 1)), Math.round(20 * 1.1 ** 2));
+  assert.equal(todaysTarget({ settingsOverrides: null }, SETTINGS, local(3, 9)), 10);
+});
+
+test('countDailySends counts sent emails per local day', () => {
+  const logs = [
+    { event: WARMUP_EVENTS.sent, timestamp: local(3, 7, 23, 30) },
+    { event: WARMUP_EVENTS.sent, timestamp: local(3, 8, 0, 15) },
+    { event: WARMUP_EVENTS.sent, timestamp: local(3, 8, 23, 45) },
+    { event: WARMUP_EVENTS.inbox, timestamp: local(3, 8, 12) },
+    { event: ACCOUNT_EVENTS.paused, timestamp: local(3, 8, 12) },
+  ];
+  assert.deepEqual(countDailySends(logs), { [local(3, 7)]: 1, [local(3, 8)]: 2 });
+});
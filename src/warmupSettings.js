@@ -0,0 +1,65 @@
+// --- GLOBAL WARMUP SETTINGS ---
+// Shared defaults and validation for the ramp-up settings stored in
+// artifacts/{appId}/workspaces/{workspaceId}/settings/warmup.
+
+export const DEFAULT_WARMUP_SETTINGS = {
+  startVolume: 10,
+  maxDailyEmails: 50,
+  dailyIncreasePct: 10,
+  targetReplyRate: 15,
+  warmupDays: 30,
+};
+
+// Allowed range for each field. All values must be whole numbers.
+export const WARMUP_SETTINGS_LIMITS = {
+  startVolume: { label: 'Starting Daily Volume', min: 1, max: 500 },
+  maxDailyEmails: { label: 'Max Daily Emails', min: 1, max: 500 },
+  dailyIncreasePct: { label: 'Daily Volume Increase', min: 1, max: 100 },
+  targetReplyRate: { label: 'Target Reply Rate', min: 0, max: 100 },
+  warmupDays: { label: 'Warmup Duration', min: 7, max: 365 },
+};
+
+// Validates raw form values (strings or numbers). Returns the parsed settings
+// and a map of field -> error message; `errors` is empty when the input is valid.
+export const validateWarmupSettings = (values) => {
+  const settings = {};
+  const errors = {};
+
+  Object.entries(WARMUP_SETTINGS_LIMITS).forEach(([field, { label, min, max }]) => {
+    const raw = values?.[field];
+    const value = typeof raw === 'string' ? raw.trim() : raw;
+
+    if (value === '' || value === null || value === undefined) {
+      errors[field] = `${label} is required.`;
+      return;
+    }
+
+    const number = Number(value);
+    if (!Number.isInteger(number)) {
+      errors[field] = `${label} must be a whole number.`;
+    } else if (number < min || number > max) {
+      errors[field] = `${label} must be between ${min} and ${max}.`;
+    } else {
+      settings[field] = number;
+    }
+  });
+
+  if (!errors.startVolume && !errors.maxDailyEmails && settings.maxDailyEmails < settings.startVolume) {
+    errors.maxDailyEmails = 'Max Daily Emails must be at least the Starting Daily Volume.';
+  }
+
+  return { settings, errors };
+};
+
+// Fills in defaults for any field missing from a stored settings document.
+export const withWarmupDefaults = (stored) => ({
+  ...DEFAULT_WARMUP_SETTINGS,
+  ...(stored || {}),
+});
+
+// Effective settings for one account: global settings with the account's
+// own overrides applied on top.
+export const accountWarmupSettings = (account, settings) => withWarmupDefaults({
+  ...(settings || {}),
+  ...(account?.settingsOverrides || {}),
+});